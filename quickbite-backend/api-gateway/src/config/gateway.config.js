@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROUTES_FILE = path.join(__dirname, 'routes.json');
+const AUTH_POLICIES = ['required', 'optional', 'public'];
+
+// Expand ${VAR} and ${VAR:-fallback} placeholders from the environment
+function expandEnv(value) {
+  return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    const envValue = process.env[name];
+    if (envValue !== undefined && envValue !== '') return envValue;
+    return fallback !== undefined ? fallback : '';
+  });
+}
+
+// Targets may be a string (comma-separated for several replicas) or an array
+function parseTargets(raw) {
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list
+    .flatMap((entry) => expandEnv(String(entry)).split(','))
+    .map((url) => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+function loadGatewayConfig(file = process.env.GATEWAY_ROUTES_FILE || DEFAULT_ROUTES_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const defaults = raw.defaults || {};
+
+  const services = {};
+  for (const [name, service] of Object.entries(raw.services || {})) {
+    const targets = parseTargets(service.targets);
+    if (targets.length === 0) {
+      throw new Error(`Gateway config: service "${name}" has no targets`);
+    }
+
+    services[name] = {
+      name,
+      targets,
+      timeoutMs: service.timeoutMs || defaults.timeoutMs || 15000,
+      proxyTimeoutMs: service.proxyTimeoutMs || defaults.proxyTimeoutMs || 10000,
+      healthCheck: { ...defaults.healthCheck, ...service.healthCheck }
+    };
+  }
+
+  const routes = (raw.routes || []).map((route) => {
+    if (!route.path || !route.path.startsWith('/')) {
+      throw new Error(`Gateway config: route path "${route.path}" must start with "/"`);
+    }
+    if (!services[route.service]) {
+      throw new Error(`Gateway config: route ${route.path} references unknown service "${route.service}"`);
+    }
+    const auth = route.auth || defaults.auth || 'required';
+    if (!AUTH_POLICIES.includes(auth)) {
+      throw new Error(`Gateway config: route ${route.path} has unknown auth policy "${auth}"`);
+    }
+    return {
+      path: route.path,
+      service: route.service,
+      auth,
+      pathRewrite: route.pathRewrite || null
+    };
+  });
+
+  return { services, routes };
+}
+
+module.exports = { loadGatewayConfig, expandEnv, parseTargets, AUTH_POLICIES };
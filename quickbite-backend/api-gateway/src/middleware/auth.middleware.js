@@ -0,0 +1,56 @@
+const gatewayIdentity = require('@quickbite/gateway-identity');
+const { IdentityService, InvalidTokenError } = require('../services/identity.service');
+const { AUTH_POLICIES } = require('../config/gateway.config');
+
+// Identity headers downstream services may trust. Anything a client sends
+// under these names is dropped before the request is proxied.
+const IDENTITY_HEADERS = Object.values(gatewayIdentity.HEADERS);
+
+const identityService = new IdentityService();
+
+function stripIdentityHeaders(req) {
+  IDENTITY_HEADERS.forEach((name) => delete req.headers[name]);
+}
+
+// Services only take these headers with a valid signature, so without
+// GATEWAY_IDENTITY_SECRET none are sent and they verify the token themselves
+function setIdentityHeaders(req, identity) {
+  if (!process.env.GATEWAY_IDENTITY_SECRET) return;
+  Object.assign(req.headers, gatewayIdentity.sign(identity));
+}
+
+// required: a valid access token must be present
+// optional: verified when present, anonymous requests pass through
+// public:   token is not inspected (login, refresh, gateway webhooks)
+function authenticate(policy = 'required') {
+  if (!AUTH_POLICIES.includes(policy)) {
+    throw new Error(`Unknown auth policy "${policy}"`);
+  }
+
+  return async (req, res, next) => {
+    stripIdentityHeaders(req);
+    if (policy === 'public') return next();
+
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      if (policy === 'optional') return next();
+      return res.status(401).json({ success: false, message: 'No token provided' });
+    }
+
+    try {
+      const identity = await identityService.verify(match[1]);
+      req.user = identity;
+      setIdentityHeaders(req, identity);
+      next();
+    } catch (error) {
+      if (error instanceof InvalidTokenError) {
+        return res.status(401).json({ success: false, message: error.message });
+      }
+      console.error('Token verification failed:', error.message);
+      return res.status(503).json({ success: false, message: 'Authentication service unavailable' });
+    }
+  };
+}
+
+module.exports = { authenticate, AUTH_POLICIES, IDENTITY_HEADERS, identityService };
@@ -0,0 +1,68 @@
+const express = require('express');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const { UpstreamPool } = require('../services/upstream.service');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const TIMEOUT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+function createServiceProxy(route, service, pool) {
+  const proxy = createProxyMiddleware({
+    target: service.targets[0],
+    router: (req) => req.gatewayUpstream,
+    changeOrigin: true,
+    xfwd: true,
+    ws: false,
+    pathRewrite: route.pathRewrite || undefined,
+    timeout: service.timeoutMs,
+    proxyTimeout: service.proxyTimeoutMs,
+    logLevel: 'warn',
+    onProxyRes: (proxyRes, req) => {
+      if (proxyRes.statusCode < 500) pool.markSuccess(req.gatewayUpstream);
+    },
+    onError: (err, req, res) => {
+      pool.markFailure(req.gatewayUpstream, err);
+      console.error(`Proxy error [${service.name}] ${req.method} ${req.originalUrl}:`, err.code || err.message);
+
+      if (res.headersSent) return res.end();
+      const timedOut = TIMEOUT_CODES.includes(err.code);
+      res.status(timedOut ? 504 : 502).json({
+        success: false,
+        message: timedOut ? 'Upstream service timed out' : 'Upstream service unavailable',
+        service: service.name
+      });
+    }
+  });
+
+  return (req, res, next) => {
+    const upstream = pool.select();
+    if (!upstream) {
+      return res.status(503).json({
+        success: false,
+        message: 'No healthy upstream available',
+        service: service.name
+      });
+    }
+    req.gatewayUpstream = upstream;
+    return proxy(req, res, next);
+  };
+}
+
+// Build one router that proxies every configured route, in file order, so
+// more specific paths listed first win over broader prefixes.
+function buildProxyRouter(config) {
+  const router = express.Router();
+  const pools = {};
+
+  for (const service of Object.values(config.services)) {
+    pools[service.name] = new UpstreamPool(service);
+  }
+
+  for (const route of config.routes) {
+    const service = config.services[route.service];
+    router.use(route.path, authenticate(route.auth), createServiceProxy(route, service, pools[route.service]));
+  }
+
+  return { router, pools };
+}
+
+module.exports = { buildProxyRouter };
@@ -1,14 +1,16 @@
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 const rateLimit = require('express-rate-limit');
+const { loadGatewayConfig } = require('./config/gateway.config');
+const { buildProxyRouter } = require('./routes/proxy.routes');
 
 const app = express();
 
 // Middleware
+// No body parsers here: request bodies are streamed to upstreams untouched
+// (payment webhooks verify signatures over the raw payload).
 app.use(cors());
-app.use(express.json());
 app.use(morgan('combined'));
 
 // Rate limiting
@@ -18,29 +20,29 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Service routes
-const routes = {
-  auth: createProxyMiddleware({ 
-    target: process.env.AUTH_SERVICE_URL,
-    changeOrigin: true,
-    pathRewrite: {'^/api/auth': ''}
-  }),
-  orders: createProxyMiddleware({ 
-    target: process.env.ORDER_SERVICE_URL,
-    changeOrigin: true,
-    pathRewrite: {'^/api/orders': ''}
-  })
-};
-
-// Route registration
-app.use('/api/auth', routes.auth);
-app.use('/api/orders', routes.orders);
+// Service routes, declared in config/routes.json
+const gatewayConfig = loadGatewayConfig();
+const { router: proxyRouter, pools } = buildProxyRouter(gatewayConfig);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy' });
 });
 
+app.get('/health/upstreams', (req, res) => {
+  const services = Object.values(pools).map((pool) => pool.getStatus());
+  const degraded = services.some((s) => !s.healthy);
+  res.status(degraded ? 503 : 200).json({ status: degraded ? 'degraded' : 'healthy', services });
+});
+
+// Route registration
+app.use(proxyRouter);
+
+// Unmatched routes
+app.use((req, res) => {
+  res.status(404).json({ success: false, message: 'Route not found', path: req.originalUrl });
+});
+
 // Error handling
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -49,5 +51,9 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
+  Object.values(pools).forEach((pool) => pool.start());
   console.log(`API Gateway running on port ${PORT}`);
-});
\ No newline at end of file
+  gatewayConfig.routes.forEach((route) => {
+    console.log(`  ${route.path} [${route.auth}] -> ${route.service} (${gatewayConfig.services[route.service].targets.join(', ')})`);
+  });
+});
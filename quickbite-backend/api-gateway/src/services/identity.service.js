@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getVerifier, TokenVerificationError } = require('@quickbite/jwt-verifier');
+
+const CACHE_TTL_MS = parseInt(process.env.GATEWAY_AUTH_CACHE_TTL_MS, 10) || 60 * 1000;
+const NEGATIVE_CACHE_TTL_MS = parseInt(process.env.GATEWAY_AUTH_NEGATIVE_CACHE_TTL_MS, 10) || 10 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.GATEWAY_AUTH_CACHE_MAX, 10) || 10000;
+
+class InvalidTokenError extends Error {
+  constructor(message = 'Invalid or expired token') {
+    super(message);
+    this.name = 'InvalidTokenError';
+    this.statusCode = 401;
+  }
+}
+
+// Verifies access tokens issued by auth-service: against its published keys
+// (jwks), locally with the legacy shared HMAC secret (local) or remotely via
+// POST /api/auth/introspect. Results are cached by token hash, never beyond
+// the token's own expiry.
+class IdentityService {
+  constructor(options = {}) {
+    this.secret = options.secret !== undefined ? options.secret : process.env.JWT_ACCESS_SECRET;
+    this.introspectUrl = options.introspectUrl || process.env.AUTH_INTROSPECT_URL ||
+      `${(process.env.AUTH_SERVICE_URL || 'http://localhost:3001').split(',')[0].trim()}/api/auth/introspect`;
+    this.jwksUrl = options.jwksUrl || process.env.AUTH_JWKS_URL;
+    this.mode = options.mode || process.env.GATEWAY_AUTH_MODE ||
+      (this.jwksUrl ? 'jwks' : this.secret ? 'local' : 'introspect');
+    this.cache = new Map();
+  }
+
+  async verify(token) {
+    const key = crypto.createHash('sha256').update(token).digest('hex');
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      if (!cached.identity) throw new InvalidTokenError();
+      return cached.identity;
+    }
+    this.cache.delete(key);
+
+    let identity;
+    try {
+      if (this.mode === 'jwks') {
+        identity = await this.verifyWithJwks(token);
+      } else {
+        identity = this.mode === 'local' ? this.verifyLocally(token) : await this.introspect(token);
+      }
+    } catch (error) {
+      if (error instanceof InvalidTokenError) {
+        this.remember(key, null, Date.now() + NEGATIVE_CACHE_TTL_MS);
+      }
+      throw error;
+    }
+
+    const tokenExpiry = identity.exp ? identity.exp * 1000 : Infinity;
+    this.remember(key, identity, Math.min(Date.now() + CACHE_TTL_MS, tokenExpiry));
+    return identity;
+  }
+
+  verifyLocally(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new InvalidTokenError();
+    }
+    if (decoded.type && decoded.type !== 'access') {
+      throw new InvalidTokenError('Access token required');
+    }
+    return { userId: decoded.id, role: decoded.role, storeId: decoded.storeId || null, exp: decoded.exp };
+  }
+
+  async verifyWithJwks(token) {
+    let claims;
+    try {
+      claims = await getVerifier({ jwksUrl: this.jwksUrl }).verify(token);
+    } catch (error) {
+      if (error instanceof TokenVerificationError) throw new InvalidTokenError(error.message);
+      throw error;
+    }
+    return { userId: claims.id, role: claims.role, storeId: claims.storeId || null, exp: claims.exp };
+  }
+
+  async introspect(token) {
+    const response = await fetch(this.introspectUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+      signal: AbortSignal.timeout(3000)
+    });
+    if (!response.ok) {
+      throw new Error(`Introspection failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.active) throw new InvalidTokenError();
+    return { userId: data.user_id, role: data.role, storeId: data.store_id || null, exp: data.exp };
+  }
+
+  remember(key, identity, expiresAt) {
+    if (this.cache.size >= CACHE_MAX_ENTRIES) {
+      // Map keeps insertion order, so the first key is the oldest entry
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { identity, expiresAt });
+  }
+}
+
+module.exports = { IdentityService, InvalidTokenError };
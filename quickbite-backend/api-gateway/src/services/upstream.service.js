@@ -0,0 +1,109 @@
+// Tracks the health of each replica behind a service and picks the next
+// healthy one round-robin. Health comes from periodic probes of the
+// service's health endpoint plus passive failures reported by the proxy.
+class UpstreamPool {
+  constructor(service) {
+    this.name = service.name;
+    this.healthCheck = service.healthCheck || {};
+    this.upstreams = service.targets.map((url) => ({
+      url,
+      healthy: true,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      lastCheckedAt: null,
+      lastError: null
+    }));
+    this.cursor = 0;
+    this.timer = null;
+  }
+
+  // Next healthy upstream URL, or null when every replica is down
+  select() {
+    const count = this.upstreams.length;
+    for (let i = 0; i < count; i++) {
+      const upstream = this.upstreams[(this.cursor + i) % count];
+      if (upstream.healthy) {
+        this.cursor = (this.cursor + i + 1) % count;
+        return upstream.url;
+      }
+    }
+    return null;
+  }
+
+  find(url) {
+    return this.upstreams.find((u) => u.url === url);
+  }
+
+  markFailure(url, error) {
+    const upstream = this.find(url);
+    if (!upstream) return;
+
+    upstream.consecutiveSuccesses = 0;
+    upstream.consecutiveFailures += 1;
+    upstream.lastError = error ? error.message || String(error) : null;
+
+    const threshold = this.healthCheck.unhealthyThreshold || 2;
+    if (upstream.healthy && upstream.consecutiveFailures >= threshold) {
+      upstream.healthy = false;
+      console.warn(`⚠️ Upstream ${this.name} ${url} marked unhealthy: ${upstream.lastError}`);
+    }
+  }
+
+  markSuccess(url) {
+    const upstream = this.find(url);
+    if (!upstream) return;
+
+    upstream.consecutiveFailures = 0;
+    upstream.consecutiveSuccesses += 1;
+    upstream.lastError = null;
+
+    const threshold = this.healthCheck.healthyThreshold || 1;
+    if (!upstream.healthy && upstream.consecutiveSuccesses >= threshold) {
+      upstream.healthy = true;
+      console.log(`✅ Upstream ${this.name} ${url} is healthy again`);
+    }
+  }
+
+  async probe(upstream) {
+    const { path = '/health', timeoutMs = 2000 } = this.healthCheck;
+    upstream.lastCheckedAt = new Date().toISOString();
+    try {
+      const response = await fetch(`${upstream.url}${path}`, {
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) throw new Error(`Health check returned ${response.status}`);
+      this.markSuccess(upstream.url);
+    } catch (error) {
+      this.markFailure(upstream.url, error);
+    }
+  }
+
+  async checkAll() {
+    await Promise.all(this.upstreams.map((upstream) => this.probe(upstream)));
+  }
+
+  start() {
+    if (this.timer) return;
+    const intervalMs = this.healthCheck.intervalMs || 10000;
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStatus() {
+    return {
+      service: this.name,
+      healthy: this.upstreams.some((u) => u.healthy),
+      upstreams: this.upstreams.map(({ url, healthy, lastCheckedAt, lastError }) => ({
+        url, healthy, lastCheckedAt, lastError
+      }))
+    };
+  }
+}
+
+module.exports = { UpstreamPool };
@@ -0,0 +1,43 @@
+// OpenID Connect providers accepted for social login. A provider is enabled
+// once its client IDs (the `aud` values of its ID tokens) are configured;
+// issuer and JWKS URL can be overridden, e.g. to point at the local fake
+// issuer.
+const list = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+function fakeIssuerUrl() {
+  return process.env.OIDC_FAKE_ISSUER_URL || `http://localhost:${process.env.PORT || 3001}/dev/oidc`;
+}
+
+function fakeIssuerEnabled() {
+  return process.env.OIDC_FAKE_ISSUER === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function getProviders() {
+  const providers = {
+    google: {
+      issuers: list(process.env.OIDC_GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com'),
+      jwksUrl: process.env.OIDC_GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+      clientIds: list(process.env.OIDC_GOOGLE_CLIENT_IDS)
+    },
+    apple: {
+      issuers: list(process.env.OIDC_APPLE_ISSUER || 'https://appleid.apple.com'),
+      jwksUrl: process.env.OIDC_APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+      clientIds: list(process.env.OIDC_APPLE_CLIENT_IDS)
+    }
+  };
+
+  if (fakeIssuerEnabled()) {
+    providers.fake = {
+      issuers: [fakeIssuerUrl()],
+      jwksUrl: `${fakeIssuerUrl()}/jwks.json`,
+      clientIds: list(process.env.OIDC_FAKE_CLIENT_IDS || 'quickbite-dev')
+    };
+  }
+
+  for (const name of Object.keys(providers)) {
+    if (providers[name].clientIds.length === 0) delete providers[name];
+  }
+  return providers;
+}
+
+module.exports = { getProviders, fakeIssuerUrl, fakeIssuerEnabled };
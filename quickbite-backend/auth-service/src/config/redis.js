@@ -5,7 +5,7 @@ let redisClient;
 const connectRedis = async () => {
   // Skip Redis if not configured (dev mode)
   if (!process.env.REDIS_URL) {
-    console.log('⚠️ REDIS_URL not set - rate limiting disabled (dev mode)');
+    console.log('⚠️ REDIS_URL not set - rate limits are kept in-process (dev mode)');
     return;
   }
 
@@ -1,14 +1,132 @@
+const crypto = require('crypto');
 const User = require('../models/user.model');
 const OTP = require('../models/otp.model');
 const RefreshToken = require('../models/refreshToken.model');
+const PasswordResetToken = require('../models/passwordResetToken.model');
 const TokenService = require('../services/token.service');
-const { sendOTP } = require('../utils/sms.util');
-const { getRedisClient } = require('../config/redis');
+const { sendOTP, sendPasswordResetSMS } = require('../utils/sms.util');
+const { sendPasswordResetEmail } = require('../utils/email.util');
+const { validatePassword } = require('../utils/password.util');
+const rateLimit = require('../utils/rateLimit.util');
+const Session = require('../models/session.model');
+const UserIdentity = require('../models/userIdentity.model');
+const { OidcService, OidcError } = require('../services/oidc.service');
+const LoginGuard = require('../services/loginGuard.service');
+const { deviceFromRequest } = require('../utils/device.util');
+const { sendSecurityAlert } = require('../utils/notification.util');
 
 function isValidE164(phone) {
   return typeof phone === 'string' && /^\+[1-9]\d{1,14}$/.test(phone);
 }
 
+function limitSetting(name, fallback) {
+  return parseInt(process.env[name] || String(fallback), 10);
+}
+
+// Counts the request against every key and answers 429 if any of them is
+// over its limit. Returns true when the request was rejected.
+async function rejectIfThrottled(res, checks) {
+  for (const { key, limit, windowSeconds } of checks) {
+    const result = await rateLimit.hit(key, limit, windowSeconds);
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+      });
+      return true;
+    }
+  }
+  return false;
+}
+
+// Answers a sign-in attempt the login guard holds back: 423 while the
+// account is locked, 429 while it (or the IP) must wait
+function rejectGuardedAttempt(res, blocked) {
+  res.set('Retry-After', String(blocked.retryAfter));
+  const accountLocked = blocked.locked && blocked.scope === 'account';
+  return res.status(accountLocked ? 423 : 429).json({
+    success: false,
+    message: accountLocked
+      ? 'Account temporarily locked after repeated failed sign-ins'
+      : 'Too many sign-in attempts, please try again later',
+    code: accountLocked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter: blocked.retryAfter
+  });
+}
+
+// Tell the owner their account was locked. Not awaited: the alert is
+// best-effort and must not slow down or fail the response.
+function notifyLockout(user, method) {
+  if (!user) return;
+  const minutes = limitSetting('LOGIN_LOCKOUT_MINUTES', 15);
+  sendSecurityAlert(user.id, {
+    title: 'Sign-in temporarily locked',
+    message: `Sign-in to your QuickBite account was locked for ${minutes} minutes after repeated failed ${method} attempts. If this wasn't you, change your password.`,
+    data: { reason: 'LOGIN_LOCKOUT', method, lockedMinutes: minutes }
+  });
+}
+
+// Verifies an OTP under the login guard. Answers the request and returns
+// false unless the OTP is valid.
+async function verifyOtpGuarded(req, res, phone, otp, purpose) {
+  const identity = { account: `otp:${phone}`, ip: req.ip };
+  const blocked = await LoginGuard.check(identity);
+  if (blocked) {
+    rejectGuardedAttempt(res, blocked);
+    return false;
+  }
+
+  const result = await OTP.verify(phone, otp, purpose);
+  if (result.status === 'VALID') {
+    await LoginGuard.recordSuccess(identity);
+    return true;
+  }
+  if (result.status === 'EXPIRED') {
+    res.status(400).json({ success: false, message: 'OTP expired', code: 'OTP_EXPIRED' });
+    return false;
+  }
+
+  const { accountLocked } = await LoginGuard.recordFailure(identity);
+  if (accountLocked) notifyLockout(await User.findByPhone(phone), 'OTP');
+
+  if (result.status === 'LOCKED') {
+    res.status(429).json({
+      success: false,
+      message: 'Too many incorrect codes, please request a new OTP',
+      code: 'OTP_ATTEMPTS_EXCEEDED'
+    });
+  } else {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid OTP',
+      code: 'OTP_INVALID',
+      attemptsRemaining: result.attemptsRemaining
+    });
+  }
+  return false;
+}
+
+// The existing account an ID token speaks for, by the email or phone the
+// provider has verified. Unverified claims never select an account.
+async function findUserByVerifiedClaims(profile) {
+  if (profile.email && profile.emailVerified) {
+    const user = await User.findByEmail(profile.email);
+    if (user) return user;
+  }
+  if (profile.phone && profile.phoneVerified && isValidE164(profile.phone)) {
+    return User.findByPhone(profile.phone);
+  }
+  return null;
+}
+
+function passwordResetLink(token) {
+  const base = process.env.PASSWORD_RESET_URL
+    || `${(process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim()}/reset-password`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
 class AuthController {
   // Request OTP for login/registration
   async requestOTP(req, res, next) {
@@ -23,35 +141,27 @@ class AuthController {
         });
       }
 
+      // Rate limiting per phone and per IP (in-process when Redis is down)
+      const throttled = await rejectIfThrottled(res, [
+        {
+          key: `otp:phone:${phone}`,
+          limit: limitSetting('OTP_MAX_PER_PHONE', 5),
+          windowSeconds: 60 * 60
+        },
+        {
+          key: `otp:ip:${req.ip}`,
+          limit: limitSetting('OTP_MAX_PER_IP', 20),
+          windowSeconds: 60 * 60
+        }
+      ]);
+      if (throttled) return;
+
       // Check if user exists
       const user = await User.findByPhone(phone);
       
         // Allow OTP for both existing and new users (auto-register on verify)
         console.log(`📱 OTP requested for ${phone} (${user ? 'existing' : 'new'} user)`);
 
-      // Rate limiting: max 5 per hour per phone (best-effort; skip if Redis unavailable)
-      try {
-        const redis = getRedisClient();
-        const bucket = new Date();
-        const hourKey = `${bucket.getUTCFullYear()}${String(bucket.getUTCMonth()+1).padStart(2,'0')}${String(bucket.getUTCDate()).padStart(2,'0')}${String(bucket.getUTCHours()).padStart(2,'0')}`;
-        const rlKey = `otp:rl:${phone}:${hourKey}`;
-        const count = await redis.incr(rlKey);
-        if (count === 1) {
-          // set TTL to the remaining seconds in the current hour
-          const secondsRemaining = 3600 - (bucket.getUTCMinutes()*60 + bucket.getUTCSeconds());
-          await redis.expire(rlKey, Math.max(1, secondsRemaining));
-        }
-        if (count > 5) {
-          return res.status(429).json({
-            success: false,
-            message: 'Rate limit exceeded',
-            code: 'RATE_LIMIT_EXCEEDED'
-          });
-        }
-      } catch (e) {
-        console.warn('⚠️ Redis unavailable, skipping OTP rate limiting');
-      }
-
       // Generate OTP (5 min TTL handled in model)
       const otpData = await OTP.create(phone, purpose);
 
@@ -82,13 +192,7 @@ class AuthController {
       }
 
       // Verify OTP
-      const result = await OTP.verify(phone, otp, purpose);
-      if (result.status === 'EXPIRED') {
-        return res.status(400).json({ success: false, message: 'OTP expired', code: 'OTP_EXPIRED' });
-      }
-      if (result.status !== 'VALID') {
-        return res.status(400).json({ success: false, message: 'Invalid OTP', code: 'OTP_INVALID' });
-      }
+      if (!(await verifyOtpGuarded(req, res, phone, otp, purpose))) return;
 
       let user;
 
@@ -134,7 +238,9 @@ class AuthController {
       }
 
       // Generate tokens
-      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id);
+      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id, {
+        device: deviceFromRequest(req)
+      });
 
       res.status(200).json({
         success: true,
@@ -188,7 +294,9 @@ class AuthController {
       const user = await User.create({ name, email, phone, password, role: 'customer' });
 
       // Generate tokens
-      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id);
+      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id, {
+        device: deviceFromRequest(req)
+      });
 
       res.status(201).json({
         success: true,
@@ -220,26 +328,30 @@ class AuthController {
         });
       }
 
-      // Find user
-      const user = await User.findByEmail(email);
-      if (!user) {
-        return res.status(401).json({ 
-          success: false, 
-          message: 'Invalid credentials' 
-        });
+      // Failures count against the email tried, whether or not it exists
+      const identity = { account: `password:${String(email).toLowerCase()}`, ip: req.ip };
+      const blocked = await LoginGuard.check(identity);
+      if (blocked) {
+        return rejectGuardedAttempt(res, blocked);
       }
 
-      // Verify password
-      const isPasswordValid = await User.verifyPassword(password, user.password_hash);
+      // Find user and verify password
+      const user = await User.findByEmail(email);
+      const isPasswordValid = user && await User.verifyPassword(password, user.password_hash);
       if (!isPasswordValid) {
+        const { accountLocked } = await LoginGuard.recordFailure(identity);
+        if (accountLocked) notifyLockout(user, 'password');
         return res.status(401).json({ 
           success: false, 
           message: 'Invalid credentials' 
         });
       }
+      await LoginGuard.recordSuccess(identity);
 
       // Generate tokens
-      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id);
+      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id, {
+        device: deviceFromRequest(req)
+      });
 
       res.status(200).json({
         success: true,
@@ -259,6 +371,142 @@ class AuthController {
     }
   }
 
+  // Sign in with an ID token from an OpenID Connect provider (Google, Apple).
+  // A provider account is matched to a user by an earlier link, then by the
+  // email or phone the provider verified. Otherwise the caller proves a
+  // phone with an OTP (from /otp), which signs in that phone's account or
+  // creates a new one; either way the provider account is linked.
+  // Issue the nonce a client puts in its provider sign-in request and then
+  // sends back with the ID token
+  async issueOidcNonce(req, res, next) {
+    try {
+      const throttled = await rejectIfThrottled(res, [
+        { key: `oidc:nonce:ip:${req.ip}`, limit: limitSetting('OIDC_NONCE_MAX_PER_IP', 30), windowSeconds: 60 }
+      ]);
+      if (throttled) return;
+
+      const { nonce, expiresIn } = await OidcService.issueNonce();
+      res.status(201).json({ success: true, nonce, expiresIn });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async oidcLogin(req, res, next) {
+    try {
+      const { idToken, nonce, phone, otp, name } = req.body || {};
+      const profile = await OidcService.verifyIdToken(req.params.provider, idToken, { nonce });
+
+      let user;
+      let isNewUser = false;
+      const identity = await UserIdentity.find(profile.provider, profile.subject);
+
+      if (identity) {
+        user = await User.findById(identity.user_id);
+        if (!user) {
+          return res.status(401).json({
+            success: false,
+            message: 'Account is no longer active',
+            code: 'ACCOUNT_INACTIVE'
+          });
+        }
+        await UserIdentity.touch(identity.id);
+      } else {
+        user = await findUserByVerifiedClaims(profile);
+
+        if (!user) {
+          if (!phone || !otp) {
+            return res.status(400).json({
+              success: false,
+              message: 'Verify your phone number to continue',
+              code: 'PHONE_VERIFICATION_REQUIRED'
+            });
+          }
+          if (!isValidE164(phone)) {
+            return res.status(400).json({ success: false, message: 'Invalid phone number format', code: 'INVALID_PHONE' });
+          }
+          if (!(await verifyOtpGuarded(req, res, phone, otp, 'login'))) return;
+
+          user = await User.findByPhone(phone);
+          if (!user) {
+            if (!profile.email) {
+              return res.status(400).json({
+                success: false,
+                message: 'The identity provider did not share an email address',
+                code: 'EMAIL_REQUIRED'
+              });
+            }
+            if (await User.findByEmail(profile.email)) {
+              // Unverified email of someone else's account: they must link it themselves
+              return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists; sign in and link the provider from your profile',
+                code: 'ACCOUNT_EXISTS'
+              });
+            }
+
+            user = await User.create({
+              name: name || profile.name || `User ${phone.slice(-4)}`,
+              email: profile.email,
+              phone,
+              password: crypto.randomBytes(24).toString('base64url'), // Sign-in is through the provider or OTP
+              role: 'customer'
+            });
+            // The OTP proved the phone; the email is only as good as the
+            // provider says it is
+            await User.markPhoneVerified(user.id);
+            if (profile.emailVerified) {
+              await User.markAsVerified(user.id);
+              user.is_verified = true;
+            }
+            isNewUser = true;
+          }
+        }
+
+        const linked = await UserIdentity.listForUser(user.id);
+        if (linked.some(i => i.provider === profile.provider)) {
+          return res.status(409).json({
+            success: false,
+            message: `A different ${profile.provider} account is already linked to this user`,
+            code: 'PROVIDER_ALREADY_LINKED'
+          });
+        }
+        const created = await UserIdentity.create({
+          userId: user.id,
+          provider: profile.provider,
+          subject: profile.subject,
+          email: profile.email
+        });
+        await UserIdentity.touch(created.id);
+      }
+
+      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id, {
+        device: deviceFromRequest(req)
+      });
+
+      res.status(isNewUser ? 201 : 200).json({
+        success: true,
+        message: isNewUser ? 'Registration successful' : 'Login successful',
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          role: user.role,
+          isVerified: user.is_verified
+        },
+        tokens,
+        token_type: 'Bearer',
+        isNewUser
+      });
+    } catch (error) {
+      if (error instanceof OidcError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+      }
+      next(error);
+    }
+  }
+
   // Refresh access token
   async refreshToken(req, res, next) {
     try {
@@ -272,19 +520,48 @@ class AuthController {
       }
 
       // Verify refresh token
-      const decoded = TokenService.verifyRefreshToken(refreshToken);
-      
-      // Check if token exists and is valid
-      const tokenData = await RefreshToken.findValid(refreshToken);
-      if (!tokenData) {
+      try {
+        TokenService.verifyRefreshToken(refreshToken);
+      } catch (error) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Invalid or expired refresh token' 
+        });
+      }
+
+      // Spend it; each refresh token can be exchanged exactly once
+      const rotation = await RefreshToken.rotate(refreshToken);
+      if (rotation.status === 'REUSED') {
+        // An already-exchanged token came back: either it was stolen or the
+        // thief already used it. End the session so both copies stop working.
+        console.warn(`⚠️ Refresh token reuse detected for user ${rotation.user_id}, session ${rotation.session_id}`);
+        if (rotation.session_id) {
+          await Session.end(rotation.session_id, 'TOKEN_REUSE');
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used; please log in again',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+      if (rotation.status !== 'ROTATED') {
         return res.status(401).json({ 
           success: false, 
           message: 'Invalid or expired refresh token' 
         });
       }
 
+      const sessionId = rotation.session_id;
+      if (sessionId && !(await Session.findActive(sessionId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended',
+          code: 'SESSION_ENDED'
+        });
+      }
+
       // Get user
-      const user = await User.findById(decoded.id);
+      const user = await User.findById(rotation.user_id);
       if (!user) {
         return res.status(404).json({ 
           success: false, 
@@ -292,9 +569,14 @@ class AuthController {
         });
       }
 
-      // Generate new tokens
-      await RefreshToken.revoke(refreshToken); // Revoke old refresh token
-      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id);
+      if (sessionId) {
+        await Session.touch(sessionId, req.ip);
+      }
+      // Tokens issued before sessions existed start one here
+      const tokens = await TokenService.generateTokenPair(user.id, user.role, user.store_id, {
+        sessionId,
+        device: deviceFromRequest(req)
+      });
 
       res.status(200).json({
         success: true,
@@ -312,7 +594,13 @@ class AuthController {
       const { refreshToken } = req.body;
 
       if (refreshToken) {
-        await RefreshToken.revoke(refreshToken);
+        // End the whole session, not only the presented token
+        const tokenData = await RefreshToken.findValid(refreshToken);
+        if (tokenData && tokenData.session_id) {
+          await Session.end(tokenData.session_id, 'LOGOUT');
+        } else {
+          await RefreshToken.revoke(refreshToken);
+        }
       }
 
       res.status(200).json({
@@ -329,7 +617,7 @@ class AuthController {
     try {
       const userId = req.user.id; // From auth middleware
 
-      await RefreshToken.revokeAllForUser(userId);
+      await RefreshToken.revokeAllForUser(userId, 'LOGOUT_ALL');
 
       res.status(200).json({
         success: true,
@@ -340,6 +628,120 @@ class AuthController {
     }
   }
 
+  // Request a password reset link by email or phone. The response is the
+  // same whether or not an account exists, so it cannot be used to probe
+  // for registered users.
+  async requestPasswordReset(req, res, next) {
+    try {
+      const { email, phone } = req.body || {};
+
+      if (email && typeof email !== 'string') {
+        return res.status(400).json({ success: false, message: 'Invalid email', code: 'INVALID_EMAIL' });
+      }
+      if (!email && !isValidE164(phone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email or phone number is required',
+          code: 'IDENTITY_REQUIRED'
+        });
+      }
+
+      const identity = email ? `email:${email.trim().toLowerCase()}` : `phone:${phone}`;
+      const throttled = await rejectIfThrottled(res, [
+        {
+          key: `pwreset:ip:${req.ip}`,
+          limit: limitSetting('PASSWORD_RESET_MAX_PER_IP', 20),
+          windowSeconds: 3600
+        },
+        {
+          key: `pwreset:id:${identity}`,
+          limit: limitSetting('PASSWORD_RESET_MAX_PER_IDENTITY', 3),
+          windowSeconds: 3600
+        }
+      ]);
+      if (throttled) return;
+
+      const user = email ? await User.findByEmail(email.trim()) : await User.findByPhone(phone);
+      if (user) {
+        const { token } = await PasswordResetToken.create(user.id);
+        const link = passwordResetLink(token);
+        try {
+          if (email) {
+            await sendPasswordResetEmail(user.email, link);
+          } else {
+            await sendPasswordResetSMS(user.phone, link);
+          }
+        } catch (error) {
+          // Not surfaced: a delivery error would reveal that the account exists
+          console.error(`Password reset delivery failed for user ${user.id}:`, error.message);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists, a password reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a new password with a reset token and sign out every session
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body || {};
+
+      if (!token || typeof token !== 'string' || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token and new password are required'
+        });
+      }
+
+      const throttled = await rejectIfThrottled(res, [{
+        key: `pwreset:confirm:ip:${req.ip}`,
+        limit: limitSetting('PASSWORD_RESET_CONFIRM_MAX_PER_IP', 10),
+        windowSeconds: 900
+      }]);
+      if (throttled) return;
+
+      const tokenData = await PasswordResetToken.findValid(token);
+      const user = tokenData ? await User.findById(tokenData.user_id) : null;
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token',
+          code: 'RESET_TOKEN_INVALID'
+        });
+      }
+
+      const policyError = validatePassword(newPassword, user);
+      if (policyError) {
+        return res.status(400).json({ success: false, message: policyError, code: 'WEAK_PASSWORD' });
+      }
+
+      // Redeem the token; fails if a concurrent request got there first
+      if (!(await PasswordResetToken.consume(token))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token',
+          code: 'RESET_TOKEN_INVALID'
+        });
+      }
+
+      await User.updatePassword(user.id, newPassword);
+      await PasswordResetToken.invalidateAllForUser(user.id);
+      await RefreshToken.revokeAllForUser(user.id, 'PASSWORD_RESET');
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully, please log in again'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Token introspection (LLR-AUTH-003)
   async introspect(req, res) {
     const { token } = req.body || {};
@@ -348,7 +750,13 @@ class AuthController {
     }
     try {
       const decoded = TokenService.verifyAccessToken(token);
-      return res.status(200).json({ active: true, user_id: decoded.id });
+      return res.status(200).json({
+        active: true,
+        user_id: decoded.id,
+        role: decoded.role,
+        store_id: decoded.storeId || null,
+        exp: decoded.exp
+      });
     } catch (e) {
       // Invalid or expired
       return res.status(200).json({ active: false });
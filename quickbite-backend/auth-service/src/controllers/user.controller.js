@@ -1,4 +1,10 @@
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const UserIdentity = require('../models/userIdentity.model');
+const LoginGuard = require('../services/loginGuard.service');
+const { OidcService, OidcError } = require('../services/oidc.service');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class UserController {
   // Get current user profile
@@ -107,6 +113,174 @@ class UserController {
       next(error);
     }
   }
+
+  // List the devices the user is signed in on
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await Session.listForUser(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          deviceType: session.device_type,
+          deviceName: session.device_name,
+          platform: session.platform,
+          appVersion: session.app_version,
+          ipAddress: session.ip_address,
+          userAgent: session.user_agent,
+          startedAt: session.started_at,
+          lastActivityAt: session.last_activity_at,
+          current: session.id === req.user.sessionId
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Sign a device out by revoking its session
+  async revokeSession(req, res, next) {
+    try {
+      const { sessionId } = req.params;
+      const session = UUID_PATTERN.test(sessionId) ? await Session.findActive(sessionId) : null;
+      if (!session || session.user_id !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      await Session.end(session.id, 'REVOKED');
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Provider accounts linked to the user, and the providers available
+  async listIdentities(req, res, next) {
+    try {
+      const identities = await UserIdentity.listForUser(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        identities: identities.map(identity => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.created_at,
+          lastLoginAt: identity.last_login_at
+        })),
+        providers: OidcService.listProviders()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Link a provider account, proven by one of its ID tokens
+  async linkIdentity(req, res, next) {
+    try {
+      const { idToken, nonce } = req.body || {};
+      const profile = await OidcService.verifyIdToken(req.params.provider, idToken, { nonce });
+
+      const existing = await UserIdentity.find(profile.provider, profile.subject);
+      if (existing) {
+        if (existing.user_id === req.user.id) {
+          return res.status(200).json({ success: true, message: 'Already linked' });
+        }
+        return res.status(409).json({
+          success: false,
+          message: `This ${profile.provider} account is linked to another user`,
+          code: 'IDENTITY_IN_USE'
+        });
+      }
+
+      const linked = await UserIdentity.listForUser(req.user.id);
+      if (linked.some(i => i.provider === profile.provider)) {
+        return res.status(409).json({
+          success: false,
+          message: `Unlink your current ${profile.provider} account first`,
+          code: 'PROVIDER_ALREADY_LINKED'
+        });
+      }
+
+      await UserIdentity.create({
+        userId: req.user.id,
+        provider: profile.provider,
+        subject: profile.subject,
+        email: profile.email
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${profile.provider} account linked`
+      });
+    } catch (error) {
+      if (error instanceof OidcError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+      }
+      next(error);
+    }
+  }
+
+  // Unlink a provider account. Every user keeps their phone (OTP) sign-in,
+  // so unlinking never locks anyone out.
+  async unlinkIdentity(req, res, next) {
+    try {
+      const provider = String(req.params.provider).toLowerCase();
+      const removed = await UserIdentity.removeForUser(req.user.id, provider);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'No linked account for this provider',
+          code: 'IDENTITY_NOT_FOUND'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `${provider} account unlinked`
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Admin: lift a user's sign-in lockout (password and OTP) and, when
+  // `ip` is given, that IP's lockout too
+  async unlockUser(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { ip } = req.body || {};
+      const user = UUID_PATTERN.test(userId) ? await User.findById(userId) : null;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const accounts = [];
+      if (user.email) accounts.push(`password:${user.email.toLowerCase()}`);
+      if (user.phone) accounts.push(`otp:${user.phone}`);
+      await LoginGuard.unlock({ accounts, ip: ip || null });
+      console.log(`🔓 Sign-in unlocked for user ${user.id} by ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sign-in unlocked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new UserController();
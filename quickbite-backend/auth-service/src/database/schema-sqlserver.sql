@@ -9,7 +9,7 @@ BEGIN
     email NVARCHAR(255) UNIQUE NOT NULL,
     phone NVARCHAR(20) UNIQUE NOT NULL,
     password_hash NVARCHAR(255),
-    role NVARCHAR(50) DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'admin', 'super_admin')),
+    role NVARCHAR(50) DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'driver', 'admin', 'super_admin')),
     store_id UNIQUEIDENTIFIER NULL,
     is_verified BIT DEFAULT 0,
     is_active BIT DEFAULT 1,
@@ -49,6 +49,118 @@ BEGIN
 END
 GO
 
+-- Sessions: one per signed-in device. Each session owns a family of
+-- refresh tokens. This is the sign-in state auth-service checks on every
+-- refresh; user-service's user_sessions in user_db is a separate analytics
+-- record it keeps for itself, which is why the device columns match but the
+-- tables are not shared.
+-- Rename the table in databases created while it was still user_sessions
+IF OBJECT_ID('user_sessions', 'U') IS NOT NULL AND OBJECT_ID('auth_sessions', 'U') IS NULL
+BEGIN
+  EXEC sp_rename 'user_sessions', 'auth_sessions';
+  EXEC sp_rename 'FK_user_sessions_users', 'FK_auth_sessions_users', 'OBJECT';
+  EXEC sp_rename 'auth_sessions.idx_user_sessions_user_id', 'idx_auth_sessions_user_id', 'INDEX';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'auth_sessions')
+BEGIN
+  CREATE TABLE auth_sessions (
+    id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    user_id UNIQUEIDENTIFIER NOT NULL,
+    device_type NVARCHAR(50) NULL,
+    device_id NVARCHAR(255) NULL,
+    device_name NVARCHAR(255) NULL,
+    platform NVARCHAR(20) NULL,
+    app_version NVARCHAR(20) NULL,
+    ip_address NVARCHAR(45) NULL,
+    user_agent NVARCHAR(500) NULL,
+    started_at DATETIME2 DEFAULT GETDATE(),
+    last_activity_at DATETIME2 DEFAULT GETDATE(),
+    ended_at DATETIME2 NULL,
+    end_reason NVARCHAR(30) NULL,
+    CONSTRAINT FK_auth_sessions_users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+END
+GO
+
+-- Delivery partners sign in with the driver role. Databases created before
+-- it existed get the role check replaced by one that allows it.
+IF NOT EXISTS (SELECT * FROM sys.check_constraints
+               WHERE parent_object_id = OBJECT_ID('users') AND definition LIKE '%driver%')
+BEGIN
+  DECLARE @role_check NVARCHAR(128) = (
+    SELECT TOP 1 cc.name FROM sys.check_constraints cc
+    JOIN sys.columns c ON c.object_id = cc.parent_object_id AND c.column_id = cc.parent_column_id
+    WHERE cc.parent_object_id = OBJECT_ID('users') AND c.name = 'role');
+  IF @role_check IS NOT NULL
+    EXEC('ALTER TABLE users DROP CONSTRAINT ' + @role_check);
+  ALTER TABLE users ADD CONSTRAINT CK_users_role
+    CHECK (role IN ('customer', 'staff', 'driver', 'admin', 'super_admin'));
+END
+GO
+
+-- phone_verified: the phone number was proven with an OTP. is_verified is
+-- only set once the email is verified as well. Accounts verified before the
+-- column existed were all verified by phone OTP.
+IF COL_LENGTH('users', 'phone_verified') IS NULL
+BEGIN
+  ALTER TABLE users ADD phone_verified BIT NOT NULL DEFAULT 0;
+  EXEC('UPDATE users SET phone_verified = 1 WHERE is_verified = 1');
+END
+GO
+
+-- Wrong codes entered against an OTP; it is burned at OTP_MAX_ATTEMPTS
+IF COL_LENGTH('otps', 'attempts') IS NULL
+  ALTER TABLE otps ADD attempts INT NOT NULL DEFAULT 0;
+GO
+
+-- Refresh token families: session_id groups the tokens of one session and
+-- rotated_at marks a token that has been exchanged for its successor
+IF COL_LENGTH('refresh_tokens', 'session_id') IS NULL
+  ALTER TABLE refresh_tokens ADD session_id UNIQUEIDENTIFIER NULL;
+GO
+
+IF COL_LENGTH('refresh_tokens', 'rotated_at') IS NULL
+  ALTER TABLE refresh_tokens ADD rotated_at DATETIME2 NULL;
+GO
+
+-- Accounts at OpenID Connect providers (Google, Apple) linked to users;
+-- at most one per provider per user
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'user_identities')
+BEGIN
+  CREATE TABLE user_identities (
+    id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    user_id UNIQUEIDENTIFIER NOT NULL,
+    provider NVARCHAR(20) NOT NULL,
+    subject NVARCHAR(255) NOT NULL,
+    email NVARCHAR(255) NULL,
+    created_at DATETIME2 DEFAULT GETDATE(),
+    last_login_at DATETIME2 NULL,
+    CONSTRAINT UQ_user_identities_subject UNIQUE (provider, subject),
+    CONSTRAINT UQ_user_identities_user_provider UNIQUE (user_id, provider),
+    CONSTRAINT FK_user_identities_users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+END
+GO
+
+-- JWT signing keys. The JWKS endpoint publishes every key until
+-- expires_at; the newest key past activates_at signs new tokens.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'signing_keys')
+BEGIN
+  CREATE TABLE signing_keys (
+    kid NVARCHAR(64) PRIMARY KEY,
+    alg NVARCHAR(10) NOT NULL CHECK (alg IN ('RS256', 'ES256')),
+    private_key NVARCHAR(MAX) NOT NULL,
+    public_jwk NVARCHAR(MAX) NOT NULL,
+    created_at DATETIME2 DEFAULT GETDATE(),
+    activates_at DATETIME2 NOT NULL,
+    retires_at DATETIME2 NULL,
+    expires_at DATETIME2 NULL
+  );
+END
+GO
+
 -- Password reset tokens
 IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'password_reset_tokens')
 BEGIN
@@ -85,6 +197,14 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'idx_refresh_tokens_token'
   CREATE INDEX idx_refresh_tokens_token ON refresh_tokens(token);
 GO
 
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'idx_refresh_tokens_session_id')
+  CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'idx_auth_sessions_user_id')
+  CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id, ended_at);
+GO
+
 -- Trigger to update updated_at timestamp
 IF OBJECT_ID('tr_users_update_timestamp', 'TR') IS NOT NULL
   DROP TRIGGER tr_users_update_timestamp;
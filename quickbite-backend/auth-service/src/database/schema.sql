@@ -8,7 +8,7 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(255) UNIQUE NOT NULL,
   phone VARCHAR(20) UNIQUE NOT NULL,
   password_hash VARCHAR(255),
-  role VARCHAR(50) DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'admin', 'super_admin')),
+  role VARCHAR(50) DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'driver', 'admin', 'super_admin')),
   store_id UUID,
   is_verified BOOLEAN DEFAULT FALSE,
   is_active BOOLEAN DEFAULT TRUE,
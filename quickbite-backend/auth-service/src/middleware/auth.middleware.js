@@ -32,7 +32,8 @@ const authenticate = async (req, res, next) => {
     req.user = {
       id: user.id,
       role: user.role,
-      storeId: user.store_id
+      storeId: user.store_id,
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -4,6 +4,16 @@ const { getRedisClient } = require('../config/redis');
 // In-memory storage for dev mode when database is not available
 const inMemoryOTPs = new Map();
 
+const maxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+
+// Result of a wrong code: the OTP is burned once its attempts run out
+const wrongCode = (attempts) => {
+  const attemptsRemaining = Math.max(maxAttempts() - attempts, 0);
+  return attemptsRemaining === 0
+    ? { status: 'LOCKED', attemptsRemaining }
+    : { status: 'INVALID', attemptsRemaining };
+};
+
 class OTP {
   // Generate and store OTP
   static async create(phone, purpose = 'login') {
@@ -15,7 +25,7 @@ class OTP {
       const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
       
       const key = `${phone}:${purpose}`;
-      inMemoryOTPs.set(key, { otpCode, expiresAt, isUsed: false });
+      inMemoryOTPs.set(key, { otpCode, expiresAt, isUsed: false, attempts: 0 });
       
       // Print OTP to console for testing
       console.log(`\n🔐 OTP for ${phone}: ${otpCode} (expires in 5 minutes)\n`);
@@ -51,7 +61,9 @@ class OTP {
     return result.recordset[0];
   }
 
-  // Verify OTP
+  // Verify OTP. Resolves to { status } where status is VALID, EXPIRED,
+  // INVALID (with attemptsRemaining when an OTP is pending) or LOCKED once
+  // OTP_MAX_ATTEMPTS wrong codes have burned the pending OTP.
   static async verify(phone, otpCode, purpose = 'login') {
     const pool = getPool();
     
@@ -73,7 +85,10 @@ class OTP {
       }
       
       if (stored.otpCode !== otpCode) {
-        return { status: 'INVALID' };
+        stored.attempts += 1;
+        const result = wrongCode(stored.attempts);
+        if (result.status === 'LOCKED') stored.isUsed = true;
+        return result;
       }
       
       // Mark as used
@@ -81,49 +96,14 @@ class OTP {
       return { status: 'VALID' };
     }
     
-    // PRODUCTION MODE: First check Redis (faster)
-    let cachedOTP;
-    try {
-      const redis = getRedisClient();
-      const redisKey = `otp:${phone}:${purpose}`;
-      cachedOTP = await redis.get(redisKey);
-    } catch (err) {
-      console.warn('Redis not available for OTP verification');
-    }
-
-    if (cachedOTP && cachedOTP === otpCode) {
-      // Mark as used in database
-      const query = `
-        UPDATE otps 
-        SET is_used = 1 
-        WHERE phone = @phone AND otp_code = @otpCode AND purpose = @purpose AND is_used = 0
-      `;
-      await pool.request()
-        .input('phone', sql.NVarChar, phone)
-        .input('otpCode', sql.NVarChar, otpCode)
-        .input('purpose', sql.NVarChar, purpose)
-        .query(query);
-      
-      // Delete from Redis
-      try {
-        const redis = getRedisClient();
-        const redisKey = `otp:${phone}:${purpose}`;
-        await redis.del(redisKey);
-      } catch (err) {
-        // Redis not available
-      }
-      return { status: 'VALID' };
-    }
-
-    // Fallback to database check: fetch the latest matching OTP and inspect state
+    // PRODUCTION MODE: Only the latest unused OTP for the phone can be used
     const query = `
       SELECT TOP 1 * FROM otps 
-      WHERE phone = @phone AND otp_code = @otpCode AND purpose = @purpose 
+      WHERE phone = @phone AND purpose = @purpose AND is_used = 0
       ORDER BY created_at DESC
     `;
     const result = await pool.request()
       .input('phone', sql.NVarChar, phone)
-      .input('otpCode', sql.NVarChar, otpCode)
       .input('purpose', sql.NVarChar, purpose)
       .query(query);
 
@@ -132,17 +112,43 @@ class OTP {
     }
 
     const row = result.recordset[0];
-    if (row.is_used) {
-      return { status: 'INVALID' };
-    }
     if (new Date(row.expires_at).getTime() <= Date.now()) {
       return { status: 'EXPIRED' };
     }
 
-    // Mark as used if still valid
-    const updateQuery = 'UPDATE otps SET is_used = 1 WHERE id = @id';
-    await pool.request().input('id', sql.UniqueIdentifier, row.id).query(updateQuery);
-    
+    if (row.otp_code !== otpCode) {
+      // Count the attempt and burn the OTP when they run out, in one statement
+      const attemptQuery = `
+        UPDATE otps
+        SET attempts = attempts + 1,
+            is_used = CASE WHEN attempts + 1 >= @maxAttempts THEN 1 ELSE is_used END
+        OUTPUT INSERTED.attempts
+        WHERE id = @id AND is_used = 0
+      `;
+      const updated = await pool.request()
+        .input('id', sql.UniqueIdentifier, row.id)
+        .input('maxAttempts', sql.Int, maxAttempts())
+        .query(attemptQuery);
+      if (updated.recordset.length === 0) {
+        return { status: 'INVALID' };
+      }
+      const outcome = wrongCode(updated.recordset[0].attempts);
+      if (outcome.status === 'LOCKED') await OTP.clearCache(phone, purpose);
+      return outcome;
+    }
+
+    // Mark as used if still unused; a concurrent verify may have won
+    const updateQuery = 'UPDATE otps SET is_used = 1 WHERE id = @id AND is_used = 0';
+    const used = await pool.request().input('id', sql.UniqueIdentifier, row.id).query(updateQuery);
+    if (used.rowsAffected[0] === 0) {
+      return { status: 'INVALID' };
+    }
+
+    await OTP.clearCache(phone, purpose);
+    return { status: 'VALID' };
+  }
+
+  static async clearCache(phone, purpose) {
     try {
       const redis = getRedisClient();
       const redisKey = `otp:${phone}:${purpose}`;
@@ -150,7 +156,6 @@ class OTP {
     } catch (err) {
       // Redis not available
     }
-    return { status: 'VALID' };
   }
 
   // Clean up expired OTPs (run periodically)
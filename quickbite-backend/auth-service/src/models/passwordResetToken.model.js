@@ -0,0 +1,120 @@
+const { getPool, sql } = require('../config/database');
+const crypto = require('crypto');
+
+// In-memory storage for dev mode when database is not available
+const inMemoryResetTokens = new Map(); // tokenHash -> { userId, expiresAt, isUsed }
+
+// Only a SHA-256 of the token is stored, so a leaked table cannot be used
+// to reset anyone's password
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ttlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+
+class PasswordResetToken {
+  // Issue a reset token for the user. Earlier unused tokens stop working.
+  static async create(userId) {
+    const pool = getPool();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const tokenHash = hashToken(token);
+    const expiresAt = new Date(Date.now() + ttlMinutes() * 60 * 1000);
+
+    await PasswordResetToken.invalidateAllForUser(userId);
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      inMemoryResetTokens.set(tokenHash, { userId, expiresAt, isUsed: false });
+      return { token, expires_at: expiresAt };
+    }
+
+    const query = `
+      INSERT INTO password_reset_tokens (user_id, token, expires_at)
+      VALUES (@userId, @token, @expiresAt)
+    `;
+    await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .input('token', sql.NVarChar, tokenHash)
+      .input('expiresAt', sql.DateTime, expiresAt)
+      .query(query);
+
+    return { token, expires_at: expiresAt };
+  }
+
+  // Find an unused, unexpired token
+  static async findValid(token) {
+    const pool = getPool();
+    const tokenHash = hashToken(String(token));
+
+    // DEV MODE
+    if (!pool) {
+      const rec = inMemoryResetTokens.get(tokenHash);
+      if (!rec || rec.isUsed || rec.expiresAt.getTime() <= Date.now()) return null;
+      return { user_id: rec.userId, expires_at: rec.expiresAt };
+    }
+
+    const query = `
+      SELECT user_id, expires_at FROM password_reset_tokens
+      WHERE token = @token AND is_used = 0 AND expires_at > GETDATE()
+    `;
+    const result = await pool.request()
+      .input('token', sql.NVarChar, tokenHash)
+      .query(query);
+    return result.recordset[0] || null;
+  }
+
+  // Mark the token as used and return its user id, or null when the token is
+  // unknown, expired or already used. The update is the check, so two
+  // concurrent requests cannot both redeem the same token.
+  static async consume(token) {
+    const pool = getPool();
+    const tokenHash = hashToken(String(token));
+
+    // DEV MODE
+    if (!pool) {
+      const rec = inMemoryResetTokens.get(tokenHash);
+      if (!rec || rec.isUsed || rec.expiresAt.getTime() <= Date.now()) return null;
+      rec.isUsed = true;
+      return rec.userId;
+    }
+
+    const query = `
+      UPDATE password_reset_tokens
+      SET is_used = 1
+      OUTPUT INSERTED.user_id
+      WHERE token = @token AND is_used = 0 AND expires_at > GETDATE()
+    `;
+    const result = await pool.request()
+      .input('token', sql.NVarChar, tokenHash)
+      .query(query);
+    return result.recordset[0] ? result.recordset[0].user_id : null;
+  }
+
+  // Invalidate every outstanding token for a user
+  static async invalidateAllForUser(userId) {
+    const pool = getPool();
+    if (!pool) {
+      for (const rec of inMemoryResetTokens.values()) {
+        if (rec.userId === userId) rec.isUsed = true;
+      }
+      return;
+    }
+    const query = 'UPDATE password_reset_tokens SET is_used = 1 WHERE user_id = @userId AND is_used = 0';
+    await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .query(query);
+  }
+
+  // Clean up expired and used tokens
+  static async cleanupExpired() {
+    const pool = getPool();
+    if (!pool) {
+      for (const [tokenHash, rec] of inMemoryResetTokens.entries()) {
+        if (rec.isUsed || rec.expiresAt.getTime() <= Date.now()) inMemoryResetTokens.delete(tokenHash);
+      }
+      return;
+    }
+    const query = 'DELETE FROM password_reset_tokens WHERE expires_at < GETDATE() OR is_used = 1';
+    await pool.request().query(query);
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -1,36 +1,34 @@
 const { getPool, sql } = require('../config/database');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const TokenService = require('../services/token.service');
 
 // In-memory storage for dev mode when database is not available
-const inMemoryRefreshTokens = new Map(); // token -> { userId, expiresAt, isRevoked }
+const inMemoryRefreshTokens = new Map(); // token -> { userId, sessionId, expiresAt, isRevoked, rotatedAt }
 
 class RefreshToken {
-  // Generate refresh token
-  static async create(userId) {
+  // Generate refresh token for a session. The jti keeps tokens unique even
+  // when one is issued in the same second as its predecessor.
+  static async create(userId, sessionId = null) {
     const pool = getPool();
-    const token = jwt.sign(
-      { id: userId, type: 'refresh' },
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
-    );
+    const token = TokenService.generateRefreshToken({ id: userId, sid: sessionId, jti: uuidv4() });
 
     const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
     // DEV MODE: Use in-memory storage if no database
     if (!pool) {
-      inMemoryRefreshTokens.set(token, { userId, expiresAt, isRevoked: false });
-      return { token, expires_at: expiresAt };
+      inMemoryRefreshTokens.set(token, { userId, sessionId, expiresAt, isRevoked: false, rotatedAt: null });
+      return { token, session_id: sessionId, expires_at: expiresAt };
     }
 
     const query = `
-      INSERT INTO refresh_tokens (user_id, token, expires_at)
-      OUTPUT INSERTED.id, INSERTED.token, INSERTED.expires_at
-      VALUES (@userId, @token, @expiresAt)
+      INSERT INTO refresh_tokens (user_id, session_id, token, expires_at)
+      OUTPUT INSERTED.id, INSERTED.session_id, INSERTED.token, INSERTED.expires_at
+      VALUES (@userId, @sessionId, @token, @expiresAt)
     `;
     
     const result = await pool.request()
       .input('userId', sql.UniqueIdentifier, userId)
+      .input('sessionId', sql.UniqueIdentifier, sessionId)
       .input('token', sql.NVarChar, token)
       .input('expiresAt', sql.DateTime, expiresAt)
       .query(query);
@@ -45,14 +43,14 @@ class RefreshToken {
     if (!pool) {
       const rec = inMemoryRefreshTokens.get(token);
       if (!rec) return null;
-      if (rec.isRevoked) return null;
+      if (rec.isRevoked || rec.rotatedAt) return null;
       if (rec.expiresAt.getTime() <= Date.now()) return null;
-      return { token, user_id: rec.userId, expires_at: rec.expiresAt, is_revoked: false };
+      return { token, user_id: rec.userId, session_id: rec.sessionId, expires_at: rec.expiresAt, is_revoked: false };
     }
     // PRODUCTION MODE
     const query = `
       SELECT * FROM refresh_tokens 
-      WHERE token = @token AND expires_at > GETDATE() AND is_revoked = 0
+      WHERE token = @token AND expires_at > GETDATE() AND is_revoked = 0 AND rotated_at IS NULL
     `;
     const result = await pool.request()
       .input('token', sql.NVarChar, token)
@@ -60,6 +58,47 @@ class RefreshToken {
     return result.recordset[0];
   }
 
+  // Spend a refresh token so it can be exchanged for its successor.
+  // Returns { status: 'ROTATED', user_id, session_id } for a live token,
+  // { status: 'REUSED', ... } for one that was already exchanged (the
+  // caller should treat the whole family as stolen) and { status: 'INVALID' }
+  // otherwise. The update is the check, so concurrent refreshes with the
+  // same token cannot both succeed.
+  static async rotate(token) {
+    const pool = getPool();
+    // DEV MODE
+    if (!pool) {
+      const rec = inMemoryRefreshTokens.get(token);
+      if (!rec) return { status: 'INVALID' };
+      if (rec.rotatedAt) return { status: 'REUSED', user_id: rec.userId, session_id: rec.sessionId };
+      if (rec.isRevoked || rec.expiresAt.getTime() <= Date.now()) return { status: 'INVALID' };
+      rec.rotatedAt = new Date();
+      return { status: 'ROTATED', user_id: rec.userId, session_id: rec.sessionId };
+    }
+    // PRODUCTION MODE
+    const rotateQuery = `
+      UPDATE refresh_tokens
+      SET rotated_at = GETDATE()
+      OUTPUT INSERTED.user_id, INSERTED.session_id
+      WHERE token = @token AND rotated_at IS NULL AND is_revoked = 0 AND expires_at > GETDATE()
+    `;
+    const rotated = await pool.request()
+      .input('token', sql.NVarChar, token)
+      .query(rotateQuery);
+    if (rotated.recordset[0]) {
+      return { status: 'ROTATED', ...rotated.recordset[0] };
+    }
+
+    const lookup = await pool.request()
+      .input('token', sql.NVarChar, token)
+      .query('SELECT user_id, session_id, rotated_at FROM refresh_tokens WHERE token = @token');
+    const rec = lookup.recordset[0];
+    if (rec && rec.rotated_at) {
+      return { status: 'REUSED', user_id: rec.user_id, session_id: rec.session_id };
+    }
+    return { status: 'INVALID' };
+  }
+
   // Revoke token
   static async revoke(token) {
     const pool = getPool();
@@ -74,21 +113,38 @@ class RefreshToken {
       .query(query);
   }
 
-  // Revoke all tokens for a user
-  static async revokeAllForUser(userId) {
+  // Revoke every token in a session's family
+  static async revokeFamily(sessionId) {
     const pool = getPool();
     if (!pool) {
-      for (const [token, rec] of inMemoryRefreshTokens.entries()) {
-        if (rec.userId === userId) rec.isRevoked = true;
+      for (const rec of inMemoryRefreshTokens.values()) {
+        if (rec.sessionId === sessionId) rec.isRevoked = true;
       }
       return;
     }
-    const query = 'UPDATE refresh_tokens SET is_revoked = 1 WHERE user_id = @userId';
+    const query = 'UPDATE refresh_tokens SET is_revoked = 1 WHERE session_id = @sessionId AND is_revoked = 0';
     await pool.request()
-      .input('userId', sql.UniqueIdentifier, userId)
+      .input('sessionId', sql.UniqueIdentifier, sessionId)
       .query(query);
   }
 
+  // Revoke all tokens for a user and end all of their sessions
+  static async revokeAllForUser(userId, reason = 'REVOKED_ALL') {
+    const Session = require('./session.model');
+    const pool = getPool();
+    if (!pool) {
+      for (const [token, rec] of inMemoryRefreshTokens.entries()) {
+        if (rec.userId === userId) rec.isRevoked = true;
+      }
+    } else {
+      const query = 'UPDATE refresh_tokens SET is_revoked = 1 WHERE user_id = @userId';
+      await pool.request()
+        .input('userId', sql.UniqueIdentifier, userId)
+        .query(query);
+    }
+    await Session.endAllForUser(userId, reason);
+  }
+
   // Clean up expired tokens
   static async cleanupExpired() {
     const pool = getPool();
@@ -0,0 +1,178 @@
+const { getPool, sql } = require('../config/database');
+const crypto = require('crypto');
+
+// In-memory storage for dev mode when database is not available
+const inMemorySessions = new Map(); // id -> session row
+
+const COLUMNS = 'id, user_id, device_type, device_id, device_name, platform, app_version, ip_address, user_agent, started_at, last_activity_at, ended_at, end_reason';
+
+class Session {
+  // Start a session for a device. A new sign-in from a device that already
+  // has an open session replaces that session.
+  static async create(userId, device = {}) {
+    const pool = getPool();
+
+    if (device.deviceId) {
+      const open = await Session.listForUser(userId);
+      for (const session of open) {
+        if (session.device_id === device.deviceId) {
+          await Session.end(session.id, 'REPLACED');
+        }
+      }
+    }
+
+    const fields = {
+      device_type: device.deviceType || null,
+      device_id: device.deviceId || null,
+      device_name: device.deviceName || null,
+      platform: device.platform || null,
+      app_version: device.appVersion || null,
+      ip_address: device.ipAddress || null,
+      user_agent: device.userAgent || null
+    };
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      const now = new Date();
+      const session = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        ...fields,
+        started_at: now,
+        last_activity_at: now,
+        ended_at: null,
+        end_reason: null
+      };
+      inMemorySessions.set(session.id, session);
+      return session;
+    }
+
+    const query = `
+      INSERT INTO auth_sessions (user_id, device_type, device_id, device_name, platform, app_version, ip_address, user_agent)
+      OUTPUT ${COLUMNS.split(', ').map(c => `INSERTED.${c}`).join(', ')}
+      VALUES (@userId, @deviceType, @deviceId, @deviceName, @platform, @appVersion, @ipAddress, @userAgent)
+    `;
+    const result = await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .input('deviceType', sql.NVarChar, fields.device_type)
+      .input('deviceId', sql.NVarChar, fields.device_id)
+      .input('deviceName', sql.NVarChar, fields.device_name)
+      .input('platform', sql.NVarChar, fields.platform)
+      .input('appVersion', sql.NVarChar, fields.app_version)
+      .input('ipAddress', sql.NVarChar, fields.ip_address)
+      .input('userAgent', sql.NVarChar, fields.user_agent)
+      .query(query);
+    return result.recordset[0];
+  }
+
+  // Find a session that has not ended
+  static async findActive(id) {
+    const pool = getPool();
+    if (!pool) {
+      const session = inMemorySessions.get(id);
+      return session && !session.ended_at ? session : null;
+    }
+    const query = `SELECT ${COLUMNS} FROM auth_sessions WHERE id = @id AND ended_at IS NULL`;
+    const result = await pool.request()
+      .input('id', sql.UniqueIdentifier, id)
+      .query(query);
+    return result.recordset[0] || null;
+  }
+
+  // Open sessions for a user, most recently used first
+  static async listForUser(userId) {
+    const pool = getPool();
+    if (!pool) {
+      return Array.from(inMemorySessions.values())
+        .filter(s => s.user_id === userId && !s.ended_at)
+        .sort((a, b) => b.last_activity_at - a.last_activity_at);
+    }
+    const query = `
+      SELECT ${COLUMNS} FROM auth_sessions
+      WHERE user_id = @userId AND ended_at IS NULL
+      ORDER BY last_activity_at DESC
+    `;
+    const result = await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .query(query);
+    return result.recordset;
+  }
+
+  // Record activity (a token refresh) on a session
+  static async touch(id, ipAddress = null) {
+    const pool = getPool();
+    if (!pool) {
+      const session = inMemorySessions.get(id);
+      if (session) {
+        session.last_activity_at = new Date();
+        if (ipAddress) session.ip_address = ipAddress;
+      }
+      return;
+    }
+    const query = `
+      UPDATE auth_sessions
+      SET last_activity_at = GETDATE(), ip_address = COALESCE(@ipAddress, ip_address)
+      WHERE id = @id
+    `;
+    await pool.request()
+      .input('id', sql.UniqueIdentifier, id)
+      .input('ipAddress', sql.NVarChar, ipAddress)
+      .query(query);
+  }
+
+  // End a session and revoke its refresh token family. Returns false when
+  // the session was already over.
+  static async end(id, reason) {
+    const RefreshToken = require('./refreshToken.model');
+    const pool = getPool();
+    let ended;
+
+    if (!pool) {
+      const session = inMemorySessions.get(id);
+      ended = Boolean(session && !session.ended_at);
+      if (ended) {
+        session.ended_at = new Date();
+        session.end_reason = reason;
+      }
+    } else {
+      const query = `
+        UPDATE auth_sessions
+        SET ended_at = GETDATE(), end_reason = @reason
+        WHERE id = @id AND ended_at IS NULL
+      `;
+      const result = await pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .input('reason', sql.NVarChar, reason)
+        .query(query);
+      ended = result.rowsAffected[0] > 0;
+    }
+
+    await RefreshToken.revokeFamily(id);
+    return ended;
+  }
+
+  // End every open session for a user
+  static async endAllForUser(userId, reason) {
+    const pool = getPool();
+    if (!pool) {
+      for (const session of inMemorySessions.values()) {
+        if (session.user_id === userId && !session.ended_at) {
+          session.ended_at = new Date();
+          session.end_reason = reason;
+        }
+      }
+      return;
+    }
+    const query = `
+      UPDATE auth_sessions
+      SET ended_at = GETDATE(), end_reason = @reason
+      WHERE user_id = @userId AND ended_at IS NULL
+    `;
+    await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .input('reason', sql.NVarChar, reason)
+      .query(query);
+  }
+}
+
+module.exports = Session;
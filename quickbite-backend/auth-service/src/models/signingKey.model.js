@@ -0,0 +1,99 @@
+const { getPool, sql } = require('../config/database');
+
+// In-memory storage for dev mode when database is not available
+const inMemoryKeys = new Map(); // kid -> key row
+
+class SigningKey {
+  // Store a new key pair. `activatesAt` is when it may start signing; until
+  // then it is only published so verifiers can cache it ahead of use.
+  static async create({ kid, alg, privateKey, publicJwk, activatesAt }) {
+    const pool = getPool();
+    const row = {
+      kid,
+      alg,
+      private_key: privateKey,
+      public_jwk: JSON.stringify(publicJwk),
+      created_at: new Date(),
+      activates_at: activatesAt,
+      retires_at: null,
+      expires_at: null
+    };
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      inMemoryKeys.set(kid, row);
+      return row;
+    }
+
+    const query = `
+      INSERT INTO signing_keys (kid, alg, private_key, public_jwk, activates_at)
+      OUTPUT INSERTED.*
+      VALUES (@kid, @alg, @privateKey, @publicJwk, @activatesAt)
+    `;
+    const result = await pool.request()
+      .input('kid', sql.NVarChar, kid)
+      .input('alg', sql.NVarChar, alg)
+      .input('privateKey', sql.NVarChar, privateKey)
+      .input('publicJwk', sql.NVarChar, row.public_jwk)
+      .input('activatesAt', sql.DateTime, activatesAt)
+      .query(query);
+    return result.recordset[0];
+  }
+
+  // Keys that are still published (not past their expiry), newest first
+  static async findPublished() {
+    const pool = getPool();
+    if (!pool) {
+      const now = Date.now();
+      return Array.from(inMemoryKeys.values())
+        .filter(k => !k.expires_at || k.expires_at.getTime() > now)
+        .sort((a, b) => b.created_at - a.created_at);
+    }
+    const query = `
+      SELECT * FROM signing_keys
+      WHERE expires_at IS NULL OR expires_at > GETDATE()
+      ORDER BY created_at DESC
+    `;
+    const result = await pool.request().query(query);
+    return result.recordset;
+  }
+
+  // Stop signing with every other key from `retiresAt` and unpublish them
+  // at `expiresAt`
+  static async retireOthers(kid, retiresAt, expiresAt) {
+    const pool = getPool();
+    if (!pool) {
+      for (const key of inMemoryKeys.values()) {
+        if (key.kid !== kid && !key.retires_at) {
+          key.retires_at = retiresAt;
+          key.expires_at = expiresAt;
+        }
+      }
+      return;
+    }
+    const query = `
+      UPDATE signing_keys
+      SET retires_at = @retiresAt, expires_at = @expiresAt
+      WHERE kid <> @kid AND retires_at IS NULL
+    `;
+    await pool.request()
+      .input('kid', sql.NVarChar, kid)
+      .input('retiresAt', sql.DateTime, retiresAt)
+      .input('expiresAt', sql.DateTime, expiresAt)
+      .query(query);
+  }
+
+  // Delete keys that are no longer published
+  static async deleteExpired() {
+    const pool = getPool();
+    if (!pool) {
+      for (const [kid, key] of inMemoryKeys.entries()) {
+        if (key.expires_at && key.expires_at.getTime() <= Date.now()) inMemoryKeys.delete(kid);
+      }
+      return;
+    }
+    await pool.request().query('DELETE FROM signing_keys WHERE expires_at < GETDATE()');
+  }
+}
+
+module.exports = SigningKey;
@@ -55,6 +55,17 @@ class User {
   // Find user by email
   static async findByEmail(email) {
     const pool = getPool();
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      for (const user of inMemoryUsers.values()) {
+        if (user.email === email && user.is_active) {
+          return user;
+        }
+      }
+      return null;
+    }
+
     const query = 'SELECT * FROM users WHERE email = @email AND is_active = 1';
     const result = await pool.request()
       .input('email', sql.NVarChar, email)
@@ -149,10 +160,37 @@ class User {
     return result.recordset[0];
   }
 
+  // Mark the user's phone number as verified, leaving the account (and its
+  // email) as it was
+  static async markPhoneVerified(id) {
+    const pool = getPool();
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      const user = await User.findById(id);
+      if (user) user.phone_verified = true;
+      return user;
+    }
+
+    const query = 'UPDATE users SET phone_verified = 1 OUTPUT INSERTED.* WHERE id = @id';
+    const result = await pool.request()
+      .input('id', sql.UniqueIdentifier, id)
+      .query(query);
+    return result.recordset[0];
+  }
+
   // Update password
   static async updatePassword(id, newPassword) {
     const pool = getPool();
     const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      const user = await User.findById(id);
+      if (user) user.password_hash = passwordHash;
+      return;
+    }
+
     const query = 'UPDATE users SET password_hash = @passwordHash WHERE id = @id';
     await pool.request()
       .input('id', sql.UniqueIdentifier, id)
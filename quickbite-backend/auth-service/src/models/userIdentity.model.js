@@ -0,0 +1,104 @@
+const { getPool, sql } = require('../config/database');
+const crypto = require('crypto');
+
+// In-memory storage for dev mode when database is not available
+const inMemoryIdentities = new Map(); // `${provider}:${subject}` -> identity row
+
+class UserIdentity {
+  // Link a provider account (provider + subject) to a user
+  static async create({ userId, provider, subject, email = null }) {
+    const pool = getPool();
+
+    // DEV MODE: Use in-memory storage if no database
+    if (!pool) {
+      const identity = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        provider,
+        subject,
+        email,
+        created_at: new Date(),
+        last_login_at: null
+      };
+      inMemoryIdentities.set(`${provider}:${subject}`, identity);
+      return identity;
+    }
+
+    const query = `
+      INSERT INTO user_identities (user_id, provider, subject, email)
+      OUTPUT INSERTED.*
+      VALUES (@userId, @provider, @subject, @email)
+    `;
+    const result = await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .input('provider', sql.NVarChar, provider)
+      .input('subject', sql.NVarChar, subject)
+      .input('email', sql.NVarChar, email)
+      .query(query);
+    return result.recordset[0];
+  }
+
+  // Find the link for a provider account
+  static async find(provider, subject) {
+    const pool = getPool();
+    if (!pool) {
+      return inMemoryIdentities.get(`${provider}:${subject}`) || null;
+    }
+    const query = 'SELECT * FROM user_identities WHERE provider = @provider AND subject = @subject';
+    const result = await pool.request()
+      .input('provider', sql.NVarChar, provider)
+      .input('subject', sql.NVarChar, subject)
+      .query(query);
+    return result.recordset[0] || null;
+  }
+
+  // Provider accounts linked to a user
+  static async listForUser(userId) {
+    const pool = getPool();
+    if (!pool) {
+      return Array.from(inMemoryIdentities.values()).filter(i => i.user_id === userId);
+    }
+    const query = 'SELECT * FROM user_identities WHERE user_id = @userId ORDER BY created_at';
+    const result = await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .query(query);
+    return result.recordset;
+  }
+
+  // Record a sign-in through the provider
+  static async touch(id) {
+    const pool = getPool();
+    if (!pool) {
+      for (const identity of inMemoryIdentities.values()) {
+        if (identity.id === id) identity.last_login_at = new Date();
+      }
+      return;
+    }
+    await pool.request()
+      .input('id', sql.UniqueIdentifier, id)
+      .query('UPDATE user_identities SET last_login_at = GETDATE() WHERE id = @id');
+  }
+
+  // Unlink a user's account at a provider. Returns false when none was linked.
+  static async removeForUser(userId, provider) {
+    const pool = getPool();
+    if (!pool) {
+      let removed = false;
+      for (const [key, identity] of inMemoryIdentities.entries()) {
+        if (identity.user_id === userId && identity.provider === provider) {
+          inMemoryIdentities.delete(key);
+          removed = true;
+        }
+      }
+      return removed;
+    }
+    const query = 'DELETE FROM user_identities WHERE user_id = @userId AND provider = @provider';
+    const result = await pool.request()
+      .input('userId', sql.UniqueIdentifier, userId)
+      .input('provider', sql.NVarChar, provider)
+      .query(query);
+    return result.rowsAffected[0] > 0;
+  }
+}
+
+module.exports = UserIdentity;
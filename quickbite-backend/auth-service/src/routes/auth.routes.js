@@ -16,6 +16,14 @@ router.post('/introspect', authController.introspect);
 router.post('/register', authController.register);
 router.post('/login', authController.login);
 
+// Social login (OpenID Connect ID tokens)
+router.post('/oidc/nonce', authController.issueOidcNonce);
+router.post('/oidc/:provider', authController.oidcLogin);
+
+// Password reset
+router.post('/password/forgot', authController.requestPasswordReset);
+router.post('/password/reset', authController.resetPassword);
+
 // Token management
 router.post('/refresh', authController.refreshToken);
 router.post('/logout', authController.logout);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const FakeOidcIssuer = require('../services/fakeOidcIssuer.service');
+
+// Local fake OpenID Connect issuer; only mounted when OIDC_FAKE_ISSUER=true
+// outside production
+router.get('/jwks.json', (req, res) => {
+  res.json(FakeOidcIssuer.getJwks());
+});
+
+// Mint an ID token for the identity in the body (sub, email,
+// email_verified, phone_number, phone_number_verified, name, nonce, aud)
+router.post('/token', (req, res) => {
+  const idToken = FakeOidcIssuer.mintIdToken(req.body || {});
+  res.json({ success: true, id_token: idToken });
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 // All routes require authentication
 router.use(authenticate);
@@ -10,4 +10,16 @@ router.get('/me', userController.getProfile);
 router.put('/me', userController.updateProfile);
 router.put('/change-password', userController.changePassword);
 
+// Sessions (signed-in devices)
+router.get('/me/sessions', userController.listSessions);
+router.delete('/me/sessions/:sessionId', userController.revokeSession);
+
+// Linked social login accounts
+router.get('/me/identities', userController.listIdentities);
+router.post('/me/identities/:provider', userController.linkIdentity);
+router.delete('/me/identities/:provider', userController.unlinkIdentity);
+
+// Admin: lift a sign-in lockout
+router.post('/:userId/unlock', authorize('admin', 'super_admin'), userController.unlockUser);
+
 module.exports = router;
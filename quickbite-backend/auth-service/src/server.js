@@ -1,22 +1,28 @@
+// Load environment variables before any module reads them
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const dotenv = require('dotenv');
 const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const { errorHandler } = require('./middleware/error.middleware');
 const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const SigningKeyService = require('./services/signingKey.service');
+const { fakeIssuerEnabled } = require('./config/oidc');
 
-// Load environment variables
-dotenv.config();
-
-// Initialize database connections
-connectDB();
 connectRedis();
 
 const app = express();
 
+// Behind api-gateway, take the client IP from X-Forwarded-For so per-IP
+// limits do not lump every user together (e.g. TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 
@@ -43,17 +49,40 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'auth-service', timestamp: new Date().toISOString() });
 });
 
+// Public keys for verifying access tokens; services cache this
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(SigningKeyService.getJwks());
+});
+
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 
+if (fakeIssuerEnabled()) {
+  app.use('/dev/oidc', require('./routes/fakeOidc.routes'));
+  console.log('🧪 Fake OpenID Connect issuer mounted at /dev/oidc');
+} else if (process.env.OIDC_FAKE_ISSUER === 'true') {
+  console.error('❌ OIDC_FAKE_ISSUER is ignored in production');
+}
+
 // Error handling middleware
 app.use(errorHandler);
 
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
-  console.log(`🚀 Auth Service running on port ${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Signing keys live in the database; without them no token can be issued
+// or verified, so requests are only accepted once they are loaded
+connectDB()
+  .then(() => SigningKeyService.init())
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Auth Service running on port ${PORT}`);
+      console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to load signing keys:', error.message);
+    process.exit(1);
+  });
 
 module.exports = app;
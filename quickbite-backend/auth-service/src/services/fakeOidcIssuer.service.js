@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { fakeIssuerUrl, getProviders } = require('../config/oidc');
+
+// A stand-in identity provider for local development and tests
+// (OIDC_FAKE_ISSUER=true). It mints ID tokens for whatever identity it is
+// asked for and publishes its key like Google or Apple would, so the real
+// verification path runs end to end. Point a provider at it with e.g.
+// OIDC_GOOGLE_ISSUER=<issuer> and OIDC_GOOGLE_JWKS_URL=<issuer>/jwks.json,
+// or use the built-in "fake" provider.
+let signingKey = null;
+
+function getKey() {
+  if (!signingKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = `fake-${crypto.randomBytes(6).toString('hex')}`;
+    signingKey = {
+      kid,
+      privateKey,
+      publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+    };
+  }
+  return signingKey;
+}
+
+class FakeOidcIssuer {
+  static getJwks() {
+    return { keys: [getKey().publicJwk] };
+  }
+
+  // Mint an ID token. `aud` defaults to the fake provider's first client ID.
+  static mintIdToken({
+    sub,
+    email,
+    email_verified = true,
+    phone_number,
+    phone_number_verified = false,
+    name,
+    nonce,
+    aud,
+    expiresInSeconds = 600
+  }) {
+    const fake = getProviders().fake;
+    const claims = {
+      sub: sub || crypto.randomUUID(),
+      aud: aud || (fake ? fake.clientIds[0] : 'quickbite-dev'),
+      email,
+      email_verified,
+      phone_number,
+      phone_number_verified,
+      name,
+      nonce
+    };
+    Object.keys(claims).forEach(key => claims[key] === undefined && delete claims[key]);
+
+    const key = getKey();
+    return jwt.sign(claims, key.privateKey, {
+      algorithm: 'RS256',
+      keyid: key.kid,
+      issuer: fakeIssuerUrl(),
+      expiresIn: expiresInSeconds
+    });
+  }
+}
+
+module.exports = FakeOidcIssuer;
@@ -0,0 +1,93 @@
+const rateLimit = require('../utils/rateLimit.util');
+
+const setting = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+// Failed sign-ins are counted per account identifier (the email or phone
+// that was tried, whether or not it exists) and per client IP. Past
+// `delayAfter` failures each further attempt must wait twice as long as the
+// last, up to MAX_DELAY_SECONDS; at `threshold` failures the subject is
+// locked out for `lockoutMinutes`.
+function policies() {
+  return {
+    account: {
+      delayAfter: setting('LOGIN_DELAY_AFTER_FAILURES', 3),
+      threshold: setting('LOGIN_LOCKOUT_THRESHOLD', 10),
+      lockoutMinutes: setting('LOGIN_LOCKOUT_MINUTES', 15)
+    },
+    ip: {
+      delayAfter: setting('LOGIN_IP_DELAY_AFTER_FAILURES', 10),
+      threshold: setting('LOGIN_IP_LOCKOUT_THRESHOLD', 50),
+      lockoutMinutes: setting('LOGIN_IP_LOCKOUT_MINUTES', 15)
+    }
+  };
+}
+
+const windowSeconds = () => setting('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60;
+const MAX_DELAY_SECONDS = 60;
+
+// `account` is e.g. "password:user@example.com" or "otp:+919876543210"
+function subjects({ account, ip }) {
+  const list = [];
+  if (account) list.push({ scope: 'account', key: `login:account:${account}` });
+  if (ip) list.push({ scope: 'ip', key: `login:ip:${ip}` });
+  return list;
+}
+
+class LoginGuard {
+  // Whether an attempt may go ahead. Returns null, or
+  // { scope, locked, retryAfter } when the account or IP must wait.
+  static async check(identity) {
+    for (const { scope, key } of subjects(identity)) {
+      const locked = await rateLimit.blockedFor(`lock:${key}`);
+      if (locked > 0) return { scope, locked: true, retryAfter: locked };
+      const delayed = await rateLimit.blockedFor(`delay:${key}`);
+      if (delayed > 0) return { scope, locked: false, retryAfter: delayed };
+    }
+    return null;
+  }
+
+  // Count a failed attempt. Returns { accountLocked } so the caller can
+  // tell the owner when this failure locked their account.
+  static async recordFailure(identity) {
+    const policy = policies();
+    let accountLocked = false;
+
+    for (const { scope, key } of subjects(identity)) {
+      const { delayAfter, threshold, lockoutMinutes } = policy[scope];
+      const { count } = await rateLimit.hit(`fail:${key}`, threshold, windowSeconds());
+
+      if (count >= threshold) {
+        await rateLimit.block(`lock:${key}`, lockoutMinutes * 60);
+        await rateLimit.reset(`fail:${key}`);
+        console.warn(`🔒 Sign-in locked for ${scope} ${key} after ${count} failures`);
+        if (scope === 'account') accountLocked = true;
+      } else if (count >= delayAfter) {
+        const delay = Math.min(2 ** (count - delayAfter), MAX_DELAY_SECONDS);
+        await rateLimit.block(`delay:${key}`, delay);
+      }
+    }
+    return { accountLocked };
+  }
+
+  // A successful sign-in clears the account's failures (not the IP's)
+  static async recordSuccess({ account }) {
+    if (!account) return;
+    const key = `login:account:${account}`;
+    await rateLimit.reset(`fail:${key}`);
+    await rateLimit.unblock(`delay:${key}`);
+  }
+
+  // Lift lockouts, delays and failure counts for the given account
+  // identifiers and IP
+  static async unlock({ accounts = [], ip = null }) {
+    const keys = accounts.map(account => `login:account:${account}`);
+    if (ip) keys.push(`login:ip:${ip}`);
+    for (const key of keys) {
+      await rateLimit.unblock(`lock:${key}`);
+      await rateLimit.unblock(`delay:${key}`);
+      await rateLimit.reset(`fail:${key}`);
+    }
+  }
+}
+
+module.exports = LoginGuard;
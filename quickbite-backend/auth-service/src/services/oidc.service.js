@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { JwksVerifier } = require('@quickbite/jwt-verifier');
+const { getProviders } = require('../config/oidc');
+const { getRedisClient } = require('../config/redis');
+
+const NONCE_TTL_SECONDS = 10 * 60;
+
+class OidcError extends Error {
+  constructor(message, code = 'ID_TOKEN_INVALID', statusCode = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// One key cache per provider JWKS URL
+const verifiers = new Map();
+
+function verifierFor(jwksUrl) {
+  if (!verifiers.has(jwksUrl)) {
+    // Issuer and audience are checked below; ID tokens have no `type` claim
+    verifiers.set(jwksUrl, new JwksVerifier({ jwksUrl, issuer: null, tokenType: null }));
+  }
+  return verifiers.get(jwksUrl);
+}
+
+// Apple sends booleans as strings
+const isTrue = (value) => value === true || value === 'true';
+
+// Nonces kept in this process when Redis is unavailable: nonce -> expiry (ms)
+const localNonces = new Map();
+
+// Clients that follow Apple's guidance hand the provider the SHA-256 of the
+// nonce and send us the nonce itself
+const nonceMatches = (claim, nonce) =>
+  claim === nonce || claim === crypto.createHash('sha256').update(nonce).digest('hex');
+
+// Resolves true the first time an unexpired `nonce` is used, false after
+async function consumeNonce(nonce) {
+  const local = localNonces.get(nonce);
+  if (local) {
+    localNonces.delete(nonce);
+    return local > Date.now();
+  }
+  try {
+    return (await getRedisClient().del(`oidc:nonce:${nonce}`)) === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+class OidcService {
+  static getProvider(name) {
+    return getProviders()[String(name).toLowerCase()] || null;
+  }
+
+  static listProviders() {
+    return Object.keys(getProviders());
+  }
+
+  // A single-use nonce for the client to put in its provider sign-in request.
+  // ID tokens are only accepted with one of these, so a token lifted from
+  // another app or an earlier sign-in cannot be replayed here.
+  static async issueNonce() {
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    try {
+      await getRedisClient().set(`oidc:nonce:${nonce}`, '1', { EX: NONCE_TTL_SECONDS });
+    } catch (error) {
+      localNonces.set(nonce, Date.now() + NONCE_TTL_SECONDS * 1000);
+    }
+    return { nonce, expiresIn: NONCE_TTL_SECONDS };
+  }
+
+  // Validate an ID token from `providerName` and return the identity it
+  // asserts: { provider, subject, email, emailVerified, phone,
+  // phoneVerified, name }. `nonce` must be one issued by issueNonce() and
+  // match the token's; it is used up by the check.
+  static async verifyIdToken(providerName, idToken, { nonce } = {}) {
+    const provider = OidcService.getProvider(providerName);
+    if (!provider) {
+      throw new OidcError(`Unsupported identity provider: ${providerName}`, 'PROVIDER_NOT_SUPPORTED', 400);
+    }
+    if (!idToken || typeof idToken !== 'string') {
+      throw new OidcError('ID token is required', 'ID_TOKEN_REQUIRED', 400);
+    }
+    if (!nonce || typeof nonce !== 'string') {
+      throw new OidcError('Nonce is required', 'NONCE_REQUIRED', 400);
+    }
+
+    let claims;
+    try {
+      claims = await verifierFor(provider.jwksUrl).verify(idToken);
+    } catch (error) {
+      if (error.statusCode === 401) throw new OidcError(`Invalid ID token: ${error.message}`);
+      throw new OidcError('Identity provider unavailable', 'PROVIDER_UNAVAILABLE', 503);
+    }
+
+    if (!provider.issuers.includes(claims.iss)) {
+      throw new OidcError('Invalid ID token: unexpected issuer');
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.some(aud => provider.clientIds.includes(aud))) {
+      throw new OidcError('Invalid ID token: not issued for this app');
+    }
+    if (typeof claims.nonce !== 'string' || !nonceMatches(claims.nonce, nonce)) {
+      throw new OidcError('Invalid ID token: nonce mismatch');
+    }
+    if (!claims.sub) {
+      throw new OidcError('Invalid ID token: missing subject');
+    }
+    if (!(await consumeNonce(nonce))) {
+      throw new OidcError('Nonce has expired or was already used', 'NONCE_INVALID');
+    }
+
+    return {
+      provider: String(providerName).toLowerCase(),
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: isTrue(claims.email_verified),
+      phone: claims.phone_number || null,
+      phoneVerified: isTrue(claims.phone_number_verified),
+      name: claims.name || null
+    };
+  }
+}
+
+// Drop expired local nonces
+setInterval(() => {
+  const now = Date.now();
+  for (const [nonce, expiresAt] of localNonces.entries()) {
+    if (expiresAt <= now) localNonces.delete(nonce);
+  }
+}, 60 * 1000).unref();
+
+module.exports = { OidcService, OidcError };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/signingKey.model');
+
+const KEY_TYPES = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+const setting = (name, fallback) => parseFloat(process.env[name] || String(fallback));
+
+function config() {
+  return {
+    alg: (process.env.JWT_SIGNING_ALG || 'RS256').toUpperCase(),
+    rotationMs: setting('JWT_KEY_ROTATION_DAYS', 30) * 24 * 60 * 60 * 1000,
+    // Longer than verifiers cache the JWKS, so they see a key before it is used
+    prepublishMs: setting('JWT_KEY_PREPUBLISH_MINUTES', 15) * 60 * 1000,
+    // Longer than the longest-lived token (7-day refresh tokens)
+    overlapMs: setting('JWT_KEY_OVERLAP_HOURS', 192) * 60 * 60 * 1000,
+    reloadMs: setting('JWT_KEYS_RELOAD_MS', 60 * 1000)
+  };
+}
+
+function toKey(row) {
+  const publicJwk = typeof row.public_jwk === 'string' ? JSON.parse(row.public_jwk) : row.public_jwk;
+  return {
+    kid: row.kid,
+    alg: row.alg,
+    privateKey: crypto.createPrivateKey(row.private_key),
+    publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }),
+    publicJwk,
+    createdAt: new Date(row.created_at),
+    activatesAt: new Date(row.activates_at)
+  };
+}
+
+// Published keys, newest first. Kept in memory so signing and verifying
+// stay synchronous; reloaded on a timer to pick up rotations made by other
+// instances.
+let keys = [];
+let timer = null;
+
+class SigningKeyService {
+  // Load keys (creating the first one if needed) and start the rotation check
+  static async init() {
+    await SigningKeyService.rotateIfDue();
+    if (!timer) {
+      timer = setInterval(() => {
+        SigningKeyService.rotateIfDue().catch(error => {
+          console.error('Signing key refresh failed:', error.message);
+        });
+      }, config().reloadMs);
+      timer.unref();
+    }
+  }
+
+  static async load() {
+    const rows = await SigningKey.findPublished();
+    keys = rows.map(toKey);
+  }
+
+  // Rotate when the newest key is older than the rotation period or uses a
+  // different algorithm than configured. Two instances rotating at the same
+  // moment both publish a key, which verifiers handle like any other.
+  static async rotateIfDue() {
+    const { alg, rotationMs } = config();
+    await SigningKey.deleteExpired();
+    await SigningKeyService.load();
+
+    const newest = keys[0];
+    if (newest && newest.alg === alg && newest.createdAt.getTime() + rotationMs > Date.now()) {
+      return false;
+    }
+    // The very first key has nothing to overlap with and signs right away
+    await SigningKeyService.rotate({ immediate: !newest });
+    return true;
+  }
+
+  // Create and publish a new key. It starts signing after the prepublish
+  // window; the current keys stop signing then and stay published for the
+  // overlap period so tokens they signed keep verifying.
+  static async rotate({ immediate = false } = {}) {
+    const { alg, prepublishMs, overlapMs } = config();
+    const keyType = KEY_TYPES[alg];
+    if (!keyType) {
+      throw new Error(`Unsupported JWT_SIGNING_ALG: ${alg} (use RS256 or ES256)`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(keyType.type, keyType.options);
+    const kid = crypto.randomBytes(12).toString('base64url');
+    const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' };
+    const activatesAt = new Date(Date.now() + (immediate ? 0 : prepublishMs));
+
+    await SigningKey.create({
+      kid,
+      alg,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicJwk,
+      activatesAt
+    });
+    await SigningKey.retireOthers(kid, activatesAt, new Date(activatesAt.getTime() + overlapMs));
+    await SigningKeyService.load();
+
+    console.log(`🔑 Signing key ${kid} (${alg}) published, signing from ${activatesAt.toISOString()}`);
+    return kid;
+  }
+
+  // Newest key that has reached its activation time
+  static getSigningKey() {
+    const now = Date.now();
+    const key = keys.find(k => k.activatesAt.getTime() <= now);
+    if (!key) {
+      throw new Error('No signing key available');
+    }
+    return key;
+  }
+
+  static getVerificationKey(kid) {
+    return keys.find(k => k.kid === kid) || null;
+  }
+
+  // Public keys for /.well-known/jwks.json
+  static getJwks() {
+    return { keys: keys.map(k => k.publicJwk) };
+  }
+}
+
+module.exports = SigningKeyService;
@@ -1,24 +1,75 @@
 const jwt = require('jsonwebtoken');
+const SigningKeyService = require('./signingKey.service');
+
+const issuer = () => process.env.JWT_ISSUER || 'quickbite-auth';
 
 class TokenService {
+  // Sign claims with the current asymmetric key; the kid header tells
+  // verifiers which JWKS entry to use
+  static sign(claims, expiresIn) {
+    const key = SigningKeyService.getSigningKey();
+    return jwt.sign(claims, key.privateKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      issuer: issuer(),
+      expiresIn
+    });
+  }
+
+  // Verify a token of the given type. HS256 tokens signed with the old shared
+  // secret are accepted only while that secret is still configured, so
+  // sessions survive the switch; unset it once they have expired.
+  static verify(token, type, legacySecret) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed token');
+    }
+
+    let payload;
+    if (decoded.header.alg === 'HS256' && legacySecret) {
+      payload = jwt.verify(token, legacySecret, { algorithms: ['HS256'] });
+    } else {
+      const key = SigningKeyService.getVerificationKey(decoded.header.kid);
+      if (!key) {
+        throw new Error('Unknown signing key');
+      }
+      payload = jwt.verify(token, key.publicKey, { algorithms: [key.alg], issuer: issuer() });
+    }
+
+    if (payload.type !== type) {
+      throw new Error(`Expected a ${type} token`);
+    }
+    return payload;
+  }
+
   // Generate access token
-  static generateAccessToken(userId, role, storeId = null) {
-    return jwt.sign(
+  static generateAccessToken(userId, role, storeId = null, sessionId = null) {
+    return this.sign(
       { 
         id: userId, 
         role, 
         storeId,
+        sid: sessionId,
         type: 'access' 
       },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
+      process.env.JWT_ACCESS_EXPIRY || '15m'
     );
   }
 
+  // Short-lived token auth-service presents when calling other services
+  static generateServiceToken() {
+    return this.sign({ id: 'auth-service', role: 'service', type: 'access' }, '5m');
+  }
+
+  // Generate refresh token
+  static generateRefreshToken(claims) {
+    return this.sign({ ...claims, type: 'refresh' }, process.env.JWT_REFRESH_EXPIRY || '7d');
+  }
+
   // Verify access token
   static verifyAccessToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      return this.verify(token, 'access', process.env.JWT_ACCESS_SECRET);
     } catch (error) {
       throw new Error('Invalid or expired access token');
     }
@@ -27,23 +78,32 @@ class TokenService {
   // Verify refresh token
   static verifyRefreshToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+      return this.verify(token, 'refresh', process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
     } catch (error) {
       throw new Error('Invalid or expired refresh token');
     }
   }
 
-  // Generate token pair
-  static async generateTokenPair(userId, role, storeId = null) {
+  // Generate token pair. Without a sessionId this is a new sign-in and a
+  // session is started for `device`; with one, the pair continues that
+  // session's refresh token family.
+  static async generateTokenPair(userId, role, storeId = null, { sessionId = null, device = {} } = {}) {
     const RefreshToken = require('../models/refreshToken.model');
+    const Session = require('../models/session.model');
+
+    if (!sessionId) {
+      const session = await Session.create(userId, device);
+      sessionId = session.id;
+    }
     
-    const accessToken = this.generateAccessToken(userId, role, storeId);
-    const refreshTokenData = await RefreshToken.create(userId);
+    const accessToken = this.generateAccessToken(userId, role, storeId, sessionId);
+    const refreshTokenData = await RefreshToken.create(userId, sessionId);
     
     // Return in snake_case to align with frontend
     return {
       access_token: accessToken,
       refresh_token: refreshTokenData.token,
+      session_id: sessionId,
       expires_in: 900 // 15 minutes in seconds
     };
   }
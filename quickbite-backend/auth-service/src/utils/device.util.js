@@ -0,0 +1,20 @@
+// Device details for a session, from a `device` object in the body or the
+// X-Device-* headers sent by the apps
+const pick = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+const deviceFromRequest = (req) => {
+  const body = (req.body && typeof req.body.device === 'object' && req.body.device) || {};
+  const header = (name) => req.get(name);
+
+  return {
+    deviceId: pick(body.deviceId || header('x-device-id'), 255),
+    deviceType: pick(body.deviceType || header('x-device-type'), 50),
+    deviceName: pick(body.deviceName || header('x-device-name'), 255),
+    platform: pick(body.platform || header('x-platform'), 20),
+    appVersion: pick(body.appVersion || header('x-app-version'), 20),
+    ipAddress: pick(req.ip, 45),
+    userAgent: pick(header('user-agent'), 500)
+  };
+};
+
+module.exports = { deviceFromRequest };
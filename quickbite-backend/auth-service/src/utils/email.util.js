@@ -0,0 +1,20 @@
+// Email utility for account messages
+// You can integrate with AWS SES, SendGrid, or any email provider
+
+const sendPasswordResetEmail = async (email, resetLink) => {
+  try {
+    // For development, just log the link
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📧 Password reset link for ${email}: ${resetLink}`);
+      return true;
+    }
+
+    // Production: throw error if email provider not configured
+    throw new Error('Email provider not configured');
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw new Error('Failed to send password reset email');
+  }
+};
+
+module.exports = { sendPasswordResetEmail };
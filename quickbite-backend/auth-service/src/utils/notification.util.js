@@ -0,0 +1,39 @@
+const TokenService = require('../services/token.service');
+
+const NOTIFICATION_BASE = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3007';
+
+// Tell a user about a security event (e.g. a lockout) through
+// notification-service. Best-effort: failures are logged, never thrown, so
+// sign-in handling does not depend on notification-service being up.
+const sendSecurityAlert = async (userId, { title, message, data = {} }) => {
+  try {
+    const response = await fetch(`${NOTIFICATION_BASE}/api/notifications/notifications`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${TokenService.generateServiceToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        type: 'SECURITY_ALERT',
+        title,
+        message,
+        data,
+        priority: 'HIGH',
+        channels: ['PUSH', 'EMAIL', 'SMS'],
+        recipientId: userId,
+        immediate: true
+      }),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      console.warn(`Security alert for user ${userId} failed: ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Security alert for user ${userId} failed:`, error.message);
+    return false;
+  }
+};
+
+module.exports = { sendSecurityAlert };
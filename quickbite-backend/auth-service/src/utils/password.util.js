@@ -0,0 +1,23 @@
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+const MAX_LENGTH = 128;
+
+// Why `password` is not acceptable for the user, or null. The user's own
+// email, phone and name are not allowed as passwords.
+function validatePassword(password, user = {}) {
+  if (typeof password !== 'string') return 'Password is required';
+  if (password.length < MIN_LENGTH) return `Password must be at least ${MIN_LENGTH} characters`;
+  if (password.length > MAX_LENGTH) return `Password must be at most ${MAX_LENGTH} characters`;
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [user.email, user.phone, user.name]
+    .filter(value => typeof value === 'string' && value)
+    .map(value => value.toLowerCase());
+  if (personal.includes(lowered)) return 'Password must not be your email, phone number or name';
+
+  return null;
+}
+
+module.exports = { validatePassword };
@@ -0,0 +1,99 @@
+const { getRedisClient } = require('../config/redis');
+
+// Fixed-window counters and blocks kept in this process when Redis is
+// unavailable: key -> { count, resetAt } and key -> until (ms)
+const localCounters = new Map();
+const localBlocks = new Map();
+
+function hitLocal(key, windowSeconds) {
+  const now = Date.now();
+  let entry = localCounters.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+    localCounters.set(key, entry);
+  }
+  entry.count += 1;
+  return { count: entry.count, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+}
+
+// Counts one attempt against `key` in a window of `windowSeconds` and says
+// whether it is within `limit`. Uses Redis so limits hold across instances,
+// and falls back to a per-process counter rather than not limiting at all.
+async function hit(key, limit, windowSeconds) {
+  let result;
+  try {
+    const redis = getRedisClient();
+    const redisKey = `rl:${key}`;
+    const count = await redis.incr(redisKey);
+    if (count === 1) await redis.expire(redisKey, windowSeconds);
+    const ttl = await redis.ttl(redisKey);
+    result = { count, retryAfter: ttl > 0 ? ttl : windowSeconds };
+  } catch (error) {
+    result = hitLocal(key, windowSeconds);
+  }
+
+  return {
+    allowed: result.count <= limit,
+    count: result.count,
+    remaining: Math.max(0, limit - result.count),
+    retryAfter: result.retryAfter
+  };
+}
+
+// Forget the attempts counted against `key`
+async function reset(key) {
+  localCounters.delete(key);
+  try {
+    await getRedisClient().del(`rl:${key}`);
+  } catch (error) {
+    // Redis unavailable: the local counter was all there was
+  }
+}
+
+// Block `key` for `seconds`
+async function block(key, seconds) {
+  try {
+    await getRedisClient().set(`rl:block:${key}`, '1', { EX: seconds });
+  } catch (error) {
+    localBlocks.set(key, Date.now() + seconds * 1000);
+  }
+}
+
+// Seconds left on a block of `key`, 0 when not blocked
+async function blockedFor(key) {
+  let seconds = 0;
+  try {
+    const ttl = await getRedisClient().ttl(`rl:block:${key}`);
+    seconds = ttl > 0 ? ttl : 0;
+  } catch (error) {
+    // Checked below
+  }
+  // Blocks set locally while Redis was down still count once it is back
+  const until = localBlocks.get(key);
+  if (until) {
+    seconds = Math.max(seconds, Math.ceil((until - Date.now()) / 1000));
+  }
+  return Math.max(0, seconds);
+}
+
+async function unblock(key) {
+  localBlocks.delete(key);
+  try {
+    await getRedisClient().del(`rl:block:${key}`);
+  } catch (error) {
+    // Redis unavailable
+  }
+}
+
+// Drop expired local counters and blocks
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of localCounters.entries()) {
+    if (entry.resetAt <= now) localCounters.delete(key);
+  }
+  for (const [key, until] of localBlocks.entries()) {
+    if (until <= now) localBlocks.delete(key);
+  }
+}, 60 * 1000).unref();
+
+module.exports = { hit, reset, block, blockedFor, unblock };
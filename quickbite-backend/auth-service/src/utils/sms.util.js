@@ -41,4 +41,20 @@ const sendOTP = async (phone, otpCode) => {
   }
 };
 
-module.exports = { sendOTP };
+const sendPasswordResetSMS = async (phone, resetLink) => {
+  try {
+    // For development, just log the link
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📱 Password reset link for ${phone}: ${resetLink}`);
+      return true;
+    }
+
+    // Production: throw error if SMS provider not configured
+    throw new Error('SMS provider not configured');
+  } catch (error) {
+    console.error('Error sending password reset SMS:', error);
+    throw new Error('Failed to send password reset SMS');
+  }
+};
+
+module.exports = { sendOTP, sendPasswordResetSMS };
@@ -0,0 +1,81 @@
+// Redis is unavailable, so the guard runs on the per-process fallback
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: () => { throw new Error('Redis not connected'); }
+}));
+
+const LoginGuard = require('../src/services/loginGuard.service');
+
+let nextAccount = 1;
+let account;
+
+async function fail(times, identity = { account }) {
+  let result;
+  for (let i = 0; i < times; i++) result = await LoginGuard.recordFailure(identity);
+  return result;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+  account = `password:user${nextAccount++}@example.com`;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('login guard', () => {
+  it('lets the first failures retry straight away', async () => {
+    await fail(2);
+
+    await expect(LoginGuard.check({ account })).resolves.toBeNull();
+  });
+
+  it('doubles the wait from the third failure on, up to a minute', async () => {
+    await fail(3);
+    await expect(LoginGuard.check({ account })).resolves.toEqual({ scope: 'account', locked: false, retryAfter: 1 });
+
+    await fail(1);
+    await expect(LoginGuard.check({ account })).resolves.toEqual({ scope: 'account', locked: false, retryAfter: 2 });
+
+    await fail(5);
+    await expect(LoginGuard.check({ account })).resolves.toEqual({ scope: 'account', locked: false, retryAfter: 60 });
+  });
+
+  it('locks the account for 15 minutes at the tenth failure', async () => {
+    await expect(fail(9)).resolves.toEqual({ accountLocked: false });
+    await expect(fail(1)).resolves.toEqual({ accountLocked: true });
+
+    await expect(LoginGuard.check({ account })).resolves.toEqual({ scope: 'account', locked: true, retryAfter: 15 * 60 });
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    await expect(LoginGuard.check({ account })).resolves.toBeNull();
+  });
+
+  it('starts counting again after a successful sign-in', async () => {
+    await fail(3);
+    await LoginGuard.recordSuccess({ account });
+
+    await expect(LoginGuard.check({ account })).resolves.toBeNull();
+    await fail(2);
+    await expect(LoginGuard.check({ account })).resolves.toBeNull();
+  });
+
+  it('slows down an IP that fails across many accounts', async () => {
+    const ip = '203.0.113.7';
+    for (let i = 0; i < 10; i++) {
+      await LoginGuard.recordFailure({ account: `${account}-${i}`, ip });
+    }
+
+    await expect(LoginGuard.check({ account, ip })).resolves.toEqual({ scope: 'ip', locked: false, retryAfter: 1 });
+  });
+
+  it('lifts a lockout when an admin unlocks the account', async () => {
+    await fail(10);
+
+    await LoginGuard.unlock({ accounts: [account] });
+
+    await expect(LoginGuard.check({ account })).resolves.toBeNull();
+  });
+});
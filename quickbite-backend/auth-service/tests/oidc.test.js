@@ -0,0 +1,152 @@
+jest.mock('../src/models/user.model', () => ({
+  findByEmail: jest.fn(),
+  findByPhone: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  markAsVerified: jest.fn(),
+  markPhoneVerified: jest.fn()
+}));
+jest.mock('../src/models/userIdentity.model', () => ({
+  find: jest.fn(),
+  listForUser: jest.fn(),
+  create: jest.fn(),
+  touch: jest.fn()
+}));
+jest.mock('../src/models/otp.model', () => ({ verify: jest.fn() }));
+jest.mock('../src/services/loginGuard.service', () => ({
+  check: jest.fn(),
+  recordSuccess: jest.fn(),
+  recordFailure: jest.fn()
+}));
+jest.mock('../src/services/token.service', () => ({ generateTokenPair: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const User = require('../src/models/user.model');
+const UserIdentity = require('../src/models/userIdentity.model');
+const OTP = require('../src/models/otp.model');
+const LoginGuard = require('../src/services/loginGuard.service');
+const TokenService = require('../src/services/token.service');
+const FakeOidcIssuer = require('../src/services/fakeOidcIssuer.service');
+const fakeOidcRoutes = require('../src/routes/fakeOidc.routes');
+const { OidcService } = require('../src/services/oidc.service');
+const authController = require('../src/controllers/auth.controller');
+
+let server;
+
+// The fake issuer's JWKS is served over HTTP so the real verification path runs
+beforeAll(async () => {
+  const app = express();
+  app.use('/dev/oidc', fakeOidcRoutes);
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  process.env.OIDC_FAKE_ISSUER = 'true';
+  process.env.OIDC_FAKE_ISSUER_URL = `http://127.0.0.1:${server.address().port}/dev/oidc`;
+});
+
+afterAll(async () => {
+  delete process.env.OIDC_FAKE_ISSUER;
+  delete process.env.OIDC_FAKE_ISSUER_URL;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+function response() {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+}
+
+describe('OIDC ID token verification', () => {
+  it('accepts a token carrying a nonce it issued, once', async () => {
+    const { nonce } = await OidcService.issueNonce();
+    const idToken = FakeOidcIssuer.mintIdToken({ sub: 'fake-1', email: 'a@example.com', nonce });
+
+    const profile = await OidcService.verifyIdToken('fake', idToken, { nonce });
+
+    expect(profile).toMatchObject({ provider: 'fake', subject: 'fake-1', email: 'a@example.com', emailVerified: true });
+    await expect(OidcService.verifyIdToken('fake', idToken, { nonce }))
+      .rejects.toMatchObject({ code: 'NONCE_INVALID', statusCode: 401 });
+  });
+
+  it('requires a nonce', async () => {
+    const idToken = FakeOidcIssuer.mintIdToken({ sub: 'fake-1' });
+
+    await expect(OidcService.verifyIdToken('fake', idToken, {}))
+      .rejects.toMatchObject({ code: 'NONCE_REQUIRED', statusCode: 400 });
+  });
+
+  it('refuses a token minted for another nonce', async () => {
+    const { nonce } = await OidcService.issueNonce();
+    const idToken = FakeOidcIssuer.mintIdToken({ sub: 'fake-1', nonce: 'someone-elses' });
+
+    await expect(OidcService.verifyIdToken('fake', idToken, { nonce }))
+      .rejects.toThrow('nonce mismatch');
+  });
+
+  it('refuses a nonce it never issued even when the token carries it', async () => {
+    const idToken = FakeOidcIssuer.mintIdToken({ sub: 'fake-1', nonce: 'chosen-by-client' });
+
+    await expect(OidcService.verifyIdToken('fake', idToken, { nonce: 'chosen-by-client' }))
+      .rejects.toMatchObject({ code: 'NONCE_INVALID' });
+  });
+
+  it('accepts the SHA-256 of the nonce in the token', async () => {
+    const { nonce } = await OidcService.issueNonce();
+    const hashed = crypto.createHash('sha256').update(nonce).digest('hex');
+    const idToken = FakeOidcIssuer.mintIdToken({ sub: 'fake-2', nonce: hashed });
+
+    await expect(OidcService.verifyIdToken('fake', idToken, { nonce })).resolves.toMatchObject({ subject: 'fake-2' });
+  });
+});
+
+describe('OIDC sign-in', () => {
+  const PHONE = '+15550001111';
+
+  async function signUp(claims) {
+    const { nonce } = await OidcService.issueNonce();
+    const req = {
+      ip: '127.0.0.1',
+      headers: {},
+      get: () => undefined,
+      params: { provider: 'fake' },
+      body: { idToken: FakeOidcIssuer.mintIdToken({ ...claims, nonce }), nonce, phone: PHONE, otp: '123456' }
+    };
+    const res = response();
+    const next = jest.fn();
+    await authController.oidcLogin(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  }
+
+  beforeEach(() => {
+    OTP.verify.mockResolvedValue({ status: 'VALID' });
+    LoginGuard.check.mockResolvedValue(null);
+    UserIdentity.listForUser.mockResolvedValue([]);
+    UserIdentity.create.mockResolvedValue({ id: 'identity-1' });
+    TokenService.generateTokenPair.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    User.create.mockImplementation(async (fields) => ({ id: 'user-1', ...fields, is_verified: false }));
+  });
+
+  it('verifies only the phone of an account created with an unverified email', async () => {
+    const res = await signUp({ sub: 'fake-3', email: 'new@example.com', email_verified: false });
+
+    expect(res.statusCode).toBe(201);
+    expect(User.markPhoneVerified).toHaveBeenCalledWith('user-1');
+    expect(User.markAsVerified).not.toHaveBeenCalled();
+    expect(res.body.user.isVerified).toBe(false);
+  });
+
+  it('verifies the account when the provider verified the email too', async () => {
+    const res = await signUp({ sub: 'fake-4', email: 'new@example.com', email_verified: true });
+
+    expect(res.statusCode).toBe(201);
+    expect(User.markPhoneVerified).toHaveBeenCalledWith('user-1');
+    expect(User.markAsVerified).toHaveBeenCalledWith('user-1');
+    expect(res.body.user.isVerified).toBe(true);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../src/config/database', () => ({ sql: { NVarChar: 'NVarChar', UniqueIdentifier: 'UniqueIdentifier', DateTime: 'DateTime' }, getPool: jest.fn() }));
+jest.mock('../src/services/token.service', () => ({ generateRefreshToken: jest.fn() }));
+
+const { getPool } = require('../src/config/database');
+const TokenService = require('../src/services/token.service');
+const RefreshToken = require('../src/models/refreshToken.model');
+
+const USER_ID = 'user-1';
+const SESSION_ID = 'session-1';
+
+let nextToken = 1;
+
+beforeEach(() => {
+  getPool.mockReturnValue(null);
+  TokenService.generateRefreshToken.mockImplementation(() => `refresh-${nextToken++}`);
+});
+
+describe('refresh token rotation (in memory)', () => {
+  it('exchanges a live token once and stops accepting it', async () => {
+    const { token } = await RefreshToken.create(USER_ID, SESSION_ID);
+
+    await expect(RefreshToken.rotate(token)).resolves.toEqual({ status: 'ROTATED', user_id: USER_ID, session_id: SESSION_ID });
+    await expect(RefreshToken.findValid(token)).resolves.toBeNull();
+  });
+
+  it('reports a second exchange of the same token as reuse of its session', async () => {
+    const { token } = await RefreshToken.create(USER_ID, SESSION_ID);
+    await RefreshToken.rotate(token);
+
+    await expect(RefreshToken.rotate(token)).resolves.toEqual({ status: 'REUSED', user_id: USER_ID, session_id: SESSION_ID });
+  });
+
+  it('revokes the successor along with the rest of the family once reuse is seen', async () => {
+    const { token } = await RefreshToken.create(USER_ID, SESSION_ID);
+    await RefreshToken.rotate(token);
+    const successor = await RefreshToken.create(USER_ID, SESSION_ID);
+
+    const reuse = await RefreshToken.rotate(token);
+    await RefreshToken.revokeFamily(reuse.session_id);
+
+    await expect(RefreshToken.rotate(successor.token)).resolves.toEqual({ status: 'INVALID' });
+  });
+
+  it('refuses unknown and revoked tokens without calling them reuse', async () => {
+    const { token } = await RefreshToken.create(USER_ID, SESSION_ID);
+    await RefreshToken.revoke(token);
+
+    await expect(RefreshToken.rotate(token)).resolves.toEqual({ status: 'INVALID' });
+    await expect(RefreshToken.rotate('never-issued')).resolves.toEqual({ status: 'INVALID' });
+  });
+});
+
+describe('refresh token rotation (SQL)', () => {
+  // Answers the rotating UPDATE and the follow-up lookup in turn
+  function pool(...recordsets) {
+    const query = jest.fn(async () => ({ recordset: recordsets.shift() || [] }));
+    const request = { input: jest.fn(() => request), query };
+    return { request: () => request, query };
+  }
+
+  it('rotates when the guarded update claims the token', async () => {
+    const db = pool([{ user_id: USER_ID, session_id: SESSION_ID }]);
+    getPool.mockReturnValue(db);
+
+    await expect(RefreshToken.rotate('refresh-sql')).resolves.toEqual({ status: 'ROTATED', user_id: USER_ID, session_id: SESSION_ID });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][0]).toMatch(/rotated_at IS NULL/);
+  });
+
+  it('reports reuse when the token was already rotated', async () => {
+    getPool.mockReturnValue(pool([], [{ user_id: USER_ID, session_id: SESSION_ID, rotated_at: new Date() }]));
+
+    await expect(RefreshToken.rotate('refresh-sql')).resolves.toEqual({ status: 'REUSED', user_id: USER_ID, session_id: SESSION_ID });
+  });
+
+  it('refuses a token that was revoked or expired rather than rotated', async () => {
+    getPool.mockReturnValue(pool([], [{ user_id: USER_ID, session_id: SESSION_ID, rotated_at: null }]));
+
+    await expect(RefreshToken.rotate('refresh-sql')).resolves.toEqual({ status: 'INVALID' });
+  });
+});
@@ -1,5 +1,10 @@
 const Restaurant = require('../models/restaurant.model');
 const Menu = require('../models/menu.model');
+const { QuoteService, QuoteError } = require('../services/quote.service');
+const { SearchService, SearchError } = require('../services/search.service');
+const { AvailabilityService } = require('../services/availability.service');
+const { isPlatformAdmin } = require('@quickbite/rbac');
+const { isInternalRequest } = require('@quickbite/internal-auth');
 
 class CatalogController {
 
@@ -7,6 +12,7 @@ class CatalogController {
   static async initialize(req, res) {
     try {
       await Restaurant.ensureSchema();
+      await SearchService.ensureSchema();
       res.json({ 
         success: true, 
         message: 'Catalog service database schema initialized successfully' 
@@ -37,6 +43,11 @@ class CatalogController {
         }
       }
 
+      // Merchants always own what they create; platform admins may set any owner
+      if (!isPlatformAdmin(req) || !restaurantData.owner_id) {
+        restaurantData.owner_id = req.userId;
+      }
+
       // Set default values
       restaurantData.features = restaurantData.features || ['online_ordering', 'contactless_delivery'];
       restaurantData.payment_methods = restaurantData.payment_methods || ['cash', 'card', 'upi'];
@@ -81,6 +92,9 @@ class CatalogController {
         });
       }
 
+      restaurant.availability = await AvailabilityService.forRestaurant(restaurant);
+      restaurant.upcoming_holidays = await Restaurant.getHolidays(id, AvailabilityService.today());
+
       res.json({
         success: true,
         data: restaurant
@@ -96,6 +110,86 @@ class CatalogController {
     }
   }
 
+  // Public, paginated reviews for a restaurant
+  static async getRestaurantReviews(req, res) {
+    try {
+      const { id } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+      const { reviews, total, rating_breakdown } = await Restaurant.getReviews(id, {
+        sort: req.query.sort,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: { reviews, rating_breakdown },
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get restaurant reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reviews',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a verified review; called by order-service when a delivered order is rated
+  static async addReview(req, res) {
+    try {
+      const { id } = req.params;
+      const { user_id, order_id, rating, review_text, food_rating, delivery_rating } = req.body;
+      const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+      if (!user_id || !order_id || !isRating(rating)) {
+        return res.status(400).json({
+          success: false,
+          message: 'user_id, order_id and a rating between 1 and 5 are required'
+        });
+      }
+      if ((food_rating != null && !isRating(food_rating)) || (delivery_rating != null && !isRating(delivery_rating))) {
+        return res.status(400).json({
+          success: false,
+          message: 'food_rating and delivery_rating must be between 1 and 5'
+        });
+      }
+
+      const { review, created } = await Restaurant.addReview(id, {
+        user_id, order_id, rating, review_text, food_rating, delivery_rating
+      });
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Review recorded' : 'Review already recorded for this order',
+        data: review
+      });
+
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(404).json({
+          success: false,
+          message: 'Restaurant not found'
+        });
+      }
+      console.error('Add review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record review',
+        error: error.message
+      });
+    }
+  }
+
   // Search restaurants with advanced filtering
   static async searchRestaurants(req, res) {
     try {
@@ -111,18 +205,21 @@ class CatalogController {
         search_query: req.query.q,
         sort_by: req.query.sort_by || 'distance',
         limit: Math.min(parseInt(req.query.limit) || 20, 100),
-        offset: parseInt(req.query.offset) || 0
+        offset: parseInt(req.query.offset) || 0,
+        // next_cursor from the previous page; takes precedence over offset
+        cursor: req.query.cursor !== undefined ? Math.max(parseInt(req.query.cursor) || 0, 0) : null
       };
 
-      const restaurants = await Restaurant.search(filters);
-      
+      const { restaurants, nextCursor } = await Restaurant.search(filters);
+
       res.json({
         success: true,
         data: restaurants,
         pagination: {
           limit: filters.limit,
           offset: filters.offset,
-          has_more: restaurants.length === filters.limit
+          next_cursor: nextCursor,
+          has_more: nextCursor !== null
         },
         filters_applied: filters
       });
@@ -137,6 +234,60 @@ class CatalogController {
     }
   }
 
+  // Search dishes and restaurants with typo tolerance and facet counts
+  static async search(req, res) {
+    try {
+      const params = SearchService.parseParams(req.query);
+      const { results, facets, total } = await SearchService.search(params);
+
+      res.json({
+        success: true,
+        data: results,
+        facets,
+        pagination: {
+          limit: params.limit,
+          offset: params.offset,
+          total,
+          has_more: params.offset + results.length < total
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof SearchError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      console.error('Search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search',
+        error: error.message
+      });
+    }
+  }
+
+  // Queue every restaurant for a rebuild of its search documents
+  static async reindexSearch(req, res) {
+    try {
+      const queued = await SearchService.reindexAll();
+      res.status(202).json({
+        success: true,
+        message: 'Search index rebuild queued',
+        data: { restaurants_queued: queued }
+      });
+    } catch (error) {
+      console.error('Search reindex error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue search reindex',
+        error: error.message
+      });
+    }
+  }
+
   // Get restaurant menu with dynamic pricing
   static async getRestaurantMenu(req, res) {
     try {
@@ -156,6 +307,7 @@ class CatalogController {
       }
 
       const menu = await Menu.getRestaurantMenu(id, options);
+      const availability = await AvailabilityService.forRestaurant(restaurant);
       
       res.json({
         success: true,
@@ -164,7 +316,8 @@ class CatalogController {
             id: restaurant.id,
             name: restaurant.name,
             cuisine_type: restaurant.cuisine_type,
-            is_open: restaurant.is_open,
+            is_open: availability.is_open,
+            availability,
             estimated_delivery_time_minutes: restaurant.estimated_delivery_time_minutes,
             delivery_fee_cents: restaurant.delivery_fee_cents,
             min_order_amount_cents: restaurant.min_order_amount_cents
@@ -232,6 +385,13 @@ class CatalogController {
         }
       }
 
+      if (itemData.category_id && !(await Menu.categoryBelongsTo(itemData.category_id, restaurantId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'category_id does not belong to this restaurant'
+        });
+      }
+
       const item = await Menu.createItem(restaurantId, itemData);
       
       res.status(201).json({
@@ -281,6 +441,127 @@ class CatalogController {
     }
   }
 
+  // Price a cart and return a signed quote for order placement and payment
+  static async createQuote(req, res) {
+    try {
+      const { restaurant_id, items, promo_code, coupon_codes, delivery_location } = req.body;
+      const isUuid = (value) => typeof value === 'string' && /^[0-9a-f-]{36}$/i.test(value);
+
+      if (!isUuid(restaurant_id) || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'restaurant_id and at least one item are required'
+        });
+      }
+      const invalidItem = items.find(item => !item || !isUuid(item.item_id) ||
+        !Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 50 ||
+        (item.customizations != null && typeof item.customizations !== 'object'));
+      if (invalidItem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs an item_id, a quantity between 1 and 50 and optional customizations'
+        });
+      }
+
+      const isCoordinate = (value, max) => typeof value === 'number' && Math.abs(value) <= max;
+      if (delivery_location !== undefined && (
+        !delivery_location || typeof delivery_location !== 'object' ||
+        !isCoordinate(delivery_location.latitude, 90) || !isCoordinate(delivery_location.longitude, 180))) {
+        return res.status(400).json({
+          success: false,
+          message: 'delivery_location needs a numeric latitude and longitude'
+        });
+      }
+      if (coupon_codes !== undefined && (!Array.isArray(coupon_codes) || coupon_codes.length > 5 ||
+        coupon_codes.some(code => typeof code !== 'string' || code.length === 0 || code.length > 50))) {
+        return res.status(400).json({
+          success: false,
+          message: 'coupon_codes must be a list of at most 5 codes'
+        });
+      }
+
+      // Quotes are bound to the authenticated caller; order-service and
+      // payment-service refuse them for anyone else
+      const userId = req.userId;
+
+      const result = await QuoteService.createQuote({
+        restaurantId: restaurant_id,
+        items,
+        promoCode: promo_code,
+        couponCodes: coupon_codes || [],
+        userId,
+        authorization: req.headers.authorization || null,
+        deliveryLocation: delivery_location || null
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result.quote,
+        quote_token: result.quote_token
+      });
+
+    } catch (error) {
+      if (error instanceof QuoteError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      console.error('Create quote error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to price order',
+        error: error.message
+      });
+    }
+  }
+
+  // Count an order placed with a quoted promotion against its usage limit
+  static async redeemPromotion(req, res) {
+    try {
+      const { order_id } = req.body;
+      if (!order_id) {
+        return res.status(400).json({ success: false, message: 'order_id is required' });
+      }
+
+      const redeemed = await Restaurant.redeemPromotion(req.params.id, order_id);
+      if (!redeemed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Promotion has reached its usage limit',
+          code: 'PROMO_EXHAUSTED'
+        });
+      }
+      res.json({ success: true });
+
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(404).json({ success: false, message: 'Promotion not found' });
+      }
+      console.error('Redeem promotion error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to redeem promotion',
+        error: error.message
+      });
+    }
+  }
+
+  static async reversePromotionRedemption(req, res) {
+    try {
+      const reversed = await Restaurant.reversePromotionRedemption(req.params.id, req.params.orderId);
+      res.json({ success: true, reversed });
+    } catch (error) {
+      console.error('Reverse promotion redemption error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reverse promotion redemption',
+        error: error.message
+      });
+    }
+  }
+
   // Create dynamic pricing rule
   static async createPricingRule(req, res) {
     try {
@@ -297,6 +578,14 @@ class CatalogController {
         }
       }
 
+      if (ruleData.item_id &&
+          String(await Menu.getItemRestaurantId(ruleData.item_id)) !== String(ruleData.restaurant_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'item_id does not belong to this restaurant'
+        });
+      }
+
       const rule = await Menu.createPricingRule(ruleData);
       
       res.status(201).json({
@@ -319,7 +608,7 @@ class CatalogController {
   static async updateOperatingStatus(req, res) {
     try {
       const { id } = req.params;
-      const { is_open, operating_hours } = req.body;
+      const { is_open, operating_hours, scheduled_slot_capacity } = req.body;
 
       if (typeof is_open !== 'boolean') {
         return res.status(400).json({
@@ -328,7 +617,25 @@ class CatalogController {
         });
       }
 
-      const restaurant = await Restaurant.updateOperatingStatus(id, is_open, operating_hours);
+      const hoursError = operating_hours ? AvailabilityService.validateHours(operating_hours) : null;
+      if (hoursError) {
+        return res.status(400).json({
+          success: false,
+          message: hoursError
+        });
+      }
+
+      if (scheduled_slot_capacity !== undefined &&
+          (!Number.isInteger(scheduled_slot_capacity) || scheduled_slot_capacity < 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'scheduled_slot_capacity must be a non-negative integer'
+        });
+      }
+
+      const restaurant = await Restaurant.updateOperatingStatus(
+        id, is_open, operating_hours, scheduled_slot_capacity === undefined ? null : scheduled_slot_capacity
+      );
       
       if (!restaurant) {
         return res.status(404).json({
@@ -353,6 +660,207 @@ class CatalogController {
     }
   }
 
+  // Whether a restaurant takes orders now and when it next opens. Other
+  // services may pass the number of orders its kitchen is working on.
+  static async getAvailability(req, res) {
+    try {
+      const { id } = req.params;
+      const restaurant = await Restaurant.getById(id);
+      if (!restaurant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Restaurant not found'
+        });
+      }
+
+      const activeOrders = isInternalRequest(req) && req.query.active_orders !== undefined
+        ? parseInt(req.query.active_orders, 10)
+        : null;
+
+      const availability = await AvailabilityService.forRestaurant(restaurant, {
+        activeOrders: Number.isInteger(activeOrders) && activeOrders >= 0 ? activeOrders : null
+      });
+
+      res.json({
+        success: true,
+        data: { restaurant_id: id, ...availability }
+      });
+
+    } catch (error) {
+      console.error('Get availability error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch restaurant availability',
+        error: error.message
+      });
+    }
+  }
+
+  // Pause or resume orders, mark the kitchen busy, or cap concurrent orders
+  static async updateAvailability(req, res) {
+    try {
+      const { id } = req.params;
+      const { pause_minutes, pause_reason, resume, busy_minutes, busy_extra_prep_minutes, max_active_orders } = req.body;
+      const isMinutes = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+      const settings = {};
+
+      if (resume === true) {
+        settings.paused_until = null;
+        settings.pause_reason = null;
+      } else if (pause_minutes !== undefined) {
+        if (!isMinutes(pause_minutes, 24 * 60) || pause_minutes === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'pause_minutes must be an integer between 1 and 1440'
+          });
+        }
+        settings.paused_until = new Date(Date.now() + pause_minutes * 60 * 1000);
+        settings.pause_reason = typeof pause_reason === 'string' ? pause_reason.slice(0, 255) : null;
+      }
+
+      if (busy_minutes !== undefined) {
+        if (!isMinutes(busy_minutes, 24 * 60)) {
+          return res.status(400).json({
+            success: false,
+            message: 'busy_minutes must be an integer between 0 and 1440'
+          });
+        }
+        settings.busy_until = busy_minutes > 0 ? new Date(Date.now() + busy_minutes * 60 * 1000) : null;
+      }
+
+      if (busy_extra_prep_minutes !== undefined) {
+        if (busy_extra_prep_minutes !== null && !isMinutes(busy_extra_prep_minutes, 120)) {
+          return res.status(400).json({
+            success: false,
+            message: 'busy_extra_prep_minutes must be an integer between 0 and 120'
+          });
+        }
+        settings.busy_extra_prep_minutes = busy_extra_prep_minutes;
+      }
+
+      if (max_active_orders !== undefined) {
+        if (max_active_orders !== null && (!Number.isInteger(max_active_orders) || max_active_orders < 1)) {
+          return res.status(400).json({
+            success: false,
+            message: 'max_active_orders must be a positive integer or null'
+          });
+        }
+        settings.max_active_orders = max_active_orders;
+      }
+
+      if (Object.keys(settings).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to update'
+        });
+      }
+
+      const restaurant = await Restaurant.updateAvailabilitySettings(id, settings);
+      if (!restaurant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Restaurant not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Availability updated successfully',
+        data: await AvailabilityService.forRestaurant(restaurant)
+      });
+
+    } catch (error) {
+      console.error('Update availability error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update availability',
+        error: error.message
+      });
+    }
+  }
+
+  // Upcoming holiday closures
+  static async getHolidays(req, res) {
+    try {
+      const holidays = await Restaurant.getHolidays(req.params.id, AvailabilityService.today());
+      res.json({
+        success: true,
+        data: holidays
+      });
+    } catch (error) {
+      console.error('Get holidays error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holidays',
+        error: error.message
+      });
+    }
+  }
+
+  static async addHoliday(req, res) {
+    try {
+      const { date, reason } = req.body;
+      if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'date must be YYYY-MM-DD'
+        });
+      }
+      if (date < AvailabilityService.today()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Holidays cannot be added in the past'
+        });
+      }
+
+      const holiday = await Restaurant.addHoliday(
+        req.params.id, date, typeof reason === 'string' ? reason.slice(0, 255) : null
+      );
+      res.status(201).json({
+        success: true,
+        message: 'Holiday added successfully',
+        data: holiday
+      });
+    } catch (error) {
+      console.error('Add holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add holiday',
+        error: error.message
+      });
+    }
+  }
+
+  static async removeHoliday(req, res) {
+    try {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'date must be YYYY-MM-DD'
+        });
+      }
+
+      const removed = await Restaurant.removeHoliday(req.params.id, req.params.date);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Holiday removed successfully'
+      });
+    } catch (error) {
+      console.error('Remove holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove holiday',
+        error: error.message
+      });
+    }
+  }
+
   // Bulk update menu item availability
   static async bulkUpdateAvailability(req, res) {
     try {
@@ -388,7 +896,9 @@ class CatalogController {
   static async updateInventory(req, res) {
     try {
       const { itemId } = req.params;
-      const { change_type, quantity_change, reason, user_id } = req.body;
+      const { change_type, quantity_change, reason } = req.body;
+      // Service callers may name the user they act for; merchants log as themselves
+      const user_id = req.userId || req.body.user_id || null;
 
       // Validate required fields
       if (!change_type || typeof quantity_change !== 'number') {
@@ -415,6 +925,13 @@ class CatalogController {
       });
 
     } catch (error) {
+      if (error.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
+          success: false,
+          message: 'Insufficient stock',
+          code: 'INSUFFICIENT_STOCK'
+        });
+      }
       console.error('Update inventory error:', error);
       res.status(500).json({
         success: false,
@@ -1,4 +1,5 @@
 const pool = require('../config/database');
+const { AvailabilityService } = require('../services/availability.service');
 
 function isFiniteNumber(n) { return typeof n === 'number' && Number.isFinite(n); }
 function toNumber(v) { const n = typeof v === 'string' ? Number(v) : v; return Number.isFinite(n) ? n : NaN; }
@@ -115,15 +116,16 @@ exports.getMerchantById = async (req, res) => {
 exports.getMerchantMenu = async (req, res) => {
   const { id } = req.params;
   try {
-    const merchant = await pool.query('SELECT id FROM restaurants WHERE id = $1 AND is_active = true', [id]);
+    const merchant = await pool.query('SELECT * FROM restaurants WHERE id = $1 AND is_active = true', [id]);
     if (merchant.rows.length === 0) return res.status(404).json({ success: false, message: 'Merchant not found' });
+    const availability = await AvailabilityService.forRestaurant(merchant.rows[0]);
 
     const { rows } = await pool.query(
       `SELECT id, name, ROUND(price * 100)::int AS price_cents, (NOT is_available) AS is_out_of_stock
        FROM menu_items WHERE restaurant_id = $1 ORDER BY is_featured DESC, display_order ASC, name ASC`,
       [id]
     );
-    return res.json({ items: rows });
+    return res.json({ items: rows, availability });
   } catch (err) {
     console.error('getMerchantMenu error', err);
     return res.status(500).json({ success: false, message: 'Internal error' });
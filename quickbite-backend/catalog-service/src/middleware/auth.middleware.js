@@ -0,0 +1,62 @@
+const { verifyAccessToken, TokenVerificationError } = require('@quickbite/jwt-verifier');
+const gatewayIdentity = require('@quickbite/gateway-identity');
+
+// Identifies the caller for catalog write endpoints. Accepts the identity
+// headers the API gateway signs when TRUST_GATEWAY_HEADERS is enabled
+// and otherwise verifies the bearer token against auth-service's JWKS
+// (AUTH_JWKS_URL) or introspects it. Unlike the read endpoints these routes
+// never run anonymously, so with no way to verify a token they refuse all
+// callers.
+module.exports = async function authMiddleware(req, res, next) {
+  const forwarded = process.env.TRUST_GATEWAY_HEADERS === 'true' ? gatewayIdentity.verify(req) : null;
+  if (forwarded) {
+    req.userId = forwarded.userId;
+    req.userRole = forwarded.role;
+    req.storeId = forwarded.storeId;
+    return next();
+  }
+
+  const header = req.headers['authorization'] || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (!m) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+
+  if (process.env.AUTH_JWKS_URL) { // e.g., http://localhost:3001/.well-known/jwks.json
+    try {
+      const identity = await verifyAccessToken(m[1]);
+      req.userId = identity.userId;
+      req.userRole = identity.role;
+      req.storeId = identity.storeId;
+      req.accessToken = m[1];
+      return next();
+    } catch (e) {
+      if (e instanceof TokenVerificationError) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+      }
+      return res.status(503).json({ success: false, message: 'Authentication service unavailable' });
+    }
+  }
+
+  const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
+  if (!url) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: m[1] }),
+    });
+    const data = await r.json();
+    if (!data.active) return res.status(401).json({ success: false, message: 'Unauthorized' });
+    req.userId = data.user_id;
+    req.userRole = data.role || null;
+    req.storeId = data.store_id || null;
+    req.accessToken = m[1];
+    next();
+  } catch (e) {
+    return res.status(503).json({ success: false, message: 'Authentication service unavailable' });
+  }
+};
@@ -0,0 +1,65 @@
+const Restaurant = require('../models/restaurant.model');
+const Menu = require('../models/menu.model');
+const { isInternalRequest } = require('@quickbite/internal-auth');
+const { STAFF_ROLE, isPlatformAdmin, forbidden } = require('@quickbite/rbac');
+
+// Restaurant access on top of the shared role checks. The restaurant's owner
+// is whoever its owner_id names, whatever their role.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Owners and platform admins may do anything to a restaurant; staff may run
+// its day-to-day operations but not `ownerOnly` actions.
+function canManage(req, restaurant, ownerOnly) {
+  if (isPlatformAdmin(req)) return true;
+  if (restaurant.owner_id && String(restaurant.owner_id) === String(req.userId)) return true;
+  return !ownerOnly && req.userRole === STAFF_ROLE && String(req.storeId) === String(restaurant.id);
+}
+
+// Where the restaurant a request acts on comes from
+const restaurantFrom = {
+  param: (name) => (req) => req.params[name],
+  body: (name) => (req) => req.body && req.body[name],
+  menuItem: (name = 'itemId') => async (req) => {
+    if (!UUID_PATTERN.test(req.params[name] || '')) return null;
+    return Menu.getItemRestaurantId(req.params[name]);
+  }
+};
+
+function requireRestaurantAccess(resolve, { ownerOnly = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const restaurantId = await resolve(req);
+      const restaurant = UUID_PATTERN.test(restaurantId || '') ? await Restaurant.getOwnership(restaurantId) : null;
+      if (!restaurant) {
+        return res.status(404).json({ success: false, message: 'Restaurant not found' });
+      }
+      if (!canManage(req, restaurant, ownerOnly)) {
+        return forbidden(res, 'You do not have access to this restaurant');
+      }
+      req.restaurant = restaurant;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Lets other services through on their internal token; everyone else must
+// pass `guards` in order
+function internalOr(...guards) {
+  return (req, res, next) => {
+    if (isInternalRequest(req)) return next();
+    const run = (i) => (error) => {
+      if (error) return next(error);
+      if (i === guards.length) return next();
+      guards[i](req, res, run(i + 1));
+    };
+    run(0)();
+  };
+}
+
+module.exports = {
+  requireRestaurantAccess,
+  restaurantFrom,
+  internalOr
+};
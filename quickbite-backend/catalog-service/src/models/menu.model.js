@@ -48,6 +48,20 @@ class Menu {
     return rows[0];
   }
 
+  // Restaurant a menu item belongs to, or null for an unknown item
+  static async getItemRestaurantId(itemId) {
+    const { rows } = await pool.query('SELECT restaurant_id FROM menu_items WHERE id = $1', [itemId]);
+    return rows[0] ? rows[0].restaurant_id : null;
+  }
+
+  static async categoryBelongsTo(categoryId, restaurantId) {
+    const { rows } = await pool.query(
+      'SELECT 1 FROM menu_categories WHERE id = $1 AND restaurant_id = $2',
+      [categoryId, restaurantId]
+    );
+    return rows.length > 0;
+  }
+
   // Get full menu for restaurant with pricing
   static async getRestaurantMenu(restaurantId, options = {}) {
     const { include_unavailable = false, category_id = null } = options;
@@ -1,5 +1,13 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const { SearchService } = require('../services/search.service');
+const { AvailabilityService } = require('../services/availability.service');
+const { ZoneService } = require('../services/zone.service');
+
+// Restaurant.search reads candidate rows in batches of SEARCH_BATCH_SIZE
+// and at most SEARCH_SCAN_LIMIT rows per request before handing back a cursor
+const SEARCH_BATCH_SIZE = parseInt(process.env.RESTAURANT_SEARCH_BATCH_SIZE || '100', 10);
+const SEARCH_SCAN_LIMIT = parseInt(process.env.RESTAURANT_SEARCH_SCAN_LIMIT || '1000', 10);
 
 // Enhanced restaurant model with advanced features
 class Restaurant {
@@ -21,7 +29,7 @@ class Restaurant {
         address TEXT NOT NULL,
         latitude DECIMAL(10,8),
         longitude DECIMAL(11,8),
-        delivery_radius_km DECIMAL(4,2) DEFAULT 5.0,
+        delivery_radius_km DECIMAL(4,2) DEFAULT 5.0, -- Unused; delivery zones decide where a restaurant delivers
         
         -- Business information
         operating_hours JSONB, -- {monday: {open: "09:00", close: "22:00"}, ...}
@@ -181,6 +189,25 @@ class Restaurant {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Scheduled orders order-service accepts per delivery slot
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS scheduled_slot_capacity INTEGER DEFAULT 10;
+
+      -- Temporary pauses and busy throttling on top of operating_hours
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS paused_until TIMESTAMPTZ;
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS pause_reason TEXT;
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS busy_until TIMESTAMPTZ;
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS busy_extra_prep_minutes INTEGER;
+      ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS max_active_orders INTEGER; -- NULL for no limit
+
+      -- Days a restaurant is closed regardless of its hours
+      CREATE TABLE IF NOT EXISTS restaurant_holidays (
+        restaurant_id UUID REFERENCES restaurants(id) ON DELETE CASCADE,
+        holiday_date DATE NOT NULL,
+        reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (restaurant_id, holiday_date)
+      );
+
       -- Indexes for performance
       CREATE INDEX IF NOT EXISTS idx_restaurants_location ON restaurants(latitude, longitude);
       CREATE INDEX IF NOT EXISTS idx_restaurants_cuisine ON restaurants(cuisine_type);
@@ -188,7 +215,16 @@ class Restaurant {
       CREATE INDEX IF NOT EXISTS idx_menu_items_category ON menu_items(category_id);
       CREATE INDEX IF NOT EXISTS idx_menu_items_availability ON menu_items(is_available, is_active);
       CREATE INDEX IF NOT EXISTS idx_reviews_restaurant ON restaurant_reviews(restaurant_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_order ON restaurant_reviews(order_id) WHERE order_id IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_promotions_restaurant ON restaurant_promotions(restaurant_id, is_active);
+
+      -- Orders placed with a promotion; usage_count counts these rows
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        promotion_id UUID REFERENCES restaurant_promotions(id) ON DELETE CASCADE,
+        order_id UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (promotion_id, order_id)
+      );
     `;
     
     await pool.query(sql);
@@ -226,14 +262,11 @@ class Restaurant {
 
   // Get restaurant by ID with full details
   static async getById(id) {
+    // average_rating / total_reviews are rolled up by addReview
     const { rows } = await pool.query(`
-      SELECT r.*, 
-        COUNT(rv.id) as total_reviews,
-        COALESCE(AVG(rv.rating), 0) as avg_rating
+      SELECT r.*, r.average_rating as avg_rating
       FROM restaurants r
-      LEFT JOIN restaurant_reviews rv ON r.id = rv.restaurant_id
       WHERE r.id = $1 AND r.is_active = true
-      GROUP BY r.id
     `, [id]);
 
     if (rows.length === 0) return null;
@@ -247,27 +280,39 @@ class Restaurant {
     return restaurant;
   }
 
+  // Who may manage a restaurant; includes inactive restaurants
+  static async getOwnership(id) {
+    const { rows } = await pool.query('SELECT id, owner_id FROM restaurants WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
   // Search restaurants with advanced filtering
+  // Whether a restaurant is open depends on its hours, holidays and pauses,
+  // and whether it delivers to the customer on the delivery zones; both are
+  // evaluated here rather than in SQL. Candidates are therefore read page by
+  // page in SQL order from `cursor` (a position in that order) until `limit`
+  // of them pass, reading at most SEARCH_SCAN_LIMIT rows. Resolves to
+  // { restaurants, nextCursor }; nextCursor is where the following page
+  // starts, or null once there are no more rows. Without a cursor, `offset`
+  // skips that many matching restaurants from the start.
   static async search(filters = {}) {
     const {
       latitude, longitude, radius = 5,
       cuisine_type, min_rating = 0, is_open = true,
       delivery_fee_max, min_order_max,
       search_query, sort_by = 'distance',
-      limit = 20, offset = 0
+      limit = 20, offset = 0, cursor = null
     } = filters;
 
     let query = `
       SELECT r.*, 
-        COUNT(rv.id) as total_reviews,
-        COALESCE(AVG(rv.rating), 0) as avg_rating,
+        r.average_rating as avg_rating,
         ${latitude && longitude ? `
           (6371 * acos(cos(radians($1)) * cos(radians(r.latitude)) * 
            cos(radians(r.longitude) - radians($2)) + 
            sin(radians($1)) * sin(radians(r.latitude)))) AS distance
         ` : '0 as distance'}
       FROM restaurants r
-      LEFT JOIN restaurant_reviews rv ON r.id = rv.restaurant_id
       WHERE r.is_active = true
     `;
 
@@ -292,22 +337,24 @@ class Restaurant {
       paramIndex++;
     }
 
-    if (is_open !== undefined) {
-      query += ` AND r.is_open = $${paramIndex}`;
-      params.push(is_open);
-      paramIndex++;
+    // Closed restaurants can never be open now
+    if (is_open) {
+      query += ' AND r.is_open = true';
     }
 
-    if (search_query) {
-      query += ` AND (r.name ILIKE $${paramIndex} OR r.description ILIKE $${paramIndex})`;
-      params.push(`%${search_query}%`);
+    // Matches the restaurant's own text or any of its dishes
+    const textQuery = search_query ? SearchService.prefixQuery(search_query) : null;
+    if (textQuery) {
+      query += ` AND r.id IN (
+        SELECT sd.restaurant_id FROM search_documents sd
+        WHERE sd.document @@ to_tsquery('simple', $${paramIndex})
+      )`;
+      params.push(textQuery);
       paramIndex++;
     }
 
-    query += ` GROUP BY r.id`;
-
     if (min_rating > 0) {
-      query += ` HAVING COALESCE(AVG(rv.rating), 0) >= $${paramIndex}`;
+      query += ` AND r.average_rating >= $${paramIndex}`;
       params.push(min_rating);
       paramIndex++;
     }
@@ -321,12 +368,44 @@ class Restaurant {
       popularity: 'r.total_reviews DESC'
     };
 
-    query += ` ORDER BY ${sortOptions[sort_by] || sortOptions.distance}`;
+    // r.id breaks ties so every row has one position across pages
+    query += ` ORDER BY ${sortOptions[sort_by] || sortOptions.distance}, r.id`;
     query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(limit, offset);
 
-    const { rows } = await pool.query(query, params);
-    return rows;
+    const start = cursor !== null ? cursor : 0;
+    const restaurants = [];
+    let position = start;
+    let skip = cursor !== null ? 0 : offset;
+    let scanned = 0;
+
+    while (restaurants.length < limit) {
+      if (scanned >= SEARCH_SCAN_LIMIT) return { restaurants, nextCursor: position };
+
+      const batchSize = Math.min(SEARCH_BATCH_SIZE, SEARCH_SCAN_LIMIT - scanned);
+      const { rows } = await pool.query(query, [...params, batchSize, start + scanned]);
+      await AvailabilityService.annotate(rows);
+
+      const open = rows.filter(r => !is_open || r.availability.is_open);
+      const matches = new Set(latitude && longitude
+        ? await ZoneService.filterServiceable(open, latitude, longitude)
+        : open);
+
+      for (const row of rows) {
+        if (restaurants.length === limit) break;
+        position++;
+        if (!matches.has(row)) continue;
+        if (skip > 0) skip--;
+        else restaurants.push(row);
+      }
+      scanned += rows.length;
+
+      // Out of rows; the page may still have filled before the last of them
+      if (rows.length < batchSize) {
+        return { restaurants, nextCursor: position < start + scanned ? position : null };
+      }
+    }
+
+    return { restaurants, nextCursor: position };
   }
 
   // Get menu categories for a restaurant
@@ -373,22 +452,123 @@ class Restaurant {
     return rows;
   }
 
+  // Count an order against a promotion's usage limit. Resolves to false when
+  // the limit has been reached; redeeming the same order again is a no-op.
+  static async redeemPromotion(promotionId, orderId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows: inserted } = await client.query(
+        `INSERT INTO promotion_redemptions (promotion_id, order_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING RETURNING order_id`,
+        [promotionId, orderId]
+      );
+      if (inserted.length === 0) {
+        await client.query('COMMIT');
+        return true;
+      }
+
+      const { rows: counted } = await client.query(
+        `UPDATE restaurant_promotions SET usage_count = COALESCE(usage_count, 0) + 1
+         WHERE id = $1 AND (usage_limit IS NULL OR COALESCE(usage_count, 0) < usage_limit)
+         RETURNING id`,
+        [promotionId]
+      );
+      await client.query(counted.length > 0 ? 'COMMIT' : 'ROLLBACK');
+      return counted.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Give the usage back, e.g. when the order could not be placed after all
+  static async reversePromotionRedemption(promotionId, orderId) {
+    const { rowCount } = await pool.query(`
+      WITH removed AS (
+        DELETE FROM promotion_redemptions WHERE promotion_id = $1 AND order_id = $2 RETURNING promotion_id
+      )
+      UPDATE restaurant_promotions SET usage_count = GREATEST(COALESCE(usage_count, 0) - 1, 0)
+      WHERE id IN (SELECT promotion_id FROM removed)
+    `, [promotionId, orderId]);
+
+    return rowCount > 0;
+  }
+
   // Update restaurant operating hours and status
-  static async updateOperatingStatus(id, isOpen, operatingHours = null) {
-    const params = [isOpen, id];
+  static async updateOperatingStatus(id, isOpen, operatingHours = null, scheduledSlotCapacity = null) {
+    const params = [isOpen];
     let query = 'UPDATE restaurants SET is_open = $1, updated_at = CURRENT_TIMESTAMP';
     
     if (operatingHours) {
-      query += ', operating_hours = $3';
-      params.splice(1, 0, JSON.stringify(operatingHours));
+      params.push(JSON.stringify(operatingHours));
+      query += `, operating_hours = $${params.length}`;
+    }
+    if (scheduledSlotCapacity !== null) {
+      params.push(scheduledSlotCapacity);
+      query += `, scheduled_slot_capacity = $${params.length}`;
     }
     
+    params.push(id);
     query += ' WHERE id = $' + params.length + ' RETURNING *';
     
     const { rows } = await pool.query(query, params);
     return rows[0];
   }
 
+  // Pause, busy and kitchen capacity settings. `settings` holds only the
+  // fields being changed; null clears a setting.
+  static async updateAvailabilitySettings(id, settings) {
+    const columns = ['paused_until', 'pause_reason', 'busy_until', 'busy_extra_prep_minutes', 'max_active_orders'];
+    const params = [];
+    let query = 'UPDATE restaurants SET updated_at = CURRENT_TIMESTAMP';
+
+    for (const column of columns) {
+      if (settings[column] === undefined) continue;
+      params.push(settings[column]);
+      query += `, ${column} = $${params.length}`;
+    }
+
+    params.push(id);
+    query += ' WHERE id = $' + params.length + ' RETURNING *';
+
+    const { rows } = await pool.query(query, params);
+    return rows[0];
+  }
+
+  // Holiday closures from `fromDate` (YYYY-MM-DD) on
+  static async getHolidays(id, fromDate) {
+    const { rows } = await pool.query(`
+      SELECT to_char(holiday_date, 'YYYY-MM-DD') AS date, reason
+      FROM restaurant_holidays
+      WHERE restaurant_id = $1 AND holiday_date >= $2
+      ORDER BY holiday_date
+    `, [id, fromDate]);
+    return rows;
+  }
+
+  static async addHoliday(id, date, reason = null) {
+    const { rows } = await pool.query(`
+      INSERT INTO restaurant_holidays (restaurant_id, holiday_date, reason)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (restaurant_id, holiday_date) DO UPDATE SET reason = EXCLUDED.reason
+      RETURNING to_char(holiday_date, 'YYYY-MM-DD') AS date, reason
+    `, [id, date, reason]);
+    return rows[0];
+  }
+
+  static async removeHoliday(id, date) {
+    const { rowCount } = await pool.query(
+      'DELETE FROM restaurant_holidays WHERE restaurant_id = $1 AND holiday_date = $2',
+      [id, date]
+    );
+    return rowCount > 0;
+  }
+
   // Calculate dynamic pricing for an item
   static async calculateDynamicPrice(itemId, currentTime = new Date()) {
     const { rows: itemRows } = await pool.query(
@@ -475,6 +655,9 @@ class Restaurant {
       
       if (itemRows.length === 0) throw new Error('Item not found');
       
+      // NULL stock means the item is not stock-tracked (unlimited); sales and
+      // restocks of such items only move the counters. Adjustments start tracking.
+      const isTracked = itemRows[0].stock_quantity !== null || !['sale', 'restock'].includes(changeType);
       const currentQuantity = itemRows[0].stock_quantity || 0;
       const soldToday = itemRows[0].sold_today || 0;
       
@@ -482,6 +665,11 @@ class Restaurant {
       let newSoldToday = soldToday;
       
       if (changeType === 'sale') {
+        if (isTracked && currentQuantity < Math.abs(quantityChange)) {
+          const error = new Error('Insufficient stock');
+          error.code = 'INSUFFICIENT_STOCK';
+          throw error;
+        }
         newQuantity = Math.max(0, currentQuantity - Math.abs(quantityChange));
         newSoldToday = soldToday + Math.abs(quantityChange);
       } else if (changeType === 'restock') {
@@ -493,9 +681,9 @@ class Restaurant {
       // Update menu item
       await client.query(
         `UPDATE menu_items 
-         SET stock_quantity = $2, sold_today = $3, is_available = $4, updated_at = CURRENT_TIMESTAMP
+         SET stock_quantity = $2, sold_today = $3, is_available = COALESCE($4, is_available), updated_at = CURRENT_TIMESTAMP
          WHERE id = $1`,
-        [itemId, newQuantity, newSoldToday, newQuantity > 0]
+        [itemId, isTracked ? newQuantity : null, newSoldToday, isTracked ? newQuantity > 0 : null]
       );
       
       // Log inventory change
@@ -503,11 +691,11 @@ class Restaurant {
       await client.query(
         `INSERT INTO inventory_logs (id, item_id, change_type, quantity_change, previous_quantity, new_quantity, reason, user_id)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [logId, itemId, changeType, quantityChange, currentQuantity, newQuantity, reason, userId]
+        [logId, itemId, changeType, quantityChange, itemRows[0].stock_quantity, isTracked ? newQuantity : null, reason, userId]
       );
       
       await client.query('COMMIT');
-      return { success: true, new_quantity: newQuantity };
+      return { success: true, new_quantity: isTracked ? newQuantity : null };
       
     } catch (error) {
       await client.query('ROLLBACK');
@@ -516,6 +704,85 @@ class Restaurant {
       client.release();
     }
   }
+
+  // Store a verified review for a delivered order and refresh the restaurant's
+  // rolled-up rating. Re-submitting the same order is a no-op.
+  static async addReview(restaurantId, reviewData) {
+    const {
+      user_id, order_id, rating, review_text = null,
+      food_rating = null, delivery_rating = null, service_rating = null
+    } = reviewData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(`
+        INSERT INTO restaurant_reviews (
+          id, restaurant_id, user_id, order_id, rating, review_text,
+          food_rating, delivery_rating, service_rating, is_verified
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+        ON CONFLICT (order_id) WHERE order_id IS NOT NULL DO NOTHING
+        RETURNING *
+      `, [uuidv4(), restaurantId, user_id, order_id, rating, review_text, food_rating, delivery_rating, service_rating]);
+
+      if (rows.length === 0) {
+        await client.query('COMMIT');
+        const existing = await pool.query('SELECT * FROM restaurant_reviews WHERE order_id = $1', [order_id]);
+        return { review: existing.rows[0], created: false };
+      }
+
+      await client.query(`
+        UPDATE restaurants r
+        SET average_rating = stats.avg_rating, total_reviews = stats.review_count, updated_at = CURRENT_TIMESTAMP
+        FROM (
+          SELECT ROUND(AVG(rating)::numeric, 2) AS avg_rating, COUNT(*) AS review_count
+          FROM restaurant_reviews WHERE restaurant_id = $1
+        ) stats
+        WHERE r.id = $1
+      `, [restaurantId]);
+
+      await client.query('COMMIT');
+      return { review: rows[0], created: true };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Public, paginated reviews with the rating distribution
+  static async getReviews(restaurantId, { sort = 'recent', limit = 20, offset = 0 } = {}) {
+    const sortOptions = {
+      recent: 'created_at DESC',
+      rating_high: 'rating DESC, created_at DESC',
+      rating_low: 'rating ASC, created_at DESC',
+      helpful: 'helpful_count DESC, created_at DESC'
+    };
+
+    const { rows } = await pool.query(`
+      SELECT id, rating, review_text, food_rating, delivery_rating, service_rating,
+        photos, is_verified, helpful_count, created_at
+      FROM restaurant_reviews
+      WHERE restaurant_id = $1
+      ORDER BY ${sortOptions[sort] || sortOptions.recent}
+      LIMIT $2 OFFSET $3
+    `, [restaurantId, limit, offset]);
+
+    const { rows: distribution } = await pool.query(`
+      SELECT rating, COUNT(*)::int as count
+      FROM restaurant_reviews
+      WHERE restaurant_id = $1
+      GROUP BY rating
+    `, [restaurantId]);
+
+    const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(d => { ratingBreakdown[d.rating] = d.count; });
+    const total = Object.values(ratingBreakdown).reduce((sum, c) => sum + c, 0);
+
+    return { reviews: rows, total, rating_breakdown: ratingBreakdown };
+  }
 }
 
 module.exports = Restaurant;
\ No newline at end of file
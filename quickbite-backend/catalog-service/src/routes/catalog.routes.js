@@ -1,30 +1,54 @@
 const express = require('express');
 const CatalogController = require('../controllers/catalog.controller');
+const requireInternal = require('@quickbite/internal-auth');
+const auth = require('../middleware/auth.middleware');
+const { PLATFORM_ADMIN_ROLES, STAFF_ROLE, requireRole, requirePlatformAdmin } = require('@quickbite/rbac');
+const { requireRestaurantAccess, restaurantFrom, internalOr } = require('../middleware/rbac.middleware');
 
 const router = express.Router();
 
+// Reads are public. Writes need the restaurant's owner, its staff (for
+// day-to-day operations) or a platform admin; a few also accept other
+// services on their internal token.
+const manageRestaurant = (from) => requireRestaurantAccess(from);
+const ownRestaurant = (from) => requireRestaurantAccess(from, { ownerOnly: true });
+
 // System routes
-router.post('/init', CatalogController.initialize);
+router.post('/init', auth, requirePlatformAdmin, CatalogController.initialize);
+
+// Search routes
+router.get('/search', CatalogController.search);
+router.post('/search/reindex', auth, requirePlatformAdmin, CatalogController.reindexSearch);
 
 // Restaurant management routes
-router.post('/restaurants', CatalogController.createRestaurant);
+router.post('/restaurants', auth, requireRole(STAFF_ROLE, ...PLATFORM_ADMIN_ROLES), CatalogController.createRestaurant);
 router.get('/restaurants/search', CatalogController.searchRestaurants);
 router.get('/restaurants/:id', CatalogController.getRestaurant);
-router.patch('/restaurants/:id/operating-status', CatalogController.updateOperatingStatus);
+router.patch('/restaurants/:id/operating-status', auth, manageRestaurant(restaurantFrom.param('id')), CatalogController.updateOperatingStatus);
+router.get('/restaurants/:id/availability', CatalogController.getAvailability);
+router.patch('/restaurants/:id/availability', auth, manageRestaurant(restaurantFrom.param('id')), CatalogController.updateAvailability);
+router.get('/restaurants/:id/holidays', CatalogController.getHolidays);
+router.post('/restaurants/:id/holidays', auth, manageRestaurant(restaurantFrom.param('id')), CatalogController.addHoliday);
+router.delete('/restaurants/:id/holidays/:date', auth, manageRestaurant(restaurantFrom.param('id')), CatalogController.removeHoliday);
+router.get('/restaurants/:id/reviews', CatalogController.getRestaurantReviews);
+router.post('/restaurants/:id/reviews', requireInternal, CatalogController.addReview);
 router.get('/restaurants/:restaurantId/dashboard', CatalogController.getRestaurantDashboard);
 
 // Menu management routes
 router.get('/restaurants/:id/menu', CatalogController.getRestaurantMenu);
-router.post('/restaurants/:restaurantId/menu/categories', CatalogController.createMenuCategory);
-router.post('/restaurants/:restaurantId/menu/items', CatalogController.createMenuItem);
-router.patch('/restaurants/:restaurantId/menu/availability', CatalogController.bulkUpdateAvailability);
+router.post('/restaurants/:restaurantId/menu/categories', auth, manageRestaurant(restaurantFrom.param('restaurantId')), CatalogController.createMenuCategory);
+router.post('/restaurants/:restaurantId/menu/items', auth, manageRestaurant(restaurantFrom.param('restaurantId')), CatalogController.createMenuItem);
+router.patch('/restaurants/:restaurantId/menu/availability', auth, manageRestaurant(restaurantFrom.param('restaurantId')), CatalogController.bulkUpdateAvailability);
 
 // Dynamic pricing routes
 router.get('/menu-items/:itemId/pricing', CatalogController.getItemPricing);
-router.post('/pricing-rules', CatalogController.createPricingRule);
+router.post('/pricing-rules', auth, ownRestaurant(restaurantFrom.body('restaurant_id')), CatalogController.createPricingRule);
+router.post('/quotes', auth, CatalogController.createQuote);
+router.post('/promotions/:id/redemptions', requireInternal, CatalogController.redeemPromotion);
+router.delete('/promotions/:id/redemptions/:orderId', requireInternal, CatalogController.reversePromotionRedemption);
 
 // Inventory management routes
-router.patch('/menu-items/:itemId/inventory', CatalogController.updateInventory);
+router.patch('/menu-items/:itemId/inventory', internalOr(auth, manageRestaurant(restaurantFrom.menuItem())), CatalogController.updateInventory);
 router.get('/restaurants/:restaurantId/low-stock-alerts', CatalogController.getLowStockAlerts);
 
 // Analytics routes
@@ -32,8 +56,8 @@ router.get('/restaurants/:restaurantId/popular-items', CatalogController.getPopu
 router.get('/restaurants/:restaurantId/menu-analytics', CatalogController.getMenuAnalytics);
 
 // System maintenance routes (typically for cron jobs)
-router.post('/restaurants/:restaurantId/reset-daily-counters', CatalogController.resetDailyCounters);
-router.post('/restaurants/:restaurantId/update-popularity-scores', CatalogController.updatePopularityScores);
+router.post('/restaurants/:restaurantId/reset-daily-counters', internalOr(auth, ownRestaurant(restaurantFrom.param('restaurantId'))), CatalogController.resetDailyCounters);
+router.post('/restaurants/:restaurantId/update-popularity-scores', internalOr(auth, ownRestaurant(restaurantFrom.param('restaurantId'))), CatalogController.updatePopularityScores);
 
 // Health check
 router.get('/health', (req, res) => {
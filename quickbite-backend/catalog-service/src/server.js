@@ -9,6 +9,7 @@ dotenv.config();
 // Import routes
 const catalogRoutes = require('./routes/catalog.routes');
 const merchantsRoutes = require('./routes/merchants.routes');
+const { SearchService } = require('./services/search.service');
 
 const app = express();
 
@@ -40,7 +41,8 @@ app.get('/health', (req, res) => {
       'advanced_restaurant_management',
       'dynamic_pricing',
       'inventory_management',
-      'real_time_analytics'
+      'real_time_analytics',
+      'dish_search'
     ],
     timestamp: new Date().toISOString() 
   });
@@ -91,4 +93,9 @@ app.listen(PORT, () => {
   console.log(`📚 Catalog Service running on port ${PORT}`);
 });
 
+// Keep the search index in step with catalog edits
+SearchService.ensureSchema()
+  .then(() => SearchService.start())
+  .catch((e) => console.error('Search index setup failed', e));
+
 module.exports = app;
@@ -0,0 +1,225 @@
+const pool = require('../config/database');
+
+const TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata';
+const LOOKAHEAD_DAYS = parseInt(process.env.AVAILABILITY_LOOKAHEAD_DAYS || '14', 10);
+const DEFAULT_BUSY_EXTRA_PREP_MINUTES = parseInt(process.env.BUSY_EXTRA_PREP_MINUTES || '15', 10);
+// Share of max_active_orders at which a kitchen counts as busy
+const BUSY_LOAD_RATIO = parseFloat(process.env.BUSY_LOAD_RATIO || '0.8');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const STATUS = { OPEN: 'OPEN', BUSY: 'BUSY', PAUSED: 'PAUSED', CLOSED: 'CLOSED' };
+
+const localFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE, hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+// Calendar date (YYYY-MM-DD) and minute of day of `instant` in the restaurant timezone
+function localTime(instant) {
+  const p = Object.fromEntries(localFormat.formatToParts(instant).map(({ type, value }) => [type, value]));
+  return { date: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+// The instant `minutes` after local midnight on `date`; minutes past 24h
+// roll into the next day
+function localInstant(date, minutes) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  const seen = localTime(new Date(guess));
+  const [sy, sm, sd] = seen.date.split('-').map(Number);
+  const offset = Date.UTC(sy, sm - 1, sd, 0, seen.minutes) - guess;
+  return new Date(guess - offset);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+const isFuture = (value, now) => value && new Date(value).getTime() > now.getTime();
+
+// Works out whether a restaurant takes orders right now and, if not, when
+// it next will. operating_hours holds, per weekday, one {open, close} pair,
+// a list of them for split shifts, or {is_open: false} for a closed day; a
+// close at or before the open time runs past midnight. On top of the hours
+// come holiday closures, the manual is_open / is_accepting_orders switches,
+// temporary pauses, and busy throttling from the merchant or kitchen load.
+class AvailabilityService {
+
+  // Local calendar date (YYYY-MM-DD) at `now`
+  static today(now = new Date()) {
+    return localTime(now).date;
+  }
+
+  // Opening shifts configured for a weekday, in minutes after local midnight
+  static shiftsFor(hours, day) {
+    const entry = hours && hours[day];
+    if (!entry) return [];
+    const shifts = Array.isArray(entry) ? entry : [entry];
+
+    return shifts
+      .filter(shift => shift && shift.is_open !== false)
+      .map(shift => {
+        const open = parseClock(shift.open);
+        let close = parseClock(shift.close);
+        if (open === null || close === null) return null;
+        if (close <= open) close += 24 * 60;
+        return { open, close };
+      })
+      .filter(Boolean);
+  }
+
+  // Why `hours` is not a valid operating_hours value, or null
+  static validateHours(hours) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      return 'operating_hours must be an object keyed by weekday';
+    }
+    for (const [day, entry] of Object.entries(hours)) {
+      if (!DAYS.includes(day)) return `Unknown weekday in operating_hours: ${day}`;
+      if (entry === null) continue;
+      for (const shift of Array.isArray(entry) ? entry : [entry]) {
+        if (!shift || typeof shift !== 'object') return `Invalid hours for ${day}`;
+        if (shift.is_open === false) continue;
+        if (parseClock(shift.open) === null || parseClock(shift.close) === null) {
+          return `Hours for ${day} need open and close times as HH:MM`;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Opening windows that start on local `date`, unless it is a holiday. A
+  // holiday does not cut short the previous night's late shift.
+  static windowsOn(restaurant, date, holidays) {
+    if (holidays.has(date)) return [];
+    return this.shiftsFor(restaurant.operating_hours, weekday(date)).map(shift => ({
+      start: localInstant(date, shift.open),
+      end: localInstant(date, shift.close)
+    }));
+  }
+
+  static currentWindow(restaurant, now, holidays) {
+    const today = localTime(now).date;
+    return [...this.windowsOn(restaurant, addDays(today, -1), holidays), ...this.windowsOn(restaurant, today, holidays)]
+      .find(w => w.start <= now && now < w.end) || null;
+  }
+
+  // First moment at or after `from` that falls within opening hours
+  static nextOpening(restaurant, from, holidays) {
+    const firstDay = addDays(localTime(from).date, -1);
+    for (let i = 0; i <= LOOKAHEAD_DAYS + 1; i++) {
+      const windows = this.windowsOn(restaurant, addDays(firstDay, i), holidays)
+        .sort((a, b) => a.start - b.start);
+      for (const w of windows) {
+        if (w.end > from) return w.start > from ? w.start : from;
+      }
+    }
+    return null;
+  }
+
+  // Availability of `restaurant` at `now`. `activeOrders` is how many orders
+  // its kitchen is working on, when the caller knows it.
+  static evaluate(restaurant, { now = new Date(), holidays = new Set(), activeOrders = null } = {}) {
+    const preparationMinutes = Math.ceil(Number(restaurant.preparation_time_avg_minutes) || 20);
+    const result = (status, reason, extra = {}) => ({
+      status,
+      is_open: status === STATUS.OPEN || status === STATUS.BUSY,
+      reason,
+      closes_at: null,
+      next_open_at: null,
+      extra_prep_minutes: 0,
+      preparation_minutes: preparationMinutes,
+      timezone: TIMEZONE,
+      ...extra
+    });
+
+    if (restaurant.is_open === false) {
+      return result(STATUS.CLOSED, 'MANUALLY_CLOSED');
+    }
+
+    const window = this.currentWindow(restaurant, now, holidays);
+    if (!window) {
+      const next = this.nextOpening(restaurant, now, holidays);
+      return result(STATUS.CLOSED, holidays.has(localTime(now).date) ? 'HOLIDAY' : 'OUTSIDE_HOURS', {
+        next_open_at: next ? next.toISOString() : null
+      });
+    }
+
+    const closesAt = window.end.toISOString();
+    if (isFuture(restaurant.paused_until, now)) {
+      const next = this.nextOpening(restaurant, new Date(restaurant.paused_until), holidays);
+      return result(STATUS.PAUSED, 'PAUSED', {
+        closes_at: closesAt,
+        next_open_at: next ? next.toISOString() : null,
+        pause_reason: restaurant.pause_reason || null
+      });
+    }
+    if (restaurant.is_accepting_orders === false) {
+      return result(STATUS.PAUSED, 'NOT_ACCEPTING_ORDERS', { closes_at: closesAt });
+    }
+
+    const capacity = restaurant.max_active_orders;
+    if (capacity && activeOrders !== null && activeOrders >= capacity) {
+      return result(STATUS.PAUSED, 'KITCHEN_FULL', { closes_at: closesAt, active_orders: activeOrders });
+    }
+
+    const busyByLoad = capacity && activeOrders !== null && activeOrders >= capacity * BUSY_LOAD_RATIO;
+    const busyByMerchant = isFuture(restaurant.busy_until, now);
+    if (busyByMerchant || busyByLoad) {
+      const extra = restaurant.busy_extra_prep_minutes ?? DEFAULT_BUSY_EXTRA_PREP_MINUTES;
+      return result(STATUS.BUSY, busyByMerchant ? 'MERCHANT_BUSY' : 'KITCHEN_LOAD', {
+        closes_at: closesAt,
+        extra_prep_minutes: extra,
+        preparation_minutes: preparationMinutes + extra,
+        busy_until: busyByMerchant ? new Date(restaurant.busy_until).toISOString() : null
+      });
+    }
+
+    return result(STATUS.OPEN, null, { closes_at: closesAt });
+  }
+
+  // Holiday dates for each restaurant from yesterday through the lookahead,
+  // which covers every window evaluate() and nextOpening() look at
+  static async loadHolidays(restaurantIds, now = new Date()) {
+    const byRestaurant = new Map(restaurantIds.map(id => [id, new Set()]));
+    if (restaurantIds.length === 0) return byRestaurant;
+
+    const today = localTime(now).date;
+    const { rows } = await pool.query(`
+      SELECT restaurant_id, to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date
+      FROM restaurant_holidays
+      WHERE restaurant_id = ANY($1) AND holiday_date BETWEEN $2 AND $3
+    `, [restaurantIds, addDays(today, -1), addDays(today, LOOKAHEAD_DAYS + 1)]);
+
+    for (const row of rows) byRestaurant.get(row.restaurant_id).add(row.holiday_date);
+    return byRestaurant;
+  }
+
+  static async forRestaurant(restaurant, { now = new Date(), activeOrders = null } = {}) {
+    const holidays = await this.loadHolidays([restaurant.id], now);
+    return this.evaluate(restaurant, { now, holidays: holidays.get(restaurant.id), activeOrders });
+  }
+
+  // Sets `availability` on each restaurant row
+  static async annotate(restaurants, now = new Date()) {
+    const holidays = await this.loadHolidays(restaurants.map(r => r.id), now);
+    for (const restaurant of restaurants) {
+      restaurant.availability = this.evaluate(restaurant, { now, holidays: holidays.get(restaurant.id) });
+    }
+    return restaurants;
+  }
+}
+
+module.exports = { AvailabilityService, AVAILABILITY_STATUS: STATUS };
@@ -0,0 +1,284 @@
+const pool = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Menu = require('../models/menu.model');
+const Restaurant = require('../models/restaurant.model');
+const quoteToken = require('@quickbite/quote-token');
+const { ZoneService } = require('./zone.service');
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '600', 10);
+const GST_RATE_PERCENT = parseFloat(process.env.GST_RATE_PERCENT || '5');
+const PLATFORM_FEE_CENTS = parseInt(process.env.PLATFORM_FEE_CENTS || '500', 10);
+const COUPON_BASE = process.env.COUPON_BASE_URL || 'http://localhost:3009/api/coupons';
+
+class QuoteError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Server-side pricing for a cart. Everything the customer pays is derived
+// here from catalog data, itemized, and signed so order-service and
+// payment-service can trust the numbers without recomputing them.
+class QuoteService {
+
+  // With a `deliveryLocation` the delivery fee and order minimum come from
+  // the delivery zone serving it; without one the restaurant's own apply.
+  // Coupons are priced by coupon-service for the caller whose `authorization`
+  // header is forwarded, on top of the restaurant promotion.
+  static async createQuote({ restaurantId, items, promoCode = null, couponCodes = [], userId = null, authorization = null, deliveryLocation = null, now = new Date() }) {
+    const restaurant = await this.getRestaurant(restaurantId);
+    const delivery = deliveryLocation ? await this.deliveryTerms(restaurant, deliveryLocation) : null;
+    const lines = await this.priceItems(restaurantId, items, now);
+
+    const minimumCents = delivery ? delivery.min_order_amount_cents : (restaurant.min_order_amount_cents || 0);
+    const baseDeliveryFeeCents = delivery ? delivery.delivery_fee_cents : restaurant.delivery_fee_cents;
+
+    const subtotalCents = lines.reduce((sum, line) => sum + line.line_total_cents, 0);
+    if (subtotalCents < minimumCents) {
+      throw new QuoteError(
+        `Minimum order amount is ₹${minimumCents / 100}`,
+        'BELOW_MINIMUM_ORDER',
+        422
+      );
+    }
+
+    const promotion = await this.bestPromotion(restaurantId, lines, subtotalCents, baseDeliveryFeeCents, promoCode);
+
+    const promotedDeliveryFeeCents = promotion && promotion.free_delivery ? 0 : baseDeliveryFeeCents;
+    const promotionDiscountCents = promotion ? promotion.discount_cents : 0;
+    const coupons = couponCodes.length > 0
+      ? await this.priceCoupons(restaurantId, lines, subtotalCents - promotionDiscountCents, promotedDeliveryFeeCents, couponCodes, authorization)
+      : null;
+
+    const deliveryFeeCents = promotedDeliveryFeeCents - (coupons ? coupons.delivery_discount_cents : 0);
+    const discountCents = promotionDiscountCents + (coupons ? coupons.discount_cents : 0);
+    const taxableCents = subtotalCents - discountCents;
+    const taxCents = Math.round(taxableCents * GST_RATE_PERCENT / 100);
+    const totalCents = taxableCents + taxCents + deliveryFeeCents + PLATFORM_FEE_CENTS;
+
+    const quote = {
+      id: uuidv4(),
+      restaurant_id: restaurantId,
+      user_id: userId,
+      currency: 'INR',
+      delivery_zone: delivery ? { zone_id: delivery.zone_id, zone_code: delivery.zone_code, distance_km: delivery.distance_km } : null,
+      items: lines,
+      subtotal_cents: subtotalCents,
+      promotion,
+      coupons,
+      discount_cents: discountCents,
+      delivery_fee_cents: deliveryFeeCents,
+      platform_fee_cents: PLATFORM_FEE_CENTS,
+      gst_rate_percent: GST_RATE_PERCENT,
+      tax_cents: taxCents,
+      total_cents: totalCents,
+      issued_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + QUOTE_TTL_SECONDS * 1000).toISOString()
+    };
+
+    return { quote, quote_token: quoteToken.sign(quote) };
+  }
+
+  static async getRestaurant(restaurantId) {
+    const { rows } = await pool.query(`
+      SELECT id, latitude, longitude, delivery_fee_cents, min_order_amount_cents, is_active, is_accepting_orders
+      FROM restaurants WHERE id = $1
+    `, [restaurantId]);
+
+    const restaurant = rows[0];
+    if (!restaurant || !restaurant.is_active) {
+      throw new QuoteError('Restaurant not found', 'RESTAURANT_NOT_FOUND', 404);
+    }
+    if (!restaurant.is_accepting_orders) {
+      throw new QuoteError('Restaurant is not accepting orders', 'RESTAURANT_NOT_ACCEPTING', 409);
+    }
+    return restaurant;
+  }
+
+  static async deliveryTerms(restaurant, { latitude, longitude }) {
+    let zones;
+    try {
+      zones = await ZoneService.getZones();
+    } catch (error) {
+      throw new QuoteError('Delivery zones are unavailable, try again shortly', 'ZONES_UNAVAILABLE', 503);
+    }
+    const terms = ZoneService.deliveryTerms(zones, restaurant, latitude, longitude);
+    if (!terms) {
+      throw new QuoteError('Restaurant does not deliver to this location', 'OUT_OF_DELIVERY_ZONE', 422);
+    }
+    return terms;
+  }
+
+  static async priceItems(restaurantId, items, now) {
+    const { rows } = await pool.query(`
+      SELECT id, restaurant_id, name, customizations, is_active,
+        CASE
+          WHEN stock_quantity IS NOT NULL AND stock_quantity <= 0 THEN false
+          WHEN daily_limit IS NOT NULL AND sold_today >= daily_limit THEN false
+          ELSE is_available
+        END as is_currently_available,
+        stock_quantity
+      FROM menu_items WHERE id = ANY($1)
+    `, [items.map(i => i.item_id)]);
+    const byId = new Map(rows.map(r => [r.id, r]));
+
+    const lines = [];
+    for (const requested of items) {
+      const item = byId.get(requested.item_id);
+      if (!item || !item.is_active || item.restaurant_id !== restaurantId) {
+        throw new QuoteError(`Item not found: ${requested.item_id}`, 'ITEM_NOT_FOUND', 404);
+      }
+      if (!item.is_currently_available ||
+          (item.stock_quantity !== null && item.stock_quantity < requested.quantity)) {
+        throw new QuoteError(`Item out of stock: ${requested.item_id}`, 'ITEM_OUT_OF_STOCK', 409);
+      }
+
+      const pricing = await Menu.calculateItemPricing(item.id, now);
+      const options = await Menu.processCustomizationPricing(item.customizations);
+      const customization = this.priceCustomizations(item, options, requested.customizations);
+      const unitPriceCents = pricing.final_price_cents + customization.cents;
+
+      lines.push({
+        item_id: item.id,
+        name: item.name,
+        quantity: requested.quantity,
+        base_price_cents: pricing.base_price_cents,
+        item_price_cents: pricing.final_price_cents,
+        price_adjustments: pricing.price_adjustments,
+        customizations: customization.selected,
+        customization_cents: customization.cents,
+        unit_price_cents: unitPriceCents,
+        line_total_cents: unitPriceCents * requested.quantity
+      });
+    }
+    return lines;
+  }
+
+  // `selected` maps a customization group to one option name or a list of
+  // them, e.g. { size: "large", extras: ["cheese"] }
+  static priceCustomizations(item, options, selected) {
+    const result = { cents: 0, selected: [] };
+    if (!selected) return result;
+
+    for (const [group, choice] of Object.entries(selected)) {
+      const available = options && Array.isArray(options[group]) ? options[group] : null;
+      for (const name of [].concat(choice)) {
+        const option = available && available.find(o => o.name === name);
+        if (!option) {
+          throw new QuoteError(`Invalid customization ${group}: ${name} for ${item.name}`, 'INVALID_CUSTOMIZATION');
+        }
+        const priceCents = option.price_cents || 0;
+        result.cents += priceCents;
+        result.selected.push({ group, name, price_cents: priceCents });
+      }
+    }
+    return result;
+  }
+
+  // Applies the single promotion that saves the most. Code-only promotions
+  // count only when their code is supplied; an unknown code is an error.
+  static async bestPromotion(restaurantId, lines, subtotalCents, deliveryFeeCents, promoCode) {
+    const promotions = await Restaurant.getActivePromotions(restaurantId);
+    const code = promoCode ? promoCode.trim().toUpperCase() : null;
+
+    if (code && !promotions.some(p => p.promo_code && p.promo_code.toUpperCase() === code)) {
+      throw new QuoteError('Promo code is invalid or has expired', 'PROMO_INVALID');
+    }
+
+    let best = null;
+    for (const promo of promotions) {
+      if (promo.promo_code && promo.promo_code.toUpperCase() !== code) continue;
+      if (promo.usage_limit !== null && promo.usage_count >= promo.usage_limit) continue;
+      if (subtotalCents < (promo.minimum_order_amount_cents || 0)) continue;
+
+      const applied = this.evaluatePromotion(promo, lines, subtotalCents, deliveryFeeCents);
+      if (applied && (!best || applied.savings_cents > best.savings_cents)) best = applied;
+    }
+    return best;
+  }
+
+  // Every requested coupon must apply. The amounts they were priced against
+  // are kept with them so order-service can redeem them on the same cart.
+  static async priceCoupons(restaurantId, lines, subtotalCents, deliveryFeeCents, codes, authorization) {
+    if (!authorization) {
+      throw new QuoteError('Sign in to use coupons', 'COUPON_SIGN_IN_REQUIRED', 401);
+    }
+
+    const cart = {
+      couponCodes: codes,
+      restaurant_id: restaurantId,
+      items: lines.map(line => ({ item_id: line.item_id, quantity: line.quantity, price_cents: line.unit_price_cents })),
+      subtotal_cents: subtotalCents,
+      delivery_fee_cents: deliveryFeeCents
+    };
+    let response;
+    let body;
+    try {
+      response = await fetch(`${COUPON_BASE}/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+        body: JSON.stringify(cart)
+      });
+      body = await response.json();
+    } catch (error) {
+      throw new QuoteError('Coupons are unavailable, try again shortly', 'COUPONS_UNAVAILABLE', 503);
+    }
+    if (response.status === 401) {
+      throw new QuoteError('Sign in to use coupons', 'COUPON_SIGN_IN_REQUIRED', 401);
+    }
+    if (!response.ok) {
+      throw new QuoteError('Coupons are unavailable, try again shortly', 'COUPONS_UNAVAILABLE', 503);
+    }
+    if (body.rejected.length > 0) {
+      throw new QuoteError(body.rejected[0].message, 'COUPON_INVALID', 422);
+    }
+
+    const applied = body.applied.map(a => ({
+      code: a.code,
+      coupon_id: a.coupon.id,
+      discount_type: a.coupon.discount_type,
+      discount_cents: a.discount_cents
+    }));
+    const sum = (list) => list.reduce((total, a) => total + a.discount_cents, 0);
+    return {
+      applied,
+      subtotal_cents: cart.subtotal_cents,
+      delivery_fee_cents: cart.delivery_fee_cents,
+      discount_cents: sum(applied.filter(a => a.discount_type !== 'FREE_DELIVERY')),
+      delivery_discount_cents: sum(applied.filter(a => a.discount_type === 'FREE_DELIVERY'))
+    };
+  }
+
+  static evaluatePromotion(promo, lines, subtotalCents, deliveryFeeCents) {
+    const base = { id: promo.id, title: promo.title, promotion_type: promo.promotion_type, promo_code: promo.promo_code };
+
+    switch (promo.promotion_type) {
+      case 'discount': {
+        const value = Number(promo.discount_value) || 0;
+        let discount = promo.discount_type === 'percentage'
+          ? Math.round(subtotalCents * value / 100)
+          : Math.round(value * 100);
+        if (promo.max_discount_cents) discount = Math.min(discount, promo.max_discount_cents);
+        discount = Math.min(discount, subtotalCents);
+        return { ...base, discount_cents: discount, free_delivery: false, savings_cents: discount };
+      }
+      case 'buy_one_get_one': {
+        // Every second unit of an item is free
+        const discount = lines.reduce(
+          (sum, line) => sum + Math.floor(line.quantity / 2) * line.unit_price_cents, 0
+        );
+        if (discount === 0) return null;
+        return { ...base, discount_cents: discount, free_delivery: false, savings_cents: discount };
+      }
+      case 'free_delivery':
+        return { ...base, discount_cents: 0, free_delivery: true, savings_cents: deliveryFeeCents };
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = { QuoteService, QuoteError };
@@ -0,0 +1,491 @@
+const pool = require('../config/database');
+const { AvailabilityService } = require('./availability.service');
+const { ZoneService } = require('./zone.service');
+
+const INDEX_INTERVAL_MS = parseInt(process.env.SEARCH_INDEX_INTERVAL_MS || '5000', 10);
+const INDEX_BATCH_SIZE = parseInt(process.env.SEARCH_INDEX_BATCH_SIZE || '50', 10);
+const FUZZY_THRESHOLD = parseFloat(process.env.SEARCH_FUZZY_THRESHOLD || '0.4');
+const CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT || '500', 10);
+const MAX_QUERY_TERMS = 8;
+
+// How much text relevance, closeness and popularity count towards a
+// restaurant's place in the results
+const RANK_WEIGHTS = { relevance: 0.6, distance: 0.25, popularity: 0.15 };
+
+const PRICE_BANDS = [
+  { value: 'under_200', min: 0, max: 20000 },
+  { value: '200_400', min: 20000, max: 40000 },
+  { value: '400_600', min: 40000, max: 60000 },
+  { value: 'over_600', min: 60000, max: Infinity }
+];
+const RATING_STEPS = [4.5, 4, 3.5, 3];
+
+let indexTimer = null;
+
+class SearchError extends Error {
+  constructor(message, code = 'INVALID_SEARCH', statusCode = 400) {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const isDish = (row) => row.doc_type === 'dish';
+const dishPrice = (row) => row.current_price_cents || row.base_price_cents;
+const priceBand = (cents) => PRICE_BANDS.find(b => cents >= b.min && cents < b.max).value;
+
+// Facet values a matched document contributes. Dish attributes only come
+// from dish documents; a restaurant match says nothing about its menu.
+const FACETS = {
+  cuisine: (row) => row.cuisine_type ? [row.cuisine_type] : [],
+  diet: (row) => isDish(row)
+    ? [row.is_veg && 'veg', row.is_vegan && 'vegan'].filter(Boolean)
+    : [],
+  price_band: (row) => isDish(row) && dishPrice(row) != null ? [priceBand(dishPrice(row))] : [],
+  rating: (row) => RATING_STEPS.filter(step => Number(row.average_rating) >= step),
+  spice_level: (row) => isDish(row) && row.spice_level != null ? [row.spice_level] : []
+};
+
+// Full-text and typo-tolerant search over restaurants and their dishes.
+// Every active restaurant and dish has a row in search_documents; triggers
+// on the catalog tables queue a restaurant whenever its searchable text
+// changes and the indexer rebuilds just that restaurant's rows.
+class SearchService {
+
+  static fuzzyEnabled = false;
+
+  static async ensureSchema() {
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      this.fuzzyEnabled = true;
+    } catch (error) {
+      console.warn('pg_trgm unavailable, search will only match word prefixes:', error.message);
+      this.fuzzyEnabled = false;
+    }
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS search_documents (
+        id TEXT PRIMARY KEY, -- restaurant:<id> or dish:<id>
+        doc_type VARCHAR(20) NOT NULL CHECK (doc_type IN ('restaurant', 'dish')),
+        restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+        menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        terms TEXT NOT NULL, -- lowercased words for fuzzy matching
+        document TSVECTOR NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Restaurants whose documents need rebuilding
+      CREATE TABLE IF NOT EXISTS search_index_queue (
+        restaurant_id UUID PRIMARY KEY,
+        queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_search_documents_document ON search_documents USING GIN (document);
+      CREATE INDEX IF NOT EXISTS idx_search_documents_restaurant ON search_documents(restaurant_id);
+
+      CREATE OR REPLACE FUNCTION queue_search_reindex()
+      RETURNS TRIGGER AS $$
+      DECLARE
+        target UUID;
+      BEGIN
+        IF TG_TABLE_NAME = 'restaurants' THEN
+          target := CASE WHEN TG_OP = 'DELETE' THEN OLD.id ELSE NEW.id END;
+        ELSE
+          target := CASE WHEN TG_OP = 'DELETE' THEN OLD.restaurant_id ELSE NEW.restaurant_id END;
+        END IF;
+
+        IF target IS NOT NULL THEN
+          INSERT INTO search_index_queue (restaurant_id) VALUES (target)
+          ON CONFLICT (restaurant_id) DO UPDATE SET queued_at = CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS search_reindex_restaurants ON restaurants;
+      CREATE TRIGGER search_reindex_restaurants
+        AFTER INSERT OR UPDATE OF name, description, cuisine_type, is_active ON restaurants
+        FOR EACH ROW EXECUTE FUNCTION queue_search_reindex();
+
+      DROP TRIGGER IF EXISTS search_reindex_menu_categories ON menu_categories;
+      CREATE TRIGGER search_reindex_menu_categories
+        AFTER INSERT OR DELETE OR UPDATE OF name, is_active ON menu_categories
+        FOR EACH ROW EXECUTE FUNCTION queue_search_reindex();
+
+      DROP TRIGGER IF EXISTS search_reindex_menu_items ON menu_items;
+      CREATE TRIGGER search_reindex_menu_items
+        AFTER INSERT OR DELETE OR UPDATE OF name, description, category_id, allergens, is_active ON menu_items
+        FOR EACH ROW EXECUTE FUNCTION queue_search_reindex();
+
+      -- Restaurants that were never indexed
+      INSERT INTO search_index_queue (restaurant_id)
+      SELECT r.id FROM restaurants r
+      WHERE NOT EXISTS (SELECT 1 FROM search_documents d WHERE d.restaurant_id = r.id)
+      ON CONFLICT (restaurant_id) DO NOTHING;
+    `);
+
+    if (this.fuzzyEnabled) {
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_search_documents_terms ON search_documents USING GIN (terms gin_trgm_ops)
+      `);
+    }
+    console.log('Search schema initialized');
+  }
+
+  // Rebuild the documents of one restaurant inside the caller's transaction.
+  // Names weigh most, then category and cuisine, then descriptions and
+  // allergens, so "paneer" ranks a Paneer Tikka above a dish that only
+  // mentions paneer in passing.
+  static async indexRestaurant(client, restaurantId) {
+    await client.query('DELETE FROM search_documents WHERE restaurant_id = $1', [restaurantId]);
+
+    await client.query(`
+      INSERT INTO search_documents (id, doc_type, restaurant_id, title, terms, document)
+      SELECT 'restaurant:' || r.id, 'restaurant', r.id, r.name,
+        lower(concat_ws(' ', r.name, r.cuisine_type)),
+        setweight(to_tsvector('simple', coalesce(r.name, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(r.cuisine_type, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(r.description, '')), 'C')
+      FROM restaurants r
+      WHERE r.id = $1 AND r.is_active = true
+    `, [restaurantId]);
+
+    await client.query(`
+      INSERT INTO search_documents (id, doc_type, restaurant_id, menu_item_id, title, terms, document)
+      SELECT 'dish:' || mi.id, 'dish', mi.restaurant_id, mi.id, mi.name,
+        lower(concat_ws(' ', mi.name, mc.name, r.cuisine_type)),
+        setweight(to_tsvector('simple', coalesce(mi.name, '')), 'A') ||
+        setweight(to_tsvector('simple', concat_ws(' ', mc.name, r.cuisine_type)), 'B') ||
+        setweight(to_tsvector('simple', coalesce(mi.description, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(allergens.list, '')), 'D')
+      FROM menu_items mi
+      JOIN restaurants r ON r.id = mi.restaurant_id AND r.is_active = true
+      LEFT JOIN menu_categories mc ON mc.id = mi.category_id AND mc.is_active = true
+      LEFT JOIN LATERAL (
+        SELECT string_agg(value, ' ') AS list
+        FROM jsonb_array_elements_text(
+          CASE WHEN jsonb_typeof(mi.allergens) = 'array' THEN mi.allergens ELSE '[]'::jsonb END
+        ) AS value
+      ) allergens ON true
+      WHERE mi.restaurant_id = $1 AND mi.is_active = true
+    `, [restaurantId]);
+  }
+
+  // Rebuild queued restaurants. Several instances can run this at once;
+  // each claims its own batch.
+  static async processQueue(batchSize = INDEX_BATCH_SIZE) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        SELECT restaurant_id FROM search_index_queue
+        ORDER BY queued_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [batchSize]);
+
+      for (const { restaurant_id } of rows) {
+        await this.indexRestaurant(client, restaurant_id);
+      }
+      if (rows.length > 0) {
+        await client.query(
+          'DELETE FROM search_index_queue WHERE restaurant_id = ANY($1)',
+          [rows.map(r => r.restaurant_id)]
+        );
+      }
+      await client.query('COMMIT');
+      return rows.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Queue every restaurant; the indexer works through them in batches
+  static async reindexAll() {
+    const { rowCount } = await pool.query(`
+      INSERT INTO search_index_queue (restaurant_id)
+      SELECT id FROM restaurants
+      ON CONFLICT (restaurant_id) DO UPDATE SET queued_at = CURRENT_TIMESTAMP
+    `);
+    await pool.query(`
+      DELETE FROM search_documents d
+      WHERE NOT EXISTS (SELECT 1 FROM restaurants r WHERE r.id = d.restaurant_id AND r.is_active = true)
+    `);
+    return rowCount;
+  }
+
+  static tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, MAX_QUERY_TERMS);
+  }
+
+  // Parse and validate query-string search parameters
+  static parseParams(query) {
+    const list = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : [];
+    const number = (value) => value === undefined || value === '' ? null : Number(value);
+
+    const params = {
+      q: typeof query.q === 'string' ? query.q.trim() : '',
+      latitude: number(query.latitude),
+      longitude: number(query.longitude),
+      radius: number(query.radius) || 5,
+      cuisine: list(query.cuisine),
+      diet: query.diet || null,
+      price_band: query.price_band || null,
+      min_rating: number(query.min_rating),
+      spice_level: list(query.spice_level).map(Number),
+      is_open: query.is_open !== 'false',
+      limit: Math.min(parseInt(query.limit) || 20, 50),
+      offset: Math.max(parseInt(query.offset) || 0, 0)
+    };
+
+    if (this.tokenize(params.q).length === 0) {
+      throw new SearchError('q must contain at least one letter or digit');
+    }
+    if ((params.latitude === null) !== (params.longitude === null) ||
+        (params.latitude !== null && (!Number.isFinite(params.latitude) || !Number.isFinite(params.longitude)))) {
+      throw new SearchError('latitude and longitude must be given together as numbers');
+    }
+    if (params.diet && !['veg', 'vegan'].includes(params.diet)) {
+      throw new SearchError('diet must be veg or vegan');
+    }
+    if (params.price_band && !PRICE_BANDS.some(b => b.value === params.price_band)) {
+      throw new SearchError(`price_band must be one of ${PRICE_BANDS.map(b => b.value).join(', ')}`);
+    }
+    if (params.min_rating !== null && !(params.min_rating >= 0 && params.min_rating <= 5)) {
+      throw new SearchError('min_rating must be between 0 and 5');
+    }
+    if (params.spice_level.some(level => !Number.isInteger(level))) {
+      throw new SearchError('spice_level must be a comma separated list of integers');
+    }
+    return params;
+  }
+
+  // Matching documents with the live restaurant and dish attributes the
+  // filters, facets and ranking need. Filters that facets are counted over
+  // are applied afterwards so each facet can ignore its own selection, and
+  // so is availability.
+  static async findCandidates(params, tokens) {
+    const values = [this.prefixQuery(params.q), tokens.join(' ')];
+    const hasLocation = params.latitude !== null;
+    const distance = `(6371 * acos(LEAST(1, cos(radians($3)) * cos(radians(r.latitude)) *
+      cos(radians(r.longitude) - radians($4)) + sin(radians($3)) * sin(radians(r.latitude)))))`;
+    if (hasLocation) values.push(params.latitude, params.longitude, params.radius);
+
+    const match = this.fuzzyEnabled
+      ? `(d.document @@ to_tsquery('simple', $1) OR $2 <% d.terms)`
+      : `d.document @@ to_tsquery('simple', $1)`;
+
+    const sql = `
+      SELECT d.doc_type, d.restaurant_id, d.menu_item_id,
+        ts_rank_cd(d.document, to_tsquery('simple', $1)) AS text_rank,
+        ${this.fuzzyEnabled ? 'word_similarity($2, d.terms)' : '0'} AS similarity,
+        r.name AS restaurant_name, r.cuisine_type, r.average_rating, r.total_reviews,
+        r.is_open, r.is_accepting_orders, r.operating_hours, r.paused_until, r.pause_reason,
+        r.busy_until, r.busy_extra_prep_minutes, r.max_active_orders, r.preparation_time_avg_minutes,
+        r.latitude, r.longitude, r.logo_url, r.cover_image_url, r.delivery_fee_cents,
+        r.min_order_amount_cents, r.estimated_delivery_time_minutes,
+        mi.name AS dish_name, mi.description AS dish_description, mi.image_url,
+        mi.base_price_cents, mi.current_price_cents, mi.is_veg, mi.is_vegan,
+        mi.spice_level, mi.popularity_score,
+        ${hasLocation ? distance : 'NULL::float'} AS distance_km
+      FROM search_documents d
+      JOIN restaurants r ON r.id = d.restaurant_id AND r.is_active = true
+      LEFT JOIN menu_items mi ON mi.id = d.menu_item_id
+      WHERE ${match}
+        AND (d.menu_item_id IS NULL OR (mi.is_active = true AND mi.is_available = true))
+        ${params.is_open ? 'AND r.is_open = true' : ''}
+        ${hasLocation ? `AND ${distance} <= $5` : ''}
+      ORDER BY text_rank + similarity DESC
+      LIMIT ${CANDIDATE_LIMIT}
+    `;
+
+    if (!this.fuzzyEnabled) {
+      const { rows } = await pool.query(sql, values);
+      return rows;
+    }
+
+    // The trigram index only serves <%, whose cut-off is a session setting
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)`, [String(FUZZY_THRESHOLD)]);
+      const { rows } = await client.query(sql, values);
+      await client.query('COMMIT');
+      return rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Whether `row` passes every selected filter, optionally ignoring one facet
+  static passes(row, params, ignore = null) {
+    if (ignore !== 'cuisine' && params.cuisine.length > 0 && !params.cuisine.includes(row.cuisine_type)) return false;
+    if (ignore !== 'rating' && params.min_rating !== null && !(Number(row.average_rating) >= params.min_rating)) return false;
+    if (ignore !== 'diet' && params.diet && !FACETS.diet(row).includes(params.diet)) return false;
+    if (ignore !== 'price_band' && params.price_band && !FACETS.price_band(row).includes(params.price_band)) return false;
+    if (ignore !== 'spice_level' && params.spice_level.length > 0 &&
+        !FACETS.spice_level(row).some(level => params.spice_level.includes(level))) return false;
+    return true;
+  }
+
+  // Restaurants per facet value. Each facet is counted with the other
+  // filters applied but not its own, so picking "veg" still shows how many
+  // restaurants have vegan matches.
+  static facetCounts(rows, params) {
+    const facets = {};
+    for (const [name, valuesOf] of Object.entries(FACETS)) {
+      const restaurantsByValue = new Map();
+      for (const row of rows) {
+        if (!this.passes(row, params, name)) continue;
+        for (const value of valuesOf(row)) {
+          if (!restaurantsByValue.has(value)) restaurantsByValue.set(value, new Set());
+          restaurantsByValue.get(value).add(row.restaurant_id);
+        }
+      }
+      facets[name] = [...restaurantsByValue.entries()]
+        .map(([value, restaurants]) => ({ value, count: restaurants.size }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    }
+    return facets;
+  }
+
+  // Group matching documents under their restaurant and rank restaurants by
+  // relevance blended with distance and popularity
+  static rank(rows, params) {
+    const restaurants = new Map();
+    for (const row of rows) {
+      if (!restaurants.has(row.restaurant_id)) {
+        restaurants.set(row.restaurant_id, {
+          id: row.restaurant_id,
+          name: row.restaurant_name,
+          cuisine_type: row.cuisine_type,
+          average_rating: Number(row.average_rating) || 0,
+          total_reviews: row.total_reviews || 0,
+          is_open: row.availability.is_open,
+          availability: row.availability,
+          delivery: row.delivery || null,
+          logo_url: row.logo_url,
+          cover_image_url: row.cover_image_url,
+          delivery_fee_cents: row.delivery_fee_cents,
+          min_order_amount_cents: row.min_order_amount_cents,
+          estimated_delivery_time_minutes: row.estimated_delivery_time_minutes,
+          distance_km: row.distance_km === null ? null : Math.round(row.distance_km * 100) / 100,
+          name_matched: false,
+          relevance: 0,
+          dish_popularity: 0,
+          matched_dishes: []
+        });
+      }
+      const result = restaurants.get(row.restaurant_id);
+      const relevance = Number(row.text_rank) + Number(row.similarity);
+      result.relevance = Math.max(result.relevance, relevance);
+
+      if (isDish(row)) {
+        result.dish_popularity = Math.max(result.dish_popularity, Number(row.popularity_score) || 0);
+        result.matched_dishes.push({
+          id: row.menu_item_id,
+          name: row.dish_name,
+          description: row.dish_description,
+          image_url: row.image_url,
+          price_cents: dishPrice(row),
+          is_veg: row.is_veg,
+          is_vegan: row.is_vegan,
+          spice_level: row.spice_level,
+          relevance
+        });
+      } else {
+        result.name_matched = true;
+      }
+    }
+
+    const results = [...restaurants.values()];
+    const maxRelevance = Math.max(...results.map(r => r.relevance), Number.EPSILON);
+    const maxDishPopularity = Math.max(...results.map(r => r.dish_popularity), Number.EPSILON);
+
+    for (const result of results) {
+      // Ratings count for more once enough people have left one
+      const ratingScore = (result.average_rating / 5) * Math.min(1, Math.log1p(result.total_reviews) / Math.log1p(500));
+      const popularity = 0.7 * ratingScore + 0.3 * (result.dish_popularity / maxDishPopularity);
+      const closeness = result.distance_km === null ? 0 : Math.max(0, 1 - result.distance_km / params.radius);
+
+      result.score = Math.round((
+        RANK_WEIGHTS.relevance * (result.relevance / maxRelevance) +
+        RANK_WEIGHTS.distance * closeness +
+        RANK_WEIGHTS.popularity * popularity
+      ) * 1000) / 1000;
+
+      result.matched_dishes = result.matched_dishes
+        .sort((a, b) => b.relevance - a.relevance)
+        .slice(0, 5)
+        .map(({ relevance, ...dish }) => dish);
+      delete result.relevance;
+      delete result.dish_popularity;
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  static async search(params) {
+    const tokens = this.tokenize(params.q);
+    let candidates = await this.findCandidates(params, tokens);
+
+    const restaurants = new Map(candidates.map(row => [row.restaurant_id, { ...row, id: row.restaurant_id }]));
+    await AvailabilityService.annotate([...restaurants.values()]);
+    for (const row of candidates) row.availability = restaurants.get(row.restaurant_id).availability;
+    if (params.is_open) candidates = candidates.filter(row => row.availability.is_open);
+
+    if (params.latitude !== null) {
+      const open = [...restaurants.values()].filter(r => !params.is_open || r.availability.is_open);
+      const serviceable = new Map(
+        (await ZoneService.filterServiceable(open, params.latitude, params.longitude)).map(r => [r.id, r.delivery])
+      );
+      candidates = candidates.filter(row => serviceable.has(row.restaurant_id));
+      for (const row of candidates) row.delivery = serviceable.get(row.restaurant_id) || null;
+    }
+
+    const matching = candidates.filter(row => this.passes(row, params));
+    const ranked = this.rank(matching, params);
+
+    return {
+      results: ranked.slice(params.offset, params.offset + params.limit),
+      facets: this.facetCounts(candidates, params),
+      total: ranked.length
+    };
+  }
+
+  // to_tsquery matching every word of `text` as a prefix, or null
+  static prefixQuery(text) {
+    const tokens = this.tokenize(text);
+    return tokens.length > 0 ? tokens.map(t => `${t}:*`).join(' & ') : null;
+  }
+
+  static start() {
+    if (indexTimer) return;
+    indexTimer = setInterval(() => {
+      this.processQueue().catch((e) => console.error('Search indexing failed', e));
+    }, INDEX_INTERVAL_MS);
+    indexTimer.unref();
+  }
+
+  static stop() {
+    if (indexTimer) clearInterval(indexTimer);
+    indexTimer = null;
+  }
+}
+
+module.exports = { SearchService, SearchError, PRICE_BANDS };
@@ -0,0 +1,92 @@
+const zoneGeometry = require('@quickbite/zone-geometry');
+
+const DELIVERY_BASE = process.env.DELIVERY_BASE_URL || 'http://localhost:3006/api/delivery';
+const ZONE_CACHE_TTL_MS = parseInt(process.env.ZONE_CACHE_TTL_MS || '60000', 10);
+
+let cache = { zones: null, loadedAt: 0 };
+
+// Delivery zones are owned by delivery-service. Catalog keeps a short-lived
+// copy of the serviceable ones so search can check every restaurant in a
+// result page without a request per restaurant.
+class ZoneService {
+
+  // Serviceable zones, refreshed every ZONE_CACHE_TTL_MS. A failed refresh
+  // keeps serving the previous copy; with none it throws.
+  static async getZones(now = Date.now()) {
+    if (cache.zones && now - cache.loadedAt < ZONE_CACHE_TTL_MS) return cache.zones;
+    try {
+      const r = await fetch(`${DELIVERY_BASE}/zones`);
+      if (!r.ok) throw new Error(`Delivery zones request failed: ${r.status}`);
+      const body = await r.json();
+      cache = {
+        zones: body.data.map(zone => ({
+          id: zone.zoneId,
+          zone_code: zone.zoneCode,
+          zone_name: zone.zoneName,
+          boundary_polygon: zone.boundaryPolygon,
+          center_latitude: zone.centerLatitude,
+          center_longitude: zone.centerLongitude,
+          base_delivery_fee_cents: zone.baseDeliveryFeeCents,
+          per_km_rate_cents: zone.perKmRateCents,
+          surge_multiplier: zone.surgeMultiplier,
+          min_order_amount_cents: zone.minOrderAmountCents,
+          standard_delivery_time_minutes: zone.standardDeliveryTimeMinutes
+        })),
+        loadedAt: now
+      };
+    } catch (error) {
+      if (!cache.zones) throw error;
+      console.warn('Using stale delivery zones:', error.message);
+    }
+    return cache.zones;
+  }
+
+  static zoneFor(zones, latitude, longitude) {
+    if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) return null;
+    return zoneGeometry.findZone(zones, Number(latitude), Number(longitude));
+  }
+
+  // Terms for delivering from `restaurant` to a customer location, or null
+  // when the customer is outside every zone or in a different zone from the
+  // restaurant. The fee grows with distance inside the zone.
+  static deliveryTerms(zones, restaurant, latitude, longitude) {
+    const zone = this.zoneFor(zones, latitude, longitude);
+    if (!zone || this.zoneFor(zones, restaurant.latitude, restaurant.longitude) !== zone) return null;
+
+    const distanceKm = zoneGeometry.distanceKm(
+      Number(restaurant.latitude), Number(restaurant.longitude), Number(latitude), Number(longitude)
+    );
+    const feeCents = Math.round(
+      (zone.base_delivery_fee_cents + zone.per_km_rate_cents * distanceKm) * (Number(zone.surge_multiplier) || 1)
+    );
+
+    return {
+      zone_id: zone.id,
+      zone_code: zone.zone_code,
+      distance_km: Math.round(distanceKm * 100) / 100,
+      delivery_fee_cents: feeCents,
+      min_order_amount_cents: Math.max(restaurant.min_order_amount_cents || 0, zone.min_order_amount_cents || 0)
+    };
+  }
+
+  // Sets `delivery` on each restaurant that delivers to the location and
+  // returns only those. When zones cannot be loaded at all, restaurants are
+  // returned unfiltered so browsing keeps working; orders are still checked
+  // at quote time.
+  static async filterServiceable(restaurants, latitude, longitude) {
+    let zones;
+    try {
+      zones = await this.getZones();
+    } catch (error) {
+      console.warn('Delivery zones unavailable, skipping serviceability filter:', error.message);
+      return restaurants;
+    }
+
+    return restaurants.filter(restaurant => {
+      restaurant.delivery = this.deliveryTerms(zones, restaurant, latitude, longitude);
+      return restaurant.delivery !== null;
+    });
+  }
+}
+
+module.exports = { ZoneService };
@@ -0,0 +1,55 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), on: jest.fn() }));
+jest.mock('../src/services/availability.service', () => ({ AvailabilityService: { annotate: jest.fn() } }));
+jest.mock('../src/services/zone.service', () => ({ ZoneService: { filterServiceable: jest.fn() } }));
+
+const pool = require('../src/config/database');
+const { AvailabilityService } = require('../src/services/availability.service');
+const Restaurant = require('../src/models/restaurant.model');
+
+// 250 restaurants in SQL order; every third one is closed right now
+const ROWS = Array.from({ length: 250 }, (_, i) => ({ id: `r-${i}`, open: i % 3 !== 0 }));
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  // Answers LIMIT / OFFSET, the last two parameters, from ROWS
+  pool.query.mockImplementation(async (sql, params) => {
+    const [limit, offset] = params.slice(-2);
+    return { rows: ROWS.slice(offset, offset + limit).map((r) => ({ ...r })) };
+  });
+  AvailabilityService.annotate.mockImplementation(async (rows) => {
+    rows.forEach((r) => { r.availability = { is_open: r.open }; });
+    return rows;
+  });
+});
+
+const ids = (restaurants) => restaurants.map((r) => r.id);
+
+describe('restaurant search paging', () => {
+  it('pages in SQL and carries on from the cursor without gaps or repeats', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await Restaurant.search({ limit: 40, cursor });
+      expect(page.restaurants.length).toBeLessThanOrEqual(40);
+      seen.push(...ids(page.restaurants));
+      cursor = page.nextCursor;
+    } while (cursor !== null);
+
+    expect(seen).toEqual(ROWS.filter((r) => r.open).map((r) => r.id));
+    // Every query read a bounded batch rather than the whole table
+    pool.query.mock.calls.forEach(([, params]) => expect(params[params.length - 2]).toBeLessThanOrEqual(100));
+  });
+
+  it('still honours a plain offset into the matching restaurants', async () => {
+    const { restaurants } = await Restaurant.search({ limit: 5, offset: 10 });
+
+    expect(ids(restaurants)).toEqual(ROWS.filter((r) => r.open).slice(10, 15).map((r) => r.id));
+  });
+
+  it('ends with no cursor once the rows run out', async () => {
+    const { restaurants, nextCursor } = await Restaurant.search({ limit: 20, cursor: 240 });
+
+    expect(ids(restaurants)).toEqual(ROWS.slice(240).filter((r) => r.open).map((r) => r.id));
+    expect(nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,392 @@
+const Joi = require('joi');
+const { isInternalRequest } = require('@quickbite/internal-auth');
+const Coupon = require('../models/coupon.model');
+const { evaluateCoupon, combineCoupons, REJECTIONS } = require('../services/couponEngine.service');
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+const ORDER_BASE = process.env.ORDER_BASE_URL || 'http://localhost:3004/api';
+
+// Cart payloads come from the mobile app (rupees, camelCase) and from other
+// services (cents, snake_case); both shapes are accepted.
+const cartItemSchema = Joi.object({
+  id: Joi.string(),
+  item_id: Joi.string(),
+  itemId: Joi.string(),
+  quantity: Joi.number().integer().min(1).default(1),
+  price: Joi.number().min(0),
+  price_cents: Joi.number().integer().min(0),
+}).unknown(true);
+
+const cartSchema = {
+  couponCode: Joi.string().max(50),
+  couponCodes: Joi.array().items(Joi.string().max(50)).max(5),
+  cartItems: Joi.array().items(cartItemSchema).default([]),
+  items: Joi.array().items(cartItemSchema),
+  subtotal: Joi.number().min(0),
+  subtotal_cents: Joi.number().integer().min(0),
+  deliveryFee: Joi.number().min(0),
+  delivery_fee_cents: Joi.number().integer().min(0),
+  restaurantId: Joi.string(),
+  restaurant_id: Joi.string(),
+  cuisineType: Joi.string(),
+  cuisine_type: Joi.string(),
+};
+
+const evaluateSchema = Joi.object(cartSchema).or('couponCode', 'couponCodes');
+
+const redeemSchema = Joi.object({
+  ...cartSchema,
+  order_id: Joi.string().guid({ version: 'uuidv4' }).required(),
+}).or('couponCode', 'couponCodes');
+
+const couponSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]{3,50}$/).required(),
+  description: Joi.string().max(500).allow('', null),
+  discount_type: Joi.string().valid(...Coupon.DISCOUNT_TYPES).required(),
+  discount_value: Joi.number().min(0).required(),
+  max_discount_cents: Joi.number().integer().min(0).allow(null),
+  min_order_cents: Joi.number().integer().min(0).default(0),
+  usage_limit_total: Joi.number().integer().min(1).allow(null),
+  usage_limit_per_user: Joi.number().integer().min(1).allow(null).default(1),
+  restaurant_ids: Joi.array().items(Joi.string()).allow(null),
+  cuisine_types: Joi.array().items(Joi.string()).allow(null),
+  item_ids: Joi.array().items(Joi.string()).allow(null),
+  first_order_only: Joi.boolean().default(false),
+  starts_at: Joi.date().allow(null),
+  ends_at: Joi.date().greater(Joi.ref('starts_at')).allow(null),
+  active_days: Joi.array().items(Joi.number().integer().min(0).max(6)).allow(null),
+  active_hours: Joi.object({
+    start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+    end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+  }).allow(null),
+  is_stackable: Joi.boolean().default(false),
+  stack_group: Joi.string().max(50).allow(null),
+  priority: Joi.number().integer().default(0),
+}).custom((value, helpers) => {
+  if (value.discount_type === 'PERCENTAGE' && value.discount_value > 100) {
+    return helpers.message('discount_value must be at most 100 for PERCENTAGE coupons');
+  }
+  return value;
+});
+
+const couponUpdateSchema = couponSchema.fork(['code', 'discount_type', 'discount_value'], (s) => s.optional())
+  .keys({ is_active: Joi.boolean() });
+
+const toCents = (rupees) => Math.round(Number(rupees) * 100);
+
+function normalizeCart(body) {
+  const items = (body.items || body.cartItems || []).map(it => ({
+    itemId: it.item_id || it.itemId || it.id,
+    quantity: it.quantity || 1,
+    priceCents: it.price_cents != null ? it.price_cents : toCents(it.price || 0),
+  }));
+  const itemsTotal = items.reduce((sum, it) => sum + it.priceCents * it.quantity, 0);
+  return {
+    restaurantId: body.restaurant_id || body.restaurantId || null,
+    cuisineType: body.cuisine_type || body.cuisineType || null,
+    items,
+    subtotalCents: body.subtotal_cents != null ? body.subtotal_cents
+      : body.subtotal != null ? toCents(body.subtotal) : itemsTotal,
+    deliveryFeeCents: body.delivery_fee_cents != null ? body.delivery_fee_cents
+      : body.deliveryFee != null ? toCents(body.deliveryFee) : 0,
+  };
+}
+
+function requestedCodes(body) {
+  const codes = body.couponCodes || [body.couponCode];
+  return [...new Set(codes.map(Coupon.normalizeCode).filter(Boolean))];
+}
+
+async function fetchJson(url, options = {}) {
+  const r = await fetch(url, options);
+  if (!r.ok) throw new Error(`Upstream ${url} failed: ${r.status}`);
+  return r.json();
+}
+
+async function lookupCuisine(restaurantId) {
+  if (!restaurantId) return null;
+  try {
+    const data = await fetchJson(`${CATALOG_BASE}/restaurants/${restaurantId}`);
+    return data?.data?.cuisine_type || null;
+  } catch (e) {
+    console.warn('Cuisine lookup failed:', e.message);
+    return null;
+  }
+}
+
+// Status of the order as order-service has it, or null when it was never
+// written (the order failed after its coupons were redeemed)
+async function lookupOrderStatus(orderId) {
+  const r = await fetch(`${ORDER_BASE}/internal/orders/${encodeURIComponent(orderId)}`, {
+    headers: { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '' }
+  });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Order lookup for ${orderId} failed: ${r.status}`);
+  const order = await r.json();
+  return order.status;
+}
+
+// True when the user has no prior non-cancelled order other than `orderId`.
+// Returns null when order history cannot be fetched, which fails closed.
+async function lookupFirstOrder(token, orderId = null) {
+  if (!token) return null;
+  try {
+    const data = await fetchJson(`${ORDER_BASE}/orders`, { headers: { 'Authorization': `Bearer ${token}` } });
+    const prior = (data.orders || []).filter(o => o.id !== orderId && o.status !== 'CANCELLED');
+    return prior.length === 0;
+  } catch (e) {
+    console.warn('Order history lookup failed:', e.message);
+    return null;
+  }
+}
+
+// Load the requested coupons and evaluate them against the cart
+async function evaluateRequest(req, body, orderId = null) {
+  const codes = requestedCodes(body);
+  const cart = normalizeCart(body);
+  const coupons = await Coupon.getCouponsByCodes(codes);
+  const byCode = new Map(coupons.map(c => [c.code, c]));
+
+  if (coupons.some(c => c.cuisine_types && c.cuisine_types.length > 0) && !cart.cuisineType) {
+    cart.cuisineType = await lookupCuisine(cart.restaurantId);
+  }
+  const isFirstOrder = coupons.some(c => c.first_order_only)
+    ? await lookupFirstOrder(req.accessToken, orderId)
+    : null;
+  const userRedemptions = await Coupon.getUserRedemptionCounts(req.userId, coupons.map(c => c.id));
+
+  const ctx = { now: new Date(), isFirstOrder, userRedemptions };
+  const evaluations = codes.map(code => {
+    const coupon = byCode.get(code);
+    if (!coupon) {
+      return { coupon: { code }, eligible: false, reason: 'COUPON_NOT_FOUND', message: REJECTIONS.COUPON_NOT_FOUND, discountCents: 0 };
+    }
+    return evaluateCoupon(coupon, cart, ctx);
+  });
+
+  return { cart, ...combineCoupons(evaluations, cart) };
+}
+
+function publicCoupon(coupon) {
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description,
+    discount_type: coupon.discount_type,
+    discount_value: Number(coupon.discount_value),
+    max_discount_cents: coupon.max_discount_cents,
+    min_order_cents: coupon.min_order_cents,
+    ends_at: coupon.ends_at,
+    is_stackable: coupon.is_stackable,
+  };
+}
+
+function summarize({ cart, applied, rejected, totalDiscountCents }) {
+  return {
+    subtotal_cents: cart.subtotalCents,
+    delivery_fee_cents: cart.deliveryFeeCents,
+    total_discount_cents: totalDiscountCents,
+    applied: applied.map(e => ({ code: e.coupon.code, discount_cents: e.discountCents, coupon: publicCoupon(e.coupon) })),
+    rejected: rejected.map(e => ({ code: e.coupon.code, reason: e.reason, message: e.message })),
+  };
+}
+
+function isAdmin(req) {
+  return req.userRole === 'admin';
+}
+
+class CouponController {
+
+  // Check codes against a cart without reserving anything
+  static async validate(req, res) {
+    try {
+      const { error, value } = evaluateSchema.validate(req.body, { abortEarly: false });
+      if (error) return res.status(400).json({ success: false, message: 'Invalid request', details: error.details });
+
+      const result = await evaluateRequest(req, value);
+      return res.json({ success: true, valid: result.rejected.length === 0, ...summarize(result) });
+    } catch (e) {
+      console.error('validate coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  // Cart-facing apply: same checks as validate, but fails unless every code applies.
+  // Response keeps `coupon` / `discountAmount` (rupees) for the mobile cart slice.
+  static async apply(req, res) {
+    try {
+      const { error, value } = evaluateSchema.validate(req.body, { abortEarly: false });
+      if (error) return res.status(400).json({ success: false, message: 'Invalid request', details: error.details });
+
+      const result = await evaluateRequest(req, value);
+      if (result.rejected.length > 0) {
+        const first = result.rejected[0];
+        return res.status(422).json({
+          success: false,
+          message: first.message,
+          code: first.reason,
+          ...summarize(result),
+        });
+      }
+
+      const summary = summarize(result);
+      return res.json({
+        success: true,
+        coupon: summary.applied[0].coupon,
+        discountAmount: result.totalDiscountCents / 100,
+        ...summary,
+      });
+    } catch (e) {
+      console.error('apply coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  // Record the redemption against an order. Idempotent per order.
+  static async redeem(req, res) {
+    try {
+      const { error, value } = redeemSchema.validate(req.body, { abortEarly: false });
+      if (error) return res.status(400).json({ success: false, message: 'Invalid request', details: error.details });
+      if (!req.userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+      const existing = (await Coupon.getOrderRedemptions(value.order_id)).filter(r => r.status === 'REDEEMED');
+      if (existing.length > 0) {
+        return res.json({ success: true, replayed: true, order_id: value.order_id, redemptions: existing });
+      }
+
+      const result = await evaluateRequest(req, value, value.order_id);
+      if (result.rejected.length > 0) {
+        const first = result.rejected[0];
+        return res.status(422).json({ success: false, message: first.message, code: first.reason, ...summarize(result) });
+      }
+
+      const lines = result.applied.map(e => ({ coupon: e.coupon, discountCents: e.discountCents }));
+      const { redemptions, replayed } = await Coupon.redeem(
+        { userId: req.userId, orderId: value.order_id, lines },
+        (locked, userCounts) => {
+          for (const c of locked) {
+            if (c.usage_limit_total != null && c.times_redeemed >= c.usage_limit_total) {
+              throw Object.assign(new Error(REJECTIONS.USAGE_LIMIT_REACHED), { code: 'USAGE_LIMIT_REACHED' });
+            }
+            if (c.usage_limit_per_user != null && (userCounts[c.id] || 0) >= c.usage_limit_per_user) {
+              throw Object.assign(new Error(REJECTIONS.USER_LIMIT_REACHED), { code: 'USER_LIMIT_REACHED' });
+            }
+          }
+        }
+      );
+
+      return res.status(replayed ? 200 : 201).json({
+        success: true,
+        replayed,
+        order_id: value.order_id,
+        total_discount_cents: redemptions.reduce((sum, r) => sum + r.discount_cents, 0),
+        redemptions,
+      });
+    } catch (e) {
+      if (e.code === 'USAGE_LIMIT_REACHED' || e.code === 'USER_LIMIT_REACHED') {
+        return res.status(409).json({ success: false, message: e.message, code: e.code });
+      }
+      console.error('redeem coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  static async getOrderRedemptions(req, res) {
+    try {
+      const redemptions = await Coupon.getOrderRedemptions(req.params.orderId);
+      if (!isAdmin(req) && redemptions.some(r => r.user_id !== req.userId)) {
+        return res.status(403).json({ success: false, message: 'Forbidden' });
+      }
+      return res.json({ success: true, order_id: req.params.orderId, redemptions });
+    } catch (e) {
+      console.error('get order redemptions failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  // Give usage back for an order that did not go through. Only order-service
+  // (on its internal token) and admins may, and only once order-service has
+  // the order cancelled or never wrote it; otherwise per-user and
+  // first-order limits could be reset at will.
+  static async reverseOrderRedemptions(req, res) {
+    try {
+      if (!isInternalRequest(req) && !isAdmin(req)) {
+        return res.status(403).json({ success: false, message: 'Forbidden' });
+      }
+      const status = await lookupOrderStatus(req.params.orderId);
+      if (status !== null && status !== 'CANCELLED') {
+        return res.status(409).json({
+          success: false,
+          message: `Redemptions of a ${status} order cannot be reversed`,
+          code: 'ORDER_NOT_CANCELLED'
+        });
+      }
+      const reversed = await Coupon.reverseOrderRedemptions(req.params.orderId);
+      return res.json({ success: true, order_id: req.params.orderId, reversed });
+    } catch (e) {
+      console.error('reverse redemptions failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  // ==================== ADMIN ====================
+
+  static async createCoupon(req, res) {
+    try {
+      if (!isAdmin(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+      const { error, value } = couponSchema.validate(req.body, { abortEarly: false });
+      if (error) return res.status(400).json({ success: false, message: 'Invalid coupon', details: error.details });
+
+      const coupon = await Coupon.createCoupon(value, req.userId);
+      return res.status(201).json({ success: true, data: coupon });
+    } catch (e) {
+      if (e.code === '23505') return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+      console.error('create coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  static async listCoupons(req, res) {
+    try {
+      if (!isAdmin(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+      const coupons = await Coupon.listCoupons({
+        active: req.query.active === undefined ? undefined : req.query.active === 'true',
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+        offset: parseInt(req.query.offset, 10) || 0,
+      });
+      return res.json({ success: true, data: coupons });
+    } catch (e) {
+      console.error('list coupons failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  static async updateCoupon(req, res) {
+    try {
+      if (!isAdmin(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+      const { error, value } = couponUpdateSchema.validate(req.body, { abortEarly: false });
+      if (error) return res.status(400).json({ success: false, message: 'Invalid coupon', details: error.details });
+
+      const coupon = await Coupon.updateCoupon(req.params.id, value);
+      if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+      return res.json({ success: true, data: coupon });
+    } catch (e) {
+      console.error('update coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+
+  static async deactivateCoupon(req, res) {
+    try {
+      if (!isAdmin(req)) return res.status(403).json({ success: false, message: 'Forbidden' });
+      const coupon = await Coupon.updateCoupon(req.params.id, { is_active: false });
+      if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+      return res.json({ success: true, data: coupon });
+    } catch (e) {
+      console.error('deactivate coupon failed', e);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+  }
+}
+
+module.exports = CouponController;
@@ -0,0 +1,256 @@
+const pool = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// PERCENTAGE: discount_value is a percent of the eligible subtotal
+// FLAT: discount_value is an amount in cents
+// FREE_DELIVERY: waives the delivery fee (up to max_discount_cents)
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FLAT', 'FREE_DELIVERY'];
+const REDEMPTION_STATUSES = ['REDEEMED', 'REVERSED'];
+
+const JSON_COLUMNS = ['restaurant_ids', 'cuisine_types', 'item_ids', 'active_days', 'active_hours'];
+
+async function ensureSchema() {
+  const sql = `
+  CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    description TEXT,
+    discount_type TEXT NOT NULL,
+    discount_value NUMERIC(10,2) NOT NULL,
+    max_discount_cents INTEGER,
+    min_order_cents INTEGER DEFAULT 0,
+
+    -- Usage limits (NULL = unlimited)
+    usage_limit_total INTEGER,
+    usage_limit_per_user INTEGER DEFAULT 1,
+    times_redeemed INTEGER DEFAULT 0,
+
+    -- Scoping (NULL = applies everywhere)
+    restaurant_ids JSONB,
+    cuisine_types JSONB,
+    item_ids JSONB,
+    first_order_only BOOLEAN DEFAULT false,
+
+    -- Validity window
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    active_days JSONB, -- [0-6], 0 = Sunday
+    active_hours JSONB, -- {"start": "11:00", "end": "15:00"}
+
+    -- Stacking
+    is_stackable BOOLEAN DEFAULT false,
+    stack_group TEXT,
+    priority INTEGER DEFAULT 0,
+
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY,
+    coupon_id UUID NOT NULL REFERENCES coupons(id),
+    code TEXT NOT NULL,
+    user_id UUID NOT NULL,
+    order_id UUID NOT NULL,
+    discount_cents INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'REDEEMED',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reversed_at TIMESTAMP,
+    UNIQUE (coupon_id, order_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_coupons_active ON coupons(is_active, ends_at);
+  CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON coupon_redemptions(user_id, coupon_id);
+  CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_order ON coupon_redemptions(order_id);
+  `;
+  await pool.query(sql);
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function serialize(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+async function createCoupon(data, createdBy = null) {
+  const id = uuidv4();
+  const { rows } = await pool.query(
+    `INSERT INTO coupons (
+      id, code, description, discount_type, discount_value, max_discount_cents, min_order_cents,
+      usage_limit_total, usage_limit_per_user, restaurant_ids, cuisine_types, item_ids, first_order_only,
+      starts_at, ends_at, active_days, active_hours, is_stackable, stack_group, priority, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21)
+    RETURNING *`,
+    [
+      id, normalizeCode(data.code), data.description || null, data.discount_type, data.discount_value,
+      data.max_discount_cents ?? null, data.min_order_cents || 0,
+      data.usage_limit_total ?? null, data.usage_limit_per_user ?? 1,
+      serialize(data.restaurant_ids), serialize(data.cuisine_types), serialize(data.item_ids),
+      !!data.first_order_only, data.starts_at || null, data.ends_at || null,
+      serialize(data.active_days), serialize(data.active_hours),
+      !!data.is_stackable, data.stack_group || null, data.priority || 0, createdBy
+    ]
+  );
+  return rows[0];
+}
+
+async function updateCoupon(id, updates) {
+  const fields = [];
+  const params = [id];
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined || key === 'id' || key === 'code') continue;
+    params.push(JSON_COLUMNS.includes(key) ? serialize(value) : value);
+    fields.push(`${key} = $${params.length}`);
+  }
+  if (fields.length === 0) return getCouponById(id);
+
+  const { rows } = await pool.query(
+    `UPDATE coupons SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function getCouponById(id) {
+  const { rows } = await pool.query('SELECT * FROM coupons WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function getCouponsByCodes(codes) {
+  const { rows } = await pool.query(
+    'SELECT * FROM coupons WHERE code = ANY($1::text[])',
+    [codes.map(normalizeCode)]
+  );
+  return rows;
+}
+
+async function listCoupons({ active, limit = 50, offset = 0 } = {}) {
+  const params = [];
+  let where = '';
+  if (active !== undefined) {
+    params.push(active);
+    where = `WHERE is_active = $${params.length}`;
+  }
+  params.push(limit, offset);
+  const { rows } = await pool.query(
+    `SELECT * FROM coupons ${where} ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Redemption counts per coupon for one user, keyed by coupon id
+async function getUserRedemptionCounts(userId, couponIds, client = pool) {
+  if (!userId || couponIds.length === 0) return {};
+  const { rows } = await client.query(
+    `SELECT coupon_id, COUNT(*)::int AS count FROM coupon_redemptions
+     WHERE user_id = $1 AND coupon_id = ANY($2::uuid[]) AND status = 'REDEEMED'
+     GROUP BY coupon_id`,
+    [userId, couponIds]
+  );
+  return Object.fromEntries(rows.map(r => [r.coupon_id, r.count]));
+}
+
+async function getOrderRedemptions(orderId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM coupon_redemptions WHERE order_id = $1 ORDER BY created_at',
+    [orderId]
+  );
+  return rows;
+}
+
+// Record redemptions for an order inside one transaction. `check` receives
+// the row-locked coupons and the user's current counts and must throw if any
+// limit is now exceeded. Re-redeeming the same coupon for the same order is a
+// no-op, so callers can safely retry.
+async function redeem({ userId, orderId, lines }, check) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT * FROM coupon_redemptions WHERE order_id = $1 AND status = 'REDEEMED'`,
+      [orderId]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('COMMIT');
+      return { redemptions: existing.rows, replayed: true };
+    }
+
+    const couponIds = lines.map(l => l.coupon.id);
+    const { rows: locked } = await client.query(
+      'SELECT * FROM coupons WHERE id = ANY($1::uuid[]) FOR UPDATE',
+      [couponIds]
+    );
+    const userCounts = await getUserRedemptionCounts(userId, couponIds, client);
+    check(locked, userCounts);
+
+    const redemptions = [];
+    for (const line of lines) {
+      const { rows } = await client.query(
+        `INSERT INTO coupon_redemptions (id, coupon_id, code, user_id, order_id, discount_cents)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+        [uuidv4(), line.coupon.id, line.coupon.code, userId, orderId, line.discountCents]
+      );
+      await client.query(
+        'UPDATE coupons SET times_redeemed = times_redeemed + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [line.coupon.id]
+      );
+      redemptions.push(rows[0]);
+    }
+
+    await client.query('COMMIT');
+    return { redemptions, replayed: false };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Reverse every active redemption for an order (e.g. on cancellation)
+async function reverseOrderRedemptions(orderId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE coupon_redemptions SET status = 'REVERSED', reversed_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'REDEEMED' RETURNING *`,
+      [orderId]
+    );
+    for (const r of rows) {
+      await client.query(
+        'UPDATE coupons SET times_redeemed = GREATEST(times_redeemed - 1, 0), updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [r.coupon_id]
+      );
+    }
+    await client.query('COMMIT');
+    return rows;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  ensureSchema,
+  normalizeCode,
+  createCoupon,
+  updateCoupon,
+  getCouponById,
+  getCouponsByCodes,
+  listCoupons,
+  getUserRedemptionCounts,
+  getOrderRedemptions,
+  redeem,
+  reverseOrderRedemptions,
+  DISCOUNT_TYPES,
+  REDEMPTION_STATUSES
+};
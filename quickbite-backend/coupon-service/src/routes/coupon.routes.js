@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const CouponController = require('../controllers/coupon.controller');
+const auth = require('../middleware/auth.middleware');
+const { isInternalRequest } = require('@quickbite/internal-auth');
+
+// order-service calls on its internal token; everyone else signs in
+const internalOrAuth = (req, res, next) => (isInternalRequest(req) ? next() : auth(req, res, next));
+
+// Cart and checkout
+router.post('/validate', auth, CouponController.validate);
+router.post('/apply', auth, CouponController.apply);
+router.post('/redeem', auth, CouponController.redeem);
+
+// Redemptions recorded against an order
+router.get('/orders/:orderId/redemptions', auth, CouponController.getOrderRedemptions);
+router.post('/orders/:orderId/reverse', internalOrAuth, CouponController.reverseOrderRedemptions);
+
+// Coupon administration (admin role)
+router.post('/', auth, CouponController.createCoupon);
+router.get('/', auth, CouponController.listCoupons);
+router.patch('/:id', auth, CouponController.updateCoupon);
+router.delete('/:id', auth, CouponController.deactivateCoupon);
+
+module.exports = router;
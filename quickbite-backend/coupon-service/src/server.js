@@ -0,0 +1,29 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const dotenv = require('dotenv');
+const compression = require('compression');
+
+dotenv.config();
+
+const routes = require('./routes/coupon.routes');
+const { ensureSchema } = require('./models/coupon.model');
+
+const app = express();
+app.use(helmet());
+app.use(cors({ origin: process.env.FRONTEND_URL || '*' }));
+app.use(compression());
+app.use(express.json());
+
+app.get('/health', (req, res) => res.json({ status: 'ok', service: 'coupon-service', time: new Date().toISOString() }));
+app.use('/api/coupons', routes);
+
+const PORT = process.env.PORT || 3009;
+ensureSchema().then(() => {
+  app.listen(PORT, () => console.log(`🎟️ Coupon Service running on ${PORT}`));
+}).catch((e) => {
+  console.error('Failed to init schema', e);
+  process.exit(1);
+});
+
+module.exports = app;
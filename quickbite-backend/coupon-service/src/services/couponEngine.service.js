@@ -0,0 +1,186 @@
+// Pure coupon rule evaluation: no database or network access, so every rule
+// can be reasoned about from the coupon row, the cart and the caller context.
+
+const COUPON_TIMEZONE = process.env.COUPON_TIMEZONE || 'Asia/Kolkata';
+
+const REJECTIONS = {
+  COUPON_NOT_FOUND: 'Coupon code not found',
+  COUPON_INACTIVE: 'Coupon is no longer active',
+  COUPON_NOT_STARTED: 'Coupon is not valid yet',
+  COUPON_EXPIRED: 'Coupon has expired',
+  OUTSIDE_TIME_WINDOW: 'Coupon is not valid at this time',
+  MIN_ORDER_NOT_MET: 'Order total is below the coupon minimum',
+  RESTAURANT_NOT_ELIGIBLE: 'Coupon is not valid for this restaurant',
+  CUISINE_NOT_ELIGIBLE: 'Coupon is not valid for this cuisine',
+  NO_ELIGIBLE_ITEMS: 'Cart has no items this coupon applies to',
+  FIRST_ORDER_ONLY: 'Coupon is only valid on your first order',
+  USAGE_LIMIT_REACHED: 'Coupon usage limit has been reached',
+  USER_LIMIT_REACHED: 'You have already used this coupon',
+  NOT_STACKABLE: 'Coupon cannot be combined with other coupons',
+  NO_DISCOUNT: 'Coupon gives no discount on this cart'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function localClock(now, timeZone = COUPON_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return { day: WEEKDAYS[get('weekday')], minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10) };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// Windows where end < start wrap past midnight (e.g. 22:00-02:00)
+function withinHours(minutes, { start, end }) {
+  const s = toMinutes(start);
+  const e = toMinutes(end);
+  return s <= e ? minutes >= s && minutes < e : minutes >= s || minutes < e;
+}
+
+function reject(coupon, reason) {
+  return { coupon, eligible: false, reason, message: REJECTIONS[reason], discountCents: 0 };
+}
+
+function eligibleSubtotal(coupon, cart) {
+  const itemIds = coupon.item_ids;
+  if (!itemIds || itemIds.length === 0) return cart.subtotalCents;
+  return cart.items
+    .filter(it => itemIds.includes(it.itemId))
+    .reduce((sum, it) => sum + it.priceCents * it.quantity, 0);
+}
+
+function computeDiscount(coupon, cart, baseCents) {
+  let discount;
+  switch (coupon.discount_type) {
+    case 'PERCENTAGE':
+      discount = Math.round(baseCents * Number(coupon.discount_value) / 100);
+      break;
+    case 'FLAT':
+      discount = Math.min(Math.round(Number(coupon.discount_value)), baseCents);
+      break;
+    case 'FREE_DELIVERY':
+      discount = cart.deliveryFeeCents || 0;
+      break;
+    default:
+      discount = 0;
+  }
+  if (coupon.max_discount_cents != null) {
+    discount = Math.min(discount, coupon.max_discount_cents);
+  }
+  return Math.max(0, discount);
+}
+
+/**
+ * Evaluate a single coupon against a cart.
+ * ctx: { now, isFirstOrder, userRedemptions }
+ */
+function evaluateCoupon(coupon, cart, ctx = {}) {
+  const now = ctx.now || new Date();
+
+  if (!coupon.is_active) return reject(coupon, 'COUPON_INACTIVE');
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) return reject(coupon, 'COUPON_NOT_STARTED');
+  if (coupon.ends_at && new Date(coupon.ends_at) <= now) return reject(coupon, 'COUPON_EXPIRED');
+
+  if (coupon.active_days || coupon.active_hours) {
+    const clock = localClock(now);
+    if (coupon.active_days && !coupon.active_days.includes(clock.day)) return reject(coupon, 'OUTSIDE_TIME_WINDOW');
+    if (coupon.active_hours && !withinHours(clock.minutes, coupon.active_hours)) return reject(coupon, 'OUTSIDE_TIME_WINDOW');
+  }
+
+  if (coupon.usage_limit_total != null && coupon.times_redeemed >= coupon.usage_limit_total) {
+    return reject(coupon, 'USAGE_LIMIT_REACHED');
+  }
+  const used = (ctx.userRedemptions || {})[coupon.id] || 0;
+  if (coupon.usage_limit_per_user != null && used >= coupon.usage_limit_per_user) {
+    return reject(coupon, 'USER_LIMIT_REACHED');
+  }
+  if (coupon.first_order_only && ctx.isFirstOrder !== true) return reject(coupon, 'FIRST_ORDER_ONLY');
+
+  if (coupon.restaurant_ids && coupon.restaurant_ids.length > 0 && !coupon.restaurant_ids.includes(cart.restaurantId)) {
+    return reject(coupon, 'RESTAURANT_NOT_ELIGIBLE');
+  }
+  if (coupon.cuisine_types && coupon.cuisine_types.length > 0) {
+    const cuisine = (cart.cuisineType || '').toLowerCase();
+    if (!coupon.cuisine_types.some(c => c.toLowerCase() === cuisine)) return reject(coupon, 'CUISINE_NOT_ELIGIBLE');
+  }
+
+  if (cart.subtotalCents < (coupon.min_order_cents || 0)) return reject(coupon, 'MIN_ORDER_NOT_MET');
+
+  const base = eligibleSubtotal(coupon, cart);
+  if (base <= 0 && coupon.discount_type !== 'FREE_DELIVERY') return reject(coupon, 'NO_ELIGIBLE_ITEMS');
+
+  const discountCents = computeDiscount(coupon, cart, base);
+  if (discountCents <= 0) return reject(coupon, 'NO_DISCOUNT');
+
+  return { coupon, eligible: true, discountCents, eligibleSubtotalCents: base };
+}
+
+// Applies `candidates` highest priority first (then largest discount),
+// keeping one coupon per stack_group and capping item discounts at the
+// subtotal and delivery discounts at the delivery fee. Returns copies; the
+// evaluations passed in are left as they are.
+function stack(candidates, cart) {
+  const ordered = [...candidates]
+    .sort((a, b) => (b.coupon.priority || 0) - (a.coupon.priority || 0) || b.discountCents - a.discountCents);
+
+  const seenGroups = new Set();
+  let itemRemaining = cart.subtotalCents;
+  let deliveryRemaining = cart.deliveryFeeCents || 0;
+  const applied = [];
+
+  for (const e of ordered) {
+    const group = e.coupon.stack_group;
+    if (group && seenGroups.has(group)) continue;
+    if (group) seenGroups.add(group);
+
+    let discountCents;
+    if (e.coupon.discount_type === 'FREE_DELIVERY') {
+      discountCents = Math.min(e.discountCents, deliveryRemaining);
+      deliveryRemaining -= discountCents;
+    } else {
+      discountCents = Math.min(e.discountCents, itemRemaining);
+      itemRemaining -= discountCents;
+    }
+    applied.push({ ...e, discountCents });
+  }
+
+  const totalDiscountCents = applied.reduce((sum, e) => sum + e.discountCents, 0);
+  return { applied, totalDiscountCents };
+}
+
+/**
+ * Apply stacking rules to a set of evaluations. A non-stackable coupon can
+ * only be used alone, so the best of them is weighed against the stackable
+ * coupons together and the larger discount wins (the stackable set on a
+ * tie). At most one coupon per stack_group is kept (the highest priority,
+ * then the largest discount). Every eligible coupon left out is rejected as
+ * NOT_STACKABLE.
+ */
+function combineCoupons(evaluations, cart) {
+  const eligible = evaluations.filter(e => e.eligible);
+  const rejected = evaluations.filter(e => !e.eligible);
+
+  const alone = eligible.length > 1 ? eligible.filter(e => !e.coupon.is_stackable) : [];
+  let best = stack(eligible.filter(e => !alone.includes(e)), cart);
+  for (const e of alone) {
+    const single = stack([e], cart);
+    if (single.totalDiscountCents > best.totalDiscountCents) best = single;
+  }
+
+  const kept = new Set(best.applied.map(e => e.coupon));
+  const left = eligible.filter(e => !kept.has(e.coupon)).map(e => reject(e.coupon, 'NOT_STACKABLE'));
+  return { applied: best.applied, rejected: [...rejected, ...left], totalDiscountCents: best.totalDiscountCents };
+}
+
+module.exports = {
+  evaluateCoupon,
+  combineCoupons,
+  localClock,
+  withinHours,
+  REJECTIONS
+};
@@ -0,0 +1,79 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/coupon.model', () => ({
+  DISCOUNT_TYPES: ['PERCENTAGE', 'FLAT', 'FREE_DELIVERY'],
+  normalizeCode: jest.fn(),
+  getOrderRedemptions: jest.fn(),
+  reverseOrderRedemptions: jest.fn()
+}));
+
+const Coupon = require('../src/models/coupon.model');
+const CouponController = require('../src/controllers/coupon.controller');
+
+const INTERNAL = { 'x-internal-token': 'internal-token' };
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+async function reverse(fields) {
+  const res = response();
+  await CouponController.reverseOrderRedemptions({ params: { orderId: 'order-1' }, headers: {}, ...fields }, res);
+  return res;
+}
+
+function orderStatus(status) {
+  global.fetch = jest.fn(async () => (status
+    ? { ok: true, status: 200, json: async () => ({ order_id: 'order-1', status }) }
+    : { ok: false, status: 404 }));
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  process.env.INTERNAL_SERVICE_TOKEN = 'internal-token';
+  Coupon.reverseOrderRedemptions.mockResolvedValue([{ coupon_id: 'coupon-1' }]);
+});
+
+afterEach(() => {
+  delete process.env.INTERNAL_SERVICE_TOKEN;
+});
+
+describe('reversing an order\'s coupon redemptions', () => {
+  it('refuses the customer who placed the order', async () => {
+    orderStatus('CANCELLED');
+
+    const res = await reverse({ userId: 'customer-1', userRole: 'customer' });
+
+    expect(res.statusCode).toBe(403);
+    expect(Coupon.reverseOrderRedemptions).not.toHaveBeenCalled();
+  });
+
+  it('gives usage back for a cancelled order', async () => {
+    orderStatus('CANCELLED');
+
+    const res = await reverse({ headers: INTERNAL });
+
+    expect(res.statusCode).toBe(200);
+    expect(Coupon.reverseOrderRedemptions).toHaveBeenCalledWith('order-1');
+  });
+
+  it('gives usage back for an order that was never written', async () => {
+    orderStatus(null);
+
+    const res = await reverse({ headers: INTERNAL });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('keeps usage spent on an order that went through', async () => {
+    orderStatus('DELIVERED');
+
+    const res = await reverse({ userId: 'admin-1', userRole: 'admin' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('ORDER_NOT_CANCELLED');
+    expect(Coupon.reverseOrderRedemptions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+const { evaluateCoupon, combineCoupons } = require('../src/services/couponEngine.service');
+
+const CART = {
+  restaurantId: 'restaurant-1',
+  cuisineType: 'Indian',
+  subtotalCents: 50000,
+  deliveryFeeCents: 4000,
+  items: [
+    { itemId: 'item-1', priceCents: 20000, quantity: 2 },
+    { itemId: 'item-2', priceCents: 10000, quantity: 1 }
+  ]
+};
+
+let nextId = 1;
+function coupon(fields) {
+  return {
+    id: `coupon-${nextId++}`,
+    code: `CODE${nextId}`,
+    is_active: true,
+    is_stackable: true,
+    discount_type: 'PERCENTAGE',
+    discount_value: 10,
+    times_redeemed: 0,
+    ...fields
+  };
+}
+
+// An instant given as the wall clock in Asia/Kolkata (UTC+05:30)
+function ist(hhmm, date = '2026-10-19') {
+  return new Date(`${date}T${hhmm}:00+05:30`);
+}
+
+function evaluateAll(coupons, cart = CART) {
+  return coupons.map(c => evaluateCoupon(c, cart, { now: ist('12:00') }));
+}
+
+describe('coupon time windows', () => {
+  const lateNight = coupon({ active_hours: { start: '22:00', end: '02:00' } });
+
+  it('applies a window that wraps past midnight on both sides of it', () => {
+    expect(evaluateCoupon(lateNight, CART, { now: ist('23:30') }).eligible).toBe(true);
+    expect(evaluateCoupon(lateNight, CART, { now: ist('01:59') }).eligible).toBe(true);
+  });
+
+  it('rejects the wrapped window outside those hours, with the end excluded', () => {
+    expect(evaluateCoupon(lateNight, CART, { now: ist('02:00') }).reason).toBe('OUTSIDE_TIME_WINDOW');
+    expect(evaluateCoupon(lateNight, CART, { now: ist('21:59') }).reason).toBe('OUTSIDE_TIME_WINDOW');
+  });
+
+  it('reads the day in the coupon timezone rather than UTC', () => {
+    // Monday 01:00 in Kolkata is still Sunday in UTC
+    const mondays = coupon({ active_days: [1] });
+
+    expect(evaluateCoupon(mondays, CART, { now: ist('01:00', '2026-10-19') }).eligible).toBe(true);
+    expect(evaluateCoupon(mondays, CART, { now: ist('23:00', '2026-10-18') }).reason).toBe('OUTSIDE_TIME_WINDOW');
+  });
+});
+
+describe('coupon limits', () => {
+  it('stops a customer once they reach the per-user limit', () => {
+    const twice = coupon({ usage_limit_per_user: 2 });
+
+    expect(evaluateCoupon(twice, CART, { userRedemptions: { [twice.id]: 1 } }).eligible).toBe(true);
+    expect(evaluateCoupon(twice, CART, { userRedemptions: { [twice.id]: 2 } }).reason).toBe('USER_LIMIT_REACHED');
+  });
+
+  it('caps a FLAT discount at the eligible items and at max_discount_cents', () => {
+    const flat = coupon({ discount_type: 'FLAT', discount_value: 15000, item_ids: ['item-2'] });
+    const capped = coupon({ discount_type: 'FLAT', discount_value: 15000, max_discount_cents: 8000 });
+
+    expect(evaluateCoupon(flat, CART).discountCents).toBe(10000);
+    expect(evaluateCoupon(capped, CART).discountCents).toBe(8000);
+  });
+});
+
+describe('coupon stacking', () => {
+  it('adds up stackable coupons, one per stack group', () => {
+    const tenPercent = coupon({ stack_group: 'cart' });
+    const flat = coupon({ discount_type: 'FLAT', discount_value: 3000, stack_group: 'cart', priority: 1 });
+    const freeDelivery = coupon({ discount_type: 'FREE_DELIVERY' });
+
+    const result = combineCoupons(evaluateAll([tenPercent, flat, freeDelivery]), CART);
+
+    expect(result.applied.map(e => e.coupon)).toEqual([flat, freeDelivery]);
+    expect(result.rejected).toEqual([expect.objectContaining({ coupon: tenPercent, reason: 'NOT_STACKABLE' })]);
+    expect(result.totalDiscountCents).toBe(7000);
+  });
+
+  it('never discounts more than the subtotal', () => {
+    const big = coupon({ discount_type: 'FLAT', discount_value: 40000 });
+    const bigger = coupon({ discount_type: 'FLAT', discount_value: 45000 });
+
+    const result = combineCoupons(evaluateAll([big, bigger]), CART);
+
+    expect(result.totalDiscountCents).toBe(CART.subtotalCents);
+  });
+
+  it('keeps the best non-stackable coupon when it beats the stackable ones together', () => {
+    const half = coupon({ is_stackable: false, discount_value: 50 });
+    const tenPercent = coupon({ is_stackable: false });
+    const flat = coupon({ discount_type: 'FLAT', discount_value: 3000 });
+    const freeDelivery = coupon({ discount_type: 'FREE_DELIVERY' });
+
+    const result = combineCoupons(evaluateAll([half, tenPercent, flat, freeDelivery]), CART);
+
+    expect(result.applied.map(e => e.coupon)).toEqual([half]);
+    expect(result.totalDiscountCents).toBe(25000);
+    expect(result.rejected.map(e => [e.coupon, e.reason])).toEqual([
+      [tenPercent, 'NOT_STACKABLE'], [flat, 'NOT_STACKABLE'], [freeDelivery, 'NOT_STACKABLE']
+    ]);
+  });
+
+  it('keeps the stackable coupons when together they beat every non-stackable one', () => {
+    const tenPercent = coupon({ is_stackable: false });
+    const flat = coupon({ discount_type: 'FLAT', discount_value: 3000 });
+    const freeDelivery = coupon({ discount_type: 'FREE_DELIVERY' });
+
+    const result = combineCoupons(evaluateAll([tenPercent, flat, freeDelivery]), CART);
+
+    expect(result.applied.map(e => e.coupon)).toEqual([freeDelivery, flat]);
+    expect(result.totalDiscountCents).toBe(7000);
+    expect(result.rejected).toEqual([expect.objectContaining({ coupon: tenPercent, reason: 'NOT_STACKABLE' })]);
+  });
+
+  it('applies a non-stackable coupon used on its own', () => {
+    const tenPercent = coupon({ is_stackable: false });
+
+    const result = combineCoupons(evaluateAll([tenPercent]), CART);
+
+    expect(result.applied.map(e => e.coupon)).toEqual([tenPercent]);
+    expect(result.totalDiscountCents).toBe(5000);
+  });
+});
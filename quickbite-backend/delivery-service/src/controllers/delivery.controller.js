@@ -8,6 +8,7 @@ const {
   VEHICLE_TYPES,
   DELIVERY_PRIORITIES 
 } = require('../models/delivery.model');
+const zoneGeometry = require('@quickbite/zone-geometry');
 
 // Advanced AI-powered Delivery Management Controller
 class DeliveryController {
@@ -45,8 +46,9 @@ class DeliveryController {
         });
       }
       
-      // Create new delivery partner
-      const partner = new DeliveryPartner(value);
+      // Create new delivery partner, tied to the caller's account so the
+      // orders it is given can be checked against the rider's identity
+      const partner = new DeliveryPartner({ ...value, userId: req.userId });
       const savedPartner = await partner.save();
       
       // Remove sensitive information from response
@@ -64,6 +66,12 @@ class DeliveryController {
         }
       });
     } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A partner is already registered for this account or email'
+        });
+      }
       console.error('Partner registration error:', error);
       res.status(500).json({
         success: false,
@@ -166,6 +174,81 @@ class DeliveryController {
     }
   }
 
+  // Cancel the active delivery of a cancelled order so its partner is free
+  // again; called by order-service. Releasing twice is a no-op.
+  static async releaseOrderDelivery(req, res) {
+    try {
+      const { orderId } = req.params;
+      const delivery = await Delivery.findActiveByOrderId(orderId);
+
+      if (!delivery || delivery.status === 'DELIVERED') {
+        return res.json({ success: true, released: false });
+      }
+
+      await Delivery.updateStatus(delivery.id, 'CANCELLED', {
+        cancellationReason: req.body.reason || 'Order cancelled',
+        cancelledBy: req.body.cancelledBy || 'SYSTEM'
+      });
+
+      res.json({
+        success: true,
+        released: true,
+        data: { deliveryId: delivery.id, partnerId: delivery.partner_id }
+      });
+    } catch (error) {
+      console.error('Delivery release error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to release delivery',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a customer's rating of the partner; called by order-service once a
+  // delivered order is rated
+  static async ratePartner(req, res) {
+    try {
+      const { partnerId } = req.params;
+      const schema = Joi.object({
+        orderId: Joi.string().guid().required(),
+        customerId: Joi.string().guid().optional(),
+        rating: Joi.number().integer().min(1).max(5).required(),
+        feedback: Joi.string().max(1000).allow('', null).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const result = await DeliveryPartner.recordRating(partnerId, value);
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created ? 'Rating recorded' : 'Rating already recorded for this order',
+        data: result.partner || null
+      });
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery partner not found'
+        });
+      }
+      console.error('Partner rating error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record rating',
+        error: error.message
+      });
+    }
+  }
+
   // ==================== INTELLIGENT DELIVERY ASSIGNMENT ====================
   
   // AI-powered delivery creation and partner assignment
@@ -216,15 +299,13 @@ class DeliveryController {
       }
       
       // Check if delivery zone is serviceable
-      const zone = await DeliveryZone.findZoneByLocation(
-        value.deliveryAddress.latitude, 
-        value.deliveryAddress.longitude
-      );
-      
+      const { zone, reason } = await DeliveryZone.resolveForDelivery(value.pickupAddress, value.deliveryAddress);
       if (!zone) {
         return res.status(400).json({
           success: false,
-          message: 'Delivery location is not serviceable',
+          message: reason === 'PICKUP_OUTSIDE_ZONE'
+            ? 'Restaurant does not deliver to this location'
+            : 'Delivery location is not serviceable',
           code: 'ZONE_NOT_SERVICEABLE'
         });
       }
@@ -249,14 +330,7 @@ class DeliveryController {
       delivery.estimatedDeliveryTime = new Date(Date.now() + (value.estimatedPreparationTime + predictedTime) * 60000);
       
       // Calculate pricing based on zone and distance
-      delivery.baseDeliveryFeeCents = zone.base_delivery_fee_cents;
-      delivery.distanceFeeCents = Math.round(delivery.totalDistanceKm * zone.per_km_rate_cents);
-      
-      // Apply surge pricing if needed
-      const currentHour = new Date().getHours();
-      if ((currentHour >= 12 && currentHour <= 14) || (currentHour >= 19 && currentHour <= 21)) {
-        delivery.surgeFeeCents = Math.round((delivery.baseDeliveryFeeCents + delivery.distanceFeeCents) * 0.3);
-      }
+      delivery.applyZonePricing(zone);
       
       // Save delivery
       const savedDelivery = await delivery.save();
@@ -634,22 +708,47 @@ class DeliveryController {
   // ==================== ZONE MANAGEMENT ====================
   
   // Create and manage delivery zones
+  static zoneSchema(creating) {
+    const required = (field) => creating ? field.required() : field.optional();
+    return Joi.object({
+      zoneName: required(Joi.string().min(2).max(100)),
+      zoneCode: required(Joi.string().min(2).max(20)),
+      boundaryPolygon: required(Joi.object()), // GeoJSON Polygon or MultiPolygon
+      centerLatitude: Joi.number().min(-90).max(90).optional(),
+      centerLongitude: Joi.number().min(-180).max(180).optional(),
+      isServiceable: Joi.boolean().optional(),
+      baseDeliveryFeeCents: Joi.number().integer().min(0).max(10000).default(creating ? 2000 : undefined),
+      perKmRateCents: Joi.number().integer().min(0).max(2000).default(creating ? 500 : undefined),
+      surgeMultiplier: Joi.number().min(1).max(5).optional(),
+      minOrderAmountCents: Joi.number().integer().min(0).max(1000000).default(creating ? 0 : undefined),
+      standardDeliveryTimeMinutes: Joi.number().min(15).max(120).default(creating ? 30 : undefined),
+      expressDeliveryTimeMinutes: Joi.number().min(10).max(60).default(creating ? 20 : undefined),
+      maxDailyOrders: Joi.number().min(100).max(10000).default(creating ? 1000 : undefined)
+    }).and('centerLatitude', 'centerLongitude');
+  }
+
+  static zoneResponse(zone) {
+    return {
+      zoneId: zone.id,
+      zoneName: zone.zone_name,
+      zoneCode: zone.zone_code,
+      boundaryPolygon: zone.boundary_polygon,
+      centerLatitude: Number(zone.center_latitude),
+      centerLongitude: Number(zone.center_longitude),
+      isServiceable: zone.is_serviceable,
+      baseDeliveryFeeCents: zone.base_delivery_fee_cents,
+      perKmRateCents: zone.per_km_rate_cents,
+      surgeMultiplier: Number(zone.surge_multiplier),
+      minOrderAmountCents: zone.min_order_amount_cents,
+      standardDeliveryTimeMinutes: zone.standard_delivery_time_minutes,
+      expressDeliveryTimeMinutes: zone.express_delivery_time_minutes,
+      maxDailyOrders: zone.max_daily_orders
+    };
+  }
+
   static async createDeliveryZone(req, res) {
     try {
-      const schema = Joi.object({
-        zoneName: Joi.string().min(2).max(100).required(),
-        zoneCode: Joi.string().min(2).max(20).required(),
-        boundaryPolygon: Joi.object().required(), // GeoJSON polygon
-        centerLatitude: Joi.number().min(-90).max(90).required(),
-        centerLongitude: Joi.number().min(-180).max(180).required(),
-        baseDeliveryFeeCents: Joi.number().min(1000).max(10000).default(2000),
-        perKmRateCents: Joi.number().min(100).max(2000).default(500),
-        standardDeliveryTimeMinutes: Joi.number().min(15).max(120).default(30),
-        expressDeliveryTimeMinutes: Joi.number().min(10).max(60).default(20),
-        maxDailyOrders: Joi.number().min(100).max(10000).default(1000)
-      });
-      
-      const { error, value } = schema.validate(req.body);
+      const { error, value } = DeliveryController.zoneSchema(true).validate(req.body);
       if (error) {
         return res.status(400).json({
           success: false,
@@ -657,6 +756,15 @@ class DeliveryController {
           errors: error.details.map(detail => detail.message)
         });
       }
+
+      const geometryError = zoneGeometry.validate(value.boundaryPolygon);
+      if (geometryError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: [geometryError]
+        });
+      }
       
       const zone = new DeliveryZone(value);
       const savedZone = await zone.save();
@@ -664,14 +772,15 @@ class DeliveryController {
       res.status(201).json({
         success: true,
         message: 'Delivery zone created successfully',
-        data: {
-          zoneId: savedZone.id,
-          zoneName: savedZone.zone_name,
-          zoneCode: savedZone.zone_code,
-          isServiceable: savedZone.is_serviceable
-        }
+        data: DeliveryController.zoneResponse(savedZone)
       });
     } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A zone with this code already exists'
+        });
+      }
       console.error('Zone creation error:', error);
       res.status(500).json({
         success: false,
@@ -681,6 +790,200 @@ class DeliveryController {
     }
   }
 
+  // Serviceable zones with their boundaries
+  static async listDeliveryZones(req, res) {
+    return DeliveryController.sendZones(res, { includeUnserviceable: false });
+  }
+
+  // Every zone, for admins managing them
+  static async listAllDeliveryZones(req, res) {
+    return DeliveryController.sendZones(res, { includeUnserviceable: true });
+  }
+
+  static async sendZones(res, options) {
+    try {
+      const zones = await DeliveryZone.list(options);
+      res.json({
+        success: true,
+        data: zones.map(DeliveryController.zoneResponse)
+      });
+    } catch (error) {
+      console.error('Zone list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list delivery zones',
+        error: error.message
+      });
+    }
+  }
+
+  static async getDeliveryZone(req, res) {
+    try {
+      const zone = await DeliveryZone.findById(req.params.zoneId);
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery zone not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: DeliveryController.zoneResponse(zone)
+      });
+    } catch (error) {
+      console.error('Zone fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch delivery zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Which zone, if any, serves a location, with its fees and minimum
+  static async lookupDeliveryZone(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required()
+      }).validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      let zone;
+      try {
+        zone = await DeliveryZone.findZoneByLocation(value.latitude, value.longitude);
+      } catch (e) {
+        console.error('Zone lookup error:', e);
+        return res.status(503).json({
+          success: false,
+          message: 'Delivery zones are unavailable'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          serviceable: Boolean(zone),
+          zone: zone ? DeliveryController.zoneResponse(zone) : null
+        }
+      });
+    } catch (error) {
+      console.error('Zone lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to look up delivery zone',
+        error: error.message
+      });
+    }
+  }
+
+  static async updateDeliveryZone(req, res) {
+    try {
+      const { error, value } = DeliveryController.zoneSchema(false).validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (value.boundaryPolygon) {
+        const geometryError = zoneGeometry.validate(value.boundaryPolygon);
+        if (geometryError) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: [geometryError]
+          });
+        }
+      }
+
+      const columns = {
+        zoneName: 'zone_name',
+        zoneCode: 'zone_code',
+        boundaryPolygon: 'boundary_polygon',
+        centerLatitude: 'center_latitude',
+        centerLongitude: 'center_longitude',
+        isServiceable: 'is_serviceable',
+        baseDeliveryFeeCents: 'base_delivery_fee_cents',
+        perKmRateCents: 'per_km_rate_cents',
+        surgeMultiplier: 'surge_multiplier',
+        minOrderAmountCents: 'min_order_amount_cents',
+        standardDeliveryTimeMinutes: 'standard_delivery_time_minutes',
+        expressDeliveryTimeMinutes: 'express_delivery_time_minutes',
+        maxDailyOrders: 'max_daily_orders'
+      };
+      const fields = {};
+      for (const [key, column] of Object.entries(columns)) {
+        if (value[key] !== undefined) fields[column] = value[key];
+      }
+
+      const zone = await DeliveryZone.update(req.params.zoneId, fields);
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery zone not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Delivery zone updated successfully',
+        data: DeliveryController.zoneResponse(zone)
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A zone with this code already exists'
+        });
+      }
+      console.error('Zone update error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update delivery zone',
+        error: error.message
+      });
+    }
+  }
+
+  static async deleteDeliveryZone(req, res) {
+    try {
+      const removed = await DeliveryZone.remove(req.params.zoneId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery zone not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Delivery zone deleted successfully'
+      });
+    } catch (error) {
+      // Forecasts and metrics keep referring to zones that were in use
+      if (error.code === '23503') {
+        return res.status(409).json({
+          success: false,
+          message: 'Zone has history and cannot be deleted; mark it unserviceable instead'
+        });
+      }
+      console.error('Zone delete error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete delivery zone',
+        error: error.message
+      });
+    }
+  }
+
   // ==================== LEGACY COMPATIBILITY ====================
   
   // Legacy endpoint compatibility
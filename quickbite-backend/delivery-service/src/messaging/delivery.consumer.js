@@ -0,0 +1,144 @@
+const { TOPICS } = require('@quickbite/messaging');
+const { Delivery, DeliveryPartner, DeliveryZone } = require('../models/delivery.model');
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+
+// Pickup details come from the restaurant's catalog entry
+const catalogRestaurants = {
+  async pickupAddress(restaurantId) {
+    const r = await fetch(`${CATALOG_BASE}/restaurants/${restaurantId}`);
+    if (!r.ok) throw new Error(`Restaurant lookup failed: ${r.status}`);
+    const { data } = await r.json();
+    return {
+      latitude: data.latitude == null ? null : Number(data.latitude),
+      longitude: data.longitude == null ? null : Number(data.longitude),
+      addressLine1: data.address,
+      contactName: data.name,
+      contactPhone: data.phone
+    };
+  }
+};
+
+function hasCoordinates(address) {
+  return address && address.latitude != null && address.longitude != null;
+}
+
+// Delivery side of the order saga: assigns a partner for each
+// delivery-request and releases it again on RELEASE_PARTNER. Results carry
+// the partner's auth-service account as well as its partner id. Deliveries
+// are zoned and priced as on POST /create; an address outside every zone
+// fails for good.
+class DeliverySagaParticipant {
+  constructor({ deliveries = Delivery, partners = DeliveryPartner, zones = DeliveryZone, restaurants = catalogRestaurants } = {}) {
+    this.deliveries = deliveries;
+    this.partners = partners;
+    this.zones = zones;
+    this.restaurants = restaurants;
+    this.broker = null;
+  }
+
+  async start(broker) {
+    this.broker = broker;
+    await broker.subscribe('delivery-service', {
+      [TOPICS.DELIVERY_REQUESTS]: (msg) => this.handleDeliveryRequest(msg),
+      [TOPICS.ORDER_COMPENSATIONS]: (msg) => this.handleCompensation(msg)
+    });
+  }
+
+  // Redelivered or retried requests find the existing assignment and report
+  // it again instead of booking a second partner.
+  async handleDeliveryRequest(msg) {
+    try {
+      const existing = await this.deliveries.findActiveByOrderId(msg.orderId);
+      if (existing && existing.partner_id) {
+        return this.publishResult(msg, {
+          status: 'ASSIGNED',
+          deliveryId: existing.id,
+          partnerId: existing.partner_id,
+          partnerUserId: existing.partner_user_id,
+          partnerPhone: existing.partner_phone
+        });
+      }
+
+      const pickupAddress = existing
+        ? existing.pickup_address
+        : await this.restaurants.pickupAddress(msg.restaurantId);
+      if (!hasCoordinates(pickupAddress)) {
+        return this.publishResult(msg, { status: 'FAILED', reason: 'RESTAURANT_LOCATION_UNKNOWN', retryable: false });
+      }
+      if (!hasCoordinates(msg.deliveryAddress)) {
+        return this.publishResult(msg, { status: 'FAILED', reason: 'DELIVERY_LOCATION_UNKNOWN', retryable: false });
+      }
+      const { zone } = await this.zones.resolveForDelivery(pickupAddress, msg.deliveryAddress);
+      if (!zone) {
+        return this.publishResult(msg, { status: 'FAILED', reason: 'ZONE_NOT_SERVICEABLE', retryable: false });
+      }
+
+      const [partner] = await this.partners.findOptimalPartner({
+        pickupLatitude: pickupAddress.latitude,
+        pickupLongitude: pickupAddress.longitude,
+        deliveryType: 'STANDARD',
+        priority: 'NORMAL'
+      });
+      if (!partner) {
+        return this.publishResult(msg, { status: 'FAILED', reason: 'NO_PARTNER_AVAILABLE', retryable: true });
+      }
+
+      if (existing) {
+        await this.deliveries.updateStatus(existing.id, 'ASSIGNED', { partnerId: partner.id });
+        return this.publishResult(msg, {
+          status: 'ASSIGNED', deliveryId: existing.id, partnerId: partner.id, partnerUserId: partner.user_id, partnerPhone: partner.phone
+        });
+      }
+
+      const delivery = new Delivery({
+        orderId: msg.orderId,
+        customerId: msg.customerId,
+        restaurantId: msg.restaurantId,
+        partnerId: partner.id,
+        status: 'ASSIGNED',
+        pickupAddress,
+        deliveryAddress: msg.deliveryAddress
+      });
+      await delivery.optimizeRoute();
+      delivery.applyZonePricing(zone);
+      const saved = await delivery.save();
+
+      return this.publishResult(msg, {
+        status: 'ASSIGNED',
+        deliveryId: saved.id,
+        partnerId: partner.id,
+        partnerUserId: partner.user_id,
+        partnerPhone: partner.phone
+      });
+    } catch (e) {
+      console.error(`Delivery request for order ${msg.orderId} failed:`, e.message);
+      return this.publishResult(msg, { status: 'FAILED', reason: e.message, retryable: true });
+    }
+  }
+
+  async handleCompensation(msg) {
+    if (msg.action !== 'RELEASE_PARTNER') return;
+
+    const delivery = msg.deliveryId
+      ? await this.deliveries.getTrackingInfo(msg.deliveryId)
+      : await this.deliveries.findActiveByOrderId(msg.orderId);
+    if (!delivery || ['DELIVERED', 'CANCELLED', 'FAILED', 'RETURNED'].includes(delivery.status)) return;
+
+    await this.deliveries.updateStatus(delivery.id, 'CANCELLED', {
+      cancellationReason: msg.reason,
+      cancelledBy: 'SYSTEM'
+    });
+  }
+
+  async publishResult(msg, result) {
+    await this.broker.publish(TOPICS.DELIVERY_RESULTS, msg.orderId, {
+      sagaId: msg.sagaId,
+      orderId: msg.orderId,
+      ...result
+    });
+  }
+}
+
+module.exports = new DeliverySagaParticipant();
+module.exports.DeliverySagaParticipant = DeliverySagaParticipant;
@@ -1,23 +1,47 @@
+const { verifyAccessToken } = require('@quickbite/jwt-verifier');
+const gatewayIdentity = require('@quickbite/gateway-identity');
+
+// Accepts the identity headers the API gateway signs when
+// TRUST_GATEWAY_HEADERS is enabled, falling back to verifying the token
+// against auth-service's JWKS (AUTH_JWKS_URL) or introspection for direct
+// service-to-service calls. With none of them configured nobody can be
+// identified, so every request is refused.
 module.exports = async function authMiddleware(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
     const m = header.match(/^Bearer\s+(.+)$/i);
     if (!m) return res.status(401).json({ success: false, message: 'Unauthorized' });
     const token = m[1];
-    const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
-    if (url) {
+
+    const forwarded = process.env.TRUST_GATEWAY_HEADERS === 'true' ? gatewayIdentity.verify(req) : null;
+    if (forwarded) {
+      req.userId = forwarded.userId;
+      req.userRole = forwarded.role;
+    } else if (process.env.AUTH_JWKS_URL) {
       try {
-        const r = await fetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ token }) });
+        const identity = await verifyAccessToken(token);
+        req.userId = identity.userId;
+        req.userRole = identity.role;
+      } catch (e) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+      }
+    } else {
+      const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
+      if (!url) return res.status(401).json({ success: false, message: 'Unauthorized' });
+      try {
+        const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token }) });
         const data = await r.json();
         if (!data.active) return res.status(401).json({ success: false, message: 'Unauthorized' });
         req.userId = data.user_id;
+        req.userRole = data.role || null;
       } catch (e) {
         return res.status(401).json({ success: false, message: 'Unauthorized' });
       }
     }
+
     req.accessToken = token;
     next();
   } catch (e) {
     return res.status(401).json({ success: false, message: 'Unauthorized' });
   }
-}
+};
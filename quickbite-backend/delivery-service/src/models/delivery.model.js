@@ -1,5 +1,6 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const zoneGeometry = require('@quickbite/zone-geometry');
 
 // Comprehensive delivery system constants
 const DELIVERY_STATUSES = ['PENDING', 'ASSIGNED', 'ACCEPTED', 'PICKED_UP', 'IN_TRANSIT', 'ARRIVED', 'DELIVERED', 'CANCELLED', 'FAILED', 'RETURNED'];
@@ -340,6 +341,17 @@ async function ensureSchema() {
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Customer ratings of partners, one per order
+    CREATE TABLE IF NOT EXISTS partner_ratings (
+      id UUID PRIMARY KEY,
+      partner_id UUID NOT NULL REFERENCES delivery_partners(id),
+      order_id UUID NOT NULL UNIQUE,
+      customer_id UUID,
+      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      feedback TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
     -- Indexes for performance optimization
     CREATE INDEX IF NOT EXISTS idx_delivery_partners_online ON delivery_partners(is_online, is_available) WHERE employment_status = 'ACTIVE';
     CREATE INDEX IF NOT EXISTS idx_delivery_partners_location ON delivery_partners(current_latitude, current_longitude) WHERE is_online = true;
@@ -350,7 +362,20 @@ async function ensureSchema() {
     CREATE INDEX IF NOT EXISTS idx_location_history_delivery ON delivery_location_history(delivery_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_partner_earnings_partner ON partner_earnings(partner_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_performance_metrics_partner ON partner_performance_metrics(partner_id, metric_date);
+    CREATE INDEX IF NOT EXISTS idx_partner_ratings_partner ON partner_ratings(partner_id);
     CREATE INDEX IF NOT EXISTS idx_demand_forecast_zone ON delivery_demand_forecast(zone_id, forecast_date, hour_of_day);
+
+    -- Per-zone order minimum and the bounding box used to narrow polygon checks
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS min_order_amount_cents INTEGER DEFAULT 0;
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS min_latitude DECIMAL(10,8);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS max_latitude DECIMAL(10,8);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS min_longitude DECIMAL(11,8);
+    ALTER TABLE delivery_zones ADD COLUMN IF NOT EXISTS max_longitude DECIMAL(11,8);
+    CREATE INDEX IF NOT EXISTS idx_delivery_zones_bounds ON delivery_zones(min_latitude, max_latitude, min_longitude, max_longitude);
+
+    -- auth-service account the partner signs in with; order-service checks
+    -- the rider against it
+    ALTER TABLE delivery_partners ADD COLUMN IF NOT EXISTS user_id UUID UNIQUE;
   `;
   
   await pool.query(sql);
@@ -361,6 +386,7 @@ async function ensureSchema() {
 class DeliveryPartner {
   constructor(data) {
     this.id = data.id || uuidv4();
+    this.userId = data.userId || null;
     this.partnerCode = data.partnerCode || this.generatePartnerCode();
     this.firstName = data.firstName;
     this.lastName = data.lastName;
@@ -435,10 +461,12 @@ class DeliveryPartner {
           home_latitude, home_longitude, service_areas, total_deliveries, successful_deliveries,
           average_rating, total_earnings_cents, is_online, is_available, shift_start_time,
           shift_end_time, working_days, is_verified, documents_verified, background_check_status,
-          bank_account_number, bank_ifsc_code, upi_id, device_token, app_version, last_location_update
+          bank_account_number, bank_ifsc_code, upi_id, device_token, app_version, last_location_update,
+          user_id
         ) VALUES (
           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
-          $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37
+          $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37,
+          $38
         ) RETURNING *
       `;
       
@@ -452,7 +480,7 @@ class DeliveryPartner {
         this.shiftStartTime, this.shiftEndTime, JSON.stringify(this.workingDays),
         this.isVerified, this.documentsVerified, this.backgroundCheckStatus,
         this.bankAccountNumber, this.bankIfscCode, this.upiId, this.deviceToken,
-        this.appVersion, this.lastLocationUpdate
+        this.appVersion, this.lastLocationUpdate, this.userId
       ];
       
       const result = await pool.query(query, values);
@@ -557,6 +585,49 @@ class DeliveryPartner {
     }
   }
 
+  // Record a customer's rating for a delivered order and refresh the
+  // partner's average_rating used during assignment. One rating per order.
+  static async recordRating(partnerId, { orderId, customerId, rating, feedback = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const inserted = await client.query(`
+        INSERT INTO partner_ratings (id, partner_id, order_id, customer_id, rating, feedback)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (order_id) DO NOTHING
+        RETURNING *
+      `, [uuidv4(), partnerId, orderId, customerId || null, rating, feedback]);
+
+      if (inserted.rows.length === 0) {
+        await client.query('COMMIT');
+        return { created: false };
+      }
+
+      await client.query(`
+        UPDATE deliveries SET customer_rating = $3, customer_feedback = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = $1 AND partner_id = $2
+      `, [orderId, partnerId, rating, feedback]);
+
+      const { rows } = await client.query(`
+        UPDATE delivery_partners
+        SET average_rating = (SELECT ROUND(AVG(rating)::numeric, 2) FROM partner_ratings WHERE partner_id = $1),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, average_rating
+      `, [partnerId]);
+
+      await client.query('COMMIT');
+      return { created: true, partner: rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error recording partner rating:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Get partner performance analytics
   static async getPerformanceMetrics(partnerId, startDate, endDate) {
     try {
@@ -709,6 +780,18 @@ class Delivery {
     }
   }
 
+  // The zone's base and per-km fees, with a surge over the lunch and dinner
+  // peaks; needs the route's distance
+  applyZonePricing(zone, now = new Date()) {
+    this.baseDeliveryFeeCents = zone.base_delivery_fee_cents;
+    this.distanceFeeCents = Math.round(this.totalDistanceKm * zone.per_km_rate_cents);
+
+    const hour = now.getHours();
+    if ((hour >= 12 && hour <= 14) || (hour >= 19 && hour <= 21)) {
+      this.surgeFeeCents = Math.round((this.baseDeliveryFeeCents + this.distanceFeeCents) * 0.3);
+    }
+  }
+
   // AI-powered route optimization
   async optimizeRoute(additionalWaypoints = []) {
     try {
@@ -851,6 +934,7 @@ class Delivery {
       
       // Handle status-specific updates
       switch (newStatus) {
+        case 'ASSIGNED':
         case 'ACCEPTED':
           if (additionalData.partnerId) {
             updateFields.push(`partner_id = $${valueIndex}`);
@@ -949,6 +1033,20 @@ class Delivery {
     }
   }
 
+  // Latest delivery for an order that has not been cancelled or failed
+  static async findActiveByOrderId(orderId) {
+    const { rows } = await pool.query(
+      `SELECT d.*, dp.user_id AS partner_user_id, dp.phone AS partner_phone
+       FROM deliveries d
+       LEFT JOIN delivery_partners dp ON dp.id = d.partner_id
+       WHERE d.order_id = $1 AND d.status NOT IN ('CANCELLED', 'FAILED', 'RETURNED')
+       ORDER BY d.created_at DESC
+       LIMIT 1`,
+      [orderId]
+    );
+    return rows[0] || null;
+  }
+
   // Get real-time delivery tracking information
   static async getTrackingInfo(deliveryId) {
     try {
@@ -1035,19 +1133,26 @@ class Delivery {
   }
 }
 
-// Delivery zone management class
+// Delivery zone management class. A zone is a GeoJSON polygon with its own
+// fees and order minimum; a customer is served when their location and the
+// restaurant's fall inside the same serviceable zone.
 class DeliveryZone {
   constructor(data) {
+    const center = data.boundaryPolygon && data.centerLatitude === undefined
+      ? zoneGeometry.center(data.boundaryPolygon)
+      : { latitude: data.centerLatitude, longitude: data.centerLongitude };
+
     this.id = data.id || uuidv4();
     this.zoneName = data.zoneName;
     this.zoneCode = data.zoneCode;
     this.boundaryPolygon = data.boundaryPolygon;
-    this.centerLatitude = data.centerLatitude;
-    this.centerLongitude = data.centerLongitude;
-    this.isServiceable = data.isServiceable || true;
+    this.centerLatitude = center.latitude;
+    this.centerLongitude = center.longitude;
+    this.isServiceable = data.isServiceable ?? true;
     this.baseDeliveryFeeCents = data.baseDeliveryFeeCents || 2000;
     this.perKmRateCents = data.perKmRateCents || 500;
     this.surgeMultiplier = data.surgeMultiplier || 1.0;
+    this.minOrderAmountCents = data.minOrderAmountCents || 0;
     this.standardDeliveryTimeMinutes = data.standardDeliveryTimeMinutes || 30;
     this.expressDeliveryTimeMinutes = data.expressDeliveryTimeMinutes || 20;
     this.maxDailyOrders = data.maxDailyOrders || 1000;
@@ -1057,12 +1162,14 @@ class DeliveryZone {
 
   async save() {
     try {
+      const box = zoneGeometry.bounds(this.boundaryPolygon);
       const query = `
         INSERT INTO delivery_zones (
           id, zone_name, zone_code, boundary_polygon, center_latitude, center_longitude,
           is_serviceable, base_delivery_fee_cents, per_km_rate_cents, surge_multiplier,
-          standard_delivery_time_minutes, express_delivery_time_minutes, max_daily_orders
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          standard_delivery_time_minutes, express_delivery_time_minutes, max_daily_orders,
+          min_order_amount_cents, min_latitude, max_latitude, min_longitude, max_longitude
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
         RETURNING *
       `;
       
@@ -1070,7 +1177,8 @@ class DeliveryZone {
         this.id, this.zoneName, this.zoneCode, JSON.stringify(this.boundaryPolygon),
         this.centerLatitude, this.centerLongitude, this.isServiceable,
         this.baseDeliveryFeeCents, this.perKmRateCents, this.surgeMultiplier,
-        this.standardDeliveryTimeMinutes, this.expressDeliveryTimeMinutes, this.maxDailyOrders
+        this.standardDeliveryTimeMinutes, this.expressDeliveryTimeMinutes, this.maxDailyOrders,
+        this.minOrderAmountCents, box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude
       ];
       
       const result = await pool.query(query, values);
@@ -1081,30 +1189,108 @@ class DeliveryZone {
     }
   }
 
-  // Check if a point is within the delivery zone
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM delivery_zones WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ includeUnserviceable = false } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM delivery_zones
+      ${includeUnserviceable ? '' : 'WHERE is_serviceable = true'}
+      ORDER BY zone_name
+    `);
+    return result.rows;
+  }
+
+  // `fields` uses column names; a new boundary also moves the bounding box
+  // and, unless given, the center
+  static async update(id, fields) {
+    const changes = { ...fields };
+    if (changes.boundary_polygon) {
+      const box = zoneGeometry.bounds(changes.boundary_polygon);
+      Object.assign(changes, {
+        min_latitude: box.minLatitude,
+        max_latitude: box.maxLatitude,
+        min_longitude: box.minLongitude,
+        max_longitude: box.maxLongitude
+      });
+      if (changes.center_latitude === undefined) {
+        const center = zoneGeometry.center(changes.boundary_polygon);
+        changes.center_latitude = center.latitude;
+        changes.center_longitude = center.longitude;
+      }
+      changes.boundary_polygon = JSON.stringify(changes.boundary_polygon);
+    }
+
+    const columns = Object.keys(changes);
+    if (columns.length === 0) return this.findById(id);
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE delivery_zones SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [id, ...columns.map((column) => changes[column])]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async remove(id) {
+    const result = await pool.query('DELETE FROM delivery_zones WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  // The serviceable zone containing a point, or null when none does. The
+  // bounding box narrows the candidates (zones saved before it existed have
+  // none); the polygon test runs here.
   static async findZoneByLocation(latitude, longitude) {
-    try {
-      const query = `
-        SELECT * FROM delivery_zones 
-        WHERE is_serviceable = true
-          AND ST_Contains(
-            ST_GeomFromGeoJSON(boundary_polygon),
-            ST_Point($1, $2)
-          )
-        ORDER BY ST_Distance(
-          ST_Point($1, $2)::geography,
-          ST_Point(center_longitude, center_latitude)::geography
-        )
-        LIMIT 1
-      `;
-      
-      const result = await pool.query(query, [longitude, latitude]);
-      return result.rows[0];
-    } catch (error) {
-      console.error('Error finding zone by location:', error);
-      return null;
+    const query = `
+      SELECT * FROM delivery_zones 
+      WHERE is_serviceable = true
+        AND (min_latitude IS NULL OR (
+          min_latitude <= $1 AND max_latitude >= $1
+          AND min_longitude <= $2 AND max_longitude >= $2
+        ))
+    `;
+
+    const result = await pool.query(query, [latitude, longitude]);
+    return zoneGeometry.findZone(result.rows, latitude, longitude) || null;
+  }
+
+  // The zone a delivery from `pickup` to `dropoff` runs in: the one holding
+  // the drop-off, which must hold the pickup too as partners only ride
+  // within a zone. Resolves to { zone } or, when there is none, to { reason }
+  // (DROPOFF_NOT_SERVICEABLE or PICKUP_OUTSIDE_ZONE).
+  static async resolveForDelivery(pickup, dropoff) {
+    const zone = await this.findZoneByLocation(dropoff.latitude, dropoff.longitude);
+    if (!zone) return { reason: 'DROPOFF_NOT_SERVICEABLE' };
+    if (!zoneGeometry.contains(zone.boundary_polygon, pickup.latitude, pickup.longitude)) {
+      return { reason: 'PICKUP_OUTSIDE_ZONE' };
     }
+    return { zone };
+  }
+}
+
+// Zones matching the city bounds addresses used to be checked against
+const DEFAULT_ZONES = [
+  { zoneName: 'Bangalore', zoneCode: 'BLR', bounds: [12.7343, 13.1986, 77.4106, 77.8499] },
+  { zoneName: 'Mumbai', zoneCode: 'BOM', bounds: [18.8944, 19.2727, 72.7757, 72.9713] }
+];
+
+async function seedZonesIfEmpty() {
+  const check = await pool.query('SELECT COUNT(*)::int AS c FROM delivery_zones');
+  if ((check.rows?.[0]?.c || 0) > 0) return { created: 0 };
+
+  for (const { zoneName, zoneCode, bounds: [south, north, west, east] } of DEFAULT_ZONES) {
+    await new DeliveryZone({
+      zoneName,
+      zoneCode,
+      boundaryPolygon: {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+      }
+    }).save();
   }
+  return { created: DEFAULT_ZONES.length };
 }
 
 module.exports = {
@@ -1181,4 +1367,6 @@ async function listAgents() {
   return rows;
 }
 
-module.exports = { ensureSchema, seedAgentsIfEmpty, agentExists, activeDeliveriesForAgent, createAssignment, getDelivery, canTransition, updateStatus, updateLocation, listAgents, DELIVERY_STATUSES };
+// Legacy helpers are added alongside the class exports above rather than
+// replacing them
+Object.assign(module.exports, { seedAgentsIfEmpty, seedZonesIfEmpty, agentExists, activeDeliveriesForAgent, createAssignment, getDelivery, canTransition, updateStatus, updateLocation, listAgents });
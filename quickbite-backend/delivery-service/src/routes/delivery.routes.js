@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const DeliveryController = require('../controllers/delivery.controller');
 const auth = require('../middleware/auth.middleware');
+const requireInternal = require('@quickbite/internal-auth');
+const { requirePlatformAdmin } = require('@quickbite/rbac');
 
 // ==================== MODERN AI-POWERED DELIVERY ROUTES ====================
 
@@ -10,17 +12,27 @@ router.post('/create', auth, DeliveryController.createDelivery);
 router.put('/:deliveryId/status', auth, DeliveryController.updateDeliveryStatus);
 router.get('/:deliveryId/track', DeliveryController.getDeliveryTracking); // Public endpoint for tracking
 router.post('/:deliveryId/optimize-route', auth, DeliveryController.optimizeRoute);
+router.post('/orders/:orderId/release', requireInternal, DeliveryController.releaseOrderDelivery);
 
 // Advanced delivery partner management
-router.post('/partners/register', DeliveryController.registerPartner);
+router.post('/partners/register', auth, DeliveryController.registerPartner);
 router.put('/partners/:partnerId/status', auth, DeliveryController.updatePartnerStatus);
 router.get('/partners/:partnerId/analytics', auth, DeliveryController.getPartnerAnalytics);
+router.post('/partners/:partnerId/ratings', requireInternal, DeliveryController.ratePartner);
 
 // Intelligent batch delivery management
 router.post('/batches/create', auth, DeliveryController.createDeliveryBatch);
 
-// Delivery zone management and optimization
-router.post('/zones/create', auth, DeliveryController.createDeliveryZone);
+// Delivery zone management and optimization. Zones are public so other
+// services and apps can check serviceability; changing them is admin only.
+router.get('/zones', DeliveryController.listDeliveryZones);
+router.get('/zones/lookup', DeliveryController.lookupDeliveryZone);
+router.get('/zones/all', auth, requirePlatformAdmin, DeliveryController.listAllDeliveryZones);
+router.get('/zones/:zoneId', DeliveryController.getDeliveryZone);
+router.post('/zones', auth, requirePlatformAdmin, DeliveryController.createDeliveryZone);
+router.post('/zones/create', auth, requirePlatformAdmin, DeliveryController.createDeliveryZone);
+router.put('/zones/:zoneId', auth, requirePlatformAdmin, DeliveryController.updateDeliveryZone);
+router.delete('/zones/:zoneId', auth, requirePlatformAdmin, DeliveryController.deleteDeliveryZone);
 
 // Comprehensive analytics and business intelligence
 router.get('/analytics/dashboard', auth, DeliveryController.getDeliveryAnalytics);
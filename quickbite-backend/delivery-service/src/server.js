@@ -7,7 +7,9 @@ const compression = require('compression');
 dotenv.config();
 
 const routes = require('./routes/delivery.routes');
-const { ensureSchema, seedAgentsIfEmpty } = require('./models/delivery.model');
+const { ensureSchema, seedAgentsIfEmpty, seedZonesIfEmpty } = require('./models/delivery.model');
+const deliverySaga = require('./messaging/delivery.consumer');
+const { createBroker } = require('@quickbite/messaging');
 
 const app = express();
 app.use(helmet());
@@ -28,6 +30,18 @@ ensureSchema().then(async () => {
       console.warn('Agent seeding skipped/failed:', e.message);
     }
   }
+  try {
+    const z = await seedZonesIfEmpty();
+    if (z.created) console.log(`Seeded ${z.created} default delivery zones`);
+  } catch (e) {
+    console.warn('Zone seeding skipped/failed:', e.message);
+  }
+  const broker = createBroker('delivery-service');
+  if (broker) {
+    await broker.connect();
+    await deliverySaga.start(broker);
+    console.log('🔁 Consuming delivery requests and order compensations');
+  }
   app.listen(PORT, () => console.log(`🚚 Delivery Service running on ${PORT}`));
 }).catch((e) => {
   console.error('Failed to init schema', e);
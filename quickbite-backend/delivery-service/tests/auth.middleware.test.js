@@ -0,0 +1,78 @@
+const gatewayIdentity = require('@quickbite/gateway-identity');
+const authMiddleware = require('../src/middleware/auth.middleware');
+
+const SECRET = 'gateway-secret';
+
+function request(headers) {
+  return { headers: { authorization: 'Bearer token-1', ...headers } };
+}
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function run(req) {
+  const res = response();
+  const next = jest.fn();
+  await authMiddleware(req, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  process.env.TRUST_GATEWAY_HEADERS = 'true';
+  process.env.GATEWAY_IDENTITY_SECRET = SECRET;
+  delete process.env.AUTH_JWKS_URL;
+  process.env.AUTH_INTROSPECT_URL = 'http://auth.test/api/auth/introspect';
+  global.fetch = jest.fn(async () => ({ json: async () => ({ active: true, user_id: 'rider-1', role: 'delivery_partner' }) }));
+});
+
+afterEach(() => {
+  delete process.env.TRUST_GATEWAY_HEADERS;
+  delete process.env.GATEWAY_IDENTITY_SECRET;
+  delete process.env.AUTH_INTROSPECT_URL;
+});
+
+describe('delivery auth middleware', () => {
+  it('takes the identity the gateway signed', async () => {
+    const req = request(gatewayIdentity.sign({ userId: 'admin-1', role: 'admin' }, SECRET));
+
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({ userId: 'admin-1', userRole: 'admin' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('introspects the token when the identity headers are not signed', async () => {
+    const req = request({ 'x-user-id': 'admin-1', 'x-user-role': 'admin' });
+
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({ userId: 'rider-1', userRole: 'delivery_partner' });
+  });
+
+  it('refuses a token auth-service reports inactive', async () => {
+    global.fetch.mockResolvedValueOnce({ json: async () => ({ active: false }) });
+
+    const { res, next } = await run(request());
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses every caller when no way to verify a token is configured', async () => {
+    delete process.env.TRUST_GATEWAY_HEADERS;
+    delete process.env.AUTH_INTROSPECT_URL;
+    const req = request();
+
+    const { res, next } = await run(req);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(req.userId).toBeUndefined();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+
+const { TOPICS } = require('@quickbite/messaging');
+const { Delivery } = require('../src/models/delivery.model');
+const { DeliverySagaParticipant } = require('../src/messaging/delivery.consumer');
+
+const ZONE = {
+  id: 'zone-1',
+  base_delivery_fee_cents: 4000,
+  per_km_rate_cents: 1000,
+  boundary_polygon: {
+    type: 'Polygon',
+    coordinates: [[[77.4, 12.7], [77.9, 12.7], [77.9, 13.2], [77.4, 13.2], [77.4, 12.7]]]
+  }
+};
+
+function request(fields) {
+  return {
+    sagaId: 'saga-1',
+    orderId: 'order-1',
+    customerId: 'customer-1',
+    restaurantId: 'restaurant-1',
+    deliveryAddress: { latitude: 12.95, longitude: 77.6 },
+    ...fields
+  };
+}
+
+function participant({ zone = ZONE } = {}) {
+  const p = new DeliverySagaParticipant({
+    deliveries: { findActiveByOrderId: jest.fn(async () => null) },
+    partners: { findOptimalPartner: jest.fn(async () => [{ id: 'partner-1', user_id: 'rider-1', phone: '+911234567890' }]) },
+    zones: { resolveForDelivery: jest.fn(async () => (zone ? { zone } : { reason: 'DROPOFF_NOT_SERVICEABLE' })) },
+    restaurants: { pickupAddress: jest.fn(async () => ({ latitude: 12.97, longitude: 77.59 })) }
+  });
+  p.broker = { publish: jest.fn() };
+  return p;
+}
+
+function published(p) {
+  expect(p.broker.publish).toHaveBeenCalledTimes(1);
+  const [topic, key, result] = p.broker.publish.mock.calls[0];
+  expect(topic).toBe(TOPICS.DELIVERY_RESULTS);
+  expect(key).toBe('order-1');
+  return result;
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('delivery saga participant', () => {
+  it('fails for good when the address is outside every zone', async () => {
+    const p = participant({ zone: null });
+
+    await p.handleDeliveryRequest(request());
+
+    expect(published(p)).toMatchObject({ status: 'FAILED', reason: 'ZONE_NOT_SERVICEABLE', retryable: false });
+    expect(p.partners.findOptimalPartner).not.toHaveBeenCalled();
+  });
+
+  it('fails for good when the delivery address has no coordinates', async () => {
+    const p = participant();
+
+    await p.handleDeliveryRequest(request({ deliveryAddress: { addressLine1: 'Somewhere' } }));
+
+    expect(published(p)).toMatchObject({ status: 'FAILED', reason: 'DELIVERY_LOCATION_UNKNOWN', retryable: false });
+    expect(p.zones.resolveForDelivery).not.toHaveBeenCalled();
+  });
+
+  it('prices the delivery with the fees of the zone it falls in', async () => {
+    const p = participant();
+    let saved;
+    jest.spyOn(Delivery.prototype, 'save').mockImplementation(async function save() {
+      saved = this;
+      return { id: 'delivery-1' };
+    });
+
+    await p.handleDeliveryRequest(request());
+
+    expect(p.zones.resolveForDelivery).toHaveBeenCalledWith(
+      { latitude: 12.97, longitude: 77.59 },
+      { latitude: 12.95, longitude: 77.6 }
+    );
+    expect(saved.baseDeliveryFeeCents).toBe(4000);
+    expect(saved.distanceFeeCents).toBe(Math.round(saved.totalDistanceKm * 1000));
+    expect(published(p)).toMatchObject({ status: 'ASSIGNED', deliveryId: 'delivery-1', partnerId: 'partner-1', partnerUserId: 'rider-1' });
+  });
+});
@@ -54,7 +54,9 @@ const OrderTracker = ({ orderId, onClose }) => {
   useEffect(() => {
     if (!orderId) return;
 
-    const newSocket = io(process.env.REACT_APP_ORDER_SERVICE_URL || 'http://localhost:3004');
+    const newSocket = io(process.env.REACT_APP_ORDER_SERVICE_URL || 'http://localhost:3004', {
+      auth: { token: localStorage.getItem('accessToken') }
+    });
     setSocket(newSocket);
     
     newSocket.on('connect', () => {
@@ -62,6 +64,10 @@ const OrderTracker = ({ orderId, onClose }) => {
       newSocket.emit('subscribe_delivery', orderId);
     });
 
+    newSocket.on('subscription_error', (data) => {
+      console.error('Order tracking unavailable:', data.message);
+    });
+
     newSocket.on('driver_assigned', (data) => {
       if (data.order_id === orderId) {
         fetchOrderDetails();
@@ -71,6 +77,9 @@ const OrderTracker = ({ orderId, onClose }) => {
     newSocket.on('driver_location_update', (data) => {
       if (data.order_id === orderId) {
         setDriverLocation(data.driver_location);
+        if (data.estimated_delivery_time) {
+          setOrder(prev => prev && { ...prev, estimated_delivery_time: data.estimated_delivery_time });
+        }
       }
     });
 
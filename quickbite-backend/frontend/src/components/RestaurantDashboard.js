@@ -99,7 +99,10 @@ const RestaurantDashboard = ({ restaurantId }) => {
     try {
       const response = await fetch(`/api/catalog/restaurants/${restaurantId}/operating-status`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+        },
         body: JSON.stringify({ is_open: !restaurant.is_open })
       });
       
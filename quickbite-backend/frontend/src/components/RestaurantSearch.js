@@ -48,6 +48,7 @@ const RestaurantSearch = () => {
   const [error, setError] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
+  const [facets, setFacets] = useState(null);
   
   // Search filters
   const [filters, setFilters] = useState({
@@ -60,7 +61,11 @@ const RestaurantSearch = () => {
     is_open: true,
     delivery_fee_max: null,
     min_order_max: null,
-    sort_by: 'distance'
+    sort_by: 'distance',
+    // Dish filters, only used when searching by text
+    diet: '',
+    price_band: '',
+    spice_level: ''
   });
 
   const navigate = useNavigate();
@@ -80,6 +85,16 @@ const RestaurantSearch = () => {
     'Beverages'
   ];
 
+  const facetLabels = {
+    diet: { veg: 'Veg', vegan: 'Vegan' },
+    price_band: {
+      under_200: 'Under ₹200',
+      '200_400': '₹200 - ₹400',
+      '400_600': '₹400 - ₹600',
+      over_600: 'Over ₹600'
+    }
+  };
+
   // Sort options
   const sortOptions = [
     { value: 'distance', label: 'Distance' },
@@ -123,9 +138,47 @@ const RestaurantSearch = () => {
     
     try {
       const queryParams = new URLSearchParams();
-      
+      const textQuery = filters.search_query.trim();
+
+      // Text searches go to the search index, which also matches dishes
+      // (with typos) and returns facet counts
+      if (textQuery) {
+        const searchParams = {
+          q: textQuery,
+          latitude: filters.latitude,
+          longitude: filters.longitude,
+          radius: filters.radius,
+          cuisine: filters.cuisine_type,
+          min_rating: filters.min_rating,
+          is_open: filters.is_open,
+          diet: filters.diet,
+          price_band: filters.price_band,
+          spice_level: filters.spice_level
+        };
+        Object.entries(searchParams).forEach(([key, value]) => {
+          if (value !== null && value !== '' && value !== 0) {
+            queryParams.append(key, value);
+          }
+        });
+
+        const response = await fetch(`/api/catalog/search?${queryParams}`);
+        const data = await response.json();
+
+        if (data.success) {
+          setRestaurants(data.data.map(result => ({
+            ...result,
+            avg_rating: result.average_rating,
+            distance: result.distance_km
+          })));
+          setFacets(data.facets);
+        } else {
+          setError(data.message);
+        }
+        return;
+      }
+
       Object.entries(filters).forEach(([key, value]) => {
-        if (value !== null && value !== '' && value !== 0) {
+        if (value !== null && value !== '' && value !== 0 && key !== 'search_query') {
           queryParams.append(key, value);
         }
       });
@@ -135,6 +188,7 @@ const RestaurantSearch = () => {
       
       if (data.success) {
         setRestaurants(data.data);
+        setFacets(null);
       } else {
         setError(data.message);
       }
@@ -150,6 +204,26 @@ const RestaurantSearch = () => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
+  // Facet chips toggle; the rating facet maps onto the minimum rating filter
+  const facetFilterKey = (facet) => ({
+    cuisine: 'cuisine_type',
+    rating: 'min_rating'
+  }[facet] || facet);
+
+  const isFacetSelected = (facet, value) => String(filters[facetFilterKey(facet)]) === String(value);
+
+  const toggleFacet = (facet, value) => {
+    const key = facetFilterKey(facet);
+    const cleared = key === 'min_rating' ? 0 : '';
+    handleFilterChange(key, isFacetSelected(facet, value) ? cleared : value);
+  };
+
+  const facetValueLabel = (facet, value) => {
+    if (facet === 'rating') return `${value}+ ★`;
+    if (facet === 'spice_level') return `Spice ${value}`;
+    return facetLabels[facet]?.[value] || value;
+  };
+
   // Handle search input change with debouncing
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -167,7 +241,8 @@ const RestaurantSearch = () => {
   }, [
     filters.latitude, filters.longitude, filters.radius,
     filters.cuisine_type, filters.min_rating, filters.is_open,
-    filters.delivery_fee_max, filters.min_order_max, filters.sort_by
+    filters.delivery_fee_max, filters.min_order_max, filters.sort_by,
+    filters.diet, filters.price_band, filters.spice_level
   ]);
 
   // Get location on mount
@@ -184,6 +259,17 @@ const RestaurantSearch = () => {
     return distance < 1 ? `${(distance * 1000).toFixed(0)}m` : `${distance.toFixed(1)}km`;
   };
 
+  const availabilityLabel = (availability) => {
+    if (availability.status === 'BUSY') return `Busy · +${availability.extra_prep_minutes} min`;
+    const label = availability.status === 'PAUSED' ? 'Paused' : 'Closed';
+    if (!availability.next_open_at) return label;
+    const opensAt = new Date(availability.next_open_at);
+    const sameDay = opensAt.toDateString() === new Date().toDateString();
+    return `${label} · opens ${sameDay
+      ? opensAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : opensAt.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`;
+  };
+
   const handleRestaurantClick = (restaurant) => {
     navigate(`/restaurant/${restaurant.id}`);
   };
@@ -328,6 +414,30 @@ const RestaurantSearch = () => {
         </CardContent>
       </Card>
 
+      {/* Facets for text searches */}
+      {facets && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            {['cuisine', 'diet', 'price_band', 'rating', 'spice_level']
+              .filter(facet => facets[facet]?.length > 0)
+              .map(facet => (
+                <Box key={facet} display="flex" flexWrap="wrap" alignItems="center" gap={1} mb={1}>
+                  {facets[facet].map(({ value, count }) => (
+                    <Chip
+                      key={`${facet}-${value}`}
+                      size="small"
+                      label={`${facetValueLabel(facet, value)} (${count})`}
+                      color={isFacetSelected(facet, value) ? 'primary' : 'default'}
+                      variant={isFacetSelected(facet, value) ? 'filled' : 'outlined'}
+                      onClick={() => toggleFacet(facet, value)}
+                    />
+                  ))}
+                </Box>
+              ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Error Message */}
       {error && (
         <Alert severity="error" sx={{ mb: 3 }}>
@@ -431,7 +541,15 @@ const RestaurantSearch = () => {
                   </Box>
 
                   <Box display="flex" flex-wrap="wrap" gap={1} mb={2}>
-                    {!restaurant.is_open && (
+                    {restaurant.availability ? (
+                      restaurant.availability.status !== 'OPEN' && (
+                        <Chip
+                          size="small"
+                          label={availabilityLabel(restaurant.availability)}
+                          color={restaurant.availability.status === 'BUSY' ? 'warning' : 'error'}
+                        />
+                      )
+                    ) : !restaurant.is_open && (
                       <Chip size="small" label="Closed" color="error" />
                     )}
                     
@@ -450,6 +568,16 @@ const RestaurantSearch = () => {
                     )}
                   </Box>
 
+                  {restaurant.matched_dishes?.length > 0 && (
+                    <Box mb={1}>
+                      {restaurant.matched_dishes.slice(0, 3).map(dish => (
+                        <Typography key={dish.id} variant="body2" noWrap>
+                          {dish.name} · {formatCurrency(dish.price_cents)}
+                        </Typography>
+                      ))}
+                    </Box>
+                  )}
+
                   <Typography variant="body2" color="text.secondary">
                     Min order: {formatCurrency(restaurant.min_order_amount_cents)}
                   </Typography>
@@ -212,6 +212,7 @@ const SmartPaymentComponent = ({
         method: selectedMethod,
         provider: selectedProvider,
         amount_cents: orderDetails.total_amount_cents,
+        quote_token: orderDetails.quote_token,
         tax_amount_cents: orderDetails.tax_amount_cents || 0,
         delivery_fee_cents: orderDetails.delivery_fee_cents || 0,
         platform_fee_cents: orderDetails.platform_fee_cents || 0,
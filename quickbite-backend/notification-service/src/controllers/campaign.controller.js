@@ -0,0 +1,240 @@
+const { NotificationTemplate, NotificationCampaign, CAMPAIGN_STATUS } = require('../models/template.model');
+const { NOTIFICATION_CHANNELS } = require('../models/notification.model');
+const CampaignService = require('../services/campaign.service');
+
+const ENGAGEMENT_EVENTS = ['CLICK', 'CONVERSION'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Why a campaign payload is invalid, or null
+function validateCampaign(body, creating) {
+  if (creating) {
+    const missing = ['name', 'type', 'templateId'].filter(field => !body[field]);
+    if (missing.length > 0) return `Missing required fields: ${missing.join(', ')}`;
+  }
+  if (body.channels !== undefined) {
+    const channels = Object.values(NOTIFICATION_CHANNELS);
+    if (!Array.isArray(body.channels) || body.channels.length === 0 || !body.channels.every(c => channels.includes(c))) {
+      return `channels must be a non-empty list of ${channels.join(', ')}`;
+    }
+  }
+  if (body.targetAudience !== undefined && !isPlainObject(body.targetAudience)) return 'targetAudience must be an object';
+  if (body.templateData !== undefined && !isPlainObject(body.templateData)) return 'templateData must be an object';
+  if (body.batchSize !== undefined && body.batchSize !== null &&
+      !(Number.isInteger(body.batchSize) && body.batchSize >= 1 && body.batchSize <= 1000)) {
+    return 'batchSize must be an integer between 1 and 1000';
+  }
+  return null;
+}
+
+// The time a campaign should start, defaulting to now; null when `value` is
+// not a date
+function parseSchedule(value) {
+  if (value === undefined || value === null) return new Date();
+  const at = new Date(value);
+  return Number.isNaN(at.getTime()) ? null : at;
+}
+
+// Checks that the campaign's template can be sent as it stands; resolves to
+// an error response body, or null when the campaign is ready
+async function readinessProblem(campaign) {
+  const template = await NotificationTemplate.findById(campaign.templateId);
+  if (!template) return { message: 'Template not found', code: 'TEMPLATE_NOT_FOUND' };
+  if (!template.isActive) return { message: 'Template is not active', code: 'TEMPLATE_INACTIVE' };
+
+  const missing = CampaignService.missingVariables(template, campaign);
+  if (missing.length > 0) {
+    return { message: `Campaign is missing template variables: ${missing.join(', ')}`, code: 'TEMPLATE_VARIABLES_MISSING', missing };
+  }
+  return null;
+}
+
+// Admin API for notification campaigns. Creating a campaign with a
+// `scheduledAt` schedules it straight away; otherwise it stays a draft until
+// scheduled. The campaign runner in campaign.service.js does the sending.
+class CampaignController {
+  async listCampaigns(req, res) {
+    try {
+      const campaigns = await NotificationCampaign.getAll({
+        status: req.query.status,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+        offset: parseInt(req.query.offset, 10) || 0
+      });
+      res.json({ success: true, data: campaigns });
+    } catch (error) {
+      console.error('Error listing campaigns:', error);
+      res.status(500).json({ success: false, message: 'Failed to list campaigns' });
+    }
+  }
+
+  async getCampaign(req, res) {
+    try {
+      const campaign = await NotificationCampaign.findById(req.params.campaignId);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+      res.json({ success: true, data: campaign });
+    } catch (error) {
+      console.error('Error getting campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to get campaign' });
+    }
+  }
+
+  async createCampaign(req, res) {
+    try {
+      const invalid = validateCampaign(req.body, true);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const { name, description, type, templateId, templateData, targetAudience, channels, batchSize, scheduledAt } = req.body;
+      let scheduleAt = null;
+      if (scheduledAt !== undefined && scheduledAt !== null) {
+        scheduleAt = parseSchedule(scheduledAt);
+        if (!scheduleAt) return res.status(400).json({ success: false, message: 'scheduledAt must be a date' });
+      }
+
+      const campaign = new NotificationCampaign({
+        name, description, type, templateId, templateData, targetAudience, channels, batchSize,
+        createdBy: req.userId || null
+      });
+      if (!(await NotificationTemplate.findById(templateId))) {
+        return res.status(400).json({ success: false, message: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+      }
+      if (scheduleAt) {
+        const problem = await readinessProblem(campaign);
+        if (problem) return res.status(422).json({ success: false, ...problem });
+        campaign.status = CAMPAIGN_STATUS.SCHEDULED;
+        campaign.scheduledAt = scheduleAt;
+      }
+
+      const row = await campaign.save();
+      res.status(201).json({ success: true, data: NotificationCampaign.fromRow(row) });
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to create campaign' });
+    }
+  }
+
+  async updateCampaign(req, res) {
+    try {
+      const invalid = validateCampaign(req.body, false);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const campaign = await NotificationCampaign.findById(req.params.campaignId);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+      if (req.body.templateId && !(await NotificationTemplate.findById(req.body.templateId))) {
+        return res.status(400).json({ success: false, message: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+      }
+
+      const updated = await NotificationCampaign.update(campaign.id, req.body);
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Campaign can no longer be edited once it has started',
+          code: 'CAMPAIGN_STARTED'
+        });
+      }
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      console.error('Error updating campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to update campaign' });
+    }
+  }
+
+  // Schedules a draft, or resumes a paused campaign, for `scheduledAt` or now
+  async scheduleCampaign(req, res) {
+    try {
+      const scheduledAt = parseSchedule(req.body.scheduledAt);
+      if (!scheduledAt) return res.status(400).json({ success: false, message: 'scheduledAt must be a date' });
+
+      const campaign = await NotificationCampaign.findById(req.params.campaignId);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+
+      const problem = await readinessProblem(campaign);
+      if (problem) return res.status(422).json({ success: false, ...problem });
+
+      const updated = await NotificationCampaign.transition(
+        campaign.id, [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.PAUSED], CAMPAIGN_STATUS.SCHEDULED, { scheduledAt }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Campaign cannot be scheduled while ${campaign.status}`,
+          code: 'INVALID_CAMPAIGN_STATUS'
+        });
+      }
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      console.error('Error scheduling campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to schedule campaign' });
+    }
+  }
+
+  async pauseCampaign(req, res) {
+    try {
+      const campaign = await NotificationCampaign.findById(req.params.campaignId);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+
+      const updated = await NotificationCampaign.transition(
+        campaign.id, [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.PAUSED
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Campaign cannot be paused while ${campaign.status}`,
+          code: 'INVALID_CAMPAIGN_STATUS'
+        });
+      }
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      console.error('Error pausing campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to pause campaign' });
+    }
+  }
+
+  async cancelCampaign(req, res) {
+    try {
+      const campaign = await NotificationCampaign.findById(req.params.campaignId);
+      if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+
+      const updated = await NotificationCampaign.transition(
+        campaign.id,
+        [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED],
+        CAMPAIGN_STATUS.CANCELLED
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Campaign cannot be cancelled while ${campaign.status}`,
+          code: 'INVALID_CAMPAIGN_STATUS'
+        });
+      }
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      console.error('Error cancelling campaign:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel campaign' });
+    }
+  }
+
+  // Called by client apps when the signed-in user opens a campaign
+  // notification or acts on it
+  async recordEngagement(req, res) {
+    try {
+      const { event } = req.body;
+      if (!ENGAGEMENT_EVENTS.includes(event)) {
+        return res.status(400).json({ success: false, message: `event must be one of ${ENGAGEMENT_EVENTS.join(', ')}` });
+      }
+      if (!req.userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+      const recorded = await NotificationCampaign.recordEngagement(req.params.campaignId, req.userId, event);
+      if (!recorded) {
+        return res.status(404).json({ success: false, message: 'No campaign notification was sent to this user' });
+      }
+      res.json({ success: true, message: 'Engagement recorded' });
+    } catch (error) {
+      console.error('Error recording campaign engagement:', error);
+      res.status(500).json({ success: false, message: 'Failed to record engagement' });
+    }
+  }
+}
+
+module.exports = new CampaignController();
@@ -1,10 +1,30 @@
 const NotificationService = require('../services/notification.service');
-const { Notification } = require('../models/notification.model');
+const { Notification, DeliveryLog, NOTIFICATION_CHANNELS } = require('../models/notification.model');
 const { UserNotificationPreferences, NotificationTemplate, NotificationCampaign } = require('../models/template.model');
+const { isPlatformAdmin } = require('@quickbite/rbac');
+const providers = require('../providers');
+
+// Preference fields users may change through the API
+const PREFERENCE_FIELDS = [
+  'emailNotifications', 'pushNotifications', 'smsNotifications', 'whatsappNotifications',
+  'orderUpdates', 'promotionalOffers', 'loyaltyUpdates', 'socialActivity', 'securityAlerts',
+  'weeklyDigest', 'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd', 'quietHoursRules',
+  'timezone', 'frequencyCap', 'categoryCaps', 'digestMode', 'digestTime'
+];
+
+// Users manage their own preferences; platform admins anyone's
+function canManagePreferences(req) {
+  return String(req.userId) === String(req.params.userId) || isPlatformAdmin(req);
+}
 
 class NotificationController {
   constructor() {
     this.notificationService = new NotificationService();
+
+    // Routes hand these methods to express on their own
+    for (const name of Object.getOwnPropertyNames(NotificationController.prototype)) {
+      if (name !== 'constructor') this[name] = this[name].bind(this);
+    }
   }
 
   // Send single notification
@@ -376,6 +396,125 @@ class NotificationController {
     }
   }
 
+  // Called by the app when a notification reaches the device. Stops the
+  // notification falling back to the next channel in its chain.
+  async acknowledgeNotification(req, res) {
+    try {
+      const channel = req.body.channel || NOTIFICATION_CHANNELS.PUSH;
+      if (!Object.values(NOTIFICATION_CHANNELS).includes(channel)) {
+        return res.status(400).json({ success: false, message: `channel must be one of ${Object.values(NOTIFICATION_CHANNELS).join(', ')}` });
+      }
+
+      const notification = await Notification.findById(req.params.notificationId);
+      if (!notification || String(notification.userId) !== String(req.userId)) {
+        return res.status(404).json({ success: false, message: 'Notification not found' });
+      }
+
+      if (!(await DeliveryLog.acknowledge(notification.id, channel))) {
+        return res.status(409).json({ success: false, message: `Notification was not sent by ${channel}`, code: 'NOT_SENT_ON_CHANNEL' });
+      }
+      if (['PENDING', 'SENT'].includes(notification.status)) {
+        await notification.updateStatus('DELIVERED');
+      }
+      res.json({ success: true, data: { notificationId: notification.id, channel } });
+    } catch (error) {
+      console.error('Error in acknowledgeNotification:', error);
+      res.status(500).json({ success: false, message: 'Failed to acknowledge notification' });
+    }
+  }
+
+  // Get a user's notification preferences
+  async getUserPreferences(req, res) {
+    try {
+      if (!canManagePreferences(req)) {
+        return res.status(403).json({ success: false, message: 'You do not have access to this resource', code: 'FORBIDDEN' });
+      }
+
+      const preferences = await UserNotificationPreferences.findByUserId(req.params.userId);
+      res.json({ success: true, data: preferences });
+    } catch (error) {
+      console.error('Error in getUserPreferences:', error);
+      res.status(500).json({ success: false, message: 'Failed to get preferences' });
+    }
+  }
+
+  // Change some of a user's notification preferences, including quiet
+  // hours, their timezone and digests
+  async updateUserPreferences(req, res) {
+    try {
+      if (!canManagePreferences(req)) {
+        return res.status(403).json({ success: false, message: 'You do not have access to this resource', code: 'FORBIDDEN' });
+      }
+
+      const unknown = Object.keys(req.body || {}).filter(field => !PREFERENCE_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown preference fields: ${unknown.join(', ')}` });
+      }
+
+      const preferences = await UserNotificationPreferences.findByUserId(req.params.userId);
+      PREFERENCE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) preferences[field] = req.body[field];
+      });
+
+      const invalid = UserNotificationPreferences.validationError(preferences);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const row = await preferences.save();
+      res.json({ success: true, data: UserNotificationPreferences.fromRow(row) });
+    } catch (error) {
+      console.error('Error in updateUserPreferences:', error);
+      res.status(500).json({ success: false, message: 'Failed to update preferences' });
+    }
+  }
+
+  // Delivery reports posted by the SMS provider, or by the local sink
+  async handleSMSStatusCallback(req, res) {
+    return this.handleStatusCallback(NOTIFICATION_CHANNELS.SMS, this.notificationService.smsService, req, res);
+  }
+
+  // Delivery reports posted by the WhatsApp provider, or by the local sink
+  async handleWhatsAppStatusCallback(req, res) {
+    return this.handleStatusCallback(NOTIFICATION_CHANNELS.WHATSAPP, this.notificationService.whatsAppService, req, res);
+  }
+
+  async handleStatusCallback(channel, service, req, res) {
+    try {
+      if (!service.verifyCallback(req)) {
+        return res.status(403).json({ success: false, message: 'Invalid callback signature', code: 'INVALID_SIGNATURE' });
+      }
+      if (!req.body || !req.body.MessageSid || !req.body.MessageStatus) {
+        return res.status(400).json({ success: false, message: 'MessageSid and MessageStatus are required' });
+      }
+
+      const result = await this.notificationService.handleDeliveryStatus(channel, req.body);
+      res.json(result);
+    } catch (error) {
+      console.error(`Error handling ${channel} status callback:`, error);
+      res.status(500).json({ success: false, message: 'Failed to handle status callback' });
+    }
+  }
+
+  // Messages recorded by a channel's local sink provider, newest first
+  async getSinkMessages(req, res) {
+    try {
+      const channel = String(req.params.channel).toUpperCase();
+      if (!['SMS', 'WHATSAPP', 'EMAIL', 'PUSH'].includes(channel)) {
+        return res.status(400).json({ success: false, message: 'channel must be one of sms, whatsapp, email, push' });
+      }
+
+      const provider = providers.forChannel(channel);
+      if (!(provider instanceof providers.SinkProvider)) {
+        return res.status(404).json({ success: false, message: `${channel} is not using the sink provider`, code: 'SINK_NOT_ENABLED' });
+      }
+
+      const messages = await provider.list(Math.min(parseInt(req.query.limit, 10) || 50, 500));
+      res.json({ success: true, data: messages });
+    } catch (error) {
+      console.error('Error in getSinkMessages:', error);
+      res.status(500).json({ success: false, message: 'Failed to get sink messages' });
+    }
+  }
+
   // Legacy compatibility methods
   async send(req, res) {
     // Map legacy format to new format
@@ -0,0 +1,205 @@
+const { NotificationTemplate, TemplateVariableError } = require('../models/template.model');
+const { NOTIFICATION_CHANNELS, TEMPLATE_CATEGORIES } = require('../models/notification.model');
+
+const CONTENT_FIELDS = ['subjectTemplate', 'bodyTemplate', 'variables', 'styling'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Why a template payload is invalid, or null. `creating` requires every
+// field a new template needs.
+function validateTemplate(body, creating) {
+  const required = ['name', 'type', 'category', 'channel', 'bodyTemplate'];
+  if (creating) {
+    const missing = required.filter(field => !body[field]);
+    if (missing.length > 0) return `Missing required fields: ${missing.join(', ')}`;
+  }
+  if (body.channel !== undefined && !Object.values(NOTIFICATION_CHANNELS).includes(body.channel)) {
+    return `channel must be one of ${Object.values(NOTIFICATION_CHANNELS).join(', ')}`;
+  }
+  if (body.category !== undefined && !Object.values(TEMPLATE_CATEGORIES).includes(body.category)) {
+    return `category must be one of ${Object.values(TEMPLATE_CATEGORIES).join(', ')}`;
+  }
+  if (body.variables !== undefined) {
+    const valid = Array.isArray(body.variables) && body.variables.every(v =>
+      (typeof v === 'string' && v) || (isPlainObject(v) && typeof v.name === 'string' && v.name));
+    if (!valid) return 'variables must be a list of names or { name, required, example } objects';
+  }
+  if (body.styling !== undefined && !isPlainObject(body.styling)) return 'styling must be an object';
+  return NotificationTemplate.syntaxError(body);
+}
+
+function mergeData(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeData(base[key], value) : value;
+  }
+  return merged;
+}
+
+// Renders `template` with the request's data laid over the template's
+// declared examples, failing when a required variable is still missing
+async function sendPreview(res, template, body) {
+  if (body.data !== undefined && !isPlainObject(body.data)) {
+    return res.status(400).json({ success: false, message: 'data must be an object' });
+  }
+  const data = body.useSampleData === false ? (body.data || {}) : mergeData(template.sampleData(), body.data);
+  try {
+    const rendered = await template.render(data, { strict: true });
+    return res.json({ success: true, data: { ...rendered, variables: data } });
+  } catch (error) {
+    if (error instanceof TemplateVariableError) {
+      return res.status(422).json({ success: false, message: error.message, code: error.code, missing: error.missing });
+    }
+    throw error;
+  }
+}
+
+// Admin API for notification templates. Editing a template's subject, body,
+// variables or styling bumps its version; earlier versions stay readable and
+// can be restored, which makes yet another version.
+class TemplateController {
+  async listTemplates(req, res) {
+    try {
+      const { category, channel, active } = req.query;
+      const templates = await NotificationTemplate.getAll({
+        category,
+        channel,
+        isActive: active === undefined ? undefined : active === 'true'
+      });
+      res.json({ success: true, data: templates });
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(500).json({ success: false, message: 'Failed to list templates' });
+    }
+  }
+
+  async getTemplate(req, res) {
+    try {
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+      res.json({ success: true, data: template });
+    } catch (error) {
+      console.error('Error getting template:', error);
+      res.status(500).json({ success: false, message: 'Failed to get template' });
+    }
+  }
+
+  async createTemplate(req, res) {
+    try {
+      const invalid = validateTemplate(req.body, true);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const { name, type, category, channel, subjectTemplate, bodyTemplate, variables, styling, isActive } = req.body;
+      const template = new NotificationTemplate({
+        name, type, category, channel, subjectTemplate, bodyTemplate, variables, styling, isActive,
+        createdBy: req.userId || null
+      });
+      const row = await template.save();
+      res.status(201).json({ success: true, data: NotificationTemplate.fromRow(row) });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A template with this name already exists' });
+      }
+      console.error('Error creating template:', error);
+      res.status(500).json({ success: false, message: 'Failed to create template' });
+    }
+  }
+
+  async updateTemplate(req, res) {
+    try {
+      const invalid = validateTemplate(req.body, false);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+      const updated = await template.update(req.body, req.userId || null);
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A template with this name already exists' });
+      }
+      console.error('Error updating template:', error);
+      res.status(500).json({ success: false, message: 'Failed to update template' });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+      if (!(await NotificationTemplate.delete(template.id))) {
+        return res.status(409).json({
+          success: false,
+          message: 'Template is used by campaigns; deactivate it instead',
+          code: 'TEMPLATE_IN_USE'
+        });
+      }
+      res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete template' });
+    }
+  }
+
+  async getTemplateVersions(req, res) {
+    try {
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+      const versions = await NotificationTemplate.getVersions(template.id);
+      res.json({ success: true, data: { currentVersion: template.version, versions } });
+    } catch (error) {
+      console.error('Error getting template versions:', error);
+      res.status(500).json({ success: false, message: 'Failed to get template versions' });
+    }
+  }
+
+  async restoreTemplateVersion(req, res) {
+    try {
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+      const version = await NotificationTemplate.getVersion(template.id, req.params.version);
+      if (!version) return res.status(404).json({ success: false, message: 'Template version not found' });
+
+      const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, version[field]]));
+      const updated = await template.update(content, req.userId || null);
+      res.json({ success: true, message: `Restored version ${version.version}`, data: updated });
+    } catch (error) {
+      console.error('Error restoring template version:', error);
+      res.status(500).json({ success: false, message: 'Failed to restore template version' });
+    }
+  }
+
+  async previewTemplate(req, res) {
+    try {
+      const template = await NotificationTemplate.findById(req.params.templateId);
+      if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+      return await sendPreview(res, template, req.body);
+    } catch (error) {
+      console.error('Error previewing template:', error);
+      res.status(500).json({ success: false, message: 'Failed to preview template' });
+    }
+  }
+
+  // Preview of a template that has not been saved yet
+  async previewDraftTemplate(req, res) {
+    try {
+      const draft = req.body.template || {};
+      const invalid = validateTemplate({ ...draft, name: draft.name || 'draft' }, false) ||
+        (draft.bodyTemplate ? null : 'bodyTemplate is required');
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      return await sendPreview(res, new NotificationTemplate(draft), req.body);
+    } catch (error) {
+      console.error('Error previewing draft template:', error);
+      res.status(500).json({ success: false, message: 'Failed to preview template' });
+    }
+  }
+}
+
+module.exports = new TemplateController();
@@ -1,3 +1,8 @@
+const { verifyAccessToken } = require('@quickbite/jwt-verifier');
+
+// Verifies the bearer token against auth-service's JWKS when AUTH_JWKS_URL is
+// set, otherwise introspects it with auth-service when AUTH_INTROSPECT_URL is
+// set. With neither configured every request is refused.
 module.exports = async function authMiddleware(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
@@ -6,16 +11,27 @@ module.exports = async function authMiddleware(req, res, next) {
     const token = m[1];
 
     const introspectUrl = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
-    if (introspectUrl) {
+    if (process.env.AUTH_JWKS_URL) {
+      try {
+        const identity = await verifyAccessToken(token);
+        req.userId = identity.userId;
+        req.userRole = identity.role;
+      } catch (e) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+      }
+    } else if (introspectUrl) {
       try {
         const r = await fetch(introspectUrl, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ token }) });
         if (!r.ok) return res.status(401).json({ success: false, message: 'Unauthorized' });
         const data = await r.json();
         if (!data.active) return res.status(401).json({ success: false, message: 'Unauthorized' });
         req.userId = data.user_id;
+        req.userRole = data.role || null;
       } catch (e) {
         return res.status(401).json({ success: false, message: 'Unauthorized' });
       }
+    } else {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
 
     // Optional: restrict by allowed audiences/roles via env ALLOWED_CLIENTS
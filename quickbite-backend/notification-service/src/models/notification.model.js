@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 // Initialize database connection (will be imported from config)
@@ -31,6 +32,7 @@ const NOTIFICATION_TYPES = {
   SECURITY_ALERT: 'SECURITY_ALERT',
   ACCOUNT_UPDATE: 'ACCOUNT_UPDATE',
   WEEKLY_DIGEST: 'WEEKLY_DIGEST',
+  DIGEST: 'DIGEST',
   CUSTOM_MESSAGE: 'CUSTOM_MESSAGE'
 };
 
@@ -41,12 +43,16 @@ const NOTIFICATION_CHANNELS = {
   SMS: 'SMS',
   WHATSAPP: 'WHATSAPP',
   IN_APP: 'IN_APP',
+  WEBSOCKET: 'WEBSOCKET',
   WEBHOOK: 'WEBHOOK'
 };
 
 // Notification Status
 const NOTIFICATION_STATUS = {
   PENDING: 'PENDING',
+  SCHEDULED: 'SCHEDULED',
+  DIGESTED: 'DIGESTED',
+  SUPPRESSED: 'SUPPRESSED',
   SENT: 'SENT',
   DELIVERED: 'DELIVERED',
   FAILED: 'FAILED',
@@ -76,6 +82,43 @@ const TEMPLATE_CATEGORIES = {
   SYSTEM: 'SYSTEM'
 };
 
+// Category each notification type falls under when it is sent without one
+const TYPE_CATEGORIES = {
+  ORDER_PLACED: 'ORDER_UPDATES',
+  ORDER_CONFIRMED: 'ORDER_UPDATES',
+  ORDER_PREPARING: 'ORDER_UPDATES',
+  ORDER_READY: 'ORDER_UPDATES',
+  ORDER_PICKED_UP: 'ORDER_UPDATES',
+  ORDER_OUT_FOR_DELIVERY: 'ORDER_UPDATES',
+  ORDER_DELIVERED: 'ORDER_UPDATES',
+  ORDER_CANCELLED: 'ORDER_UPDATES',
+  ORDER_DELAYED: 'ORDER_UPDATES',
+  PAYMENT_SUCCESS: 'PAYMENTS',
+  PAYMENT_FAILED: 'PAYMENTS',
+  REFUND_PROCESSED: 'PAYMENTS',
+  DELIVERY_ASSIGNED: 'DELIVERY',
+  DELIVERY_ARRIVED: 'DELIVERY',
+  PROMOTIONAL_OFFER: 'PROMOTIONS',
+  BIRTHDAY_OFFER: 'PROMOTIONS',
+  NEW_RESTAURANT: 'PROMOTIONS',
+  RESTAURANT_REOPENED: 'PROMOTIONS',
+  LOYALTY_REWARD: 'LOYALTY',
+  REFERRAL_BONUS: 'LOYALTY',
+  FRIEND_ACTIVITY: 'SOCIAL',
+  SECURITY_ALERT: 'SECURITY',
+  ACCOUNT_UPDATE: 'SECURITY'
+};
+
+function categoryOf(notification) {
+  return notification.category || TYPE_CATEGORIES[notification.type] || TEMPLATE_CATEGORIES.SYSTEM;
+}
+
+// Identifies notifications with the same content, for deduplication
+function dedupKeyOf(notification) {
+  const content = JSON.stringify([notification.type, notification.title, notification.message, notification.data || {}]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
 // Database Schema Creation
 async function ensureNotificationSchema() {
   try {
@@ -197,6 +240,91 @@ async function ensureNotificationSchema() {
       );
     `);
 
+    // Template history: every content change to a template is kept so it can
+    // be compared or restored
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_template_versions (
+        template_id VARCHAR(36) NOT NULL REFERENCES notification_templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        subject_template TEXT,
+        body_template TEXT NOT NULL,
+        variables JSONB DEFAULT '[]',
+        styling JSONB DEFAULT '{}',
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (template_id, version)
+      );
+    `);
+
+    // Campaign runs: values for the template, the batch size the runner
+    // sends at, and each recipient's progress through the campaign
+    await pool.query(`
+      ALTER TABLE notification_campaigns ADD COLUMN IF NOT EXISTS template_data JSONB DEFAULT '{}';
+      ALTER TABLE notification_campaigns ADD COLUMN IF NOT EXISTS batch_size INTEGER;
+      ALTER TABLE notification_campaigns ADD COLUMN IF NOT EXISTS recipients_loaded_at TIMESTAMP;
+      ALTER TABLE notification_campaigns ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+      CREATE TABLE IF NOT EXISTS notification_campaign_recipients (
+        campaign_id VARCHAR(36) NOT NULL REFERENCES notification_campaigns(id) ON DELETE CASCADE,
+        user_id VARCHAR(36) NOT NULL,
+        email VARCHAR(255),
+        phone VARCHAR(32),
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        notification_id VARCHAR(36),
+        error TEXT,
+        claimed_at TIMESTAMP,
+        sent_at TIMESTAMP,
+        clicked_at TIMESTAMP,
+        converted_at TIMESTAMP,
+        PRIMARY KEY (campaign_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_campaign_recipients_pending
+        ON notification_campaign_recipients(campaign_id, status);
+    `);
+
+    // Quiet hours in the user's own timezone, with per-channel and
+    // per-category windows, and digests. Notifications held back for a
+    // digest are flagged so the digest can collect them.
+    await pool.query(`
+      ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN DEFAULT false;
+      ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS quiet_hours_rules JSONB DEFAULT '{}';
+      ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS digest_mode VARCHAR(20) DEFAULT 'OFF';
+      ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS digest_time TIME DEFAULT '19:00';
+
+      ALTER TABLE notifications ADD COLUMN IF NOT EXISTS digest BOOLEAN DEFAULT false;
+      CREATE INDEX IF NOT EXISTS idx_notifications_digest
+        ON notifications(user_id, scheduled_at) WHERE digest AND status = 'SCHEDULED';
+    `);
+
+    // Frequency caps and deduplication count what the delivery logs say was
+    // sent, matched to notifications by category and content
+    await pool.query(`
+      ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS category_caps JSONB DEFAULT '{}';
+
+      ALTER TABLE notifications ADD COLUMN IF NOT EXISTS dedup_key VARCHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_category ON notifications(user_id, category);
+      CREATE INDEX IF NOT EXISTS idx_notifications_dedup_key ON notifications(user_id, dedup_key);
+      CREATE INDEX IF NOT EXISTS idx_notification_delivery_logs_created_at ON notification_delivery_logs(created_at);
+    `);
+
+    // Messages "sent" by the local sink providers instead of a real SMS,
+    // WhatsApp, email or push provider
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_sink_messages (
+        id VARCHAR(36) PRIMARY KEY,
+        channel VARCHAR(20) NOT NULL,
+        recipient VARCHAR(500),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        status_callback VARCHAR(500),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_notification_sink_messages_channel
+        ON notification_sink_messages(channel, created_at);
+    `);
+
     // Create notification_subscriptions table (for push notifications)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS notification_subscriptions (
@@ -291,6 +419,52 @@ class Notification {
     this.status = data.status || 'PENDING';
     this.retryCount = data.retryCount || 0;
     this.maxRetries = data.maxRetries || 3;
+    this.digest = data.digest || false;
+    this.dedupKey = data.dedupKey || dedupKeyOf(this);
+    this.sentAt = data.sentAt;
+    this.deliveredAt = data.deliveredAt;
+    this.readAt = data.readAt;
+    this.clickedAt = data.clickedAt;
+    this.createdAt = data.createdAt;
+  }
+
+  static fromRow(row) {
+    return new Notification({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+      channels: row.channels,
+      priority: row.priority,
+      category: row.category,
+      templateId: row.template_id,
+      scheduledAt: row.scheduled_at,
+      expiresAt: row.expires_at,
+      status: row.status,
+      retryCount: row.retry_count,
+      maxRetries: row.max_retries,
+      digest: row.digest,
+      dedupKey: row.dedup_key,
+      clickedAt: row.clicked_at,
+      sentAt: row.sent_at,
+      deliveredAt: row.delivered_at,
+      readAt: row.read_at,
+      createdAt: row.created_at
+    });
+  }
+
+  // Stores a new notification and resolves to it
+  static async create(data) {
+    const notification = new Notification(data);
+    await notification.save();
+    return notification;
+  }
+
+  // Plain copy for queue payloads
+  toJSON() {
+    return { ...this };
   }
 
   async save() {
@@ -299,9 +473,9 @@ class Notification {
         INSERT INTO notifications (
           id, user_id, type, title, message, data, channels, priority,
           category, template_id, scheduled_at, expires_at, status,
-          retry_count, max_retries
+          retry_count, max_retries, dedup_key
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
         ) RETURNING *
       `;
 
@@ -309,7 +483,7 @@ class Notification {
         this.id, this.userId, this.type, this.title, this.message,
         JSON.stringify(this.data), this.channels, this.priority,
         this.category, this.templateId, this.scheduledAt, this.expiresAt,
-        this.status, this.retryCount, this.maxRetries
+        this.status, this.retryCount, this.maxRetries, this.dedupKey
       ];
 
       const result = await pool.query(query, values);
@@ -362,6 +536,47 @@ class Notification {
     }
   }
 
+  // Holds the notification back until `until`, to go out on `channels` or,
+  // with `digest`, as part of the user's next digest
+  async defer(until, { channels, digest = false } = {}) {
+    try {
+      await pool.query(
+        `UPDATE notifications
+         SET status = 'SCHEDULED', scheduled_at = $2, channels = $3, digest = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [this.id, until, channels || this.channels, digest]
+      );
+      this.status = 'SCHEDULED';
+      this.scheduledAt = until;
+      this.channels = channels || this.channels;
+      this.digest = digest;
+    } catch (error) {
+      console.error('Error deferring notification:', error);
+      throw error;
+    }
+  }
+
+  // Takes the user's notifications that are due to go out in a digest,
+  // oldest first, and marks them DIGESTED so no other digest picks them up
+  static async claimDigest(userId) {
+    try {
+      const result = await pool.query(
+        `UPDATE notifications SET status = 'DIGESTED', updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND digest AND status = 'SCHEDULED'
+         AND scheduled_at <= CURRENT_TIMESTAMP + INTERVAL '1 minute'
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [userId]
+      );
+      return result.rows
+        .map(row => Notification.fromRow(row))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    } catch (error) {
+      console.error('Error claiming digest notifications:', error);
+      throw error;
+    }
+  }
+
   static async findById(id) {
     try {
       const query = 'SELECT * FROM notifications WHERE id = $1';
@@ -371,10 +586,7 @@ class Notification {
         return null;
       }
 
-      const data = result.rows[0];
-      data.data = typeof data.data === 'string' ? JSON.parse(data.data) : data.data;
-      
-      return new Notification(data);
+      return Notification.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error finding notification:', error);
       throw error;
@@ -414,10 +626,7 @@ class Notification {
 
       const result = await pool.query(query, values);
       
-      return result.rows.map(row => {
-        row.data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
-        return new Notification(row);
-      });
+      return result.rows.map(row => Notification.fromRow(row));
     } catch (error) {
       console.error('Error finding notifications by user:', error);
       throw error;
@@ -437,10 +646,7 @@ class Notification {
 
       const result = await pool.query(query, [limit]);
       
-      return result.rows.map(row => {
-        row.data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
-        return new Notification(row);
-      });
+      return result.rows.map(row => Notification.fromRow(row));
     } catch (error) {
       console.error('Error getting pending notifications:', error);
       throw error;
@@ -488,6 +694,82 @@ class Notification {
   }
 }
 
+// Reads and writes notification_delivery_logs, which record every attempt
+// to send a notification on a channel. Fallback chains, frequency caps and
+// deduplication are all worked out from these rows.
+class DeliveryLog {
+  static async record(notificationId, channel, status, { responseData = null, failureReason = null } = {}) {
+    try {
+      await pool.query(
+        `INSERT INTO notification_delivery_logs (
+           id, notification_id, channel, status, response_data, sent_at, failure_reason
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          uuidv4(), notificationId, channel, status,
+          responseData ? JSON.stringify(responseData) : null,
+          status === 'SENT' ? new Date() : null,
+          failureReason
+        ]
+      );
+    } catch (error) {
+      console.error('Error logging delivery:', error);
+    }
+  }
+
+  static async forNotification(notificationId) {
+    const result = await pool.query(
+      'SELECT * FROM notification_delivery_logs WHERE notification_id = $1 ORDER BY created_at',
+      [notificationId]
+    );
+    return result.rows;
+  }
+
+  // Marks the latest send of the notification on `channel` as delivered;
+  // resolves to false when it was never sent there
+  static async acknowledge(notificationId, channel) {
+    const result = await pool.query(
+      `UPDATE notification_delivery_logs SET status = 'DELIVERED', delivered_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM notification_delivery_logs
+         WHERE notification_id = $1 AND channel = $2 AND status IN ('SENT', 'DELIVERED')
+         ORDER BY created_at DESC LIMIT 1
+       )
+       RETURNING id`,
+      [notificationId, channel]
+    );
+    return result.rows.length > 0;
+  }
+
+  // How many of the user's notifications in `categories` went out on some
+  // channel since `since`
+  static async countSent(userId, categories, since) {
+    const result = await pool.query(
+      `SELECT COUNT(DISTINCT n.id) AS count
+       FROM notifications n
+       JOIN notification_delivery_logs l ON l.notification_id = n.id
+       WHERE n.user_id = $1 AND n.category = ANY($2)
+       AND l.status IN ('SENT', 'DELIVERED') AND l.created_at >= $3`,
+      [userId, categories, since]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  // Whether the same content already went out to the notification's user
+  // since `since`
+  static async hasDuplicate(notification, since) {
+    const result = await pool.query(
+      `SELECT 1
+       FROM notifications n
+       JOIN notification_delivery_logs l ON l.notification_id = n.id
+       WHERE n.user_id = $1 AND n.dedup_key = $2 AND n.id <> $3
+       AND l.status IN ('SENT', 'DELIVERED') AND l.created_at >= $4
+       LIMIT 1`,
+      [notification.userId, notification.dedupKey, notification.id, since]
+    );
+    return result.rows.length > 0;
+  }
+}
+
 // Legacy function compatibility
 async function ensureSchema() {
   return ensureNotificationSchema();
@@ -529,11 +811,14 @@ module.exports = {
   setStatus,
   logEvent,
   Notification,
+  DeliveryLog,
   NOTIFICATION_TYPES,
   NOTIFICATION_CHANNELS,
   NOTIFICATION_STATUS,
   PRIORITY_LEVELS,
   TEMPLATE_CATEGORIES,
+  categoryOf,
+  NOTIFICATION_PRIORITIES: PRIORITY_LEVELS,
   // Legacy exports for compatibility
   NOTIF_TYPES: Object.values(NOTIFICATION_TYPES),
   NOTIF_PRIORITIES: Object.values(PRIORITY_LEVELS),
@@ -4,7 +4,41 @@ const Handlebars = require('handlebars');
 // Initialize database connection
 let pool;
 
-// Template Class for managing notification templates
+// Fields kept in each template version
+const VERSIONED_FIELDS = ['subjectTemplate', 'bodyTemplate', 'variables', 'styling'];
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Value at a dotted path such as "user.firstName"
+function lookup(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function assign(data, path, value) {
+  const keys = path.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+class TemplateVariableError extends Error {
+  constructor(missing) {
+    super(`Missing template variables: ${missing.join(', ')}`);
+    this.name = 'TemplateVariableError';
+    this.code = 'TEMPLATE_VARIABLES_MISSING';
+    this.statusCode = 422;
+    this.missing = missing;
+  }
+}
+
+// Template Class for managing notification templates. `variables` declares
+// what the template expects, either as names or as
+// { name, required, example, description }; names may be dotted paths.
 class NotificationTemplate {
   constructor(data) {
     this.id = data.id || uuidv4();
@@ -14,11 +48,71 @@ class NotificationTemplate {
     this.channel = data.channel;
     this.subjectTemplate = data.subjectTemplate;
     this.bodyTemplate = data.bodyTemplate;
-    this.variables = data.variables || [];
+    this.variables = NotificationTemplate.normalizeVariables(data.variables);
     this.styling = data.styling || {};
     this.isActive = data.isActive !== false;
     this.version = data.version || 1;
     this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static fromRow(row) {
+    return new NotificationTemplate({
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      category: row.category,
+      channel: row.channel,
+      subjectTemplate: row.subject_template,
+      bodyTemplate: row.body_template,
+      variables: parseJson(row.variables),
+      styling: parseJson(row.styling),
+      isActive: row.is_active,
+      version: row.version,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  static normalizeVariables(variables = []) {
+    return (variables || []).map(variable => (typeof variable === 'string'
+      ? { name: variable, required: true }
+      : { ...variable, required: variable.required !== false }));
+  }
+
+  // Why the subject or body would not compile, or null
+  static syntaxError({ subjectTemplate, bodyTemplate }) {
+    for (const [field, source] of [['subjectTemplate', subjectTemplate], ['bodyTemplate', bodyTemplate]]) {
+      if (!source) continue;
+      try {
+        Handlebars.precompile(source);
+      } catch (error) {
+        return `${field} is not a valid template: ${error.message.split('\n')[0]}`;
+      }
+    }
+    return null;
+  }
+
+  // Required variables that `data` leaves empty
+  missingVariables(data = {}) {
+    return this.variables
+      .filter(variable => variable.required)
+      .map(variable => variable.name)
+      .filter(name => {
+        const value = lookup(data, name);
+        return value === undefined || value === null || value === '';
+      });
+  }
+
+  // Data built from the declared examples, for previews
+  sampleData() {
+    const data = {};
+    for (const variable of this.variables) {
+      if (variable.example !== undefined) assign(data, variable.name, variable.example);
+    }
+    return data;
   }
 
   async save() {
@@ -42,6 +136,7 @@ class NotificationTemplate {
       ];
 
       const result = await pool.query(query, values);
+      await NotificationTemplate.recordVersion(result.rows[0], this.createdBy);
       return result.rows[0];
     } catch (error) {
       console.error('Error saving notification template:', error);
@@ -49,8 +144,11 @@ class NotificationTemplate {
     }
   }
 
-  async update(updates) {
+  async update(updates, updatedBy = null) {
     try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
       const allowedUpdates = [
         'name', 'type', 'category', 'channel', 'subjectTemplate',
         'bodyTemplate', 'variables', 'styling', 'isActive'
@@ -65,7 +163,9 @@ class NotificationTemplate {
           paramCount++;
           updateFields.push(`${this.camelToSnake(field)} = $${paramCount}`);
           
-          if (field === 'variables' || field === 'styling') {
+          if (field === 'variables') {
+            values.push(JSON.stringify(NotificationTemplate.normalizeVariables(updates[field])));
+          } else if (field === 'styling') {
             values.push(JSON.stringify(updates[field]));
           } else {
             values.push(updates[field]);
@@ -77,8 +177,10 @@ class NotificationTemplate {
         return this;
       }
 
-      // Increment version when updating templates
-      updateFields.push(`version = version + 1`);
+      // Content changes make a new version; renaming or switching a template
+      // on and off does not
+      const newVersion = VERSIONED_FIELDS.some(field => updates[field] !== undefined);
+      if (newVersion) updateFields.push(`version = version + 1`);
       updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
 
       const query = `
@@ -89,14 +191,22 @@ class NotificationTemplate {
       `;
 
       const result = await pool.query(query, values);
-      return result.rows[0];
+      if (newVersion) await NotificationTemplate.recordVersion(result.rows[0], updatedBy);
+      return NotificationTemplate.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error updating notification template:', error);
       throw error;
     }
   }
 
-  async render(data = {}) {
+  // With `strict`, required variables missing from `data` are an error
+  // rather than rendering as empty text
+  async render(data = {}, { strict = false } = {}) {
+    if (strict) {
+      const missing = this.missingVariables(data);
+      if (missing.length > 0) throw new TemplateVariableError(missing);
+    }
+
     try {
       const compiledSubject = this.subjectTemplate ? 
         Handlebars.compile(this.subjectTemplate)(data) : null;
@@ -114,6 +224,63 @@ class NotificationTemplate {
     }
   }
 
+  static async recordVersion(row, createdBy = null) {
+    await pool.query(
+      `INSERT INTO notification_template_versions (
+         template_id, version, subject_template, body_template, variables, styling, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (template_id, version) DO NOTHING`,
+      [row.id, row.version, row.subject_template, row.body_template,
+        JSON.stringify(parseJson(row.variables)), JSON.stringify(parseJson(row.styling)), createdBy]
+    );
+  }
+
+  static async getVersions(id) {
+    try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
+      const result = await pool.query(
+        `SELECT version, subject_template, body_template, variables, styling, created_by, created_at
+         FROM notification_template_versions WHERE template_id = $1 ORDER BY version DESC`,
+        [id]
+      );
+      return result.rows.map(row => ({
+        version: row.version,
+        subjectTemplate: row.subject_template,
+        bodyTemplate: row.body_template,
+        variables: parseJson(row.variables),
+        styling: parseJson(row.styling),
+        createdBy: row.created_by,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.error('Error getting template versions:', error);
+      throw error;
+    }
+  }
+
+  static async getVersion(id, version) {
+    const versions = await NotificationTemplate.getVersions(id);
+    return versions.find(v => v.version === Number(version)) || null;
+  }
+
+  // Resolves to false when campaigns still use the template
+  static async delete(id) {
+    try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
+      const inUse = await pool.query('SELECT 1 FROM notification_campaigns WHERE template_id = $1 LIMIT 1', [id]);
+      if (inUse.rows.length > 0) return false;
+      await pool.query('DELETE FROM notification_templates WHERE id = $1', [id]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
   static async findById(id) {
     try {
       const { pool: dbPool } = require('../config/database');
@@ -126,13 +293,7 @@ class NotificationTemplate {
         return null;
       }
 
-      const data = result.rows[0];
-      data.variables = typeof data.variables === 'string' ? 
-        JSON.parse(data.variables) : data.variables;
-      data.styling = typeof data.styling === 'string' ? 
-        JSON.parse(data.styling) : data.styling;
-
-      return new NotificationTemplate(data);
+      return NotificationTemplate.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error finding template:', error);
       throw error;
@@ -157,13 +318,7 @@ class NotificationTemplate {
         return null;
       }
 
-      const data = result.rows[0];
-      data.variables = typeof data.variables === 'string' ? 
-        JSON.parse(data.variables) : data.variables;
-      data.styling = typeof data.styling === 'string' ? 
-        JSON.parse(data.styling) : data.styling;
-
-      return new NotificationTemplate(data);
+      return NotificationTemplate.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error finding template by type and channel:', error);
       throw error;
@@ -198,13 +353,7 @@ class NotificationTemplate {
 
       const result = await pool.query(query, values);
 
-      return result.rows.map(row => {
-        row.variables = typeof row.variables === 'string' ? 
-          JSON.parse(row.variables) : row.variables;
-        row.styling = typeof row.styling === 'string' ? 
-          JSON.parse(row.styling) : row.styling;
-        return new NotificationTemplate(row);
-      });
+      return result.rows.map(row => NotificationTemplate.fromRow(row));
     } catch (error) {
       console.error('Error getting all templates:', error);
       throw error;
@@ -217,7 +366,23 @@ class NotificationTemplate {
   }
 }
 
-// Campaign Class for managing notification campaigns
+const CAMPAIGN_STATUS = {
+  DRAFT: 'DRAFT',
+  SCHEDULED: 'SCHEDULED',
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Recipients claimed by a runner that died are offered again after this long
+const STALE_CLAIM_MINUTES = 10;
+
+// Campaign Class for managing notification campaigns. A campaign goes
+// DRAFT -> SCHEDULED -> RUNNING -> COMPLETED, can be PAUSED while scheduled
+// or running and rescheduled from there, and CANCELLED until it completes.
+// Its audience is resolved into notification_campaign_recipients when it
+// first runs, and that list is worked through in batches.
 class NotificationCampaign {
   constructor(data) {
     this.id = data.id || uuidv4();
@@ -225,17 +390,54 @@ class NotificationCampaign {
     this.description = data.description;
     this.type = data.type;
     this.templateId = data.templateId;
+    this.templateData = data.templateData || {};
     this.targetAudience = data.targetAudience || {};
     this.channels = data.channels || ['PUSH'];
     this.status = data.status || 'DRAFT';
     this.scheduledAt = data.scheduledAt;
+    this.batchSize = data.batchSize || null;
     this.totalRecipients = data.totalRecipients || 0;
     this.sentCount = data.sentCount || 0;
     this.deliveredCount = data.deliveredCount || 0;
     this.failedCount = data.failedCount || 0;
     this.clickCount = data.clickCount || 0;
     this.conversionCount = data.conversionCount || 0;
+    this.startedAt = data.startedAt;
+    this.completedAt = data.completedAt;
+    this.recipientsLoadedAt = data.recipientsLoadedAt;
+    this.lastError = data.lastError || null;
     this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static fromRow(row) {
+    return new NotificationCampaign({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      type: row.type,
+      templateId: row.template_id,
+      templateData: parseJson(row.template_data),
+      targetAudience: parseJson(row.target_audience),
+      channels: row.channels,
+      status: row.status,
+      scheduledAt: row.scheduled_at,
+      batchSize: row.batch_size,
+      totalRecipients: row.total_recipients,
+      sentCount: row.sent_count,
+      deliveredCount: row.delivered_count,
+      failedCount: row.failed_count,
+      clickCount: row.click_count,
+      conversionCount: row.conversion_count,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      recipientsLoadedAt: row.recipients_loaded_at,
+      lastError: row.last_error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
   }
 
   async save() {
@@ -246,16 +448,17 @@ class NotificationCampaign {
       const query = `
         INSERT INTO notification_campaigns (
           id, name, description, type, template_id, target_audience, channels,
-          status, scheduled_at, total_recipients, created_by
+          status, scheduled_at, total_recipients, created_by, template_data, batch_size
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
         ) RETURNING *
       `;
 
       const values = [
         this.id, this.name, this.description, this.type, this.templateId,
         JSON.stringify(this.targetAudience), this.channels, this.status,
-        this.scheduledAt, this.totalRecipients, this.createdBy
+        this.scheduledAt, this.totalRecipients, this.createdBy,
+        JSON.stringify(this.templateData), this.batchSize
       ];
 
       const result = await pool.query(query, values);
@@ -266,6 +469,86 @@ class NotificationCampaign {
     }
   }
 
+  // Edits a campaign that has not started sending; resolves to null when it
+  // has
+  static async update(id, updates) {
+    try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
+      const columns = {
+        name: 'name',
+        description: 'description',
+        type: 'type',
+        templateId: 'template_id',
+        templateData: 'template_data',
+        targetAudience: 'target_audience',
+        channels: 'channels',
+        batchSize: 'batch_size'
+      };
+
+      const sets = [];
+      const values = [id];
+      for (const [field, column] of Object.entries(columns)) {
+        if (updates[field] === undefined) continue;
+        const value = ['templateData', 'targetAudience'].includes(field) ? JSON.stringify(updates[field]) : updates[field];
+        values.push(value);
+        sets.push(`${column} = $${values.length}`);
+      }
+      sets.push('updated_at = CURRENT_TIMESTAMP');
+
+      const result = await pool.query(
+        `UPDATE notification_campaigns SET ${sets.join(', ')}
+         WHERE id = $1 AND status IN ('DRAFT', 'SCHEDULED') AND recipients_loaded_at IS NULL
+         RETURNING *`,
+        values
+      );
+      return result.rows[0] ? NotificationCampaign.fromRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error updating campaign:', error);
+      throw error;
+    }
+  }
+
+  // Moves the campaign to `status` if it is currently in one of `from`;
+  // resolves to the updated campaign, or null when it was not. `lastError`
+  // says why the runner stopped a campaign and is cleared otherwise.
+  static async transition(id, from, status, { scheduledAt, lastError = null } = {}) {
+    try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
+      const sets = ['status = $3', 'last_error = $4', 'updated_at = CURRENT_TIMESTAMP'];
+      const values = [id, from, status, lastError];
+      if (scheduledAt !== undefined) {
+        values.push(scheduledAt);
+        sets.push(`scheduled_at = $${values.length}`);
+      }
+      if (status === CAMPAIGN_STATUS.COMPLETED || status === CAMPAIGN_STATUS.CANCELLED) {
+        sets.push('completed_at = CURRENT_TIMESTAMP');
+      }
+
+      const result = await pool.query(
+        `UPDATE notification_campaigns SET ${sets.join(', ')}
+         WHERE id = $1 AND status = ANY($2) RETURNING *`,
+        values
+      );
+      if (result.rows.length === 0) return null;
+
+      if (status === CAMPAIGN_STATUS.CANCELLED) {
+        await pool.query(
+          `UPDATE notification_campaign_recipients SET status = 'SKIPPED', error = 'Campaign cancelled'
+           WHERE campaign_id = $1 AND status = 'PENDING'`,
+          [id]
+        );
+      }
+      return NotificationCampaign.fromRow(result.rows[0]);
+    } catch (error) {
+      console.error('Error changing campaign status:', error);
+      throw error;
+    }
+  }
+
   async updateStatus(status, additionalData = {}) {
     try {
       const updates = ['status = $2'];
@@ -312,6 +595,9 @@ class NotificationCampaign {
 
   async getRecipients() {
     try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
       // Build recipient query based on target audience criteria
       const { loyaltyTier, city, lastOrderDays, minOrderCount } = this.targetAudience;
 
@@ -330,7 +616,8 @@ class NotificationCampaign {
       }
 
       if (lastOrderDays) {
-        query += ` AND last_order_at >= CURRENT_DATE - INTERVAL '${lastOrderDays} days'`;
+        query += ` AND last_order_at >= CURRENT_DATE - $${++paramCount} * INTERVAL '1 day'`;
+        values.push(parseInt(lastOrderDays, 10));
       }
 
       if (minOrderCount) {
@@ -348,6 +635,109 @@ class NotificationCampaign {
     }
   }
 
+  // Freezes the audience on the first run, so pausing and resuming does not
+  // pick up or drop anyone
+  async loadRecipients() {
+    if (this.recipientsLoadedAt) return this.totalRecipients;
+
+    const recipients = await this.getRecipients();
+    await pool.query(
+      `INSERT INTO notification_campaign_recipients (campaign_id, user_id, email, phone)
+       SELECT $1, r.user_id, r.email, r.phone
+       FROM unnest($2::varchar[], $3::varchar[], $4::varchar[]) AS r(user_id, email, phone)
+       ON CONFLICT (campaign_id, user_id) DO NOTHING`,
+      [this.id, recipients.map(r => String(r.id)), recipients.map(r => r.email || null), recipients.map(r => r.phone || null)]
+    );
+    const result = await pool.query(
+      `UPDATE notification_campaigns
+       SET recipients_loaded_at = CURRENT_TIMESTAMP,
+           total_recipients = (SELECT COUNT(*) FROM notification_campaign_recipients WHERE campaign_id = $1),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING total_recipients, recipients_loaded_at`,
+      [this.id]
+    );
+    this.totalRecipients = result.rows[0].total_recipients;
+    this.recipientsLoadedAt = result.rows[0].recipients_loaded_at;
+    return this.totalRecipients;
+  }
+
+  // Claims up to `limit` recipients still to be sent to
+  async claimRecipients(limit) {
+    const result = await pool.query(
+      `UPDATE notification_campaign_recipients SET status = 'SENDING', claimed_at = CURRENT_TIMESTAMP
+       WHERE (campaign_id, user_id) IN (
+         SELECT campaign_id, user_id FROM notification_campaign_recipients
+         WHERE campaign_id = $1
+           AND (status = 'PENDING' OR (status = 'SENDING' AND claimed_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_CLAIM_MINUTES} minutes'))
+         ORDER BY user_id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING user_id, email, phone`,
+      [this.id, limit]
+    );
+    return result.rows;
+  }
+
+  async markRecipient(userId, status, { notificationId = null, error = null } = {}) {
+    await pool.query(
+      `UPDATE notification_campaign_recipients
+       SET status = $3, notification_id = $4, error = $5, sent_at = CASE WHEN $3 IN ('SENT', 'DELIVERED') THEN CURRENT_TIMESTAMP END
+       WHERE campaign_id = $1 AND user_id = $2`,
+      [this.id, userId, status, notificationId, error]
+    );
+  }
+
+  async hasPendingRecipients() {
+    const result = await pool.query(
+      `SELECT 1 FROM notification_campaign_recipients
+       WHERE campaign_id = $1 AND status IN ('PENDING', 'SENDING') LIMIT 1`,
+      [this.id]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Recomputes the campaign's counters from its recipients
+  static async refreshCounts(id) {
+    const { pool: dbPool } = require('../config/database');
+    pool = dbPool;
+
+    const result = await pool.query(
+      `UPDATE notification_campaigns c SET
+         sent_count = s.sent, delivered_count = s.delivered, failed_count = s.failed,
+         click_count = s.clicks, conversion_count = s.conversions, updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT COUNT(*) FILTER (WHERE status IN ('SENT', 'DELIVERED')) AS sent,
+                COUNT(*) FILTER (WHERE status = 'DELIVERED') AS delivered,
+                COUNT(*) FILTER (WHERE status = 'FAILED') AS failed,
+                COUNT(clicked_at) AS clicks,
+                COUNT(converted_at) AS conversions
+         FROM notification_campaign_recipients WHERE campaign_id = $1
+       ) s
+       WHERE c.id = $1 RETURNING c.*`,
+      [id]
+    );
+    return result.rows[0] ? NotificationCampaign.fromRow(result.rows[0]) : null;
+  }
+
+  // Records a recipient's click or conversion once; resolves to false for
+  // someone the campaign was never sent to
+  static async recordEngagement(id, userId, event) {
+    const { pool: dbPool } = require('../config/database');
+    pool = dbPool;
+
+    const column = event === 'CONVERSION' ? 'converted_at' : 'clicked_at';
+    const result = await pool.query(
+      `UPDATE notification_campaign_recipients SET ${column} = COALESCE(${column}, CURRENT_TIMESTAMP)
+       WHERE campaign_id = $1 AND user_id = $2 AND status IN ('SENT', 'DELIVERED')
+       RETURNING user_id`,
+      [id, userId]
+    );
+    if (result.rows.length === 0) return false;
+    await NotificationCampaign.refreshCounts(id);
+    return true;
+  }
+
   static async findById(id) {
     try {
       const { pool: dbPool } = require('../config/database');
@@ -360,17 +750,35 @@ class NotificationCampaign {
         return null;
       }
 
-      const data = result.rows[0];
-      data.targetAudience = typeof data.target_audience === 'string' ? 
-        JSON.parse(data.target_audience) : data.target_audience;
-
-      return new NotificationCampaign(data);
+      return NotificationCampaign.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error finding campaign:', error);
       throw error;
     }
   }
 
+  static async getAll(filters = {}) {
+    try {
+      const { pool: dbPool } = require('../config/database');
+      pool = dbPool;
+
+      const values = [];
+      let query = 'SELECT * FROM notification_campaigns WHERE 1=1';
+      if (filters.status) {
+        values.push(filters.status);
+        query += ` AND status = $${values.length}`;
+      }
+      values.push(filters.limit || 50, filters.offset || 0);
+      query += ` ORDER BY created_at DESC LIMIT $${values.length - 1} OFFSET $${values.length}`;
+
+      const result = await pool.query(query, values);
+      return result.rows.map(row => NotificationCampaign.fromRow(row));
+    } catch (error) {
+      console.error('Error listing campaigns:', error);
+      throw error;
+    }
+  }
+
   static async getScheduledCampaigns() {
     try {
       const { pool: dbPool } = require('../config/database');
@@ -385,19 +793,87 @@ class NotificationCampaign {
 
       const result = await pool.query(query);
 
-      return result.rows.map(row => {
-        row.targetAudience = typeof row.target_audience === 'string' ? 
-          JSON.parse(row.target_audience) : row.target_audience;
-        return new NotificationCampaign(row);
-      });
+      return result.rows.map(row => NotificationCampaign.fromRow(row));
     } catch (error) {
       console.error('Error getting scheduled campaigns:', error);
       throw error;
     }
   }
+
+  // Due scheduled campaigns, switched to RUNNING by this call so that only
+  // one runner starts each
+  static async claimDueCampaigns() {
+    const { pool: dbPool } = require('../config/database');
+    pool = dbPool;
+
+    const result = await pool.query(`
+      UPDATE notification_campaigns
+      SET status = 'RUNNING', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM notification_campaigns
+        WHERE status = 'SCHEDULED' AND scheduled_at <= CURRENT_TIMESTAMP
+        ORDER BY scheduled_at
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `);
+    return result.rows.map(row => NotificationCampaign.fromRow(row));
+  }
+
+  static async getRunningCampaigns() {
+    const { pool: dbPool } = require('../config/database');
+    pool = dbPool;
+
+    const result = await pool.query(
+      "SELECT * FROM notification_campaigns WHERE status = 'RUNNING' ORDER BY started_at"
+    );
+    return result.rows.map(row => NotificationCampaign.fromRow(row));
+  }
+}
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const MINUTES_PER_DAY = 24 * 60;
+const DIGEST_MODES = ['OFF', 'QUIET_HOURS', 'DAILY'];
+// In-app channels make no sound, so quiet hours never hold them back
+const SILENT_CHANNELS = ['WEBSOCKET', 'IN_APP'];
+
+function isTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
 }
 
-// User Notification Preferences Class
+// Minutes past midnight for a time of day given as "HH:MM", "HH:MM:SS" or an
+// hour number; null when it is none of these
+function minutesOfDay(value) {
+  if (typeof value === 'number') return value >= 0 && value < 24 ? Math.floor(value * 60) : null;
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Minutes past midnight on the wall clock in `timeZone` at `date`
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// User Notification Preferences Class. Quiet hours are read on the user's
+// own clock: `quietHoursStart`/`End` is the window for every channel, and
+// `quietHoursRules` can give a channel or a category its own window, or
+// `false` to exempt it, with category rules taking precedence:
+//   { channels: { SMS: { start: '21:00', end: '09:00' } }, categories: { SECURITY: false } }
+// `digestMode` rolls low-priority notifications into one message, either
+// those held back by quiet hours (QUIET_HOURS) or all of them, once a day at
+// `digestTime` (DAILY). `frequencyCap` limits how many non-transactional
+// notifications go out per local day, and `categoryCaps` tightens or loosens
+// that per category, e.g. { PROMOTIONS: 3 }.
 class UserNotificationPreferences {
   constructor(data) {
     this.id = data.id || uuidv4();
@@ -414,8 +890,103 @@ class UserNotificationPreferences {
     this.weeklyDigest = data.weeklyDigest !== false;
     this.quietHoursStart = data.quietHoursStart || '22:00';
     this.quietHoursEnd = data.quietHoursEnd || '08:00';
-    this.timezone = data.timezone || 'Asia/Kolkata';
+    this.timezone = data.timezone || DEFAULT_TIMEZONE;
     this.frequencyCap = data.frequencyCap || 10;
+    this.quietHoursEnabled = data.quietHoursEnabled || false;
+    this.quietHoursRules = data.quietHoursRules || {};
+    this.digestMode = data.digestMode || 'OFF';
+    this.digestTime = data.digestTime || '19:00';
+    this.categoryCaps = data.categoryCaps || {};
+  }
+
+  // Why `prefs` cannot be stored, or null
+  static validationError(prefs) {
+    const flags = [
+      'emailNotifications', 'pushNotifications', 'smsNotifications', 'whatsappNotifications', 'orderUpdates',
+      'promotionalOffers', 'loyaltyUpdates', 'socialActivity', 'securityAlerts', 'weeklyDigest', 'quietHoursEnabled'
+    ];
+    const notFlag = flags.find(field => typeof prefs[field] !== 'boolean');
+    if (notFlag) return `${notFlag} must be true or false`;
+    if (!isTimezone(prefs.timezone)) return `Unknown timezone ${prefs.timezone}`;
+    for (const field of ['quietHoursStart', 'quietHoursEnd', 'digestTime']) {
+      if (minutesOfDay(prefs[field]) === null) return `${field} must be a time of day such as 22:00`;
+    }
+    if (!DIGEST_MODES.includes(prefs.digestMode)) return `digestMode must be one of ${DIGEST_MODES.join(', ')}`;
+    if (!Number.isInteger(prefs.frequencyCap) || prefs.frequencyCap < 1) return 'frequencyCap must be a positive integer';
+
+    const caps = prefs.categoryCaps;
+    if (typeof caps !== 'object' || caps === null || Array.isArray(caps) ||
+        !Object.values(caps).every(cap => Number.isInteger(cap) && cap >= 0)) {
+      return 'categoryCaps must map categories to whole numbers';
+    }
+
+    const rules = prefs.quietHoursRules;
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) return 'quietHoursRules must be an object';
+    for (const scope of Object.keys(rules)) {
+      if (!['channels', 'categories'].includes(scope)) return `quietHoursRules.${scope} is not supported`;
+      for (const [key, rule] of Object.entries(rules[scope] || {})) {
+        if (rule === false) continue;
+        if (typeof rule !== 'object' || rule === null || minutesOfDay(rule.start) === null || minutesOfDay(rule.end) === null) {
+          return `quietHoursRules.${scope}.${key} must be false or { start, end } times of day`;
+        }
+      }
+    }
+    return null;
+  }
+
+  get zone() {
+    return isTimezone(this.timezone) ? this.timezone : DEFAULT_TIMEZONE;
+  }
+
+  // The quiet window, in minutes past local midnight, that applies to
+  // sending on `channel` in `category`; null when nothing holds it back
+  quietWindow(channel, category) {
+    if (!this.quietHoursEnabled || SILENT_CHANNELS.includes(channel)) return null;
+    const rules = this.quietHoursRules || {};
+    const categoryRule = (rules.categories || {})[category];
+    const rule = categoryRule !== undefined ? categoryRule : (rules.channels || {})[channel];
+    if (rule === false) return null;
+
+    const window = rule || { start: this.quietHoursStart, end: this.quietHoursEnd };
+    const start = minutesOfDay(window.start);
+    const end = minutesOfDay(window.end);
+    return start === null || end === null || start === end ? null : { start, end };
+  }
+
+  // When the quiet window for `channel` and `category` lifts, or null when
+  // it is not in force at `now`
+  quietUntil(channel, category, now = new Date()) {
+    const window = this.quietWindow(channel, category);
+    if (!window) return null;
+
+    const minute = localMinutes(now, this.zone);
+    const quiet = window.start < window.end
+      ? minute >= window.start && minute < window.end
+      : minute >= window.start || minute < window.end;
+    return quiet ? this.nextLocalTime(window.end, now) : null;
+  }
+
+  // The next moment the user's clock reads `minutes` past midnight. Worked
+  // out from the current offset, so it can be an hour out across a DST
+  // change; anything released early is simply held back again.
+  nextLocalTime(minutes, now = new Date()) {
+    const ahead = (minutes - localMinutes(now, this.zone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const startOfMinute = now.getTime() - (now.getTime() % 60000);
+    return new Date(startOfMinute + ahead * 60000);
+  }
+
+  // When the current day started on the user's clock
+  startOfLocalDay(now = new Date()) {
+    const startOfMinute = now.getTime() - (now.getTime() % 60000);
+    return new Date(startOfMinute - localMinutes(now, this.zone) * 60000);
+  }
+
+  // When the next daily digest goes out: at `digestTime`, or once quiet
+  // hours end if that falls inside them
+  nextDigestAt(now = new Date()) {
+    let at = this.nextLocalTime(minutesOfDay(this.digestTime) ?? 19 * 60, now);
+    if (at.getTime() <= now.getTime()) at = new Date(at.getTime() + MINUTES_PER_DAY * 60000);
+    return this.quietUntil(null, null, at) || at;
   }
 
   async save() {
@@ -428,9 +999,11 @@ class UserNotificationPreferences {
           id, user_id, email_notifications, push_notifications, sms_notifications,
           whatsapp_notifications, order_updates, promotional_offers, loyalty_updates,
           social_activity, security_alerts, weekly_digest, quiet_hours_start,
-          quiet_hours_end, timezone, frequency_cap
+          quiet_hours_end, timezone, frequency_cap, quiet_hours_enabled,
+          quiet_hours_rules, digest_mode, digest_time, category_caps
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          $17, $18, $19, $20, $21
         ) ON CONFLICT (user_id) DO UPDATE SET
           email_notifications = EXCLUDED.email_notifications,
           push_notifications = EXCLUDED.push_notifications,
@@ -446,6 +1019,11 @@ class UserNotificationPreferences {
           quiet_hours_end = EXCLUDED.quiet_hours_end,
           timezone = EXCLUDED.timezone,
           frequency_cap = EXCLUDED.frequency_cap,
+          quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+          quiet_hours_rules = EXCLUDED.quiet_hours_rules,
+          digest_mode = EXCLUDED.digest_mode,
+          digest_time = EXCLUDED.digest_time,
+          category_caps = EXCLUDED.category_caps,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *
       `;
@@ -455,7 +1033,9 @@ class UserNotificationPreferences {
         this.smsNotifications, this.whatsappNotifications, this.orderUpdates,
         this.promotionalOffers, this.loyaltyUpdates, this.socialActivity,
         this.securityAlerts, this.weeklyDigest, this.quietHoursStart,
-        this.quietHoursEnd, this.timezone, this.frequencyCap
+        this.quietHoursEnd, this.timezone, this.frequencyCap, this.quietHoursEnabled,
+        JSON.stringify(this.quietHoursRules), this.digestMode, this.digestTime,
+        JSON.stringify(this.categoryCaps)
       ];
 
       const result = await pool.query(query, values);
@@ -466,6 +1046,37 @@ class UserNotificationPreferences {
     }
   }
 
+  static fromRow(row) {
+    return new UserNotificationPreferences({
+      id: row.id,
+      userId: row.user_id,
+      emailNotifications: row.email_notifications,
+      pushNotifications: row.push_notifications,
+      smsNotifications: row.sms_notifications,
+      whatsappNotifications: row.whatsapp_notifications,
+      orderUpdates: row.order_updates,
+      promotionalOffers: row.promotional_offers,
+      loyaltyUpdates: row.loyalty_updates,
+      socialActivity: row.social_activity,
+      securityAlerts: row.security_alerts,
+      weeklyDigest: row.weekly_digest,
+      quietHoursStart: row.quiet_hours_start,
+      quietHoursEnd: row.quiet_hours_end,
+      timezone: row.timezone,
+      frequencyCap: row.frequency_cap,
+      quietHoursEnabled: row.quiet_hours_enabled,
+      quietHoursRules: parseJson(row.quiet_hours_rules),
+      digestMode: row.digest_mode,
+      digestTime: row.digest_time,
+      categoryCaps: parseJson(row.category_caps)
+    });
+  }
+
+  // Alias used by the notification service
+  static async getByUserId(userId) {
+    return UserNotificationPreferences.findByUserId(userId);
+  }
+
   static async findByUserId(userId) {
     try {
       const { pool: dbPool } = require('../config/database');
@@ -479,7 +1090,7 @@ class UserNotificationPreferences {
         return new UserNotificationPreferences({ userId });
       }
 
-      return new UserNotificationPreferences(result.rows[0]);
+      return UserNotificationPreferences.fromRow(result.rows[0]);
     } catch (error) {
       console.error('Error finding user preferences:', error);
       throw error;
@@ -530,5 +1141,7 @@ class UserNotificationPreferences {
 module.exports = {
   NotificationTemplate,
   NotificationCampaign,
-  UserNotificationPreferences
+  UserNotificationPreferences,
+  TemplateVariableError,
+  CAMPAIGN_STATUS
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const SinkProvider = require('./sink.provider');
+
+// Real providers per channel. Each is required only when selected, so a
+// setup that sinks everything does not need the vendor SDKs configured.
+const NATIVE_PROVIDERS = {
+  SMS: { twilio: () => new (require('./twilio.provider'))('SMS') },
+  WHATSAPP: { twilio: () => new (require('./twilio.provider'))('WHATSAPP') },
+  EMAIL: { smtp: () => new (require('./smtp.provider'))() },
+  PUSH: { webpush: () => new (require('./webpush.provider'))() }
+};
+
+const DEFAULT_PROVIDERS = { SMS: 'twilio', WHATSAPP: 'twilio', EMAIL: 'smtp', PUSH: 'webpush' };
+
+const providers = new Map();
+
+// The configured provider name for a channel: <CHANNEL>_PROVIDER when set,
+// otherwise "sink" for every channel when NOTIFICATION_PROVIDER=sink, otherwise
+// the channel's real provider
+function providerName(channel) {
+  const configured = process.env[`${channel}_PROVIDER`];
+  if (configured) return configured.toLowerCase();
+  if ((process.env.NOTIFICATION_PROVIDER || '').toLowerCase() === 'sink') return 'sink';
+  return DEFAULT_PROVIDERS[channel];
+}
+
+// The provider instance for a channel, shared by everything that sends on it
+function forChannel(channel) {
+  if (providers.has(channel)) return providers.get(channel);
+
+  const name = providerName(channel);
+  let provider;
+  if (name === 'sink') {
+    provider = new SinkProvider(channel);
+  } else if (NATIVE_PROVIDERS[channel] && NATIVE_PROVIDERS[channel][name]) {
+    provider = NATIVE_PROVIDERS[channel][name]();
+  } else {
+    throw new Error(`Unknown ${channel} provider "${name}"`);
+  }
+
+  providers.set(channel, provider);
+  return provider;
+}
+
+// Provider names by channel, for health checks
+function describe() {
+  return Object.fromEntries(Object.keys(DEFAULT_PROVIDERS).map(channel => [channel.toLowerCase(), providerName(channel)]));
+}
+
+module.exports = { forChannel, describe, SinkProvider };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CALLBACK_CHANNELS = ['SMS', 'WHATSAPP'];
+const SIGNATURE_HEADER = 'x-sink-signature';
+
+// One secret per process unless configured, so callbacks signed by this
+// process are the only ones it accepts
+const CALLBACK_SECRET = process.env.NOTIFICATION_SINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(body) {
+  return crypto.createHmac('sha256', CALLBACK_SECRET)
+    .update(`${body.MessageSid}:${body.MessageStatus}:${body.ErrorCode || ''}`)
+    .digest('hex');
+}
+
+function messageId(channel) {
+  const hex = crypto.randomBytes(16).toString('hex');
+  if (channel === 'SMS') return `SM${hex}`;
+  if (channel === 'WHATSAPP') return `MM${hex}`;
+  return `sink-${hex}`;
+}
+
+// Records messages instead of handing them to a real provider, so the
+// notification pipeline can run locally. Messages go to the
+// notification_sink_messages table, or to one JSONL file per channel under
+// NOTIFICATION_SINK_DIR when that is set.
+//
+// SMS and WhatsApp messages get a Twilio-style status callback a moment
+// later on their `statusCallback` URL, so delivery tracking and fallback run
+// as they would in production. FAIL_NOTIF=true makes every send fail;
+// recipients matching NOTIFICATION_SINK_UNDELIVERED are reported undelivered.
+class SinkProvider {
+  constructor(channel) {
+    this.name = 'sink';
+    this.channel = channel;
+    this.dir = process.env.NOTIFICATION_SINK_DIR || null;
+    this.callbackDelayMs = parseInt(process.env.NOTIFICATION_SINK_CALLBACK_DELAY_MS, 10) || 2000;
+    this.undelivered = process.env.NOTIFICATION_SINK_UNDELIVERED
+      ? new RegExp(process.env.NOTIFICATION_SINK_UNDELIVERED)
+      : null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async verify() {
+    return true;
+  }
+
+  // Takes the same arguments as the real provider for the channel and
+  // resolves to the same shape
+  async send(message, subscription = null) {
+    if (process.env.FAIL_NOTIF === 'true') {
+      throw new Error(`Simulated ${this.channel} provider failure`);
+    }
+
+    const id = messageId(this.channel);
+    const recipient = this.channel === 'PUSH' ? subscription.endpoint : [].concat(message.to).join(',');
+    const statusCallback = CALLBACK_CHANNELS.includes(this.channel) ? message.statusCallback || null : null;
+
+    await this.record({
+      id,
+      channel: this.channel,
+      recipient,
+      payload: this.channel === 'PUSH' ? { ...message, endpoint: subscription.endpoint } : message,
+      status: 'queued',
+      statusCallback
+    });
+    console.log(`📥 [sink] ${this.channel} message ${id} recorded for ${recipient}`);
+
+    if (statusCallback) this.scheduleCallback(id, recipient, statusCallback);
+
+    switch (this.channel) {
+      case 'EMAIL':
+        return { messageId: id, accepted: [].concat(message.to), rejected: [] };
+      case 'PUSH':
+        return { messageId: id, provider: 'sink' };
+      default:
+        return { sid: id, status: 'queued', to: message.to, from: message.from || `sink:${this.channel.toLowerCase()}` };
+    }
+  }
+
+  scheduleCallback(id, recipient, url) {
+    const failed = !!(this.undelivered && this.undelivered.test(recipient));
+    const body = {
+      MessageSid: id,
+      MessageStatus: failed ? 'undelivered' : 'delivered',
+      ErrorCode: failed ? '30006' : undefined,
+      ErrorMessage: failed ? 'Simulated undelivered message' : undefined
+    };
+
+    const timer = setTimeout(async () => {
+      try {
+        await this.updateStatus(id, body.MessageStatus, body.ErrorMessage);
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) },
+          body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+          console.warn(`⚠️ [sink] Status callback for ${id} returned ${response.status}`);
+        }
+      } catch (error) {
+        console.error(`❌ [sink] Status callback for ${id} failed:`, error.message);
+      }
+    }, this.callbackDelayMs);
+    timer.unref();
+  }
+
+  // Checks that a status callback was signed by a sink provider
+  verifyCallback(req) {
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (typeof signature !== 'string' || !req.body || !req.body.MessageSid) return false;
+
+    const expected = Buffer.from(sign(req.body));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async record(message) {
+    if (this.dir) {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this.file(), JSON.stringify({ ...message, createdAt: new Date().toISOString() }) + '\n');
+      return;
+    }
+
+    const { pool } = require('../config/database');
+    await pool.query(
+      `INSERT INTO notification_sink_messages (id, channel, recipient, payload, status, status_callback)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [message.id, message.channel, message.recipient, JSON.stringify(message.payload), message.status, message.statusCallback]
+    );
+  }
+
+  async updateStatus(id, status, errorMessage = null) {
+    if (this.dir) {
+      await fs.appendFile(this.file(), JSON.stringify({ id, status, errorMessage, updatedAt: new Date().toISOString() }) + '\n');
+      return;
+    }
+
+    const { pool } = require('../config/database');
+    await pool.query(
+      `UPDATE notification_sink_messages
+       SET status = $2, error_message = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, status, errorMessage]
+    );
+  }
+
+  file() {
+    return path.join(this.dir, `${this.channel.toLowerCase()}.jsonl`);
+  }
+
+  // The most recent messages recorded for this channel, newest first
+  async list(limit = 50) {
+    if (this.dir) {
+      let lines;
+      try {
+        lines = (await fs.readFile(this.file(), 'utf8')).split('\n').filter(Boolean);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      // Status updates are appended as their own lines; fold them into the
+      // message they belong to
+      const messages = new Map();
+      for (const line of lines) {
+        const entry = JSON.parse(line);
+        const existing = messages.get(entry.id);
+        messages.set(entry.id, existing ? { ...existing, ...entry } : entry);
+      }
+      return [...messages.values()].reverse().slice(0, limit);
+    }
+
+    const { pool } = require('../config/database');
+    const result = await pool.query(
+      `SELECT * FROM notification_sink_messages
+       WHERE channel = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [this.channel, limit]
+    );
+    return result.rows.map(row => ({
+      id: row.id,
+      channel: row.channel,
+      recipient: row.recipient,
+      payload: row.payload,
+      status: row.status,
+      statusCallback: row.status_callback,
+      errorMessage: row.error_message,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+}
+
+module.exports = SinkProvider;
@@ -0,0 +1,45 @@
+const nodemailer = require('nodemailer');
+
+// Sends email over SMTP with nodemailer
+class SmtpProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.channel = 'EMAIL';
+    this.transporter = null;
+  }
+
+  // Connects and verifies the SMTP account; resolves to whether it is usable
+  async initialize() {
+    const emailConfig = {
+      service: process.env.EMAIL_SERVICE || 'gmail',
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    };
+
+    if (!emailConfig.auth.user || !emailConfig.auth.pass) {
+      console.warn('⚠️ Email credentials not configured');
+      return false;
+    }
+
+    this.transporter = nodemailer.createTransporter(emailConfig);
+    await this.transporter.verify();
+    return true;
+  }
+
+  // Resolves to { messageId, accepted, rejected }
+  async send(mailOptions) {
+    const result = await this.transporter.sendMail(mailOptions);
+    return { messageId: result.messageId, accepted: result.accepted, rejected: result.rejected };
+  }
+
+  async verify() {
+    return this.transporter.verify();
+  }
+}
+
+module.exports = SmtpProvider;
@@ -0,0 +1,37 @@
+const twilio = require('twilio');
+
+// Sends SMS or WhatsApp messages through Twilio. Twilio reports delivery to
+// the `statusCallback` URL given with each message.
+class TwilioProvider {
+  constructor(channel) {
+    this.name = 'twilio';
+    this.channel = channel;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.fromNumber = channel === 'WHATSAPP' ? process.env.TWILIO_WHATSAPP_NUMBER : process.env.TWILIO_PHONE_NUMBER;
+    this.client = null;
+
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    if (!accountSid || !this.authToken || !this.fromNumber) {
+      console.warn(`⚠️ Twilio ${channel} credentials not configured`);
+      return;
+    }
+    this.client = twilio(accountSid, this.authToken);
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  // Resolves to { sid, status, to, from }
+  async send(message) {
+    const result = await this.client.messages.create({ ...message, from: this.fromNumber });
+    return { sid: result.sid, status: result.status, to: result.to, from: result.from };
+  }
+
+  // Checks the X-Twilio-Signature of a status callback
+  verifyCallback(req, url) {
+    return twilio.validateRequest(this.authToken, req.headers['x-twilio-signature'] || '', url, req.body || {});
+  }
+}
+
+module.exports = TwilioProvider;
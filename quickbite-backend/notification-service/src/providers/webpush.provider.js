@@ -0,0 +1,160 @@
+const webpush = require('web-push');
+const admin = require('firebase-admin');
+
+// Sends push notifications through Firebase Cloud Messaging for FCM
+// endpoints and standard Web Push for every other browser endpoint
+class WebPushProvider {
+  constructor() {
+    this.name = 'webpush';
+    this.channel = 'PUSH';
+    this.webPushConfigured = false;
+    this.firebaseConfigured = false;
+    this.initialize();
+  }
+
+  initialize() {
+    try {
+      // Initialize Web Push
+      const vapidPublicKey = process.env.WEB_PUSH_VAPID_PUBLIC;
+      const vapidPrivateKey = process.env.WEB_PUSH_VAPID_PRIVATE;
+      const vapidContact = process.env.WEB_PUSH_CONTACT || 'mailto:admin@quickbite.app';
+
+      if (vapidPublicKey && vapidPrivateKey) {
+        webpush.setVapidDetails(vapidContact, vapidPublicKey, vapidPrivateKey);
+        this.webPushConfigured = true;
+        console.log('✅ Web Push configured');
+      }
+
+      // Initialize Firebase Admin
+      const firebaseConfig = process.env.FIREBASE_CONFIG;
+      if (firebaseConfig) {
+        const serviceAccount = JSON.parse(firebaseConfig);
+        admin.initializeApp({
+          credential: admin.credential.cert(serviceAccount)
+        });
+        this.firebaseConfigured = true;
+        console.log('✅ Firebase Admin configured');
+      }
+    } catch (error) {
+      console.error('❌ Error initializing push providers:', error);
+    }
+  }
+
+  isConfigured() {
+    return this.webPushConfigured || this.firebaseConfigured;
+  }
+
+  // Resolves to { messageId, provider }
+  async send(payload, subscription) {
+    if (subscription.endpoint.includes('fcm.googleapis.com') && this.firebaseConfigured) {
+      return this.sendFirebaseNotification(payload, subscription);
+    }
+    if (this.webPushConfigured) {
+      const result = await this.sendWebPushNotification(payload, subscription);
+      return { ...result, messageId: result.id };
+    }
+    throw new Error('No push service configured');
+  }
+
+  async sendFirebaseNotification(payload, subscription) {
+    try {
+      const message = {
+        token: this.extractTokenFromEndpoint(subscription.endpoint),
+        notification: payload.notification,
+        data: this.convertToStringData(payload.notification.data),
+        android: {
+          priority: 'high',
+          notification: {
+            priority: 'high',
+            defaultSound: true,
+            defaultVibrateTimings: true
+          }
+        },
+        apns: {
+          payload: {
+            aps: {
+              sound: 'default',
+              badge: 1,
+              contentAvailable: true
+            }
+          }
+        },
+        webpush: {
+          headers: {
+            Urgency: 'high'
+          },
+          notification: payload.notification
+        }
+      };
+
+      const response = await admin.messaging().send(message);
+      return { messageId: response, provider: 'firebase' };
+    } catch (error) {
+      console.error('Firebase notification error:', error);
+      throw error;
+    }
+  }
+
+  async sendWebPushNotification(payload, subscription) {
+    try {
+      const pushSubscription = {
+        endpoint: subscription.endpoint,
+        keys: {
+          p256dh: subscription.p256dh_key,
+          auth: subscription.auth_key
+        }
+      };
+
+      const options = {
+        TTL: 24 * 60 * 60, // 24 hours
+        urgency: this.getUrgencyFromPriority(payload.notification.priority),
+        headers: {
+          'Content-Encoding': 'gzip'
+        }
+      };
+
+      const response = await webpush.sendNotification(
+        pushSubscription, 
+        JSON.stringify(payload),
+        options
+      );
+
+      return { 
+        id: response.headers?.location || 'webpush-sent',
+        provider: 'webpush',
+        statusCode: response.statusCode
+      };
+    } catch (error) {
+      console.error('Web Push notification error:', error);
+      throw error;
+    }
+  }
+
+  getUrgencyFromPriority(priority) {
+    const urgencyMap = {
+      'CRITICAL': 'high',
+      'URGENT': 'high',
+      'HIGH': 'normal',
+      'MEDIUM': 'normal',
+      'LOW': 'low'
+    };
+    return urgencyMap[priority] || 'normal';
+  }
+
+  extractTokenFromEndpoint(endpoint) {
+    // Extract FCM token from endpoint
+    const matches = endpoint.match(/\/fcm\/send\/(.+)$/);
+    return matches ? matches[1] : endpoint;
+  }
+
+  convertToStringData(data) {
+    // Firebase requires data values to be strings
+    const stringData = {};
+    for (const [key, value] of Object.entries(data || {})) {
+      stringData[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return stringData;
+  }
+}
+
+module.exports = WebPushProvider;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const ctrl = require('../controllers/notification.controller');
+const templates = require('../controllers/template.controller');
+const campaigns = require('../controllers/campaign.controller');
 const auth = require('../middleware/auth.middleware');
+const { requirePlatformAdmin } = require('@quickbite/rbac');
 
 // Legacy compatibility routes (keep existing API working)
 router.post('/send', auth, ctrl.send);
@@ -19,6 +22,7 @@ router.post('/notifications/test', auth, ctrl.testNotification);
 router.get('/users/:userId/notifications', auth, ctrl.getUserNotifications);
 router.get('/notifications/:notificationId', auth, ctrl.getNotificationById);
 router.patch('/notifications/:notificationId/read', auth, ctrl.markNotificationRead);
+router.post('/notifications/:notificationId/ack', auth, ctrl.acknowledgeNotification);
 router.patch('/users/:userId/notifications/read-all', auth, ctrl.markAllNotificationsRead);
 router.delete('/notifications/:notificationId', auth, ctrl.deleteNotification);
 
@@ -32,6 +36,29 @@ router.patch('/users/:userId/preferences', auth, ctrl.updateUserPreferences);
 // Promotional notifications
 router.post('/notifications/promotional', auth, ctrl.sendPromotionalNotification);
 
+// Template management (platform admins)
+router.get('/templates', auth, requirePlatformAdmin, templates.listTemplates);
+router.post('/templates', auth, requirePlatformAdmin, templates.createTemplate);
+router.post('/templates/preview', auth, requirePlatformAdmin, templates.previewDraftTemplate);
+router.get('/templates/:templateId', auth, requirePlatformAdmin, templates.getTemplate);
+router.patch('/templates/:templateId', auth, requirePlatformAdmin, templates.updateTemplate);
+router.delete('/templates/:templateId', auth, requirePlatformAdmin, templates.deleteTemplate);
+router.get('/templates/:templateId/versions', auth, requirePlatformAdmin, templates.getTemplateVersions);
+router.post('/templates/:templateId/versions/:version/restore', auth, requirePlatformAdmin, templates.restoreTemplateVersion);
+router.post('/templates/:templateId/preview', auth, requirePlatformAdmin, templates.previewTemplate);
+
+// Campaign management (platform admins)
+router.get('/campaigns', auth, requirePlatformAdmin, campaigns.listCampaigns);
+router.post('/campaigns', auth, requirePlatformAdmin, campaigns.createCampaign);
+router.get('/campaigns/:campaignId', auth, requirePlatformAdmin, campaigns.getCampaign);
+router.patch('/campaigns/:campaignId', auth, requirePlatformAdmin, campaigns.updateCampaign);
+router.post('/campaigns/:campaignId/schedule', auth, requirePlatformAdmin, campaigns.scheduleCampaign);
+router.post('/campaigns/:campaignId/pause', auth, requirePlatformAdmin, campaigns.pauseCampaign);
+router.post('/campaigns/:campaignId/cancel', auth, requirePlatformAdmin, campaigns.cancelCampaign);
+
+// Campaign engagement reported by client apps
+router.post('/campaigns/:campaignId/engagement', auth, campaigns.recordEngagement);
+
 // Analytics and monitoring
 router.get('/analytics', auth, ctrl.getNotificationAnalytics);
 router.get('/queue/status', auth, ctrl.getQueueStatus);
@@ -41,4 +68,7 @@ router.post('/queue/clear', auth, ctrl.clearQueue);
 router.post('/sms/status', ctrl.handleSMSStatusCallback);
 router.post('/whatsapp/status', ctrl.handleWhatsAppStatusCallback);
 
+// Messages recorded by local sink providers (platform admins)
+router.get('/sink/:channel/messages', auth, requirePlatformAdmin, ctrl.getSinkMessages);
+
 module.exports = router;
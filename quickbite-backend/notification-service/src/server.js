@@ -11,12 +11,15 @@ dotenv.config();
 const routes = require('./routes/notification.routes');
 const { ensureSchema } = require('./models/notification.model');
 const NotificationService = require('./services/notification.service');
+const CampaignService = require('./services/campaign.service');
+const providers = require('./providers');
 
 const app = express();
 const server = http.createServer(app);
 
 // Initialize notification service
 const notificationService = new NotificationService();
+const campaignService = new CampaignService(notificationService);
 
 // Middleware
 app.use(helmet());
@@ -79,11 +82,12 @@ app.get('/health', async (req, res) => {
         userTypes: wsStats.userTypes
       },
       queue: queueStats,
+      providers: providers.describe(),
       features: {
-        push: true,
-        email: true,
-        sms: !!process.env.TWILIO_ACCOUNT_SID,
-        whatsapp: !!process.env.TWILIO_WHATSAPP_NUMBER,
+        push: notificationService.pushService.provider.isConfigured(),
+        email: notificationService.emailService.initialized,
+        sms: notificationService.smsService.initialized,
+        whatsapp: notificationService.whatsAppService.initialized,
         websocket: true,
         templates: true,
         campaigns: true,
@@ -130,6 +134,7 @@ const PORT = process.env.PORT || 3007;
 // Initialize database schema and start server
 ensureSchema()
   .then(() => {
+    campaignService.start();
     server.listen(PORT, () => {
       console.log(`🔔 QuickBite Notification Service v2.0.0`);
       console.log(`📡 Server running on port ${PORT}`);
@@ -147,6 +152,7 @@ ensureSchema()
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  campaignService.stop();
   server.close(() => {
     console.log('💤 Notification service shut down successfully');
     process.exit(0);
@@ -155,6 +161,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  campaignService.stop();
   server.close(() => {
     console.log('💤 Notification service shut down successfully');
     process.exit(0);
@@ -0,0 +1,132 @@
+const {
+  NotificationTemplate,
+  NotificationCampaign,
+  UserNotificationPreferences,
+  CAMPAIGN_STATUS
+} = require('../models/template.model');
+
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '10000', 10);
+const DEFAULT_BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE || '100', 10);
+
+// Sends scheduled campaigns. Each tick starts the campaigns that are due and
+// sends one batch for every running campaign, so a campaign goes out at no
+// more than its batch size per tick. Pausing or cancelling takes effect from
+// the next batch.
+class CampaignService {
+  constructor(notificationService) {
+    this.notificationService = notificationService;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  // What a campaign's template is rendered with for one recipient
+  static templateData(campaign, recipient) {
+    return {
+      ...campaign.templateData,
+      user: { id: recipient.user_id, email: recipient.email, phone: recipient.phone },
+      campaign: { id: campaign.id, name: campaign.name }
+    };
+  }
+
+  // Required template variables the campaign leaves unset. Recipient fields
+  // are always supplied, so only the campaign's own data is checked.
+  static missingVariables(template, campaign) {
+    const anyone = { user_id: 'user', email: 'email', phone: 'phone' };
+    return template.missingVariables(CampaignService.templateData(campaign, anyone));
+  }
+
+  async tick() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await NotificationCampaign.claimDueCampaigns();
+      const campaigns = await NotificationCampaign.getRunningCampaigns();
+      for (const campaign of campaigns) {
+        try {
+          await this.runBatch(campaign);
+        } catch (error) {
+          console.error(`Campaign ${campaign.id} batch failed:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Campaign runner tick failed:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async runBatch(campaign) {
+    const template = await NotificationTemplate.findById(campaign.templateId);
+    if (!template || !template.isActive) {
+      await NotificationCampaign.transition(campaign.id, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.PAUSED, {
+        lastError: 'Campaign template is missing or inactive'
+      });
+      return;
+    }
+
+    await campaign.loadRecipients();
+    const recipients = await campaign.claimRecipients(campaign.batchSize || DEFAULT_BATCH_SIZE);
+    for (const recipient of recipients) {
+      await this.sendTo(campaign, template, recipient);
+    }
+
+    await NotificationCampaign.refreshCounts(campaign.id);
+    if (!(await campaign.hasPendingRecipients())) {
+      await NotificationCampaign.transition(campaign.id, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.COMPLETED);
+      console.log(`📣 Campaign ${campaign.id} completed`);
+    }
+  }
+
+  async sendTo(campaign, template, recipient) {
+    try {
+      const preferences = await UserNotificationPreferences.getByUserId(recipient.user_id);
+      if (!preferences.shouldReceiveNotification(campaign.type)) {
+        return await campaign.markRecipient(recipient.user_id, 'SKIPPED', { error: 'Opted out' });
+      }
+
+      const content = await template.render(CampaignService.templateData(campaign, recipient), { strict: true });
+      const result = await this.notificationService.sendNotification(
+        {
+          type: campaign.type,
+          title: content.subject || campaign.name,
+          message: content.body,
+          data: { campaignId: campaign.id, styling: content.styling },
+          category: template.category,
+          templateId: template.id,
+          priority: 'LOW'
+        },
+        { userId: recipient.user_id, email: recipient.email, phone: recipient.phone },
+        { channels: campaign.channels, immediate: true }
+      );
+
+      if (result.suppressed) {
+        return await campaign.markRecipient(recipient.user_id, 'SKIPPED', {
+          notificationId: result.notificationId,
+          error: result.suppressed === 'DUPLICATE' ? 'Duplicate notification' : 'Frequency cap reached'
+        });
+      }
+
+      const delivered = Object.values(result.channels || {}).some(r => r.success && r.status === 'DELIVERED');
+      await campaign.markRecipient(
+        recipient.user_id,
+        result.success ? (delivered ? 'DELIVERED' : 'SENT') : 'FAILED',
+        { notificationId: result.notificationId, error: result.success ? null : 'No channel accepted the notification' }
+      );
+    } catch (error) {
+      await campaign.markRecipient(recipient.user_id, 'FAILED', { error: error.message });
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = CampaignService;
@@ -1,13 +1,13 @@
-const nodemailer = require('nodemailer');
 const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 const juice = require('juice');
 const { NOTIFICATION_CHANNELS } = require('../models/notification.model');
+const providers = require('../providers');
 
 class EmailService {
   constructor() {
-    this.transporter = null;
+    this.provider = providers.forChannel('EMAIL');
     this.initialized = false;
     this.templateCache = new Map();
     this.initializeTransporter();
@@ -15,28 +15,10 @@ class EmailService {
 
   async initializeTransporter() {
     try {
-      const emailConfig = {
-        service: process.env.EMAIL_SERVICE || 'gmail',
-        host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-        port: parseInt(process.env.EMAIL_PORT) || 587,
-        secure: process.env.EMAIL_SECURE === 'true',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD
-        }
-      };
-
-      if (!emailConfig.auth.user || !emailConfig.auth.pass) {
-        console.warn('⚠️ Email credentials not configured');
-        return;
-      }
-
-      this.transporter = nodemailer.createTransporter(emailConfig);
+      if (!(await this.provider.initialize())) return;
 
-      // Verify connection
-      await this.transporter.verify();
       this.initialized = true;
-      console.log('✅ Email service initialized');
+      console.log(`✅ Email service initialized (${this.provider.name})`);
     } catch (error) {
       console.error('❌ Email service initialization failed:', error);
     }
@@ -79,7 +61,7 @@ class EmailService {
         mailOptions.headers['X-MSMail-Priority'] = 'High';
       }
 
-      const result = await this.transporter.sendMail(mailOptions);
+      const result = await this.provider.send(mailOptions);
 
       // Log successful delivery
       await this.logDelivery(notification.id, 'EMAIL', 'SENT', {
@@ -370,7 +352,7 @@ class EmailService {
         throw new Error('Email service not initialized');
       }
 
-      const testResult = await this.transporter.verify();
+      const testResult = await this.provider.verify();
       
       return {
         success: true,
@@ -3,10 +3,42 @@ const EmailService = require('./email.service');
 const SMSService = require('./sms.service');
 const WhatsAppService = require('./whatsapp.service');
 const WebSocketService = require('./websocket.service');
-const { Notification, NOTIFICATION_CHANNELS, NOTIFICATION_PRIORITIES } = require('../models/notification.model');
+const {
+  Notification,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PRIORITIES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_STATUS,
+  TEMPLATE_CATEGORIES,
+  DeliveryLog,
+  categoryOf
+} = require('../models/notification.model');
 const { UserNotificationPreferences } = require('../models/template.model');
 const Queue = require('bull');
 
+// Channels tried one after another, in order, until one acknowledges the
+// notification: push is acknowledged by the app, WhatsApp and SMS by their
+// delivery callbacks. The next channel is tried as soon as one fails, or
+// once `ackSeconds` pass without an acknowledgement. Other channels, such as
+// in-app and email, go out alongside the chain. URGENT and CRITICAL
+// notifications skip the chain and go out everywhere at once.
+const FALLBACK_CHAIN = (process.env.NOTIFICATION_FALLBACK_CHAIN || 'PUSH,WHATSAPP,SMS')
+  .split(',').map(channel => channel.trim()).filter(Boolean);
+const FALLBACK_POLICIES = {
+  HIGH: { chain: FALLBACK_CHAIN, ackSeconds: parseInt(process.env.FALLBACK_ACK_SECONDS_HIGH || '30', 10) },
+  MEDIUM: { chain: FALLBACK_CHAIN, ackSeconds: parseInt(process.env.FALLBACK_ACK_SECONDS || '120', 10) },
+  LOW: { chain: FALLBACK_CHAIN, ackSeconds: parseInt(process.env.FALLBACK_ACK_SECONDS_LOW || '600', 10) },
+  URGENT: null,
+  CRITICAL: null
+};
+
+// Identical notifications to the same user within this window are dropped
+const DEDUP_WINDOW_SECONDS = parseInt(process.env.NOTIFICATION_DEDUP_WINDOW_SECONDS || '600', 10);
+// Daily caps per category unless the user sets their own; transactional
+// categories are never capped
+const DEFAULT_CATEGORY_CAPS = { PROMOTIONS: 3, LOYALTY: 5, SOCIAL: 5 };
+const UNCAPPED_CATEGORIES = ['ORDER_UPDATES', 'PAYMENTS', 'DELIVERY', 'SECURITY'];
+
 class NotificationService {
   constructor() {
     this.pushService = new PushService();
@@ -36,7 +68,13 @@ class NotificationService {
     // Process immediate notifications
     this.notificationQueue.process('send_notification', async (job) => {
       const { notification, recipient, channels } = job.data;
-      return await this.processNotification(notification, recipient, channels);
+      return await this.processNotification(new Notification(notification), recipient, channels);
+    });
+
+    // Move notifications along their fallback chain when unacknowledged
+    this.notificationQueue.process('check_delivery_fallback', async (job) => {
+      const { notificationId, recipient, chain } = job.data;
+      return await this.processFallbackCheck(notificationId, recipient, chain);
     });
 
     // Process bulk notifications
@@ -45,10 +83,14 @@ class NotificationService {
       return await this.processBulkNotification(notification, recipients, channels);
     });
 
-    // Process scheduled notifications
+    // Process scheduled notifications, including ones deferred by quiet
+    // hours and the digests that collect them
     this.notificationQueue.process('send_scheduled_notification', async (job) => {
-      const { notificationId } = job.data;
-      return await this.processScheduledNotification(notificationId);
+      const { notificationId, digestUserId, recipient } = job.data;
+      if (digestUserId) {
+        return await this.processDigest(digestUserId, recipient);
+      }
+      return await this.processScheduledNotification(notificationId, recipient);
     });
   }
 
@@ -57,15 +99,29 @@ class NotificationService {
       // Create notification record
       const notification = await Notification.create({
         ...notificationData,
+        category: categoryOf(notificationData),
         userId: recipientData.userId,
         status: 'PENDING'
       });
 
       // Get user preferences
       const preferences = await UserNotificationPreferences.getByUserId(recipientData.userId);
+
+      const suppressed = await this.getSuppressionReason(notification, preferences);
+      if (suppressed) {
+        return await this.suppressNotification(notification, suppressed);
+      }
       
       // Determine delivery channels
-      const channels = await this.determineChannels(notification, preferences, options.channels);
+      const plan = this.planDelivery(
+        notification,
+        preferences,
+        await this.determineChannels(notification, preferences, options.channels)
+      );
+      if (plan.deferUntil) {
+        return await this.deferNotification(notification, recipientData, plan);
+      }
+      const { channels } = plan;
 
       // Check if notification should be sent immediately or queued
       if (options.immediate || notification.priority === NOTIFICATION_PRIORITIES.HIGH) {
@@ -162,9 +218,11 @@ class NotificationService {
       // Create notification with scheduled status
       const notification = await Notification.create({
         ...notificationData,
+        category: categoryOf(notificationData),
         userId: recipientData.userId,
         status: 'SCHEDULED',
-        scheduledAt: new Date(scheduledAt)
+        scheduledAt: new Date(scheduledAt),
+        channels: options.channels || this.getDefaultChannels(notificationData.type, notificationData.priority)
       });
 
       // Calculate delay
@@ -176,7 +234,8 @@ class NotificationService {
 
       // Queue for future processing
       await this.notificationQueue.add('send_scheduled_notification', {
-        notificationId: notification.id
+        notificationId: notification.id,
+        recipient: recipientData
       }, {
         delay,
         priority: this.getPriority(notification.priority)
@@ -195,53 +254,22 @@ class NotificationService {
   }
 
   async processNotification(notification, recipient, channels) {
-    const results = {};
-    const promises = [];
-
-    // Send via each channel
-    if (channels.includes('WEBSOCKET')) {
-      promises.push(
-        this.webSocketService.sendToUser(recipient.userId, notification)
-          .then(result => { results.WEBSOCKET = { success: result }; })
-          .catch(error => { results.WEBSOCKET = { success: false, error: error.message }; })
-      );
-    }
-
-    if (channels.includes('PUSH')) {
-      promises.push(
-        this.pushService.sendPushNotification(notification, recipient)
-          .then(result => { results.PUSH = result; })
-          .catch(error => { results.PUSH = { success: false, error: error.message }; })
-      );
-    }
-
-    if (channels.includes('EMAIL')) {
-      promises.push(
-        this.emailService.sendEmail(notification, recipient)
-          .then(result => { results.EMAIL = result; })
-          .catch(error => { results.EMAIL = { success: false, error: error.message }; })
-      );
-    }
+    const policy = this.getFallbackPolicy(notification);
+    const chain = policy ? policy.chain.filter(channel => channels.includes(channel)) : [];
+    const fallback = chain.length > 1;
 
-    if (channels.includes('SMS')) {
-      promises.push(
-        this.smsService.sendSMS(notification, recipient)
-          .then(result => { results.SMS = result; })
-          .catch(error => { results.SMS = { success: false, error: error.message }; })
-      );
-    }
+    // Channels outside the fallback chain all go out at once
+    const results = {};
+    await Promise.all(
+      channels
+        .filter(channel => !fallback || !chain.includes(channel))
+        .map(async channel => { results[channel] = await this.sendOnChannel(channel, notification, recipient); })
+    );
 
-    if (channels.includes('WHATSAPP')) {
-      promises.push(
-        this.whatsAppService.sendWhatsApp(notification, recipient)
-          .then(result => { results.WHATSAPP = result; })
-          .catch(error => { results.WHATSAPP = { success: false, error: error.message }; })
-      );
+    if (fallback) {
+      Object.assign(results, await this.advanceFallback(notification, recipient, chain, policy));
     }
 
-    // Wait for all channels to complete
-    await Promise.all(promises);
-
     // Update notification status based on results
     const successfulChannels = Object.keys(results).filter(
       channel => results[channel].success
@@ -267,7 +295,168 @@ class NotificationService {
       notificationId: notification.id,
       channels: results,
       successfulChannels: successfulChannels.length,
-      totalChannels: channels.length
+      totalChannels: channels.length,
+      fallbackChain: fallback ? chain : undefined
+    };
+  }
+
+  // Sends on one channel and reports how it went; never throws
+  async sendOnChannel(channel, notification, recipient) {
+    try {
+      switch (channel) {
+        case 'WEBSOCKET':
+          return { success: await this.webSocketService.sendToUser(recipient.userId, notification) };
+        case 'PUSH':
+          return await this.sendPush(notification, recipient);
+        case 'EMAIL':
+          return await this.emailService.sendEmail(notification, recipient);
+        case 'SMS':
+          return await this.smsService.sendSMS(notification, recipient);
+        case 'WHATSAPP':
+          return await this.whatsAppService.sendWhatsApp(notification, recipient);
+        default:
+          return { success: false, error: `Channel ${channel} is not supported` };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Pushes to every device the user has subscribed; succeeds when any of
+  // them accepts it
+  async sendPush(notification, recipient) {
+    const subscriptions = await this.pushService.getUserSubscriptions(recipient.userId);
+    if (subscriptions.length === 0) {
+      await DeliveryLog.record(notification.id, 'PUSH', 'FAILED', { failureReason: 'No push subscriptions' });
+      return { success: false, error: 'No push subscriptions' };
+    }
+
+    const sent = await Promise.allSettled(
+      subscriptions.map(subscription => this.pushService.sendPushNotification(notification, subscription))
+    );
+    const accepted = sent.filter(result => result.status === 'fulfilled').map(result => result.value);
+    return accepted.length > 0
+      ? { success: true, devices: accepted.length, messageId: accepted[0].messageId }
+      : { success: false, error: sent[0].reason.message };
+  }
+
+  // The fallback policy for the notification's priority, or null when it
+  // goes out on every channel at once
+  getFallbackPolicy(notification) {
+    return notification.priority in FALLBACK_POLICIES
+      ? FALLBACK_POLICIES[notification.priority]
+      : FALLBACK_POLICIES[NOTIFICATION_PRIORITIES.MEDIUM];
+  }
+
+  // Moves the notification along its fallback chain. The delivery logs say
+  // how far it has got: channels with a log row have been tried, and a
+  // DELIVERED row, or the user reading the notification, acknowledges it.
+  // Sends on the next untried channel, falling through at once on failure,
+  // and once one accepts the message checks back after the policy's
+  // acknowledgement window.
+  async advanceFallback(notification, recipient, chain, policy) {
+    const logs = await DeliveryLog.forNotification(notification.id);
+    const acknowledged = notification.readAt || notification.clickedAt ||
+      logs.some(log => chain.includes(log.channel) && log.status === 'DELIVERED');
+    if (acknowledged) return {};
+
+    const tried = new Set(logs.map(log => log.channel));
+    const remaining = chain.filter(channel => !tried.has(channel));
+    const results = {};
+
+    for (let i = 0; i < remaining.length; i++) {
+      const channel = remaining[i];
+      results[channel] = await this.sendOnChannel(channel, notification, recipient);
+      if (!results[channel].success) continue;
+
+      if (results[channel].status !== 'DELIVERED' && i < remaining.length - 1) {
+        await this.notificationQueue.add('check_delivery_fallback', {
+          notificationId: notification.id,
+          recipient,
+          chain
+        }, {
+          delay: policy.ackSeconds * 1000,
+          jobId: `fallback:${notification.id}:${channel}`
+        });
+      }
+      break;
+    }
+
+    return results;
+  }
+
+  // Runs when a fallback step's acknowledgement window has passed
+  async processFallbackCheck(notificationId, recipient, chain) {
+    const notification = await Notification.findById(notificationId);
+    if (!notification || ['READ', 'CLICKED', 'DISMISSED'].includes(notification.status)) {
+      return { success: true, notificationId, advanced: false };
+    }
+
+    const results = await this.advanceFallback(notification, recipient, chain, this.getFallbackPolicy(notification));
+    if (Object.values(results).some(result => result.success)) {
+      await notification.updateStatus('SENT');
+    }
+    return { success: true, notificationId, advanced: Object.keys(results).length > 0, channels: results };
+  }
+
+  // A provider's delivery report for an SMS or WhatsApp message. An
+  // undelivered message moves its notification on to the next fallback
+  // channel straight away instead of waiting out the acknowledgement window.
+  async handleDeliveryStatus(channel, body) {
+    const service = channel === NOTIFICATION_CHANNELS.SMS ? this.smsService : this.whatsAppService;
+    const result = await service.handleStatusCallback(body);
+    if (result.notificationId && result.deliveryStatus === NOTIFICATION_STATUS.FAILED) {
+      result.fallbackPromoted = await this.promoteFallback(result.notificationId, channel);
+    }
+    return result;
+  }
+
+  // Runs the pending fallback check for a notification sent on `channel`
+  // now; false when there is none waiting
+  async promoteFallback(notificationId, channel) {
+    const job = await this.notificationQueue.getJob(`fallback:${notificationId}:${channel}`);
+    if (!job || !(await job.isDelayed())) return false;
+    await job.promote();
+    return true;
+  }
+
+  // Why the notification should not go out at all, or null: it repeats one
+  // sent within the deduplication window, or its category has reached the
+  // user's cap for the day. HIGH and above are never capped.
+  async getSuppressionReason(notification, preferences, now = new Date()) {
+    if (notification.type === NOTIFICATION_TYPES.DIGEST) return null;
+
+    if (await DeliveryLog.hasDuplicate(notification, new Date(now.getTime() - DEDUP_WINDOW_SECONDS * 1000))) {
+      return 'DUPLICATE';
+    }
+
+    const category = categoryOf(notification);
+    const urgent = [
+      NOTIFICATION_PRIORITIES.HIGH,
+      NOTIFICATION_PRIORITIES.URGENT,
+      NOTIFICATION_PRIORITIES.CRITICAL
+    ].includes(notification.priority);
+    if (!preferences || urgent || UNCAPPED_CATEGORIES.includes(category)) return null;
+
+    const since = preferences.startOfLocalDay(now);
+    const categoryCap = (preferences.categoryCaps || {})[category] ?? DEFAULT_CATEGORY_CAPS[category];
+    if (categoryCap !== undefined && await DeliveryLog.countSent(notification.userId, [category], since) >= categoryCap) {
+      return 'FREQUENCY_CAP';
+    }
+
+    const capped = Object.values(TEMPLATE_CATEGORIES).filter(c => !UNCAPPED_CATEGORIES.includes(c));
+    if (await DeliveryLog.countSent(notification.userId, capped, since) >= preferences.frequencyCap) {
+      return 'FREQUENCY_CAP';
+    }
+    return null;
+  }
+
+  async suppressNotification(notification, reason) {
+    await notification.updateStatus(NOTIFICATION_STATUS.SUPPRESSED, { failureReason: reason });
+    return {
+      success: false,
+      notificationId: notification.id,
+      suppressed: reason
     };
   }
 
@@ -351,7 +540,42 @@ class NotificationService {
     };
   }
 
-  async processScheduledNotification(notificationId) {
+  // Holds `notification` back as `plan` says and queues it, or the user's
+  // digest, for when it may go out. One digest job is queued per user and
+  // release time however many notifications it collects.
+  async deferNotification(notification, recipient, plan) {
+    await notification.defer(plan.deferUntil, { channels: plan.channels, digest: plan.digest });
+
+    const delay = Math.max(0, plan.deferUntil.getTime() - Date.now());
+    if (plan.digest) {
+      await this.notificationQueue.add('send_scheduled_notification', {
+        digestUserId: notification.userId,
+        recipient
+      }, {
+        delay,
+        jobId: `digest:${notification.userId}:${plan.deferUntil.getTime()}`
+      });
+    } else {
+      await this.notificationQueue.add('send_scheduled_notification', {
+        notificationId: notification.id,
+        recipient
+      }, {
+        delay,
+        priority: this.getPriority(notification.priority)
+      });
+    }
+
+    return {
+      success: true,
+      notificationId: notification.id,
+      deferred: true,
+      digest: plan.digest,
+      scheduledAt: plan.deferUntil,
+      channels: plan.channels
+    };
+  }
+
+  async processScheduledNotification(notificationId, recipientData = null) {
     try {
       const notification = await Notification.findById(notificationId);
       
@@ -364,22 +588,73 @@ class NotificationService {
       }
 
       // Get recipient data
-      const recipient = await this.getRecipientData(notification.userId);
+      const recipient = recipientData || await this.getRecipientData(notification.userId);
       
       // Get user preferences
       const preferences = await UserNotificationPreferences.getByUserId(notification.userId);
+
+      // Caps and duplicates are judged when it actually goes out
+      const suppressed = await this.getSuppressionReason(notification, preferences);
+      if (suppressed) {
+        return await this.suppressNotification(notification, suppressed);
+      }
       
-      // Determine channels
-      const channels = await this.determineChannels(notification, preferences);
+      // Determine channels; preferences may have changed while it waited
+      const plan = this.planDelivery(
+        notification,
+        preferences,
+        await this.determineChannels(notification, preferences, notification.channels)
+      );
+      if (plan.deferUntil) {
+        return await this.deferNotification(notification, recipient, plan);
+      }
 
       // Process the notification
-      return await this.processNotification(notification, recipient, channels);
+      return await this.processNotification(notification, recipient, plan.channels);
     } catch (error) {
       console.error('Error processing scheduled notification:', error);
       throw error;
     }
   }
 
+  // Sends one notification summing up the user's held-back notifications
+  async processDigest(userId, recipientData = null) {
+    try {
+      const items = await Notification.claimDigest(userId);
+      if (items.length === 0) {
+        return { success: true, notificationId: null, digested: 0 };
+      }
+
+      const listed = items.slice(0, 5).map(item => `• ${item.title}`);
+      if (items.length > listed.length) {
+        listed.push(`…and ${items.length - listed.length} more`);
+      }
+
+      const digest = await Notification.create({
+        userId,
+        type: NOTIFICATION_TYPES.DIGEST,
+        title: items.length === 1 ? items[0].title : `You have ${items.length} new updates`,
+        message: items.length === 1 ? items[0].message : listed.join('\n'),
+        data: {
+          notificationIds: items.map(item => item.id),
+          items: items.map(item => ({ id: item.id, type: item.type, title: item.title, data: item.data }))
+        },
+        priority: NOTIFICATION_PRIORITIES.MEDIUM,
+        category: TEMPLATE_CATEGORIES.SYSTEM,
+        channels: [...new Set(items.flatMap(item => item.channels || []))],
+        status: 'PENDING'
+      });
+
+      const recipient = recipientData || await this.getRecipientData(userId);
+      const preferences = await UserNotificationPreferences.getByUserId(userId);
+      const channels = await this.determineChannels(digest, preferences, digest.channels);
+      return await this.processNotification(digest, recipient, channels);
+    } catch (error) {
+      console.error('Error processing notification digest:', error);
+      throw error;
+    }
+  }
+
   async determineChannels(notification, preferences, requestedChannels = null) {
     const availableChannels = Object.values(NOTIFICATION_CHANNELS);
     let channels = [];
@@ -388,36 +663,18 @@ class NotificationService {
       // Use requested channels if provided
       channels = requestedChannels.filter(c => availableChannels.includes(c));
     } else {
-      // Use default channels based on notification type and priority
+      // Use default channels based on notification type and priority. A
+      // notification that reaches the user through any channel of the
+      // fallback chain may fall back through the rest of it.
       channels = this.getDefaultChannels(notification.type, notification.priority);
+      if (channels.some(channel => FALLBACK_CHAIN.includes(channel))) {
+        channels = [...new Set([...channels, ...FALLBACK_CHAIN])];
+      }
     }
 
     // Filter by user preferences
     if (preferences) {
-      channels = channels.filter(channel => {
-        switch (channel) {
-          case 'PUSH':
-            return preferences.pushEnabled;
-          case 'EMAIL':
-            return preferences.emailEnabled;
-          case 'SMS':
-            return preferences.smsEnabled;
-          case 'WHATSAPP':
-            return preferences.whatsappEnabled;
-          case 'WEBSOCKET':
-            return preferences.inAppEnabled;
-          default:
-            return true;
-        }
-      });
-
-      // Check quiet hours
-      if (preferences.quietHoursEnabled && this.isQuietTime(preferences)) {
-        // Only allow high priority notifications during quiet hours
-        if (notification.priority !== NOTIFICATION_PRIORITIES.HIGH) {
-          channels = channels.filter(c => c === 'WEBSOCKET' || c === 'EMAIL');
-        }
-      }
+      channels = channels.filter(channel => preferences.shouldReceiveNotification(notification.type, channel));
     }
 
     // Ensure at least one channel is available
@@ -457,21 +714,48 @@ class NotificationService {
     return channels;
   }
 
-  isQuietTime(preferences) {
-    if (!preferences.quietHoursEnabled) {
-      return false;
+  // Decides what quiet hours and digests mean for sending `notification` on
+  // `channels` at `now`:
+  // - HIGH and above, and digests themselves, always go out straight away
+  // - LOW goes into the daily digest when the user has one; otherwise, if any
+  //   channel is in quiet hours, it is deferred until they have all lifted,
+  //   into a digest when the user collects quiet-hours notifications
+  // - anything else goes out now on the channels that are not quiet, and is
+  //   deferred only when every channel is
+  planDelivery(notification, preferences, channels, now = new Date()) {
+    const urgent = [
+      NOTIFICATION_PRIORITIES.HIGH,
+      NOTIFICATION_PRIORITIES.URGENT,
+      NOTIFICATION_PRIORITIES.CRITICAL
+    ].includes(notification.priority);
+    if (!preferences || urgent || notification.type === NOTIFICATION_TYPES.DIGEST) {
+      return { channels, deferUntil: null, digest: false };
     }
 
-    const now = new Date();
-    const currentHour = now.getHours();
-    const startHour = preferences.quietHoursStart || 22; // 10 PM default
-    const endHour = preferences.quietHoursEnd || 8; // 8 AM default
+    const low = notification.priority === NOTIFICATION_PRIORITIES.LOW;
+    if (low && preferences.digestMode === 'DAILY') {
+      return { channels, deferUntil: preferences.nextDigestAt(now), digest: true };
+    }
 
-    if (startHour < endHour) {
-      return currentHour >= startHour && currentHour < endHour;
-    } else {
-      return currentHour >= startHour || currentHour < endHour;
+    const category = categoryOf(notification);
+    const quietUntil = {};
+    channels.forEach(channel => {
+      const until = this.isQuietTime(preferences, channel, category, now);
+      if (until) quietUntil[channel] = until;
+    });
+    const open = channels.filter(channel => !quietUntil[channel]);
+    if (open.length === channels.length || (!low && open.length > 0)) {
+      return { channels: open, deferUntil: null, digest: false };
     }
+
+    const until = Object.values(quietUntil).reduce((latest, at) => (at > latest ? at : latest));
+    return { channels, deferUntil: until, digest: low && preferences.digestMode === 'QUIET_HOURS' };
+  }
+
+  // When quiet hours on `channel` for `category` end on the user's clock,
+  // or null when they are not in force
+  isQuietTime(preferences, channel, category, now = new Date()) {
+    return preferences.quietUntil(channel, category, now);
   }
 
   getPriority(notificationPriority) {
@@ -1,40 +1,9 @@
-const webpush = require('web-push');
-const admin = require('firebase-admin');
 const { NOTIFICATION_CHANNELS, NOTIFICATION_STATUS } = require('../models/notification.model');
+const providers = require('../providers');
 
 class PushNotificationService {
   constructor() {
-    this.webPushConfigured = false;
-    this.firebaseConfigured = false;
-    this.initializeServices();
-  }
-
-  initializeServices() {
-    try {
-      // Initialize Web Push
-      const vapidPublicKey = process.env.WEB_PUSH_VAPID_PUBLIC;
-      const vapidPrivateKey = process.env.WEB_PUSH_VAPID_PRIVATE;
-      const vapidContact = process.env.WEB_PUSH_CONTACT || 'mailto:admin@quickbite.app';
-
-      if (vapidPublicKey && vapidPrivateKey) {
-        webpush.setVapidDetails(vapidContact, vapidPublicKey, vapidPrivateKey);
-        this.webPushConfigured = true;
-        console.log('✅ Web Push configured');
-      }
-
-      // Initialize Firebase Admin
-      const firebaseConfig = process.env.FIREBASE_CONFIG;
-      if (firebaseConfig) {
-        const serviceAccount = JSON.parse(firebaseConfig);
-        admin.initializeApp({
-          credential: admin.credential.cert(serviceAccount)
-        });
-        this.firebaseConfigured = true;
-        console.log('✅ Firebase Admin configured');
-      }
-    } catch (error) {
-      console.error('❌ Error initializing push services:', error);
-    }
+    this.provider = providers.forChannel('PUSH');
   }
 
   async sendPushNotification(notification, subscription) {
@@ -58,24 +27,18 @@ class PushNotificationService {
         }
       };
 
-      let result;
-
-      if (subscription.endpoint.includes('fcm.googleapis.com') && this.firebaseConfigured) {
-        // Use Firebase for FCM endpoints
-        result = await this.sendFirebaseNotification(payload, subscription);
-      } else if (this.webPushConfigured) {
-        // Use Web Push for other endpoints
-        result = await this.sendWebPushNotification(payload, subscription);
-      } else {
+      if (!this.provider.isConfigured()) {
         throw new Error('No push service configured');
       }
 
+      const result = await this.provider.send(payload, subscription);
+
       // Log delivery
       await this.logDelivery(notification.id, 'PUSH', 'SENT', result);
 
       return {
         success: true,
-        messageId: result.messageId || result.id,
+        messageId: result.messageId,
         endpoint: subscription.endpoint
       };
     } catch (error) {
@@ -94,80 +57,6 @@ class PushNotificationService {
     }
   }
 
-  async sendFirebaseNotification(payload, subscription) {
-    try {
-      const message = {
-        token: this.extractTokenFromEndpoint(subscription.endpoint),
-        notification: payload.notification,
-        data: this.convertToStringData(payload.notification.data),
-        android: {
-          priority: 'high',
-          notification: {
-            priority: 'high',
-            defaultSound: true,
-            defaultVibrateTimings: true
-          }
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-              contentAvailable: true
-            }
-          }
-        },
-        webpush: {
-          headers: {
-            Urgency: 'high'
-          },
-          notification: payload.notification
-        }
-      };
-
-      const response = await admin.messaging().send(message);
-      return { messageId: response, provider: 'firebase' };
-    } catch (error) {
-      console.error('Firebase notification error:', error);
-      throw error;
-    }
-  }
-
-  async sendWebPushNotification(payload, subscription) {
-    try {
-      const pushSubscription = {
-        endpoint: subscription.endpoint,
-        keys: {
-          p256dh: subscription.p256dh_key,
-          auth: subscription.auth_key
-        }
-      };
-
-      const options = {
-        TTL: 24 * 60 * 60, // 24 hours
-        urgency: this.getUrgencyFromPriority(payload.notification.priority),
-        headers: {
-          'Content-Encoding': 'gzip'
-        }
-      };
-
-      const response = await webpush.sendNotification(
-        pushSubscription, 
-        JSON.stringify(payload),
-        options
-      );
-
-      return { 
-        id: response.headers?.location || 'webpush-sent',
-        provider: 'webpush',
-        statusCode: response.statusCode
-      };
-    } catch (error) {
-      console.error('Web Push notification error:', error);
-      throw error;
-    }
-  }
-
   async getUserSubscriptions(userId) {
     try {
       const { pool } = require('../config/database');
@@ -314,32 +203,6 @@ class PushNotificationService {
     ];
   }
 
-  getUrgencyFromPriority(priority) {
-    const urgencyMap = {
-      'CRITICAL': 'high',
-      'URGENT': 'high',
-      'HIGH': 'normal',
-      'MEDIUM': 'normal',
-      'LOW': 'low'
-    };
-    return urgencyMap[priority] || 'normal';
-  }
-
-  extractTokenFromEndpoint(endpoint) {
-    // Extract FCM token from endpoint
-    const matches = endpoint.match(/\/fcm\/send\/(.+)$/);
-    return matches ? matches[1] : endpoint;
-  }
-
-  convertToStringData(data) {
-    // Firebase requires data values to be strings
-    const stringData = {};
-    for (const [key, value] of Object.entries(data || {})) {
-      stringData[key] = typeof value === 'string' ? value : JSON.stringify(value);
-    }
-    return stringData;
-  }
-
   // Method to send bulk notifications
   async sendBulkNotifications(notifications) {
     const results = [];
@@ -1,31 +1,25 @@
-const twilio = require('twilio');
 const { NOTIFICATION_CHANNELS } = require('../models/notification.model');
+const providers = require('../providers');
 
 class SMSService {
   constructor() {
-    this.twilioClient = null;
-    this.initialized = false;
-    this.initializeTwilio();
+    this.provider = providers.forChannel('SMS');
+    this.initialized = this.provider.isConfigured();
+    if (this.initialized) {
+      console.log(`✅ SMS service initialized (${this.provider.name})`);
+    }
   }
 
-  initializeTwilio() {
-    try {
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      const phoneNumber = process.env.TWILIO_PHONE_NUMBER;
-
-      if (!accountSid || !authToken || !phoneNumber) {
-        console.warn('⚠️ Twilio SMS credentials not configured');
-        return;
-      }
+  // Where the provider reports delivery status for messages we send
+  statusCallbackUrl() {
+    const baseUrl = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3007}`;
+    return `${baseUrl}/api/notifications/sms/status`;
+  }
 
-      this.twilioClient = twilio(accountSid, authToken);
-      this.fromNumber = phoneNumber;
-      this.initialized = true;
-      console.log('✅ SMS service initialized');
-    } catch (error) {
-      console.error('❌ SMS service initialization failed:', error);
-    }
+  // Checks that a status callback really came from the provider
+  verifyCallback(req) {
+    if (!this.provider.verifyCallback) return true;
+    return this.provider.verifyCallback(req, this.statusCallbackUrl());
   }
 
   async sendSMS(notification, recipient) {
@@ -39,9 +33,8 @@ class SMSService {
       
       const messageOptions = {
         body: smsContent.message,
-        from: this.fromNumber,
         to: this.formatPhoneNumber(recipient.phone),
-        statusCallback: `${process.env.APP_BASE_URL}/api/notifications/sms/status`,
+        statusCallback: this.statusCallbackUrl(),
         statusCallbackMethod: 'POST'
       };
 
@@ -50,7 +43,7 @@ class SMSService {
         messageOptions.mediaUrl = smsContent.mediaUrl;
       }
 
-      const result = await this.twilioClient.messages.create(messageOptions);
+      const result = await this.provider.send(messageOptions);
 
       // Log successful delivery
       await this.logDelivery(notification.id, 'SMS', 'SENT', {
@@ -252,7 +245,7 @@ class SMSService {
       const query = `
         UPDATE notification_delivery_logs 
         SET status = $1, 
-            delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            delivered_at = CASE WHEN $1 = 'DELIVERED' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
             failure_reason = $2,
             response_data = jsonb_set(
               COALESCE(response_data, '{}'),
@@ -282,9 +275,8 @@ class SMSService {
         MessageSid
       ]);
 
-      if (result.rows.length > 0) {
-        const notificationId = result.rows[0].notification_id;
-        
+      const notificationId = result.rows.length > 0 ? result.rows[0].notification_id : null;
+      if (notificationId) {
         // Update main notification status if needed
         if (mappedStatus === 'DELIVERED') {
           const { Notification } = require('../models/notification.model');
@@ -295,7 +287,7 @@ class SMSService {
         }
       }
 
-      return { success: true, messageSid: MessageSid, status: MessageStatus };
+      return { success: true, messageSid: MessageSid, status: MessageStatus, notificationId, deliveryStatus: mappedStatus };
     } catch (error) {
       console.error('Error handling SMS status callback:', error);
       throw error;
@@ -1,7 +1,15 @@
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('@quickbite/jwt-verifier');
 const { Notification } = require('../models/notification.model');
 
+const ORDER_BASE = process.env.ORDER_BASE_URL || 'http://localhost:3004/api';
+
+// auth-service roles and the socket user types they map to
+const USER_TYPES = {
+  staff: 'RESTAURANT',
+  driver: 'DELIVERY'
+};
+
 class WebSocketService {
   constructor() {
     this.io = null;
@@ -34,7 +42,7 @@ class WebSocketService {
 
   setupMiddleware() {
     // Authentication middleware
-    this.io.use((socket, next) => {
+    this.io.use(async (socket, next) => {
       try {
         const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
         
@@ -42,11 +50,15 @@ class WebSocketService {
           return next(new Error('Authentication token required'));
         }
 
-        // Verify JWT token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        socket.userId = decoded.userId;
-        socket.userType = decoded.userType || 'USER'; // USER, RESTAURANT, DELIVERY
-        socket.user = decoded;
+        // Verify the access token against auth-service's published keys
+        if (!process.env.AUTH_JWKS_URL) {
+          return next(new Error('Authentication unavailable'));
+        }
+        const identity = await verifyAccessToken(token);
+        socket.userId = identity.userId;
+        socket.userType = USER_TYPES[String(identity.role).toLowerCase()] || 'USER'; // USER, RESTAURANT, DELIVERY
+        socket.user = identity;
+        socket.accessToken = token;
 
         next();
       } catch (error) {
@@ -79,7 +91,7 @@ class WebSocketService {
         // Join type-specific rooms
         if (userType === 'RESTAURANT') {
           socket.join('restaurants');
-          socket.join(`restaurant_${socket.user.restaurantId}`);
+          if (socket.user.storeId) socket.join(`restaurant_${socket.user.storeId}`);
         } else if (userType === 'DELIVERY') {
           socket.join('delivery_partners');
           socket.join(`delivery_${userId}`);
@@ -124,11 +136,19 @@ class WebSocketService {
       socket.emit('pong', { timestamp: new Date() });
     });
 
-    // Handle subscription to specific notification types
-    socket.on('subscribe', (data) => {
+    // Handle subscription to specific notification types. Order rooms are
+    // only open to the order's customer, restaurant and assigned rider.
+    socket.on('subscribe', async (data) => {
       try {
         const { types, orderId, restaurantId } = data;
 
+        if (orderId && !(await this.canFollowOrder(socket, orderId))) {
+          return socket.emit('error', { message: 'You cannot follow this order', orderId, code: 'ROOM_FORBIDDEN' });
+        }
+        if (restaurantId && String(restaurantId) !== String(socket.user.storeId)) {
+          return socket.emit('error', { message: 'You cannot follow this restaurant', restaurantId, code: 'ROOM_FORBIDDEN' });
+        }
+
         if (types && Array.isArray(types)) {
           types.forEach(type => {
             socket.join(`notifications_${type}`);
@@ -224,26 +244,54 @@ class WebSocketService {
       }
     });
 
-    // Update user location (for delivery partners)
-    socket.on('update_location', (data) => {
+    // Update user location (for delivery partners). Order-service checks the
+    // rider is assigned to the order, rate-limits, sanity-checks and smooths
+    // the fix and recomputes the ETA; only then is it sent to that order's room.
+    socket.on('update_location', async (data) => {
+      const { orderId, latitude, longitude, accuracy, speed, bearing, recordedAt } = data || {};
       try {
-        const { latitude, longitude } = data;
-        
-        if (socket.userType === 'DELIVERY') {
-          // Broadcast location to relevant order rooms
-          socket.broadcast.emit('delivery_location_update', {
-            deliveryPartnerId: userId,
-            latitude,
-            longitude,
-            timestamp: new Date()
-          });
+        if (socket.userType !== 'DELIVERY' || !orderId) {
+          return socket.emit('location_rejected', { orderId, message: 'Location updates need a rider and an order', code: 'INVALID_LOCATION' });
+        }
+
+        const r = await fetch(`${ORDER_BASE}/orders/${encodeURIComponent(orderId)}/driver-location`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${socket.accessToken}` },
+          body: JSON.stringify({ latitude, longitude, accuracy, speed, bearing, recorded_at: recordedAt })
+        });
+        const body = await r.json();
+        if (!r.ok) {
+          return socket.emit('location_rejected', { orderId, message: body.message, code: body.code });
         }
+
+        this.broadcastToRoom(`order_${orderId}`, 'delivery_location_update', {
+          orderId,
+          deliveryPartnerId: userId,
+          ...body.driver_location,
+          etaMinutes: body.eta_minutes,
+          estimatedDeliveryTime: body.estimated_delivery_time,
+          timestamp: new Date()
+        });
       } catch (error) {
         console.error('Error updating location:', error);
+        socket.emit('location_rejected', { orderId, message: 'Location update failed' });
       }
     });
   }
 
+  // Asks order-service whether the socket's user is a party to the order
+  async canFollowOrder(socket, orderId) {
+    try {
+      const r = await fetch(`${ORDER_BASE}/orders/${encodeURIComponent(orderId)}/live-access`, {
+        headers: { Authorization: `Bearer ${socket.accessToken}` }
+      });
+      return r.ok;
+    } catch (error) {
+      console.error('Error checking order access:', error);
+      return false;
+    }
+  }
+
   // Send notification to specific user
   async sendToUser(userId, notification) {
     try {
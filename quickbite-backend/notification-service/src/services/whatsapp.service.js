@@ -1,30 +1,24 @@
-const twilio = require('twilio');
+const providers = require('../providers');
 
 class WhatsAppService {
   constructor() {
-    this.twilioClient = null;
-    this.initialized = false;
-    this.initializeTwilio();
+    this.provider = providers.forChannel('WHATSAPP');
+    this.initialized = this.provider.isConfigured();
+    if (this.initialized) {
+      console.log(`✅ WhatsApp service initialized (${this.provider.name})`);
+    }
   }
 
-  initializeTwilio() {
-    try {
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      const whatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER; // Format: whatsapp:+14155238886
-
-      if (!accountSid || !authToken || !whatsAppNumber) {
-        console.warn('⚠️ Twilio WhatsApp credentials not configured');
-        return;
-      }
+  // Where the provider reports delivery status for messages we send
+  statusCallbackUrl() {
+    const baseUrl = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3007}`;
+    return `${baseUrl}/api/notifications/whatsapp/status`;
+  }
 
-      this.twilioClient = twilio(accountSid, authToken);
-      this.fromNumber = whatsAppNumber;
-      this.initialized = true;
-      console.log('✅ WhatsApp service initialized');
-    } catch (error) {
-      console.error('❌ WhatsApp service initialization failed:', error);
-    }
+  // Checks that a status callback really came from the provider
+  verifyCallback(req) {
+    if (!this.provider.verifyCallback) return true;
+    return this.provider.verifyCallback(req, this.statusCallbackUrl());
   }
 
   async sendWhatsApp(notification, recipient) {
@@ -43,9 +37,8 @@ class WhatsAppService {
       
       const messageOptions = {
         body: whatsAppContent.message,
-        from: this.fromNumber,
         to: this.formatWhatsAppNumber(recipient.phone),
-        statusCallback: `${process.env.APP_BASE_URL}/api/notifications/whatsapp/status`,
+        statusCallback: this.statusCallbackUrl(),
         statusCallbackMethod: 'POST'
       };
 
@@ -54,7 +47,7 @@ class WhatsAppService {
         messageOptions.mediaUrl = whatsAppContent.mediaUrl;
       }
 
-      const result = await this.twilioClient.messages.create(messageOptions);
+      const result = await this.provider.send(messageOptions);
 
       // Log successful delivery
       await this.logDelivery(notification.id, 'WHATSAPP', 'SENT', {
@@ -510,7 +503,7 @@ Thank you for using QuickBite! 🚀`;
       const query = `
         UPDATE notification_delivery_logs 
         SET status = $1, 
-            delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            delivered_at = CASE WHEN $1 = 'DELIVERED' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
             failure_reason = $2,
             response_data = jsonb_set(
               COALESCE(response_data, '{}'),
@@ -541,9 +534,8 @@ Thank you for using QuickBite! 🚀`;
         MessageSid
       ]);
 
-      if (result.rows.length > 0) {
-        const notificationId = result.rows[0].notification_id;
-        
+      const notificationId = result.rows.length > 0 ? result.rows[0].notification_id : null;
+      if (notificationId) {
         // Update main notification status if needed
         if (mappedStatus === 'DELIVERED') {
           const { Notification } = require('../models/notification.model');
@@ -554,7 +546,7 @@ Thank you for using QuickBite! 🚀`;
         }
       }
 
-      return { success: true, messageSid: MessageSid, status: MessageStatus };
+      return { success: true, messageSid: MessageSid, status: MessageStatus, notificationId, deliveryStatus: mappedStatus };
     } catch (error) {
       console.error('Error handling WhatsApp status callback:', error);
       throw error;
@@ -1,25 +1,59 @@
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const Order = require('../models/order.model');
+const { SlotFullError } = require('../models/slot.model');
+const Transitions = require('../models/order.transitions');
+const orderSaga = require('../sagas/order.saga');
+const ratingSync = require('../services/ratingSync.service');
+const cancellationService = require('../services/cancellation.service');
+const Cancellations = require('../models/cancellation.model');
+const quoteToken = require('@quickbite/quote-token');
+const scheduling = require('../services/scheduling.service');
+const availability = require('../services/availability.service');
+const discounts = require('../services/discounts.service');
+const liveTracking = require('../services/liveTracking.service');
+const orderRooms = require('../realtime/orderRooms');
 
-const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
 const NOTIF_BASE = process.env.NOTIF_BASE_URL || 'http://localhost:3007/api/notifications';
 const DELIVERY_BASE = process.env.DELIVERY_BASE_URL || 'http://localhost:3006/api/delivery';
 
 const createOrderSchema = Joi.object({
   merchant_id: Joi.string().guid({ version: 'uuidv4' }).required(),
+  quote_token: Joi.string().required(),
   items: Joi.array().items(Joi.object({
     item_id: Joi.string().guid({ version: 'uuidv4' }).required(),
     quantity: Joi.number().integer().min(1).required(),
-  })).min(1).required(),
+    customizations: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()))).optional(),
+  })).min(1).optional(),
   delivery_address: Joi.string().min(3).required(),
+  // Drop-off point, used for the live ETA once the order is on its way
+  delivery_coordinates: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+  }).optional(),
   instructions: Joi.string().max(500).optional(),
+  // Start of a delivery slot from GET /merchants/:id/slots; omit for ASAP
+  scheduled_for: Joi.date().iso().optional(),
 });
 
-async function fetchJson(url, options = {}) {
-  const r = await fetch(url, options);
-  if (!r.ok) throw new Error(`Upstream ${url} failed: ${r.status}`);
-  return r.json();
+function customizationKey(selected) {
+  return selected.map(c => `${c.group}:${c.name}`).sort().join('|');
+}
+
+// The order is built from the quote's lines; items sent alongside it must be
+// exactly what was quoted. Returns a reason when they differ.
+function quoteMismatch(quote, { merchantId, items, userId }) {
+  if (quote.restaurant_id !== merchantId) return 'Quote is for a different restaurant';
+  if (!quote.user_id) return 'Quote was issued without a customer, request a new one';
+  if (quote.user_id !== userId) return 'Quote was issued to a different customer';
+  if (!items) return null;
+
+  const key = (itemId, quantity, selected) => `${itemId}x${quantity}[${customizationKey(selected)}]`;
+  const requested = items.map(it => key(it.item_id, it.quantity, Object.entries(it.customizations || {})
+    .flatMap(([group, choice]) => [].concat(choice).map(name => ({ group, name })))));
+  const quoted = quote.items.map(line => key(line.item_id, line.quantity, line.customizations));
+  if (requested.sort().join(',') !== quoted.sort().join(',')) return 'Items differ from the quoted cart';
+  return null;
 }
 
 async function sendNotification(userId, type, title, message, orderId, priority = 'MEDIUM', token) {
@@ -91,50 +125,217 @@ async function assignDelivery(orderId, retryCount = 0, token) {
   }
 }
 
+// The caller as seen by the order state machine
+function actorFrom(req) {
+  return {
+    role: Transitions.normalizeRole(req.userRole) || Transitions.ROLES.CUSTOMER,
+    id: req.userId || null,
+    storeId: req.storeId || null,
+  };
+}
+
+// Apply a lifecycle transition and, once it is committed, run its side
+// effects. Resolves to { order, previous, record } or null when the order
+// does not exist; `options.actor` overrides the caller as the actor, the
+// rest go to Order.transition.
+async function runTransition(req, orderId, action, data = {}, options = {}) {
+  const { actor = actorFrom(req), ...transitionOptions } = options;
+  const result = await Order.transition(orderId, action, actor, data, transitionOptions);
+  if (!result) return null;
+
+  const { order, transition } = result;
+  if (transition.notify && order.user_id) {
+    const n = transition.notify(order, data);
+    await sendNotification(order.user_id, 'PUSH', n.title, n.message, order.id, n.priority || 'MEDIUM', req.accessToken);
+  }
+  const io = req.app.get('socketio');
+  if (transition.broadcast && io) {
+    io.to(orderRooms.roomFor(order.id)).emit(transition.broadcast, { order_id: order.id, status: order.status, timestamp: new Date().toISOString() });
+  }
+  if (Transitions.TERMINAL_STATUSES.includes(order.status)) liveTracking.forget(order.id);
+  return result;
+}
+
+// Cancelling settles the order straight away: the partner is released, the
+// payment refunded according to the cancellation policy and reserved stock
+// restored. The cancellation record is written with the status change, so
+// steps that fail here are finished by the cancellation sweep. Repeating the
+// call returns the same receipt.
+async function cancelAndSettle(req, res, orderId, reason) {
+  const actor = actorFrom(req);
+
+  const existing = await Cancellations.getByOrderId(orderId);
+  if (existing) {
+    return res.json({ success: true, status: 'CANCELLED', receipt: cancellationService.receipt(existing) });
+  }
+
+  const result = await runTransition(req, orderId, 'cancel', {
+    cancellation_reason: reason,
+    cancelled_by: actor.role
+  }, {
+    record: (client, previous) => cancellationService.record(client, previous, actor, reason)
+  });
+  if (!result) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  let cancellation = result.record;
+  try {
+    cancellation = await cancellationService.settle(cancellation);
+  } catch (e) {
+    console.warn(`Settling cancellation of order ${orderId} deferred:`, e.message);
+  }
+  return res.json({ success: true, status: result.order.status, receipt: cancellationService.receipt(cancellation) });
+}
+
+// Transition errors carry their own status (403 for the wrong actor, 409 for
+// the wrong state); returns false for anything else.
+function sendTransitionError(res, e) {
+  if (!e.statusCode) return false;
+  res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+  return true;
+}
+
 exports.create = async (req, res) => {
   try {
     const { error, value } = createOrderSchema.validate(req.body, { abortEarly: false });
     if (error) return res.status(400).json({ success: false, message: 'Invalid request', details: error.details });
 
-    const { merchant_id, items, delivery_address, instructions } = value;
-
-    // Validate merchant exists
-    const merchant = await fetchJson(`${CATALOG_BASE}/merchants/${merchant_id}`);
-    if (!merchant?.id) return res.status(404).json({ success: false, message: 'Merchant not found' });
-
-    // Validate items and availability; compute total
-    const menuResp = await fetchJson(`${CATALOG_BASE}/merchants/${merchant_id}/menu`);
-    const menuMap = new Map((menuResp.items || []).map(i => [i.id, i]));
-
-    let total = 0;
-    const enriched = [];
-    for (const it of items) {
-      const mi = menuMap.get(it.item_id);
-      if (!mi) return res.status(404).json({ success: false, message: `Item not found: ${it.item_id}`, code: 'ITEM_NOT_FOUND' });
-      if (mi.is_out_of_stock) return res.status(409).json({ success: false, message: `Item out of stock: ${it.item_id}`, code: 'ITEM_OUT_OF_STOCK' });
-      const line = mi.price_cents * it.quantity;
-      total += line;
-      enriched.push({ item_id: it.item_id, quantity: it.quantity, price_cents: mi.price_cents });
+    const { merchant_id, items, delivery_address, delivery_coordinates, instructions, quote_token, scheduled_for } = value;
+
+    let quote;
+    try {
+      quote = quoteToken.verify(quote_token);
+    } catch (e) {
+      if (e instanceof quoteToken.QuoteTokenError) {
+        return res.status(e.code === 'QUOTE_EXPIRED' ? 410 : 400).json({ success: false, message: e.message, code: e.code });
+      }
+      throw e;
+    }
+    const mismatch = quoteMismatch(quote, { merchantId: merchant_id, items, userId: req.userId || null });
+    if (mismatch) return res.status(409).json({ success: false, message: mismatch, code: 'QUOTE_MISMATCH' });
+
+    let schedule = null;
+    let preparationMinutes = null;
+    if (scheduled_for) {
+      try {
+        schedule = await scheduling.resolveSlot(merchant_id, scheduled_for);
+      } catch (e) {
+        if (e instanceof scheduling.SlotUnavailableError) {
+          return res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+        }
+        throw e;
+      }
+    } else {
+      try {
+        ({ preparation_minutes: preparationMinutes } = await availability.assertAcceptingOrders(merchant_id));
+      } catch (e) {
+        if (e instanceof availability.RestaurantUnavailableError) {
+          return res.status(e.statusCode).json({
+            success: false,
+            message: e.message,
+            code: e.code,
+            reason: e.reason,
+            next_open_at: e.nextOpenAt,
+          });
+        }
+        throw e;
+      }
     }
 
     const id = uuidv4();
-    await Order.createOrder({
-      id,
-      userId: req.userId || null,
-      merchantId: merchant_id,
-      deliveryAddress: delivery_address,
-      instructions,
-      items: enriched,
-      totalCents: total,
-    });
+    try {
+      await discounts.redeem(quote, id, req.accessToken);
+    } catch (e) {
+      if (e instanceof discounts.DiscountUnavailableError) {
+        return res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+      }
+      throw e;
+    }
+
+    try {
+      await Order.createOrder({
+        id,
+        userId: req.userId || null,
+        merchantId: merchant_id,
+        deliveryAddress: delivery_address,
+        deliveryCoordinates: delivery_coordinates || null,
+        instructions,
+        items: quote.items.map(line => ({
+          item_id: line.item_id,
+          item_name: line.name,
+          quantity: line.quantity,
+          price_cents: line.unit_price_cents,
+          customizations: line.customizations,
+        })),
+        pricing: quote,
+        schedule,
+        preparationMinutes,
+      });
+    } catch (e) {
+      await discounts.release(quote, id);
+      if (e instanceof SlotFullError) return res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+      // One order per quote
+      if (e.code === '23505') return res.status(409).json({ success: false, message: 'Quote has already been used', code: 'QUOTE_USED' });
+      throw e;
+    }
+
+    // With a broker configured the saga reserves stock and drives payment and
+    // delivery asynchronously; otherwise payment-service reports the settled
+    // payment on the internal confirm route.
+    if (orderSaga.isRunning()) {
+      const saga = await orderSaga.begin(id);
+      if (saga.data.compensation) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order could not be placed',
+          code: saga.data.compensation.reason,
+          order_id: id,
+          status: 'CANCELLED',
+        });
+      }
+    }
 
-    return res.status(201).json({ order_id: id, status: 'PENDING', total_amount_cents: total });
+    return res.status(201).json({
+      order_id: id,
+      status: 'PENDING',
+      quote_id: quote.id,
+      subtotal_cents: quote.subtotal_cents,
+      discount_cents: quote.discount_cents,
+      delivery_fee_cents: quote.delivery_fee_cents,
+      platform_fee_cents: quote.platform_fee_cents,
+      tax_cents: quote.tax_cents,
+      total_amount_cents: quote.total_cents,
+      scheduled_for: schedule ? schedule.slot_start : null,
+      slot_end: schedule ? schedule.slot_end : null,
+    });
   } catch (e) {
     console.error('create order failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
 };
 
+const slotsQuerySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+});
+
+// Delivery slots a restaurant offers on one day, for the checkout slot picker
+exports.getSlots = async (req, res) => {
+  try {
+    const { error, value } = slotsQuerySchema.validate(req.query);
+    if (error) return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+
+    const data = await scheduling.listSlots(req.params.merchantId, value.date || null);
+    return res.json({ success: true, data });
+  } catch (e) {
+    if (e instanceof scheduling.SlotUnavailableError) {
+      return res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+    }
+    console.error('list slots failed', e);
+    return res.status(500).json({ success: false, message: 'Internal error' });
+  }
+};
+
 exports.getById = async (req, res) => {
   try {
     const id = req.params.id;
@@ -145,6 +346,8 @@ exports.getById = async (req, res) => {
       status: order.status,
       total_amount_cents: order.total_amount_cents,
       items: order.items,
+      scheduled_for: order.scheduled_for,
+      slot_end: order.slot_end,
     });
   } catch (e) {
     console.error('get order failed', e);
@@ -152,57 +355,68 @@ exports.getById = async (req, res) => {
   }
 };
 
+// What other services check a request against: payment-service binds a
+// payment to the order's owner, quote and total.
+exports.getInternal = async (req, res) => {
+  try {
+    const order = await Order.getOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    return res.json({
+      order_id: order.id,
+      user_id: order.user_id,
+      merchant_id: order.merchant_id,
+      status: order.status,
+      quote_id: order.quote_id,
+      total_amount_cents: order.total_amount_cents,
+    });
+  } catch (e) {
+    console.error('get internal order failed', e);
+    return res.status(500).json({ success: false, message: 'Internal error' });
+  }
+};
+
 const updateSchema = Joi.object({
-  status: Joi.string().valid('CONFIRMED','PREPARING','DISPATCHED','DELIVERED','CANCELLED').required(),
+  status: Joi.string().valid(...Order.ORDER_STATUSES.filter((st) => st !== 'PENDING')).required(),
+  preparation_time_minutes: Joi.number().integer().min(1).max(180).optional(),
+  reason: Joi.string().max(500).optional(),
 });
 
+// Generic status endpoint; the target status picks the transition, which then
+// applies the same role, state and guard checks as the dedicated endpoints.
 exports.updateStatus = async (req, res) => {
   try {
     const id = req.params.id;
     const { error, value } = updateSchema.validate(req.body);
     if (error) return res.status(400).json({ success: false, message: 'Invalid status' });
-    const order = await Order.getOrder(id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (!Order.canTransition(order.status, value.status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status transition' });
-    }
-    const updated = await Order.updateStatus(id, value.status);
-    
-    // Send notification on status change
-    if (updated.user_id) {
-      const messages = {
-        'CONFIRMED': { title: 'Order Confirmed', message: `Your order #${id.substring(0, 8)} has been confirmed and is being prepared.`, priority: 'HIGH' },
-        'PREPARING': { title: 'Order Preparing', message: `Your order is being prepared by the restaurant.` },
-        'DISPATCHED': { title: 'Order Dispatched', message: `Your order is on the way!`, priority: 'HIGH' },
-        'DELIVERED': { title: 'Order Delivered', message: `Your order has been delivered. Enjoy your meal!`, priority: 'HIGH' },
-        'CANCELLED': { title: 'Order Cancelled', message: `Your order #${id.substring(0, 8)} has been cancelled.`, priority: 'MEDIUM' },
-      };
-      const notifData = messages[value.status];
-      if (notifData) {
-        await sendNotification(updated.user_id, 'PUSH', notifData.title, notifData.message, id, notifData.priority || 'MEDIUM', req.accessToken);
-      }
-    }
+    const { status, ...data } = value;
+    // Cancelling has follow-up work (refund, partner, stock) of its own
+    if (status === 'CANCELLED') return await cancelAndSettle(req, res, id, data.reason);
+
+    const result = await runTransition(req, id, Transitions.actionFor(status), data);
+    if (!result) return res.status(404).json({ success: false, message: 'Order not found' });
+    const updated = result.order;
 
     return res.json({
       order_id: updated.id,
       status: updated.status,
       total_amount_cents: updated.total_amount_cents,
-      items: order.items,
     });
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('update status failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
 };
 
-// Payment webhook handler (called by Payment Service)
+// Payment outcome for an order. Scheduling and confirming are system
+// transitions, so only an admin can report one on the public route.
 const confirmPaymentSchema = Joi.object({
   order_id: Joi.string().guid({ version: 'uuidv4' }).required(),
   status: Joi.string().valid('SUCCESS', 'FAILED').required(),
   payment_id: Joi.string().optional(),
 });
 
-exports.confirmPayment = async (req, res) => {
+async function settlePayment(req, res, actor) {
   try {
     const { error, value } = confirmPaymentSchema.validate(req.body);
     if (error) return res.status(400).json({ success: false, message: 'Invalid request' });
@@ -212,26 +426,24 @@ exports.confirmPayment = async (req, res) => {
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
     if (status === 'SUCCESS') {
+      // Paid for a future slot → hold it until the scheduler releases it
+      if (order.release_at && new Date(order.release_at) > new Date()) {
+        const { order: held } = await runTransition(req, order_id, 'schedule', { payment_id }, { actor });
+        return res.json({ success: true, order_status: held.status, release_at: held.release_at });
+      }
       // Payment successful → move to CONFIRMED
-      if (Order.canTransition(order.status, 'CONFIRMED')) {
-        const updated = await Order.updateStatus(order_id, 'CONFIRMED');
-        // Notify user
+      const { order: updated } = await runTransition(req, order_id, 'confirm', { payment_id }, { actor });
+      // Attempt delivery assignment
+      const deliveryResult = await assignDelivery(order_id, 0, req.accessToken);
+      if (!deliveryResult.success) {
+        await Order.recordEvent(order_id, 'DELIVERY_DELAYED', 'Finding a delivery partner for your order', {
+          reason: deliveryResult.reason,
+        });
         if (updated.user_id) {
-          await sendNotification(updated.user_id, 'PUSH', 'Payment Successful', `Your payment for order #${order_id.substring(0, 8)} was successful. Your order is confirmed!`, order_id, 'HIGH', req.accessToken);
+          await sendNotification(updated.user_id, 'PUSH', 'Delivery Delayed', `We're finding a delivery partner for your order. You'll be notified soon.`, order_id, 'MEDIUM', req.accessToken);
         }
-        // Attempt delivery assignment
-        const deliveryResult = await assignDelivery(order_id, 0, req.accessToken);
-        if (!deliveryResult.success) {
-          // Mark order as DELIVERY_DELAYED
-          await Order.updateStatus(order_id, 'PENDING'); // Or add new status 'DELIVERY_DELAYED' if model supports
-          if (updated.user_id) {
-            await sendNotification(updated.user_id, 'PUSH', 'Delivery Delayed', `We're finding a delivery partner for your order. You'll be notified soon.`, order_id, 'MEDIUM', req.accessToken);
-          }
-        }
-        return res.json({ success: true, order_status: 'CONFIRMED' });
-      } else {
-        return res.status(400).json({ success: false, message: 'Invalid order state for payment confirmation' });
       }
+      return res.json({ success: true, order_status: updated.status });
     } else if (status === 'FAILED') {
       // Payment failed → notify user
       if (order.user_id) {
@@ -243,17 +455,22 @@ exports.confirmPayment = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Unknown payment status' });
     }
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('confirm payment failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
-};
+}
 
-// Delivery location update handler (called by Delivery Service or via WebSocket)
-const deliveryLocationSchema = Joi.object({
-  delivery_id: Joi.string().guid({ version: 'uuidv4' }).required(),
-  lat: Joi.number().min(-90).max(90).required(),
-  lng: Joi.number().min(-180).max(180).required(),
-});
+exports.confirmPayment = (req, res) => settlePayment(req, res, actorFrom(req));
+
+// payment-service reports settled payments here when no broker runs the
+// order saga; the transition runs as the system
+exports.confirmPaymentInternal = (req, res) => {
+  if (req.body.order_id !== req.params.id) {
+    return res.status(400).json({ success: false, message: 'order_id does not match the route' });
+  }
+  return settlePayment(req, res, Transitions.SYSTEM_ACTOR);
+};
 
 // Enhanced real-time tracking methods
 exports.getUserOrders = async (req, res) => {
@@ -278,9 +495,33 @@ exports.getOrderTracking = async (req, res) => {
   }
 };
 
+// Whether the caller may follow the order live; notification-service asks
+// before letting a socket into the order's room
+exports.getLiveAccess = async (req, res) => {
+  try {
+    const order = await Order.getOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const participant = orderRooms.participantOf(order, { userId: req.userId, role: req.userRole, storeId: req.storeId });
+    if (!participant) return res.status(403).json({ success: false, message: 'Forbidden' });
+    return res.json({ success: true, order_id: order.id, participant });
+  } catch (e) {
+    console.error('get live access failed', e);
+    return res.status(500).json({ success: false, message: 'Internal error' });
+  }
+};
+
+// The rider's position is only shown to the parties to the order
 exports.getDriverLocation = async (req, res) => {
   try {
     const orderId = req.params.id;
+    const order = await Order.getOrder(orderId);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const actor = actorFrom(req);
+    if (actor.role !== Transitions.ROLES.ADMIN &&
+        !orderRooms.participantOf(order, { userId: req.userId, role: req.userRole, storeId: req.storeId })) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
     const location = await Order.getDriverLocation(orderId);
     if (!location) {
       return res.status(404).json({ success: false, message: 'No driver location available' });
@@ -310,15 +551,23 @@ exports.estimateDeliveryTime = async (req, res) => {
   }
 };
 
+// Riders are normally assigned by the order saga; this lets an admin step
+// in. Being the assigned rider grants access to the order's live room, so
+// nobody else may call it.
 exports.assignDriver = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { driver_id, driver_phone } = req.body;
+    // driver_id is the delivery partner, driver_user_id its rider's account
+    const { driver_id, driver_phone, driver_user_id } = req.body;
+    if (actorFrom(req).role !== Transitions.ROLES.ADMIN) {
+      return res.status(403).json({ success: false, message: 'Only admins can assign drivers' });
+    }
     
-    const order = await Order.assignDriver(orderId, driver_id, driver_phone);
+    const order = await Order.assignDriver(orderId, driver_id, driver_phone, driver_user_id);
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
+    liveTracking.forget(orderId);
     
     // Notify customer
     if (order.user_id) {
@@ -336,7 +585,8 @@ exports.assignDriver = async (req, res) => {
     // Broadcast via WebSocket
     const io = req.app.get('socketio');
     if (io) {
-      io.to(orderId).emit('driver_assigned', { 
+      await orderRooms.evictUnauthorized(io, order);
+      io.to(orderRooms.roomFor(orderId)).emit('driver_assigned', { 
         order_id: orderId, 
         driver_id, 
         driver_phone, 
@@ -351,33 +601,32 @@ exports.assignDriver = async (req, res) => {
   }
 };
 
+// Same pipeline as the rider app's `update_location` socket event: only the
+// assigned rider may post, and fixes are rate-limited, sanity-checked and
+// smoothed before the ETA is recomputed and the order's room is told.
 exports.updateDriverLocation = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { driver_id, latitude, longitude, accuracy, speed, bearing } = req.body;
-    
-    const location = await Order.updateDriverLocation(
-      orderId, driver_id, latitude, longitude, accuracy, speed, bearing
-    );
-    
-    // Broadcast location via WebSocket
-    const io = req.app.get('socketio');
-    if (io) {
-      io.to(orderId).emit('driver_location_update', {
-        order_id: orderId,
-        driver_location: {
-          latitude,
-          longitude,
-          accuracy,
-          speed,
-          bearing,
-          timestamp: location.timestamp
-        }
-      });
+    if (actorFrom(req).role !== Transitions.ROLES.DRIVER) {
+      return res.status(403).json({ success: false, message: 'Only the assigned driver can report its location' });
     }
-    
-    return res.json({ success: true, location_updated: true });
+
+    const update = await liveTracking.record(orderId, req.userId, req.body);
+
+    const io = req.app.get('socketio');
+    if (io) orderRooms.broadcastLocation(io, update);
+
+    return res.json({
+      success: true,
+      location_updated: true,
+      driver_location: update.driver_location,
+      eta_minutes: update.eta_minutes,
+      estimated_delivery_time: update.estimated_delivery_time
+    });
   } catch (e) {
+    if (e instanceof liveTracking.LocationRejectedError) {
+      return res.status(e.statusCode).json({ success: false, message: e.message, code: e.code });
+    }
     console.error('update driver location failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
@@ -387,31 +636,16 @@ exports.restaurantAccept = async (req, res) => {
   try {
     const orderId = req.params.id;
     const { preparation_time_minutes } = req.body;
-    
-    const order = await Order.getOrder(orderId);
-    if (!order) {
+
+    const result = await runTransition(req, orderId, 'accept', { preparation_time_minutes });
+    if (!result) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
-    
-    const updated = await Order.updateStatus(orderId, 'CONFIRMED', {
-      preparation_time_minutes: preparation_time_minutes || 20
-    });
-    
-    // Notify customer
-    if (updated.user_id) {
-      await sendNotification(
-        updated.user_id,
-        'PUSH',
-        'Order Accepted',
-        `Restaurant has accepted your order. Estimated preparation time: ${preparation_time_minutes || 20} minutes`,
-        orderId,
-        'HIGH',
-        req.accessToken
-      );
-    }
-    
-    return res.json({ success: true, status: 'CONFIRMED', preparation_time_minutes });
+    const updated = result.order;
+
+    return res.json({ success: true, status: updated.status, preparation_time_minutes: updated.preparation_time_minutes });
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('restaurant accept failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
@@ -420,35 +654,16 @@ exports.restaurantAccept = async (req, res) => {
 exports.markFoodReady = async (req, res) => {
   try {
     const orderId = req.params.id;
-    
-    const updated = await Order.updateStatus(orderId, 'READY_FOR_PICKUP', {
-      food_ready_time: new Date()
-    });
-    
-    // Notify driver and customer
-    if (updated.user_id) {
-      await sendNotification(
-        updated.user_id,
-        'PUSH',
-        'Food Ready',
-        'Your food is ready for pickup! Driver will collect it soon.',
-        orderId,
-        'HIGH',
-        req.accessToken
-      );
-    }
-    
-    // Broadcast via WebSocket
-    const io = req.app.get('socketio');
-    if (io) {
-      io.to(orderId).emit('food_ready', { 
-        order_id: orderId, 
-        timestamp: new Date().toISOString() 
-      });
+
+    const result = await runTransition(req, orderId, 'mark_ready', { food_ready_time: new Date() });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
     }
-    
-    return res.json({ success: true, status: 'READY_FOR_PICKUP' });
+    const updated = result.order;
+
+    return res.json({ success: true, status: updated.status });
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('mark food ready failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
@@ -457,26 +672,16 @@ exports.markFoodReady = async (req, res) => {
 exports.markOrderPickedUp = async (req, res) => {
   try {
     const orderId = req.params.id;
-    
-    const updated = await Order.updateStatus(orderId, 'OUT_FOR_DELIVERY', {
-      pickup_time: new Date()
-    });
-    
-    // Notify customer
-    if (updated.user_id) {
-      await sendNotification(
-        updated.user_id,
-        'PUSH',
-        'Order Picked Up',
-        'Your order has been picked up and is on the way!',
-        orderId,
-        'HIGH',
-        req.accessToken
-      );
+
+    const result = await runTransition(req, orderId, 'pick_up', { pickup_time: new Date() });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
     }
-    
-    return res.json({ success: true, status: 'OUT_FOR_DELIVERY' });
+    const updated = result.order;
+
+    return res.json({ success: true, status: updated.status });
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('mark order picked up failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
@@ -486,28 +691,20 @@ exports.markOrderDelivered = async (req, res) => {
   try {
     const orderId = req.params.id;
     const { delivery_photo, delivery_notes } = req.body;
-    
-    const updated = await Order.updateStatus(orderId, 'DELIVERED', {
+
+    const result = await runTransition(req, orderId, 'deliver', {
       delivery_time: new Date(),
       delivery_photo,
       delivery_notes
     });
-    
-    // Notify customer
-    if (updated.user_id) {
-      await sendNotification(
-        updated.user_id,
-        'PUSH',
-        'Order Delivered',
-        'Your order has been delivered! Enjoy your meal and don\'t forget to rate us.',
-        orderId,
-        'HIGH',
-        req.accessToken
-      );
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
     }
-    
-    return res.json({ success: true, status: 'DELIVERED' });
+    const updated = result.order;
+
+    return res.json({ success: true, status: updated.status });
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('mark order delivered failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
@@ -515,62 +712,64 @@ exports.markOrderDelivered = async (req, res) => {
 
 exports.cancelOrder = async (req, res) => {
   try {
-    const orderId = req.params.id;
-    const { reason } = req.body;
-    
-    const order = await Order.getOrder(orderId);
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
-    
-    // Check if cancellation is allowed
-    if (!['PENDING', 'CONFIRMED', 'PREPARING'].includes(order.status)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Order cannot be cancelled at this stage' 
-      });
-    }
-    
-    const updated = await Order.updateStatus(orderId, 'CANCELLED', {
-      cancellation_reason: reason,
-      cancelled_by: 'customer'
-    });
-    
-    return res.json({ success: true, status: 'CANCELLED' });
+    return await cancelAndSettle(req, res, req.params.id, req.body.reason);
   } catch (e) {
+    if (sendTransitionError(res, e)) return;
     console.error('cancel order failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
 };
 
-exports.rateOrder = async (req, res) => {
+exports.getCancellation = async (req, res) => {
   try {
-    const orderId = req.params.id;
-    const { rating, review, delivery_rating, food_rating } = req.body;
-    
-    // Implementation would save rating to database
-    // For now, just return success
-    
-    return res.json({ success: true, rating_submitted: true });
+    const order = await Order.getOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const actor = actorFrom(req);
+    if (actor.role === Transitions.ROLES.CUSTOMER && order.user_id !== actor.id) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    const cancellation = await Cancellations.getByOrderId(order.id);
+    if (!cancellation) return res.status(404).json({ success: false, message: 'Order has not been cancelled' });
+    return res.json({ success: true, receipt: cancellationService.receipt(cancellation) });
   } catch (e) {
-    console.error('rate order failed', e);
+    console.error('get cancellation failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
 };
 
-exports.updateDeliveryLocation = async (req, res) => {
+const rateOrderSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  food_rating: Joi.number().integer().min(1).max(5).optional(),
+  delivery_rating: Joi.number().integer().min(1).max(5).optional(),
+  review: Joi.string().max(1000).allow('').optional(),
+});
+
+// Only the customer who received the order may rate it, once. The rating is
+// stored here and then rolled up into the restaurant and partner scores.
+exports.rateOrder = async (req, res) => {
   try {
-    const { error, value } = deliveryLocationSchema.validate(req.body);
-    if (error) return res.status(400).json({ success: false, message: 'Invalid request' });
-    const { delivery_id, lat, lng } = value;
-    // Broadcast location via WebSocket to subscribed clients (implementation below)
-    const io = req.app.get('socketio');
-    if (io) {
-      io.to(delivery_id).emit('location_update', { delivery_id, lat, lng, timestamp: new Date().toISOString() });
+    const { error, value } = rateOrderSchema.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.message });
+
+    const order = await Order.getOrder(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    if (order.user_id !== req.userId) {
+      return res.status(403).json({ success: false, message: 'Only the customer who placed the order can rate it' });
     }
-    return res.json({ success: true });
+    if (order.status !== 'DELIVERED') {
+      return res.status(409).json({ success: false, message: 'Only delivered orders can be rated' });
+    }
+
+    const rating = await Order.createRating(order, value);
+    if (!rating) return res.status(409).json({ success: false, message: 'Order has already been rated' });
+
+    // Failures are picked up by the periodic sync
+    ratingSync.syncRating(rating).catch((e) => console.warn(`Rating sync for order ${order.id} deferred:`, e.message));
+
+    return res.status(201).json({ success: true, rating_submitted: true, rating });
   } catch (e) {
-    console.error('update delivery location failed', e);
+    console.error('rate order failed', e);
     return res.status(500).json({ success: false, message: 'Internal error' });
   }
 };
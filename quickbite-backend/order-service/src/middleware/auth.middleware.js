@@ -1,4 +1,37 @@
-// Minimal auth middleware supporting optional introspection
+const { verifyAccessToken, TokenVerificationError } = require('@quickbite/jwt-verifier');
+const gatewayIdentity = require('@quickbite/gateway-identity');
+
+// Accepts the identity headers the API gateway signs when
+// TRUST_GATEWAY_HEADERS is enabled, falling back to auth-service's JWKS
+// (AUTH_JWKS_URL) or introspection otherwise. With none of them configured
+// every request is refused.
+
+// Resolves to { userId, role, storeId } for an active token, null for an
+// inactive one, and undefined when neither a JWKS nor an introspection
+// endpoint is configured. Throws when auth-service cannot be reached.
+async function introspect(token) {
+  if (process.env.AUTH_JWKS_URL) {
+    try {
+      const identity = await verifyAccessToken(token);
+      return { userId: identity.userId, role: identity.role, storeId: identity.storeId };
+    } catch (e) {
+      if (e instanceof TokenVerificationError) return null;
+      throw e;
+    }
+  }
+
+  const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
+  if (!url) return undefined;
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token }),
+  });
+  const data = await r.json();
+  if (!data.active) return null;
+  return { userId: data.user_id, role: data.role || null, storeId: data.store_id || null };
+}
+
 module.exports = async function authMiddleware(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
@@ -7,25 +40,29 @@ module.exports = async function authMiddleware(req, res, next) {
       return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
     const token = m[1];
-    const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
-    if (url) {
+
+    const forwarded = process.env.TRUST_GATEWAY_HEADERS === 'true' ? gatewayIdentity.verify(req) : null;
+    if (forwarded) {
+      req.userId = forwarded.userId;
+      req.userRole = forwarded.role;
+      req.storeId = forwarded.storeId;
+    } else {
+      let identity;
       try {
-        const r = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ token }),
-        });
-        const data = await r.json();
-        if (!data.active) return res.status(401).json({ success: false, message: 'Unauthorized' });
-        req.userId = data.user_id;
+        identity = await introspect(token);
       } catch (e) {
         return res.status(401).json({ success: false, message: 'Unauthorized' });
       }
+      if (!identity) return res.status(401).json({ success: false, message: 'Unauthorized' });
+      req.userId = identity.userId;
+      req.userRole = identity.role;
+      req.storeId = identity.storeId;
     }
-    // If no introspect URL, allow in dev but still set token presence
     req.accessToken = token;
     next();
   } catch (e) {
     return res.status(401).json({ success: false, message: 'Unauthorized' });
   }
 }
+
+module.exports.introspect = introspect;
@@ -0,0 +1,87 @@
+const pool = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// One row per cancelled order. The refund, inventory, partner and discounts
+// columns each hold the state of one follow-up step ({ status, ... }) so a
+// partially settled cancellation can be resumed without repeating finished
+// steps.
+async function ensureSchema() {
+  const sql = `
+  CREATE TABLE IF NOT EXISTS order_cancellations (
+    id UUID PRIMARY KEY,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    cancelled_by_role TEXT NOT NULL,
+    cancelled_by_id TEXT,
+    previous_status TEXT NOT NULL,
+    reason TEXT,
+    refund_percent INTEGER NOT NULL,
+    order_total_cents INTEGER NOT NULL,
+    refund JSONB NOT NULL,
+    inventory JSONB NOT NULL,
+    partner JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'PROCESSING',
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_order_cancellations_status ON order_cancellations(status) WHERE status = 'PROCESSING';
+
+  -- Coupon and promotion usage given back; rows from before this step have
+  -- nothing to do
+  ALTER TABLE order_cancellations ADD COLUMN IF NOT EXISTS discounts JSONB NOT NULL DEFAULT '{"status": "SKIPPED"}';
+  `;
+  await pool.query(sql);
+}
+
+// `db` is the pool or, to write it with the order's status change, the
+// transaction's client
+async function createCancellation({ orderId, actor, previousStatus, reason, refundPercent, orderTotalCents, refund, inventory, partner, discounts }, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO order_cancellations
+       (id, order_id, cancelled_by_role, cancelled_by_id, previous_status, reason, refund_percent, order_total_cents, refund, inventory, partner, discounts)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+     ON CONFLICT (order_id) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), orderId, actor.role, actor.id || null, previousStatus, reason || null, refundPercent, orderTotalCents,
+      JSON.stringify(refund), JSON.stringify(inventory), JSON.stringify(partner), JSON.stringify(discounts)]
+  );
+  if (rows[0]) return rows[0];
+  const existing = await db.query('SELECT * FROM order_cancellations WHERE order_id = $1', [orderId]);
+  return existing.rows[0] || null;
+}
+
+async function getByOrderId(orderId) {
+  const { rows } = await pool.query('SELECT * FROM order_cancellations WHERE order_id = $1', [orderId]);
+  return rows[0] || null;
+}
+
+async function saveCancellation(c) {
+  const { rows } = await pool.query(
+    `UPDATE order_cancellations
+     SET refund = $2, inventory = $3, partner = $4, discounts = $5, status = $6, last_error = $7,
+         completed_at = $8, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [c.id, JSON.stringify(c.refund), JSON.stringify(c.inventory), JSON.stringify(c.partner), JSON.stringify(c.discounts),
+      c.status, c.last_error || null, c.completed_at || null]
+  );
+  return rows[0];
+}
+
+async function findUnsettled(limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT * FROM order_cancellations WHERE status = 'PROCESSING' ORDER BY created_at ASC LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  ensureSchema,
+  createCancellation,
+  getByOrderId,
+  saveCancellation,
+  findUnsettled
+};
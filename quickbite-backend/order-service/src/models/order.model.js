@@ -1,12 +1,15 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const Transitions = require('./order.transitions');
+const Slots = require('./slot.model');
 
-const ORDER_STATUSES = ['PENDING','CONFIRMED','PREPARING','READY_FOR_PICKUP','DISPATCHED','OUT_FOR_DELIVERY','DELIVERED','CANCELLED'];
+const ORDER_STATUSES = ['PENDING','SCHEDULED','CONFIRMED','PREPARING','READY_FOR_PICKUP','DISPATCHED','OUT_FOR_DELIVERY','DELIVERED','CANCELLED'];
 
 // Enhanced order tracking states with precise timing
 const ORDER_TRACKING_EVENTS = {
   ORDER_PLACED: 'Order placed successfully',
   PAYMENT_CONFIRMED: 'Payment confirmed',
+  ORDER_SCHEDULED: 'Order scheduled for your delivery slot',
   RESTAURANT_ACCEPTED: 'Restaurant accepted your order',
   FOOD_PREPARING: 'Your food is being prepared',
   FOOD_READY: 'Food is ready for pickup',
@@ -73,6 +76,41 @@ async function ensureSchema() {
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
   
+  CREATE TABLE IF NOT EXISTS order_ratings (
+    id UUID PRIMARY KEY,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    merchant_id UUID NOT NULL,
+    driver_id UUID,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    food_rating INTEGER CHECK (food_rating BETWEEN 1 AND 5),
+    delivery_rating INTEGER CHECK (delivery_rating BETWEEN 1 AND 5),
+    review TEXT,
+    restaurant_synced_at TIMESTAMP,
+    partner_synced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  
+  -- Price breakdown copied from the signed catalog quote the order was placed with
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS quote_id UUID;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_cents INTEGER;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_cents INTEGER DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_cents INTEGER DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS platform_fee_cents INTEGER DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_quote ON orders(quote_id) WHERE quote_id IS NOT NULL;
+  
+  -- Scheduled orders: the chosen delivery slot and when the kitchen gets the order
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS slot_end TIMESTAMPTZ;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS release_at TIMESTAMPTZ;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS release_held_at TIMESTAMPTZ;
+  CREATE INDEX IF NOT EXISTS idx_orders_release ON orders(release_at) WHERE status = 'SCHEDULED';
+
+  -- driver_id is the delivery-service partner; driver_user_id the rider's
+  -- auth-service account, which is what a signed-in driver is checked against
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS driver_user_id UUID;
+  
   CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
   CREATE INDEX IF NOT EXISTS idx_order_tracking_order ON order_tracking(order_id);
   CREATE INDEX IF NOT EXISTS idx_delivery_locations_order ON delivery_locations(order_id);
@@ -81,21 +119,35 @@ async function ensureSchema() {
   await pool.query(sql);
 }
 
-async function createOrder({ id, userId, merchantId, deliveryAddress, instructions, items, totalCents }) {
+// `schedule` is the slot resolved by the scheduling service for orders
+// placed ahead of time; a place in it is booked with the order.
+// `preparationMinutes` is the kitchen's current estimate for orders placed now.
+async function createOrder({ id, userId, merchantId, deliveryAddress, deliveryCoordinates = null, instructions, items, pricing, schedule = null, preparationMinutes = null }) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    if (schedule && !(await Slots.book(client, merchantId, schedule.slot_start, schedule.capacity))) {
+      throw new Slots.SlotFullError();
+    }
     await client.query(
-      `INSERT INTO orders(id, user_id, merchant_id, status, delivery_address, instructions, total_amount_cents)
-       VALUES($1,$2,$3,$4,$5,$6,$7)`,
-      [id, userId || null, merchantId, 'PENDING', deliveryAddress, instructions || null, totalCents]
+      `INSERT INTO orders(id, user_id, merchant_id, status, delivery_address, instructions, total_amount_cents,
+                          quote_id, subtotal_cents, discount_cents, tax_cents, delivery_fee_cents, platform_fee_cents, price_breakdown,
+                          scheduled_for, slot_end, release_at, estimated_delivery_time, preparation_time_minutes, delivery_coordinates)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,COALESCE($19, 20),$20)`,
+      [id, userId || null, merchantId, 'PENDING', deliveryAddress, instructions || null, pricing.total_cents,
+        pricing.id, pricing.subtotal_cents, pricing.discount_cents, pricing.tax_cents,
+        pricing.delivery_fee_cents, pricing.platform_fee_cents, JSON.stringify(pricing),
+        schedule ? schedule.slot_start : null, schedule ? schedule.slot_end : null,
+        schedule ? schedule.release_at : null, schedule ? schedule.slot_start : null,
+        schedule ? schedule.preparation_minutes : preparationMinutes,
+        deliveryCoordinates ? JSON.stringify(deliveryCoordinates) : null]
     );
     for (const it of items) {
       const itemRowId = uuidv4();
       await client.query(
-        `INSERT INTO order_items(id, order_id, item_id, quantity, price_cents)
-         VALUES($1, $2, $3, $4, $5)`,
-        [itemRowId, id, it.item_id, it.quantity, it.price_cents]
+        `INSERT INTO order_items(id, order_id, item_id, item_name, quantity, price_cents, customizations)
+         VALUES($1, $2, $3, $4, $5, $6, $7)`,
+        [itemRowId, id, it.item_id, it.item_name, it.quantity, it.price_cents, JSON.stringify(it.customizations || [])]
       );
     }
     await client.query('COMMIT');
@@ -137,40 +189,50 @@ async function getUserOrders(userId, limit = 20, offset = 0) {
   return rows;
 }
 
-function canTransition(from, to) {
-  const idx = ORDER_STATUSES.indexOf(from);
-  const nextMap = {
-    'PENDING': ['CONFIRMED','CANCELLED'],
-    'CONFIRMED': ['PREPARING','CANCELLED'],
-    'PREPARING': ['DISPATCHED','CANCELLED'],
-    'DISPATCHED': ['DELIVERED'],
-    'DELIVERED': [],
-    'CANCELLED': [],
-  };
-  return nextMap[from]?.includes(to) || false;
-}
-
-async function updateStatus(id, newStatus, eventData = {}) {
+// Run a lifecycle transition (see order.transitions.js). The row is locked
+// while the table's checks run, so two callers racing to move the same order
+// cannot both succeed. The tracking event records who made the change.
+// `record(client, previous)`, when given, writes a row that must exist
+// exactly when the change does (e.g. the cancellation) in the same
+// transaction; its result is returned as `record`.
+async function transition(id, action, actor, eventData = {}, { record = null } = {}) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    
-    // Update order status
+
+    const { rows: current } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+    if (current.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const previous = current[0];
+    const t = Transitions.assertTransition(previous, action, actor);
+
+    const extra = t.apply ? t.apply(eventData, previous) : {};
+    const columns = Object.keys(extra).filter((c) => Transitions.APPLICABLE_COLUMNS.includes(c));
+    const assignments = columns.map((c, i) => `${c} = $${i + 3}`);
     const { rows } = await client.query(
-      'UPDATE orders SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *', 
-      [id, newStatus]
+      `UPDATE orders SET ${['status = $2', ...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $1 RETURNING *`,
+      [id, t.to, ...columns.map((c) => extra[c])]
     );
-    
-    if (rows.length === 0) {
-      throw new Error('Order not found');
+
+    // A cancelled scheduled order gives its place in the slot back
+    if (t.to === 'CANCELLED' && previous.scheduled_for) {
+      await Slots.release(client, previous.merchant_id, previous.scheduled_for);
     }
-    
-    // Add tracking event
-    const eventMessage = ORDER_TRACKING_EVENTS[newStatus] || `Order status changed to ${newStatus}`;
-    await addTrackingEvent(client, id, newStatus, eventMessage, eventData);
-    
+
+    const eventMessage = ORDER_TRACKING_EVENTS[t.event] || `Order status changed to ${t.to}`;
+    await addTrackingEvent(client, id, t.to, eventMessage, {
+      ...eventData,
+      action,
+      from_status: previous.status,
+      actor: { role: actor.role, id: actor.id || null }
+    });
+    const recorded = record ? await record(client, previous) : null;
+
     await client.query('COMMIT');
-    return rows[0];
+    return { order: rows[0], previous, transition: t, record: recorded };
   } catch (e) {
     await client.query('ROLLBACK');
     throw e;
@@ -179,6 +241,39 @@ async function updateStatus(id, newStatus, eventData = {}) {
   }
 }
 
+// Orders the restaurant's kitchen has accepted and not yet finished
+async function countKitchenOrders(merchantId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM orders
+     WHERE merchant_id = $1 AND status IN ('CONFIRMED', 'PREPARING')`,
+    [merchantId]
+  );
+  return rows[0].count;
+}
+
+// Scheduled orders whose kitchen release time has passed
+async function getDueScheduledOrders(now = new Date(), limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT id, merchant_id, scheduled_for, release_at FROM orders
+     WHERE status = 'SCHEDULED' AND release_at <= $1 AND release_held_at IS NULL
+     ORDER BY release_at ASC LIMIT $2`,
+    [now, limit]
+  );
+  return rows;
+}
+
+// Take a scheduled order out of the release poll, with the reason on its
+// timeline for whoever picks it up
+async function holdScheduledRelease(orderId, reason, eventData = {}) {
+  const { rowCount } = await pool.query(
+    `UPDATE orders SET release_held_at = NOW(), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'SCHEDULED' AND release_held_at IS NULL`,
+    [orderId]
+  );
+  if (rowCount) await addTrackingEvent(pool, orderId, 'RELEASE_HELD', reason, eventData);
+  return rowCount > 0;
+}
+
 async function addTrackingEvent(client, orderId, eventType, message, eventData = {}, estimatedTimeRemaining = null) {
   const trackingId = uuidv4();
   await client.query(
@@ -188,6 +283,11 @@ async function addTrackingEvent(client, orderId, eventType, message, eventData =
   );
 }
 
+// Tracking entry that does not change the order's status
+async function recordEvent(orderId, eventType, message, eventData = {}) {
+  await addTrackingEvent(pool, orderId, eventType, message, eventData);
+}
+
 async function updateDriverLocation(orderId, driverId, latitude, longitude, accuracy, speed, bearing) {
   const locationId = uuidv4();
   await pool.query(
@@ -209,6 +309,13 @@ async function updateDriverLocation(orderId, driverId, latitude, longitude, accu
   };
 }
 
+async function updateEstimatedDeliveryTime(orderId, estimatedDeliveryTime) {
+  await pool.query(
+    'UPDATE orders SET estimated_delivery_time = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [orderId, estimatedDeliveryTime]
+  );
+}
+
 async function getOrderTracking(orderId) {
   const { rows } = await pool.query(
     `SELECT event_type, event_message, event_data, driver_location, estimated_time_remaining, timestamp
@@ -266,11 +373,13 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-async function assignDriver(orderId, driverId, driverPhone) {
+// `driverId` is the delivery partner's id, `driverUserId` the rider's
+// auth-service user id
+async function assignDriver(orderId, driverId, driverPhone, driverUserId) {
   const { rows } = await pool.query(
-    `UPDATE orders SET driver_id = $2, driver_phone = $3, updated_at = CURRENT_TIMESTAMP 
+    `UPDATE orders SET driver_id = $2, driver_phone = $3, driver_user_id = $4, updated_at = CURRENT_TIMESTAMP 
      WHERE id = $1 RETURNING *`,
-    [orderId, driverId, driverPhone]
+    [orderId, driverId, driverPhone, driverUserId || null]
   );
   
   if (rows.length > 0) {
@@ -292,20 +401,64 @@ async function assignDriver(orderId, driverId, driverPhone) {
   return rows[0] || null;
 }
 
+// Ratings are stored here first and then pushed to catalog (restaurant
+// score) and delivery (partner score); the *_synced_at columns track which
+// pushes are still outstanding.
+async function createRating(order, { rating, food_rating, delivery_rating, review }) {
+  const { rows } = await pool.query(
+    `INSERT INTO order_ratings(id, order_id, user_id, merchant_id, driver_id, rating, food_rating, delivery_rating, review)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9)
+     ON CONFLICT (order_id) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), order.id, order.user_id, order.merchant_id, order.driver_id || null,
+      rating, food_rating || null, delivery_rating || null, review || null]
+  );
+  return rows[0] || null;
+}
+
+async function getRating(orderId) {
+  const { rows } = await pool.query('SELECT * FROM order_ratings WHERE order_id = $1', [orderId]);
+  return rows[0] || null;
+}
+
+async function getUnsyncedRatings(limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT * FROM order_ratings
+     WHERE restaurant_synced_at IS NULL OR (driver_id IS NOT NULL AND partner_synced_at IS NULL)
+     ORDER BY created_at ASC LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+async function markRatingSynced(ratingId, target) {
+  const column = target === 'partner' ? 'partner_synced_at' : 'restaurant_synced_at';
+  await pool.query(`UPDATE order_ratings SET ${column} = CURRENT_TIMESTAMP WHERE id = $1`, [ratingId]);
+}
+
 module.exports = { 
   ensureSchema, 
   createOrder, 
   getOrder,
   getUserOrders,
-  updateStatus, 
-  canTransition, 
+  transition,
+  canTransition: Transitions.canTransition,
+  getDueScheduledOrders,
+  holdScheduledRelease,
+  countKitchenOrders,
   ORDER_STATUSES,
   ORDER_TRACKING_EVENTS,
   addTrackingEvent,
+  recordEvent,
   updateDriverLocation,
+  updateEstimatedDeliveryTime,
   getOrderTracking,
   getDriverLocation,
   estimateDeliveryTime,
   calculateDistance,
-  assignDriver
+  assignDriver,
+  createRating,
+  getRating,
+  getUnsyncedRatings,
+  markRatingSynced
 };
@@ -0,0 +1,240 @@
+// Declarative order lifecycle. Every status change goes through one of these
+// transitions: `from` lists the statuses it may start in (per role where the
+// roles differ), `roles` who may trigger it, `guard` any extra precondition,
+// `apply` the extra columns written with the status and `notify`/`broadcast`
+// the side effects run once the change is committed.
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  RESTAURANT: 'restaurant',
+  DRIVER: 'driver',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// auth-service roles (customer, staff, driver, admin, super_admin) that map
+// onto the roles above; staff are restaurant staff, tied to their store_id
+// as in catalog's RBAC
+const ROLE_ALIASES = {
+  staff: ROLES.RESTAURANT,
+  super_admin: ROLES.ADMIN
+};
+
+const SYSTEM_ACTOR = Object.freeze({ role: ROLES.SYSTEM, id: null });
+
+const TERMINAL_STATUSES = ['DELIVERED', 'CANCELLED'];
+const ACTIVE_STATUSES = ['PENDING', 'SCHEDULED', 'CONFIRMED', 'PREPARING', 'READY_FOR_PICKUP', 'DISPATCHED', 'OUT_FOR_DELIVERY'];
+
+class IllegalTransitionError extends Error {
+  constructor(action, status) {
+    super(`Cannot ${action.replace(/_/g, ' ')} an order that is ${status}`);
+    this.name = 'IllegalTransitionError';
+    this.statusCode = 409;
+    this.code = 'ILLEGAL_TRANSITION';
+  }
+}
+
+class TransitionForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransitionForbiddenError';
+    this.statusCode = 403;
+    this.code = 'TRANSITION_FORBIDDEN';
+  }
+}
+
+class TransitionGuardError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TransitionGuardError';
+    this.statusCode = 409;
+    this.code = code;
+  }
+}
+
+// Drivers are matched on their auth-service account (driver_user_id), not
+// the delivery partner id kept in driver_id
+function requireAssignedDriver(order, actor) {
+  if (!order.driver_id) {
+    throw new TransitionGuardError('No delivery driver has been assigned to this order', 'DRIVER_NOT_ASSIGNED');
+  }
+  if (actor.role === ROLES.DRIVER && (!order.driver_user_id || String(order.driver_user_id) !== String(actor.id))) {
+    throw new TransitionForbiddenError('Order is assigned to a different driver');
+  }
+}
+
+const shortId = (order) => order.id.substring(0, 8);
+
+const TRANSITIONS = {
+  // Paid for a future slot; held until its release time (release_at)
+  schedule: {
+    from: ['PENDING'],
+    to: 'SCHEDULED',
+    roles: [ROLES.SYSTEM, ROLES.ADMIN],
+    event: 'ORDER_SCHEDULED',
+    notify: (order) => ({
+      title: 'Order Scheduled',
+      message: `Your order #${shortId(order)} is confirmed for your chosen delivery slot.`,
+      priority: 'MEDIUM'
+    })
+  },
+  confirm: {
+    from: ['PENDING', 'SCHEDULED'],
+    to: 'CONFIRMED',
+    roles: [ROLES.SYSTEM, ROLES.ADMIN],
+    event: 'PAYMENT_CONFIRMED',
+    notify: (order) => ({
+      title: 'Order Confirmed',
+      message: `Your order #${shortId(order)} has been confirmed and is being prepared.`,
+      priority: 'HIGH'
+    })
+  },
+  accept: {
+    from: ['CONFIRMED'],
+    to: 'PREPARING',
+    roles: [ROLES.RESTAURANT, ROLES.ADMIN],
+    event: 'RESTAURANT_ACCEPTED',
+    apply: (data, order) => ({ preparation_time_minutes: data.preparation_time_minutes || order.preparation_time_minutes || 20 }),
+    notify: (order) => ({
+      title: 'Order Accepted',
+      message: `Restaurant has accepted your order. Estimated preparation time: ${order.preparation_time_minutes} minutes`,
+      priority: 'HIGH'
+    }),
+    broadcast: 'order_accepted'
+  },
+  mark_ready: {
+    from: ['PREPARING'],
+    to: 'READY_FOR_PICKUP',
+    roles: [ROLES.RESTAURANT, ROLES.ADMIN],
+    event: 'FOOD_READY',
+    notify: () => ({
+      title: 'Food Ready',
+      message: 'Your food is ready for pickup! Driver will collect it soon.',
+      priority: 'HIGH'
+    }),
+    broadcast: 'food_ready'
+  },
+  dispatch: {
+    from: ['READY_FOR_PICKUP'],
+    to: 'DISPATCHED',
+    roles: [ROLES.RESTAURANT, ROLES.ADMIN],
+    event: 'DRIVER_AT_RESTAURANT',
+    guard: requireAssignedDriver,
+    notify: () => ({ title: 'Order Dispatched', message: 'Your order is on the way!', priority: 'HIGH' })
+  },
+  pick_up: {
+    from: ['READY_FOR_PICKUP', 'DISPATCHED'],
+    to: 'OUT_FOR_DELIVERY',
+    roles: [ROLES.DRIVER, ROLES.ADMIN],
+    event: 'ORDER_PICKED_UP',
+    guard: requireAssignedDriver,
+    notify: () => ({
+      title: 'Order Picked Up',
+      message: 'Your order has been picked up and is on the way!',
+      priority: 'HIGH'
+    }),
+    broadcast: 'order_picked_up'
+  },
+  deliver: {
+    from: ['DISPATCHED', 'OUT_FOR_DELIVERY'],
+    to: 'DELIVERED',
+    roles: [ROLES.DRIVER, ROLES.ADMIN],
+    event: 'ORDER_DELIVERED',
+    guard: requireAssignedDriver,
+    apply: () => ({ actual_delivery_time: new Date() }),
+    notify: () => ({
+      title: 'Order Delivered',
+      message: 'Your order has been delivered! Enjoy your meal and don\'t forget to rate us.',
+      priority: 'HIGH'
+    }),
+    broadcast: 'order_delivered'
+  },
+  cancel: {
+    from: {
+      [ROLES.CUSTOMER]: ['PENDING', 'SCHEDULED', 'CONFIRMED', 'PREPARING'],
+      [ROLES.RESTAURANT]: ['PENDING', 'SCHEDULED', 'CONFIRMED', 'PREPARING', 'READY_FOR_PICKUP'],
+      [ROLES.ADMIN]: ACTIVE_STATUSES,
+      [ROLES.SYSTEM]: ACTIVE_STATUSES
+    },
+    to: 'CANCELLED',
+    roles: [ROLES.CUSTOMER, ROLES.RESTAURANT, ROLES.ADMIN, ROLES.SYSTEM],
+    notify: (order) => ({
+      title: 'Order Cancelled',
+      message: `Your order #${shortId(order)} has been cancelled.`,
+      priority: 'MEDIUM'
+    }),
+    broadcast: 'order_cancelled'
+  }
+};
+
+// Columns a transition's `apply` may write alongside the status
+const APPLICABLE_COLUMNS = ['preparation_time_minutes', 'actual_delivery_time', 'estimated_delivery_time'];
+
+function normalizeRole(role) {
+  if (!role) return null;
+  const lower = String(role).toLowerCase();
+  return ROLE_ALIASES[lower] || lower;
+}
+
+function sourceStatuses(transition, role) {
+  if (Array.isArray(transition.from)) return transition.from;
+  return transition.from[role] || [];
+}
+
+// Customers may only act on their own orders and restaurants on orders
+// placed with their store.
+function assertOwnership(order, actor) {
+  if (actor.role === ROLES.CUSTOMER && String(order.user_id) !== String(actor.id)) {
+    throw new TransitionForbiddenError('Order belongs to a different customer');
+  }
+  if (actor.role === ROLES.RESTAURANT && String(order.merchant_id) !== String(actor.storeId)) {
+    throw new TransitionForbiddenError('Order belongs to a different restaurant');
+  }
+}
+
+// Throws unless `actor` may run `action` on `order` right now. Role checks
+// come first so callers learn they lack permission before they learn about
+// the order's state.
+function assertTransition(order, action, actor) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown order transition "${action}"`);
+
+  if (!transition.roles.includes(actor.role)) {
+    throw new TransitionForbiddenError(`Role ${actor.role || 'anonymous'} may not ${action.replace(/_/g, ' ')} orders`);
+  }
+  assertOwnership(order, actor);
+  if (!sourceStatuses(transition, actor.role).includes(order.status)) {
+    throw new IllegalTransitionError(action, order.status);
+  }
+  if (transition.guard) transition.guard(order, actor);
+  return transition;
+}
+
+// Each status is reached by exactly one action
+function actionFor(status) {
+  return Object.keys(TRANSITIONS).find((action) => TRANSITIONS[action].to === status) || null;
+}
+
+// True when some role may move an order from `from` to `to`
+function canTransition(from, to) {
+  return Object.values(TRANSITIONS).some((t) => {
+    if (t.to !== to) return false;
+    const sources = Array.isArray(t.from) ? t.from : Object.values(t.from).flat();
+    return sources.includes(from);
+  });
+}
+
+module.exports = {
+  ROLES,
+  SYSTEM_ACTOR,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  APPLICABLE_COLUMNS,
+  IllegalTransitionError,
+  TransitionForbiddenError,
+  TransitionGuardError,
+  normalizeRole,
+  assertTransition,
+  actionFor,
+  canTransition
+};
@@ -0,0 +1,88 @@
+const pool = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// A saga row is the single source of truth for where an order is in the
+// distributed workflow. `version` guards every write so a late result and
+// the timeout sweeper cannot both move the same saga.
+async function ensureSchema() {
+  const sql = `
+  CREATE TABLE IF NOT EXISTS order_sagas (
+    id UUID PRIMARY KEY,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    state TEXT NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    deadline_at TIMESTAMP,
+    last_error TEXT,
+    version INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_order_sagas_deadline ON order_sagas(deadline_at) WHERE deadline_at IS NOT NULL;
+  `;
+  await pool.query(sql);
+}
+
+class SagaConflictError extends Error {
+  constructor(sagaId) {
+    super(`Saga ${sagaId} was modified concurrently`);
+    this.name = 'SagaConflictError';
+  }
+}
+
+async function createSaga({ orderId, state, data = {}, deadlineAt = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO order_sagas (id, order_id, state, data, history, deadline_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (order_id) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), orderId, state, JSON.stringify(data), JSON.stringify([{ state, at: new Date().toISOString() }]), deadlineAt]
+  );
+  return rows[0] || getSagaByOrderId(orderId);
+}
+
+async function getSaga(id) {
+  const { rows } = await pool.query('SELECT * FROM order_sagas WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function getSagaByOrderId(orderId) {
+  const { rows } = await pool.query('SELECT * FROM order_sagas WHERE order_id = $1', [orderId]);
+  return rows[0] || null;
+}
+
+// Persist a modified saga. Throws SagaConflictError when someone else wrote
+// the row since it was read.
+async function saveSaga(saga) {
+  const { rows } = await pool.query(
+    `UPDATE order_sagas
+     SET state = $3, data = $4, history = $5, deadline_at = $6, last_error = $7,
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND version = $2
+     RETURNING *`,
+    [saga.id, saga.version, saga.state, JSON.stringify(saga.data), JSON.stringify(saga.history),
+      saga.deadline_at, saga.last_error || null]
+  );
+  if (rows.length === 0) throw new SagaConflictError(saga.id);
+  return rows[0];
+}
+
+async function findExpiredSagas(now = new Date(), limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT * FROM order_sagas WHERE deadline_at IS NOT NULL AND deadline_at <= $1
+     ORDER BY deadline_at ASC LIMIT $2`,
+    [now, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  ensureSchema,
+  createSaga,
+  getSaga,
+  getSagaByOrderId,
+  saveSaga,
+  findExpiredSagas,
+  SagaConflictError
+};
@@ -0,0 +1,68 @@
+const pool = require('../config/database');
+
+class SlotFullError extends Error {
+  constructor() {
+    super('This delivery slot is fully booked');
+    this.name = 'SlotFullError';
+    this.code = 'SLOT_FULL';
+    this.statusCode = 409;
+  }
+}
+
+// Scheduled orders booked per restaurant delivery slot. Capacity is enforced
+// when booking, so `booked` never exceeds what the restaurant allows.
+async function ensureSchema() {
+  const sql = `
+  CREATE TABLE IF NOT EXISTS order_slot_bookings (
+    merchant_id UUID NOT NULL,
+    slot_start TIMESTAMPTZ NOT NULL,
+    booked INTEGER NOT NULL DEFAULT 0 CHECK (booked >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (merchant_id, slot_start)
+  );
+  `;
+  await pool.query(sql);
+}
+
+// Takes one place in the slot inside the caller's transaction. Resolves to
+// false when the slot is already full.
+async function book(client, merchantId, slotStart, capacity) {
+  if (capacity <= 0) return false;
+  const { rows } = await client.query(
+    `INSERT INTO order_slot_bookings (merchant_id, slot_start, booked)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (merchant_id, slot_start) DO UPDATE
+       SET booked = order_slot_bookings.booked + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE order_slot_bookings.booked < $3
+     RETURNING booked`,
+    [merchantId, slotStart, capacity]
+  );
+  return rows.length > 0;
+}
+
+async function release(client, merchantId, slotStart) {
+  await client.query(
+    `UPDATE order_slot_bookings
+     SET booked = GREATEST(booked - 1, 0), updated_at = CURRENT_TIMESTAMP
+     WHERE merchant_id = $1 AND slot_start = $2`,
+    [merchantId, slotStart]
+  );
+}
+
+// Map of slot start (ISO string) to orders booked, for slots in [from, to)
+async function getBookings(merchantId, from, to) {
+  const { rows } = await pool.query(
+    `SELECT slot_start, booked FROM order_slot_bookings
+     WHERE merchant_id = $1 AND slot_start >= $2 AND slot_start < $3`,
+    [merchantId, from, to]
+  );
+  return new Map(rows.map((r) => [new Date(r.slot_start).toISOString(), r.booked]));
+}
+
+module.exports = {
+  SlotFullError,
+  ensureSchema,
+  book,
+  release,
+  getBookings
+};
@@ -0,0 +1,137 @@
+const Order = require('../models/order.model');
+const { ROLES, normalizeRole } = require('../models/order.transitions');
+const { introspect } = require('../middleware/auth.middleware');
+const liveTracking = require('../services/liveTracking.service');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const roomFor = (orderId) => `order:${orderId}`;
+
+// Which party to `order` the identity is, or null when it has no business
+// following the order: only its customer, its restaurant and the rider
+// assigned to it may join the order's room.
+function participantOf(order, identity) {
+  if (!order || !identity || !identity.userId) return null;
+  const role = normalizeRole(identity.role);
+  if (order.user_id && String(order.user_id) === String(identity.userId)) return ROLES.CUSTOMER;
+  if (role === ROLES.RESTAURANT && identity.storeId && String(order.merchant_id) === String(identity.storeId)) {
+    return ROLES.RESTAURANT;
+  }
+  if (role === ROLES.DRIVER && order.driver_user_id && String(order.driver_user_id) === String(identity.userId)) {
+    return ROLES.DRIVER;
+  }
+  return null;
+}
+
+function tokenOf(socket) {
+  if (socket.handshake.auth && socket.handshake.auth.token) return socket.handshake.auth.token;
+  const m = (socket.handshake.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1] : null;
+}
+
+// Clients connect straight to this service rather than through the gateway,
+// so every socket is introspected with auth-service. Without an introspection
+// endpoint nobody can be told apart and all sockets are refused.
+async function authenticate(socket, next) {
+  const token = tokenOf(socket);
+  if (!token) return next(new Error('Authentication token required'));
+  try {
+    const identity = await introspect(token);
+    if (!identity) return next(new Error('Authentication failed'));
+    socket.data.identity = identity;
+    socket.data.token = token;
+    next();
+  } catch (e) {
+    next(new Error('Authentication failed'));
+  }
+}
+
+const replyWith = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+async function subscribe(socket, orderId, reply) {
+  // The token may have been revoked since the socket connected
+  const identity = await introspect(socket.data.token);
+  const order = typeof orderId === 'string' && UUID.test(orderId) ? await Order.getOrder(orderId) : null;
+  const participant = identity ? participantOf(order, identity) : null;
+  if (!participant) {
+    const denied = { success: false, order_id: orderId, message: 'You cannot follow this order', code: 'ROOM_FORBIDDEN' };
+    socket.emit('subscription_error', denied);
+    return reply(denied);
+  }
+
+  socket.join(roomFor(order.id));
+  reply({ success: true, order_id: order.id, participant });
+
+  // Bring the new subscriber up to date with the rider's last position
+  const location = await Order.getDriverLocation(order.id);
+  if (location) {
+    socket.emit('driver_location_update', {
+      order_id: order.id,
+      driver_location: location,
+      estimated_delivery_time: order.estimated_delivery_time
+    });
+  }
+}
+
+function broadcastLocation(io, update) {
+  io.to(roomFor(update.order_id)).emit('driver_location_update', update);
+}
+
+function attach(io) {
+  io.use(authenticate);
+
+  io.on('connection', (socket) => {
+    const { identity } = socket.data;
+    console.log(`WebSocket client connected: ${socket.id} (user ${identity.userId})`);
+
+    // The order id doubles as the delivery id in clients that still say so
+    socket.on('subscribe_delivery', async (orderId, ack) => {
+      const reply = replyWith(ack);
+      try {
+        await subscribe(socket, orderId, reply);
+      } catch (e) {
+        console.error(`subscribe to order ${orderId} failed`, e);
+        reply({ success: false, order_id: orderId, message: 'Internal error' });
+      }
+    });
+
+    socket.on('unsubscribe_delivery', (orderId, ack) => {
+      socket.leave(roomFor(orderId));
+      replyWith(ack)({ success: true, order_id: orderId });
+    });
+
+    // Riders stream their position for the order they are delivering
+    socket.on('update_location', async (data, ack) => {
+      const reply = replyWith(ack);
+      if (normalizeRole(identity.role) !== ROLES.DRIVER || !data || !UUID.test(String(data.order_id))) {
+        return reply({ success: false, message: 'Not a rider location update', code: 'INVALID_LOCATION' });
+      }
+      try {
+        const update = await liveTracking.record(data.order_id, identity.userId, data);
+        broadcastLocation(io, update);
+        reply({ success: true, eta_minutes: update.eta_minutes });
+      } catch (e) {
+        if (e instanceof liveTracking.LocationRejectedError) {
+          return reply({ success: false, message: e.message, code: e.code });
+        }
+        console.error(`location update for order ${data.order_id} failed`, e);
+        reply({ success: false, message: 'Internal error' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`WebSocket client disconnected: ${socket.id}`);
+    });
+  });
+}
+
+// Removes sockets that may no longer follow `order`, such as the previous
+// rider after a reassignment
+async function evictUnauthorized(io, order) {
+  const sockets = await io.in(roomFor(order.id)).fetchSockets();
+  for (const socket of sockets) {
+    if (!participantOf(order, socket.data.identity)) socket.leave(roomFor(order.id));
+  }
+}
+
+module.exports = { roomFor, participantOf, attach, broadcastLocation, evictUnauthorized };
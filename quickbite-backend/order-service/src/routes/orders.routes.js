@@ -2,16 +2,22 @@ const express = require('express');
 const router = express.Router();
 const ctrl = require('../controllers/order.controller');
 const auth = require('../middleware/auth.middleware');
+const idempotency = require('../middleware/idempotency.middleware');
+const requireInternal = require('@quickbite/internal-auth');
 
 // Core order management
-router.post('/orders', auth, ctrl.create);
+router.post('/orders', auth, idempotency('orders.create'), ctrl.create);
 router.get('/orders/:id', auth, ctrl.getById);
 router.get('/orders', auth, ctrl.getUserOrders);
 router.patch('/orders/:id/status', auth, ctrl.updateStatus);
 
+// Scheduled orders
+router.get('/merchants/:merchantId/slots', auth, ctrl.getSlots);
+
 // Real-time tracking endpoints
 router.get('/orders/:id/tracking', auth, ctrl.getOrderTracking);
 router.get('/orders/:id/location', auth, ctrl.getDriverLocation);
+router.get('/orders/:id/live-access', auth, ctrl.getLiveAccess);
 router.post('/orders/:id/estimate', auth, ctrl.estimateDeliveryTime);
 
 // Driver management
@@ -20,7 +26,6 @@ router.post('/orders/:id/driver-location', auth, ctrl.updateDriverLocation);
 
 // Payment integration
 router.post('/orders/:id/payment/confirm', auth, ctrl.confirmPayment);
-router.post('/orders/:id/payment/failed', auth, ctrl.handlePaymentFailure);
 
 // Restaurant integration
 router.post('/orders/:id/restaurant/accept', auth, ctrl.restaurantAccept);
@@ -29,10 +34,14 @@ router.post('/orders/:id/restaurant/ready', auth, ctrl.markFoodReady);
 // Delivery events
 router.post('/orders/:id/delivery/pickup', auth, ctrl.markOrderPickedUp);
 router.post('/orders/:id/delivery/complete', auth, ctrl.markOrderDelivered);
-router.post('/orders/:id/delivery/issue', auth, ctrl.reportDeliveryIssue);
 
 // Customer actions
 router.post('/orders/:id/cancel', auth, ctrl.cancelOrder);
+router.get('/orders/:id/cancellation', auth, ctrl.getCancellation);
 router.post('/orders/:id/rating', auth, ctrl.rateOrder);
 
+// Service-to-service
+router.get('/internal/orders/:id', requireInternal, ctrl.getInternal);
+router.post('/internal/orders/:id/payment/confirm', requireInternal, ctrl.confirmPaymentInternal);
+
 module.exports = router;
@@ -1,97 +1,441 @@
-const { Kafka } = require('kafkajs');
 const Order = require('../models/order.model');
+const { SYSTEM_ACTOR } = require('../models/order.transitions');
+const SagaStore = require('../models/saga.model');
+const discountService = require('../services/discounts.service');
+const { TOPICS } = require('@quickbite/messaging');
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+
+// RESERVING_INVENTORY -> AWAITING_PAYMENT -> AWAITING_DELIVERY -> COMPLETED
+// Orders for a future slot wait in AWAITING_RELEASE between payment and
+// delivery until the scheduling service releases them. Any failure or expired deadline moves the saga to COMPENSATING, which undoes
+// the completed steps in reverse order and ends in COMPENSATED.
+const SAGA_STATES = {
+  RESERVING_INVENTORY: 'RESERVING_INVENTORY',
+  AWAITING_PAYMENT: 'AWAITING_PAYMENT',
+  AWAITING_RELEASE: 'AWAITING_RELEASE',
+  AWAITING_DELIVERY: 'AWAITING_DELIVERY',
+  COMPLETED: 'COMPLETED',
+  COMPENSATING: 'COMPENSATING',
+  COMPENSATED: 'COMPENSATED'
+};
+
+const COMPENSATION_STEPS = {
+  RELEASE_PARTNER: 'RELEASE_PARTNER',
+  REFUND_PAYMENT: 'REFUND_PAYMENT',
+  RESTORE_INVENTORY: 'RESTORE_INVENTORY',
+  CANCEL_ORDER: 'CANCEL_ORDER',
+  RELEASE_DISCOUNTS: 'RELEASE_DISCOUNTS'
+};
+
+function envMs(name, fallback) {
+  return parseInt(process.env[name] || String(fallback), 10);
+}
+
+const DEFAULT_CONFIG = {
+  reservationTimeoutMs: envMs('SAGA_RESERVATION_TIMEOUT_MS', 2 * 60 * 1000),
+  paymentTimeoutMs: envMs('SAGA_PAYMENT_TIMEOUT_MS', 15 * 60 * 1000),
+  deliveryTimeoutMs: envMs('SAGA_DELIVERY_TIMEOUT_MS', 5 * 60 * 1000),
+  deliveryRetryDelayMs: envMs('SAGA_DELIVERY_RETRY_DELAY_MS', 60 * 1000),
+  deliveryMaxAttempts: envMs('SAGA_DELIVERY_MAX_ATTEMPTS', 3),
+  compensationRetryMs: envMs('SAGA_COMPENSATION_RETRY_MS', 30 * 1000),
+  sweepIntervalMs: envMs('SAGA_SWEEP_INTERVAL_MS', 15 * 1000)
+};
+
+class InsufficientStockError extends Error {
+  constructor(itemId) {
+    super(`Insufficient stock for item ${itemId}`);
+    this.name = 'InsufficientStockError';
+    this.itemId = itemId;
+  }
+}
+
+// Inventory adapter backed by the catalog service's inventory endpoint
+const catalogInventory = {
+  async reserve(item, reason) {
+    await this.change(item, 'sale', reason);
+  },
+
+  async restore(item, reason) {
+    await this.change(item, 'restock', reason);
+  },
+
+  async change(item, changeType, reason) {
+    const r = await fetch(`${CATALOG_BASE}/menu-items/${item.item_id}/inventory`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || ''
+      },
+      body: JSON.stringify({ change_type: changeType, quantity_change: item.quantity, reason })
+    });
+    if (r.status === 409) throw new InsufficientStockError(item.item_id);
+    if (!r.ok) throw new Error(`Inventory ${changeType} failed for ${item.item_id}: ${r.status}`);
+  }
+};
 
 class OrderSaga {
-  constructor() {
-    this.kafka = new Kafka({
-      clientId: 'order-service',
-      brokers: process.env.KAFKA_BROKERS.split(',')
+  constructor({ store = SagaStore, orders = Order, inventory = catalogInventory, discounts = discountService, clock = () => new Date(), config = {} } = {}) {
+    this.store = store;
+    this.orders = orders;
+    this.inventory = inventory;
+    this.discounts = discounts;
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.broker = null;
+    this.sweeper = null;
+  }
+
+  isRunning() {
+    return this.broker !== null;
+  }
+
+  async start(broker, { sweep = true } = {}) {
+    this.broker = broker;
+    await broker.subscribe('order-service-saga', {
+      [TOPICS.PAYMENT_RESULTS]: (msg) => this.handlePaymentResult(msg),
+      [TOPICS.DELIVERY_RESULTS]: (msg) => this.handleDeliveryResult(msg)
     });
+
+    if (sweep) {
+      this.sweeper = setInterval(() => {
+        this.checkTimeouts().catch((e) => console.error('Saga timeout sweep failed:', e.message));
+      }, this.config.sweepIntervalMs);
+      this.sweeper.unref();
+    }
   }
 
-  async initiateOrder(orderData) {
-    try {
-      // 1. Create order in pending state
-      const order = await Order.create({
-        ...orderData,
-        status: 'PENDING'
-      });
+  stop() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = null;
+    this.broker = null;
+  }
 
-      // 2. Request payment
-      await this.requestPayment(order);
+  // Reserve stock for a freshly created order and request payment
+  async begin(orderId) {
+    const order = await this.orders.getOrder(orderId);
+    if (!order) throw new Error(`Order ${orderId} not found`);
+
+    let saga = await this.store.createSaga({
+      orderId,
+      state: SAGA_STATES.RESERVING_INVENTORY,
+      data: { reserved: [] },
+      deadlineAt: this.deadline(this.config.reservationTimeoutMs)
+    });
+    if (saga.state !== SAGA_STATES.RESERVING_INVENTORY) return saga;
 
-      return order;
-    } catch (error) {
-      await this.compensateOrder(order.id);
-      throw error;
+    for (const item of order.items) {
+      try {
+        await this.inventory.reserve(item, `Order ${orderId}`);
+      } catch (e) {
+        const reason = e instanceof InsufficientStockError ? 'INVENTORY_UNAVAILABLE' : 'INVENTORY_RESERVATION_FAILED';
+        saga.last_error = e.message;
+        return this.compensate(saga, reason);
+      }
+      saga.data.reserved.push({ item_id: item.item_id, quantity: item.quantity });
+      saga = await this.save(saga);
     }
+
+    saga.data.paymentRequested = true;
+    this.transition(saga, SAGA_STATES.AWAITING_PAYMENT, this.config.paymentTimeoutMs);
+    saga = await this.save(saga);
+
+    await this.publish(TOPICS.PAYMENT_REQUESTS, saga, {
+      userId: order.user_id,
+      restaurantId: order.merchant_id,
+      amountCents: order.total_amount_cents
+    });
+    return saga;
+  }
+
+  async handlePaymentResult(msg) {
+    return this.withSaga(msg.sagaId, async (saga) => {
+      if (saga.state !== SAGA_STATES.AWAITING_PAYMENT) {
+        // Money captured after the saga gave up on it must go back
+        if (msg.status === 'SUCCESS' && this.isUnwinding(saga)) {
+          saga.data.paymentId = msg.paymentId;
+          return this.reopenCompensation(saga, COMPENSATION_STEPS.REFUND_PAYMENT);
+        }
+        return saga;
+      }
+
+      if (msg.status !== 'SUCCESS') {
+        saga.last_error = msg.reason || 'Payment failed';
+        return this.compensate(saga, 'PAYMENT_FAILED');
+      }
+
+      saga.data.paymentId = msg.paymentId;
+      const order = await this.orders.getOrder(saga.order_id);
+
+      if (order.release_at && new Date(order.release_at) > this.clock()) {
+        this.transition(saga, SAGA_STATES.AWAITING_RELEASE);
+        saga = await this.save(saga);
+        if (this.orders.canTransition(order.status, 'SCHEDULED')) {
+          await this.orders.transition(saga.order_id, 'schedule', SYSTEM_ACTOR, { saga_id: saga.id, payment_id: msg.paymentId });
+        }
+        return saga;
+      }
+      return this.dispatchToKitchen(saga, order);
+    });
   }
 
-  async requestPayment(order) {
-    const producer = this.kafka.producer();
-    await producer.connect();
-
-    await producer.send({
-      topic: 'payment-requests',
-      messages: [{
-        key: order.id,
-        value: JSON.stringify({
-          orderId: order.id,
-          amount: order.totalAmount,
-          userId: order.userId
-        })
-      }]
+  // Called by the scheduling service once a scheduled order is due. Resolves
+  // to null when the order has no saga.
+  async release(orderId) {
+    const row = await this.store.getSagaByOrderId(orderId);
+    if (!row) return null;
+    return this.withSaga(row.id, async (saga) => {
+      const order = await this.orders.getOrder(orderId);
+      if (saga.state === SAGA_STATES.AWAITING_RELEASE) return this.dispatchToKitchen(saga, order);
+
+      // Dispatched before the order itself was confirmed, e.g. a crash
+      // between saving the saga and the transition
+      const dispatched = [SAGA_STATES.AWAITING_DELIVERY, SAGA_STATES.COMPLETED].includes(saga.state);
+      if (dispatched && this.orders.canTransition(order.status, 'CONFIRMED')) {
+        await this.orders.transition(orderId, 'confirm', SYSTEM_ACTOR, { saga_id: saga.id, payment_id: saga.data.paymentId });
+      }
+      return saga;
     });
   }
 
-  async handlePaymentResult(paymentResult) {
-    const order = await Order.findById(paymentResult.orderId);
-    
-    if (paymentResult.status === 'SUCCESS') {
-      order.status = 'PAID';
-      await this.initiateDelivery(order);
-    } else {
-      order.status = 'PAYMENT_FAILED';
-      await this.compensateOrder(order.id);
+  // Confirm the paid order to the restaurant and look for a delivery partner
+  async dispatchToKitchen(saga, order) {
+    saga.data.deliveryRequested = true;
+    saga.data.deliveryAttempts = 1;
+    this.transition(saga, SAGA_STATES.AWAITING_DELIVERY, this.config.deliveryTimeoutMs);
+    saga = await this.save(saga);
+
+    if (this.orders.canTransition(order.status, 'CONFIRMED')) {
+      await this.orders.transition(saga.order_id, 'confirm', SYSTEM_ACTOR, { saga_id: saga.id, payment_id: saga.data.paymentId });
     }
+    await this.requestDelivery(saga, order);
+    return saga;
+  }
+
+  async handleDeliveryResult(msg) {
+    return this.withSaga(msg.sagaId, async (saga) => {
+      if (saga.state !== SAGA_STATES.AWAITING_DELIVERY) {
+        if (msg.status === 'ASSIGNED' && this.isUnwinding(saga)) {
+          saga.data.deliveryId = msg.deliveryId;
+          return this.reopenCompensation(saga, COMPENSATION_STEPS.RELEASE_PARTNER);
+        }
+        return saga;
+      }
 
-    await order.save();
+      if (msg.status !== 'ASSIGNED') {
+        saga.last_error = msg.reason || 'Delivery assignment failed';
+        if (msg.retryable && saga.data.deliveryAttempts < this.config.deliveryMaxAttempts) {
+          // Retried by the sweeper once the deadline passes
+          saga.deadline_at = this.deadline(this.config.deliveryRetryDelayMs);
+          return this.save(saga);
+        }
+        return this.compensate(saga, 'DELIVERY_FAILED');
+      }
+
+      saga.data.deliveryId = msg.deliveryId;
+      saga.data.partnerId = msg.partnerId;
+      saga.last_error = null;
+      this.transition(saga, SAGA_STATES.COMPLETED);
+      saga = await this.save(saga);
+
+      await this.orders.assignDriver(saga.order_id, msg.partnerId, msg.partnerPhone || null, msg.partnerUserId || null);
+      return saga;
+    });
   }
 
-  async initiateDelivery(order) {
-    const producer = this.kafka.producer();
-    await producer.connect();
+  // Act on every saga whose deadline has passed
+  async checkTimeouts() {
+    const expired = await this.store.findExpiredSagas(this.clock());
+    for (const row of expired) {
+      try {
+        await this.withSaga(row.id, (saga) => this.onDeadline(saga));
+      } catch (e) {
+        console.error(`Saga ${row.id} deadline handling failed:`, e.message);
+      }
+    }
+    return expired.length;
+  }
+
+  async onDeadline(saga) {
+    if (!saga.deadline_at || new Date(saga.deadline_at) > this.clock()) return saga;
+
+    switch (saga.state) {
+      case SAGA_STATES.RESERVING_INVENTORY:
+        return this.compensate(saga, 'INVENTORY_RESERVATION_TIMEOUT');
+      case SAGA_STATES.AWAITING_PAYMENT:
+        return this.compensate(saga, 'PAYMENT_TIMEOUT');
+      case SAGA_STATES.AWAITING_DELIVERY:
+        if (saga.data.deliveryAttempts < this.config.deliveryMaxAttempts) {
+          saga.data.deliveryAttempts += 1;
+          saga.deadline_at = this.deadline(this.config.deliveryTimeoutMs);
+          saga = await this.save(saga);
+          await this.requestDelivery(saga, await this.orders.getOrder(saga.order_id));
+          return saga;
+        }
+        return this.compensate(saga, 'DELIVERY_TIMEOUT');
+      case SAGA_STATES.COMPENSATING:
+        return this.runCompensation(saga);
+      default:
+        saga.deadline_at = null;
+        return this.save(saga);
+    }
+  }
 
-    await producer.send({
-      topic: 'delivery-requests',
-      messages: [{
-        key: order.id,
-        value: JSON.stringify({
-          orderId: order.id,
-          deliveryAddress: order.deliveryAddress,
-          restaurantId: order.restaurantId
-        })
-      }]
+  // The order was cancelled outside the saga. The cancellation service
+  // settles refunds, stock and the partner itself, so the saga only stops
+  // waiting; anything that still arrives late is unwound as usual.
+  async cancel(orderId, reason) {
+    const row = await this.store.getSagaByOrderId(orderId);
+    if (!row) return null;
+    return this.withSaga(row.id, (saga) => {
+      if (saga.state === SAGA_STATES.COMPLETED || this.isUnwinding(saga)) return saga;
+      return this.compensate(saga, reason, []);
     });
   }
 
-  async compensateOrder(orderId) {
-    const order = await Order.findById(orderId);
-    order.status = 'CANCELLED';
-    await order.save();
+  async compensate(saga, reason, steps = this.compensationSteps(saga)) {
+    if (saga.state !== SAGA_STATES.COMPENSATING) {
+      saga.data.compensation = { reason, pending: steps, done: [] };
+      this.transition(saga, SAGA_STATES.COMPENSATING, this.config.compensationRetryMs, reason);
+      saga = await this.save(saga);
+    }
+    return this.runCompensation(saga);
+  }
 
-    // Notify other services about cancellation
-    const producer = this.kafka.producer();
-    await producer.connect();
+  compensationSteps(saga) {
+    const steps = [];
+    if (saga.data.deliveryRequested) steps.push(COMPENSATION_STEPS.RELEASE_PARTNER);
+    if (saga.data.paymentRequested) steps.push(COMPENSATION_STEPS.REFUND_PAYMENT);
+    if (saga.data.reserved.length > 0) steps.push(COMPENSATION_STEPS.RESTORE_INVENTORY);
+    // Coupon usage is only given back once the order is cancelled
+    steps.push(COMPENSATION_STEPS.CANCEL_ORDER, COMPENSATION_STEPS.RELEASE_DISCOUNTS);
+    return steps;
+  }
+
+  // Steps are idempotent and persisted one by one, so a crash or a failing
+  // dependency resumes from the first unfinished step on the next sweep.
+  async runCompensation(saga) {
+    while (saga.data.compensation.pending.length > 0) {
+      const step = saga.data.compensation.pending[0];
+      try {
+        await this.runCompensationStep(saga, step);
+      } catch (e) {
+        saga.last_error = `${step}: ${e.message}`;
+        saga.deadline_at = this.deadline(this.config.compensationRetryMs);
+        return this.save(saga);
+      }
+      saga.data.compensation.pending.shift();
+      saga.data.compensation.done.push(step);
+      saga = await this.save(saga);
+    }
 
-    await producer.send({
-      topic: 'order-compensations',
-      messages: [{
-        key: orderId,
-        value: JSON.stringify({ orderId })
-      }]
+    this.transition(saga, SAGA_STATES.COMPENSATED);
+    return this.save(saga);
+  }
+
+  async runCompensationStep(saga, step) {
+    const reason = saga.data.compensation.reason;
+    switch (step) {
+      case COMPENSATION_STEPS.RELEASE_PARTNER:
+        return this.publish(TOPICS.ORDER_COMPENSATIONS, saga, {
+          action: step, deliveryId: saga.data.deliveryId || null, reason
+        });
+      case COMPENSATION_STEPS.REFUND_PAYMENT:
+        return this.publish(TOPICS.ORDER_COMPENSATIONS, saga, {
+          action: step, paymentId: saga.data.paymentId || null, reason
+        });
+      case COMPENSATION_STEPS.RESTORE_INVENTORY:
+        while (saga.data.reserved.length > 0) {
+          await this.inventory.restore(saga.data.reserved[0], `Order ${saga.order_id} compensation: ${reason}`);
+          saga.data.reserved.shift();
+          saga = await this.save(saga);
+        }
+        return undefined;
+      case COMPENSATION_STEPS.CANCEL_ORDER: {
+        const order = await this.orders.getOrder(saga.order_id);
+        if (order && this.orders.canTransition(order.status, 'CANCELLED')) {
+          await this.orders.transition(saga.order_id, 'cancel', SYSTEM_ACTOR, {
+            saga_id: saga.id, cancelled_by: 'system', cancellation_reason: reason
+          });
+        }
+        return undefined;
+      }
+      case COMPENSATION_STEPS.RELEASE_DISCOUNTS: {
+        const order = await this.orders.getOrder(saga.order_id);
+        if (order && order.price_breakdown) await this.discounts.reverse(order.price_breakdown, saga.order_id);
+        return undefined;
+      }
+      default:
+        throw new Error(`Unknown compensation step ${step}`);
+    }
+  }
+
+  isUnwinding(saga) {
+    return saga.state === SAGA_STATES.COMPENSATING || saga.state === SAGA_STATES.COMPENSATED;
+  }
+
+  async reopenCompensation(saga, step) {
+    const { compensation } = saga.data;
+    if (!compensation.pending.includes(step)) compensation.pending.unshift(step);
+    if (saga.state === SAGA_STATES.COMPENSATED) {
+      this.transition(saga, SAGA_STATES.COMPENSATING, this.config.compensationRetryMs, `LATE_${step}`);
+    }
+    saga = await this.save(saga);
+    return this.runCompensation(saga);
+  }
+
+  async requestDelivery(saga, order) {
+    await this.publish(TOPICS.DELIVERY_REQUESTS, saga, {
+      customerId: order.user_id,
+      restaurantId: order.merchant_id,
+      deliveryAddress: {
+        addressLine1: order.delivery_address,
+        latitude: order.delivery_coordinates?.lat ?? null,
+        longitude: order.delivery_coordinates?.lng ?? null
+      },
+      attempt: saga.data.deliveryAttempts
     });
   }
+
+  async publish(topic, saga, payload) {
+    await this.broker.publish(topic, saga.order_id, { sagaId: saga.id, orderId: saga.order_id, ...payload });
+  }
+
+  // Load, apply and persist; a concurrent write reloads and retries
+  async withSaga(sagaId, fn, attempts = 3) {
+    for (let i = 1; ; i++) {
+      const saga = await this.store.getSaga(sagaId);
+      if (!saga) {
+        console.warn(`Saga ${sagaId} not found; ignoring message`);
+        return null;
+      }
+      try {
+        return await fn(saga);
+      } catch (e) {
+        if (e.name !== 'SagaConflictError' || i >= attempts) throw e;
+      }
+    }
+  }
+
+  transition(saga, state, deadlineMs = null, note = null) {
+    saga.state = state;
+    saga.deadline_at = deadlineMs === null ? null : this.deadline(deadlineMs);
+    saga.history = [...saga.history, { state, at: this.clock().toISOString(), ...(note ? { note } : {}) }];
+  }
+
+  deadline(ms) {
+    return new Date(this.clock().getTime() + ms);
+  }
+
+  // Updates the caller's object in place so it always carries the latest version
+  async save(saga) {
+    const row = await this.store.saveSaga(saga);
+    return Object.assign(saga, row);
+  }
 }
 
-module.exports = new OrderSaga();
\ No newline at end of file
+module.exports = new OrderSaga();
+module.exports.OrderSaga = OrderSaga;
+module.exports.SAGA_STATES = SAGA_STATES;
+module.exports.COMPENSATION_STEPS = COMPENSATION_STEPS;
+module.exports.InsufficientStockError = InsufficientStockError;
@@ -9,36 +9,30 @@ const { Server: SocketIOServer } = require('socket.io');
 dotenv.config();
 
 const { ensureSchema } = require('./models/order.model');
+const { ensureSchema: ensureSagaSchema } = require('./models/saga.model');
+const { ensureSchema: ensureCancellationSchema } = require('./models/cancellation.model');
+const Idempotency = require('./models/idempotency.model');
+const { ensureSchema: ensureSlotSchema } = require('./models/slot.model');
 const routes = require('./routes/orders.routes');
+const orderSaga = require('./sagas/order.saga');
+const ratingSync = require('./services/ratingSync.service');
+const cancellationService = require('./services/cancellation.service');
+const scheduling = require('./services/scheduling.service');
+const orderRooms = require('./realtime/orderRooms');
+const { createBroker } = require('@quickbite/messaging');
 
 const app = express();
 const server = http.createServer(app);
 
-// Initialize Socket.IO for real-time delivery location updates
+// Initialize Socket.IO for real-time delivery location updates. Sockets are
+// authenticated and may only join the rooms of orders they are party to.
 const io = new SocketIOServer(server, {
   cors: {
     origin: process.env.FRONTEND_URL || '*',
     methods: ['GET', 'POST'],
   },
 });
-
-io.on('connection', (socket) => {
-  console.log(`WebSocket client connected: ${socket.id}`);
-  
-  socket.on('subscribe_delivery', (deliveryId) => {
-    socket.join(deliveryId);
-    console.log(`Client ${socket.id} subscribed to delivery ${deliveryId}`);
-  });
-  
-  socket.on('unsubscribe_delivery', (deliveryId) => {
-    socket.leave(deliveryId);
-    console.log(`Client ${socket.id} unsubscribed from delivery ${deliveryId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log(`WebSocket client disconnected: ${socket.id}`);
-  });
-});
+orderRooms.attach(io);
 
 // Make io available to route handlers
 app.set('socketio', io);
@@ -54,7 +48,23 @@ app.use('/api', routes);
 const PORT = process.env.PORT || 3004;
 
 ensureSchema()
-  .then(() => {
+  .then(ensureSagaSchema)
+  .then(ensureCancellationSchema)
+  .then(Idempotency.ensureSchema)
+  .then(ensureSlotSchema)
+  .then(async () => {
+    const broker = createBroker('order-service');
+    if (broker) {
+      await broker.connect();
+      await orderSaga.start(broker);
+      console.log('🔁 Order saga consuming payment and delivery results');
+    }
+    ratingSync.start();
+    cancellationService.start();
+    scheduling.start();
+    setInterval(() => {
+      Idempotency.purgeExpired().catch((e) => console.error('Idempotency key purge failed', e));
+    }, 60 * 60 * 1000).unref();
     server.listen(PORT, () => console.log(`🧾 Order Service with WebSocket running on ${PORT}`));
   })
   .catch((e) => {
@@ -0,0 +1,38 @@
+const Order = require('../models/order.model');
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+
+class RestaurantUnavailableError extends Error {
+  constructor(availability) {
+    const message = availability.status === 'PAUSED'
+      ? 'Restaurant is not taking orders right now'
+      : 'Restaurant is closed';
+    super(message);
+    this.name = 'RestaurantUnavailableError';
+    this.code = `RESTAURANT_${availability.status}`;
+    this.statusCode = 409;
+    this.reason = availability.reason;
+    this.nextOpenAt = availability.next_open_at;
+  }
+}
+
+// Catalog decides from the restaurant's hours, holidays, pauses and busy
+// settings; the kitchen load it throttles on is counted here.
+async function getAvailability(merchantId) {
+  const activeOrders = await Order.countKitchenOrders(merchantId);
+  const r = await fetch(`${CATALOG_BASE}/restaurants/${merchantId}/availability?active_orders=${activeOrders}`, {
+    headers: { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '' }
+  });
+  if (!r.ok) throw new Error(`Catalog availability for restaurant ${merchantId} failed: ${r.status}`);
+  const body = await r.json();
+  return body.data;
+}
+
+// Resolves to the restaurant's availability when it can take an order now
+async function assertAcceptingOrders(merchantId) {
+  const availability = await getAvailability(merchantId);
+  if (!availability.is_open) throw new RestaurantUnavailableError(availability);
+  return availability;
+}
+
+module.exports = { RestaurantUnavailableError, getAvailability, assertAcceptingOrders };
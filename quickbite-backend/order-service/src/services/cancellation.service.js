@@ -0,0 +1,203 @@
+const Cancellations = require('../models/cancellation.model');
+const orderSaga = require('../sagas/order.saga');
+const discountService = require('./discounts.service');
+const { ROLES } = require('../models/order.transitions');
+
+const PAYMENT_BASE = process.env.PAYMENT_BASE_URL || 'http://localhost:3005/api/payments';
+const DELIVERY_BASE = process.env.DELIVERY_BASE_URL || 'http://localhost:3006/api/delivery';
+const SETTLE_INTERVAL_MS = parseInt(process.env.CANCELLATION_SETTLE_INTERVAL_MS || '30000', 10);
+
+const STEP = { PENDING: 'PENDING', DONE: 'DONE', SKIPPED: 'SKIPPED' };
+
+// Food is only written off once the kitchen has started on it, so customers
+// cancelling mid-preparation get half back and that stock is not restored.
+// Cancellations by the restaurant or the platform are always refunded in full.
+function refundPolicy(previousStatus, role) {
+  const beforeKitchen = ['PENDING', 'SCHEDULED', 'CONFIRMED'].includes(previousStatus);
+  if (role === ROLES.CUSTOMER && !beforeKitchen) {
+    return { refundPercent: 50, restoreInventory: false };
+  }
+  return { refundPercent: 100, restoreInventory: beforeKitchen };
+}
+
+async function postInternal(url, body) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || ''
+    },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) throw new Error(`Upstream ${url} failed: ${r.status}`);
+  return r.json();
+}
+
+const steps = {
+  async partner(c) {
+    const result = await postInternal(`${DELIVERY_BASE}/orders/${c.order_id}/release`, {
+      reason: c.reason || 'Order cancelled',
+      cancelledBy: c.cancelled_by_role.toUpperCase()
+    });
+    return { released: result.released };
+  },
+
+  async refund(c) {
+    const result = await postInternal(`${PAYMENT_BASE}/orders/${c.order_id}/cancellation-refund`, {
+      cancellation_id: c.id,
+      refund_percent: c.refund_percent,
+      reason: `Order cancelled by ${c.cancelled_by_role}${c.reason ? `: ${c.reason}` : ''}`,
+      initiated_by: c.cancelled_by_role.toUpperCase()
+    });
+    return {
+      action: result.action,
+      amount_cents: result.amount_cents,
+      refund_id: result.refund_id || null,
+      refund_status: result.status || null
+    };
+  },
+
+  // Stops a saga still in flight and restores the stock it reserved; only
+  // saga orders take stock from the catalog. Progress is saved after every
+  // item, since restocking is not idempotent.
+  async inventory(c, save) {
+    if (c.inventory.items === null) {
+      const saga = await orderSaga.cancel(c.order_id, 'ORDER_CANCELLED');
+      c.inventory.items = c.inventory.restore && saga ? saga.data.reserved || [] : [];
+      await save();
+    }
+    if (c.inventory.items.length === 0) return { status: STEP.SKIPPED };
+
+    while (c.inventory.restored < c.inventory.items.length) {
+      const item = c.inventory.items[c.inventory.restored];
+      await orderSaga.inventory.restore(item, `Order ${c.order_id} cancelled`);
+      c.inventory.restored += 1;
+      await save();
+    }
+    return {};
+  },
+
+  // Coupon and promotion usage, once the order is cancelled
+  async discounts(c) {
+    await discountService.reverse({ coupons: c.discounts.coupons, promotion: c.discounts.promotion }, c.order_id);
+    return {};
+  }
+};
+
+// What releasing the discounts needs from the quote the order was priced with
+function discountsDraft(pricing) {
+  const coupons = Boolean(pricing && pricing.coupons);
+  const promotion = pricing && pricing.promotion ? { id: pricing.promotion.id } : null;
+  if (!coupons && !promotion) return { status: STEP.SKIPPED };
+  return { status: STEP.PENDING, coupons, promotion };
+}
+
+// Run every pending step; a failing step is retried by the next sweep
+// without blocking the others. The saga is stopped first, so it is no
+// longer waiting on the partner or payment being undone after it; anything
+// it still receives late is unwound by the saga itself.
+async function settle(c) {
+  const save = async () => Object.assign(c, await Cancellations.saveCancellation(c));
+  const errors = [];
+
+  for (const name of ['inventory', 'partner', 'refund', 'discounts']) {
+    if (c[name].status !== STEP.PENDING) continue;
+    try {
+      const outcome = await steps[name](c, save);
+      c[name] = { ...c[name], ...outcome, status: outcome.status || STEP.DONE };
+    } catch (e) {
+      errors.push(`${name}: ${e.message}`);
+    }
+    await save();
+  }
+
+  c.last_error = errors.length > 0 ? errors.join('; ') : null;
+  if (errors.length === 0) {
+    c.status = 'COMPLETED';
+    c.completed_at = new Date();
+  }
+  await save();
+  return c;
+}
+
+// Record the cancellation of `order` (as it was before being cancelled)
+// with `client`, inside the transaction that cancels it, so no order ends up
+// CANCELLED without a record for settle() and the sweep to finish. The
+// stock to restore is only known once the saga has stopped, in settle().
+async function record(client, order, actor, reason) {
+  const policy = refundPolicy(order.status, actor.role);
+  return Cancellations.createCancellation({
+    orderId: order.id,
+    actor,
+    previousStatus: order.status,
+    reason,
+    refundPercent: policy.refundPercent,
+    orderTotalCents: order.total_amount_cents,
+    refund: { status: STEP.PENDING },
+    inventory: { status: STEP.PENDING, restore: policy.restoreInventory, items: null, restored: 0 },
+    partner: { status: STEP.PENDING },
+    discounts: discountsDraft(order.price_breakdown)
+  }, client);
+}
+
+function receipt(c) {
+  return {
+    cancellation_id: c.id,
+    order_id: c.order_id,
+    status: c.status,
+    cancelled_at: c.created_at,
+    cancelled_by: c.cancelled_by_role,
+    previous_status: c.previous_status,
+    reason: c.reason,
+    refund: {
+      status: c.refund.status,
+      policy_percent: c.refund_percent,
+      action: c.refund.action || null,
+      amount_cents: c.refund.amount_cents || 0,
+      refund_id: c.refund.refund_id || null,
+      refund_status: c.refund.refund_status || null
+    },
+    inventory_restored: {
+      status: c.inventory.status,
+      items: (c.inventory.items || []).slice(0, c.inventory.restored)
+    },
+    partner_release: {
+      status: c.partner.status,
+      released: Boolean(c.partner.released)
+    },
+    discounts_released: {
+      status: c.discounts.status,
+      coupons: Boolean(c.discounts.coupons),
+      promotion_id: c.discounts.promotion ? c.discounts.promotion.id : null
+    },
+    completed_at: c.completed_at
+  };
+}
+
+async function settlePending() {
+  const pending = await Cancellations.findUnsettled();
+  for (const c of pending) {
+    try {
+      await settle(c);
+    } catch (e) {
+      console.warn(`Settling cancellation of order ${c.order_id} deferred:`, e.message);
+    }
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    settlePending().catch((e) => console.error('Cancellation sweep failed', e));
+  }, SETTLE_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { refundPolicy, record, settle, settlePending, receipt, start, stop };
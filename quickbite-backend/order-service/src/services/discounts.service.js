@@ -0,0 +1,126 @@
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+const COUPON_BASE = process.env.COUPON_BASE_URL || 'http://localhost:3009/api/coupons';
+
+class DiscountUnavailableError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DiscountUnavailableError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+function internalHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || ''
+  };
+}
+
+async function readBody(r) {
+  try {
+    return await r.json();
+  } catch (e) {
+    return {};
+  }
+}
+
+async function redeemPromotion(promotion, orderId) {
+  const r = await fetch(`${CATALOG_BASE}/promotions/${promotion.id}/redemptions`, {
+    method: 'POST',
+    headers: internalHeaders(),
+    body: JSON.stringify({ order_id: orderId })
+  });
+  if (r.status === 409) {
+    const body = await readBody(r);
+    throw new DiscountUnavailableError(body.message || 'Promotion is no longer available', body.code || 'PROMO_EXHAUSTED');
+  }
+  if (!r.ok) throw new Error(`Promotion redemption for order ${orderId} failed: ${r.status}`);
+}
+
+// Redeemed on the cart the quote priced them against, so coupon-service
+// arrives at the same discounts or refuses
+async function redeemCoupons(coupons, quote, orderId, token) {
+  const r = await fetch(`${COUPON_BASE}/redeem`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+    body: JSON.stringify({
+      order_id: orderId,
+      couponCodes: coupons.applied.map(c => c.code),
+      restaurant_id: quote.restaurant_id,
+      items: quote.items.map(line => ({ item_id: line.item_id, quantity: line.quantity, price_cents: line.unit_price_cents })),
+      subtotal_cents: coupons.subtotal_cents,
+      delivery_fee_cents: coupons.delivery_fee_cents
+    })
+  });
+  const body = await readBody(r);
+  if (r.status === 409 || r.status === 422) {
+    throw new DiscountUnavailableError(body.message || 'Coupon is no longer available', body.code || 'COUPON_INVALID');
+  }
+  if (!r.ok) throw new Error(`Coupon redemption for order ${orderId} failed: ${r.status}`);
+
+  const quoted = coupons.discount_cents + coupons.delivery_discount_cents;
+  if (body.total_discount_cents !== quoted) {
+    throw new DiscountUnavailableError('Coupon discount has changed since the quote, request a new one', 'COUPON_CHANGED');
+  }
+}
+
+// Give back what an order placed with `quote` redeemed. Both sides are
+// idempotent, so this is safe to repeat and after a partial redeem().
+// coupon-service only reverses orders that are cancelled or were never
+// written. Throws when either side could not be reversed, after trying both.
+async function reverse(quote, orderId) {
+  const failures = [];
+  const attempt = async (what, url, options) => {
+    try {
+      const r = await fetch(url, options);
+      if (!r.ok) failures.push(`${what}: ${r.status}`);
+    } catch (e) {
+      failures.push(`${what}: ${e.message}`);
+    }
+  };
+
+  if (quote.coupons) {
+    await attempt('coupons', `${COUPON_BASE}/orders/${orderId}/reverse`, {
+      method: 'POST',
+      headers: internalHeaders()
+    });
+  }
+  if (quote.promotion) {
+    await attempt('promotion', `${CATALOG_BASE}/promotions/${quote.promotion.id}/redemptions/${orderId}`, {
+      method: 'DELETE',
+      headers: internalHeaders()
+    });
+  }
+  if (failures.length > 0) {
+    throw new Error(`Reversing discounts of order ${orderId} failed (${failures.join('; ')})`);
+  }
+}
+
+// reverse() for callers already handling another error: failures are logged
+// rather than thrown
+async function release(quote, orderId) {
+  try {
+    await reverse(quote, orderId);
+  } catch (e) {
+    console.warn(e.message);
+  }
+}
+
+// Count the quote's promotion and coupons against their usage limits for
+// `orderId` before the order is written. Throws DiscountUnavailableError when
+// one has run out in the meantime; anything already redeemed is released.
+async function redeem(quote, orderId, token) {
+  try {
+    if (quote.promotion) await redeemPromotion(quote.promotion, orderId);
+    if (quote.coupons) {
+      if (!token) throw new DiscountUnavailableError('Sign in to use coupons', 'COUPON_SIGN_IN_REQUIRED');
+      await redeemCoupons(quote.coupons, quote, orderId, token);
+    }
+  } catch (e) {
+    await release(quote, orderId);
+    throw e;
+  }
+}
+
+module.exports = { DiscountUnavailableError, redeem, reverse, release };
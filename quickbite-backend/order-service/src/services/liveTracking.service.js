@@ -0,0 +1,206 @@
+const Order = require('../models/order.model');
+const { TERMINAL_STATUSES } = require('../models/order.transitions');
+
+const MIN_INTERVAL_MS = parseInt(process.env.LOCATION_MIN_INTERVAL_MS || '2000', 10);
+const MAX_SPEED_KMH = parseFloat(process.env.LOCATION_MAX_SPEED_KMH || '120');
+const MAX_ACCURACY_M = parseFloat(process.env.LOCATION_MAX_ACCURACY_M || '150');
+const MAX_FIX_AGE_MS = parseInt(process.env.LOCATION_MAX_AGE_MS || '60000', 10);
+const CITY_SPEED_KMH = parseFloat(process.env.CITY_SPEED_KMH || '25');
+// Roads are longer than the straight line between two points
+const ROUTE_FACTOR = parseFloat(process.env.ETA_ROUTE_FACTOR || '1.3');
+// Fixes this accurate or better are taken as they are; worse ones are
+// blended into the previous position
+const TRUSTED_ACCURACY_M = 20;
+const CLOCK_SKEW_MS = 10 * 1000;
+const IDLE_TRACK_MS = 30 * 60 * 1000;
+
+class LocationRejectedError extends Error {
+  constructor(message, code, statusCode = 422) {
+    super(message);
+    this.name = 'LocationRejectedError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Last accepted fix per order, which the next one is smoothed against, and
+// the last attempt per rider and order for the rate limit. Kept in memory,
+// so a restart only costs the smoothing history.
+const tracks = new Map();
+const attempts = new Map();
+let lastPruneAt = 0;
+
+function pruneIdle(now) {
+  if (now - lastPruneAt < 60 * 1000) return;
+  lastPruneAt = now;
+  for (const [key, attemptAt] of attempts) {
+    if (now - attemptAt > IDLE_TRACK_MS) attempts.delete(key);
+  }
+  for (const [orderId, track] of tracks) {
+    if (now - track.acceptedAt > IDLE_TRACK_MS) tracks.delete(orderId);
+  }
+}
+
+// Counts every attempt, accepted or not, so a rider app stuck sending bad
+// fixes is slowed down too
+function throttle(orderId, driverId, now) {
+  const key = `${orderId}:${driverId}`;
+  const last = attempts.get(key);
+  if (last !== undefined && now - last < MIN_INTERVAL_MS) {
+    throw new LocationRejectedError('Location updates are coming too fast', 'LOCATION_RATE_LIMITED', 429);
+  }
+  attempts.set(key, now);
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function isCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+}
+
+// Normalises a fix sent by a rider app and throws when it cannot be a real
+// position: out of range, too inaccurate, too old or from the future.
+function sanitize(fix, now) {
+  const latitude = Number(fix.latitude);
+  const longitude = Number(fix.longitude);
+  if (!isCoordinate(latitude, longitude)) {
+    throw new LocationRejectedError('Location is not a valid coordinate', 'INVALID_LOCATION');
+  }
+
+  const accuracy = fix.accuracy == null ? null : Number(fix.accuracy);
+  if (accuracy !== null && !(accuracy >= 0 && accuracy <= MAX_ACCURACY_M)) {
+    throw new LocationRejectedError(`Location accuracy must be within ${MAX_ACCURACY_M} m`, 'LOCATION_INACCURATE');
+  }
+
+  const recordedAt = fix.recorded_at ? new Date(fix.recorded_at).getTime() : now;
+  if (!Number.isFinite(recordedAt) || recordedAt > now + CLOCK_SKEW_MS) {
+    throw new LocationRejectedError('Location timestamp is invalid', 'INVALID_LOCATION');
+  }
+  if (now - recordedAt > MAX_FIX_AGE_MS) {
+    throw new LocationRejectedError('Location is too old', 'LOCATION_STALE');
+  }
+
+  const speed = fix.speed == null ? null : Number(fix.speed);
+  const bearing = fix.bearing == null ? null : Number(fix.bearing);
+  return {
+    latitude,
+    longitude,
+    accuracy,
+    recordedAt,
+    speed: Number.isFinite(speed) && speed >= 0 && speed <= MAX_SPEED_KMH ? speed : null,
+    bearing: Number.isFinite(bearing) ? ((Math.round(bearing) % 360) + 360) % 360 : null
+  };
+}
+
+// Checks `fix` against the previous accepted one and blends the two. Worse
+// accuracy means less weight for the new fix; a jump faster than any rider
+// could travel, allowing for both fixes' accuracy, is rejected.
+function smooth(previous, fix) {
+  if (!previous) {
+    return { latitude: fix.latitude, longitude: fix.longitude, speedKmh: fix.speed };
+  }
+
+  const hours = (fix.recordedAt - previous.recordedAt) / 3600000;
+  if (hours <= 0) {
+    throw new LocationRejectedError('Location is older than the last one received', 'LOCATION_OUT_OF_ORDER');
+  }
+  const slackKm = ((fix.accuracy || 0) + (previous.accuracy || 0)) / 1000;
+  const jumpKm = Order.calculateDistance(previous.rawLatitude, previous.rawLongitude, fix.latitude, fix.longitude);
+  if (Math.max(0, jumpKm - slackKm) / hours > MAX_SPEED_KMH) {
+    throw new LocationRejectedError('Location moved faster than a rider can travel', 'LOCATION_IMPLAUSIBLE');
+  }
+
+  const weight = fix.accuracy ? clamp(TRUSTED_ACCURACY_M / fix.accuracy, 0.2, 1) : 0.5;
+  const latitude = previous.latitude + weight * (fix.latitude - previous.latitude);
+  const longitude = previous.longitude + weight * (fix.longitude - previous.longitude);
+
+  const observedKmh = fix.speed ?? Order.calculateDistance(previous.latitude, previous.longitude, latitude, longitude) / hours;
+  const speedKmh = previous.speedKmh == null ? observedKmh : previous.speedKmh + 0.3 * (observedKmh - previous.speedKmh);
+  return { latitude, longitude, speedKmh };
+}
+
+// Minutes left until the rider reaches the customer, once the food has been
+// picked up and the order has drop-off coordinates. Riders stopped at a
+// light or stuck in traffic are assumed to get going again, so the speed
+// used stays within a band around the city average.
+function etaMinutes(order, position) {
+  const destination = order.delivery_coordinates;
+  if (order.status !== 'OUT_FOR_DELIVERY' || !destination || destination.lat == null || destination.lng == null) {
+    return null;
+  }
+  const remainingKm = ROUTE_FACTOR *
+    Order.calculateDistance(position.latitude, position.longitude, Number(destination.lat), Number(destination.lng));
+  const speedKmh = clamp(position.speedKmh ?? CITY_SPEED_KMH, CITY_SPEED_KMH * 0.5, CITY_SPEED_KMH * 1.5);
+  return Math.ceil((remainingKm / speedKmh) * 60);
+}
+
+function assertTrackable(order, driverId) {
+  if (!order) throw new LocationRejectedError('Order not found', 'ORDER_NOT_FOUND', 404);
+  if (!order.driver_user_id || String(order.driver_user_id) !== String(driverId)) {
+    throw new LocationRejectedError('Order is not assigned to this rider', 'DRIVER_NOT_ASSIGNED', 403);
+  }
+  if (TERMINAL_STATUSES.includes(order.status)) {
+    throw new LocationRejectedError(`Order is ${order.status}`, 'ORDER_NOT_ACTIVE', 409);
+  }
+}
+
+// Accepts a location fix from the rider assigned to the order, stores the
+// smoothed position and recomputes the ETA. Resolves to the update to send
+// to the order's room; throws LocationRejectedError when the fix is refused.
+async function record(orderId, driverId, fix, now = Date.now()) {
+  pruneIdle(now);
+  throttle(orderId, driverId, now);
+  const order = await Order.getOrder(orderId);
+  assertTrackable(order, driverId);
+
+  const clean = sanitize(fix, now);
+  const track = tracks.get(order.id);
+  const previous = track && String(track.driverId) === String(driverId) ? track : null;
+  const position = smooth(previous, clean);
+
+  const minutes = etaMinutes(order, position);
+  const estimatedDeliveryTime = minutes === null ? null : new Date(now + minutes * 60 * 1000);
+  const etaChanged = minutes !== null && (!previous || previous.etaMinutes == null || previous.etaMinutes !== minutes);
+
+  tracks.set(order.id, {
+    driverId,
+    acceptedAt: now,
+    recordedAt: clean.recordedAt,
+    accuracy: clean.accuracy,
+    rawLatitude: clean.latitude,
+    rawLongitude: clean.longitude,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    speedKmh: position.speedKmh,
+    etaMinutes: minutes
+  });
+
+  const speedKmh = position.speedKmh == null ? null : Math.round(position.speedKmh * 100) / 100;
+  const stored = await Order.updateDriverLocation(
+    order.id, driverId, position.latitude, position.longitude, clean.accuracy, speedKmh, clean.bearing
+  );
+  if (etaChanged) await Order.updateEstimatedDeliveryTime(order.id, estimatedDeliveryTime);
+
+  return {
+    order_id: order.id,
+    driver_location: {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      accuracy: clean.accuracy,
+      speed: speedKmh,
+      bearing: clean.bearing,
+      timestamp: stored.timestamp
+    },
+    eta_minutes: minutes,
+    estimated_delivery_time: estimatedDeliveryTime ? estimatedDeliveryTime.toISOString() : null
+  };
+}
+
+// Drops the smoothing state of an order that has finished or changed rider
+function forget(orderId) {
+  tracks.delete(orderId);
+}
+
+module.exports = { LocationRejectedError, sanitize, smooth, etaMinutes, record, forget };
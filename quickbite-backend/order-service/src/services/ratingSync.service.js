@@ -0,0 +1,76 @@
+const Order = require('../models/order.model');
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+const DELIVERY_BASE = process.env.DELIVERY_BASE_URL || 'http://localhost:3006/api/delivery';
+const SYNC_INTERVAL_MS = parseInt(process.env.RATING_SYNC_INTERVAL_MS || '60000', 10);
+
+async function postInternal(url, body) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || ''
+    },
+    body: JSON.stringify(body)
+  });
+  // 4xx other than a transient 429 will not succeed on retry either
+  if (!r.ok && (r.status >= 500 || r.status === 429)) {
+    throw new Error(`Upstream ${url} failed: ${r.status}`);
+  }
+  return r.ok;
+}
+
+// Push one stored rating to the services that own the aggregate scores. Both
+// endpoints are idempotent on order_id, so a retry after a partial failure is safe.
+async function syncRating(rating) {
+  if (!rating.restaurant_synced_at) {
+    const accepted = await postInternal(`${CATALOG_BASE}/restaurants/${rating.merchant_id}/reviews`, {
+      user_id: rating.user_id,
+      order_id: rating.order_id,
+      rating: rating.rating,
+      review_text: rating.review,
+      food_rating: rating.food_rating,
+      delivery_rating: rating.delivery_rating
+    });
+    if (!accepted) console.warn(`Catalog rejected rating for order ${rating.order_id}`);
+    await Order.markRatingSynced(rating.id, 'restaurant');
+  }
+
+  if (rating.driver_id && !rating.partner_synced_at) {
+    const accepted = await postInternal(`${DELIVERY_BASE}/partners/${rating.driver_id}/ratings`, {
+      orderId: rating.order_id,
+      customerId: rating.user_id,
+      rating: rating.delivery_rating || rating.rating
+    });
+    if (!accepted) console.warn(`Delivery rejected partner rating for order ${rating.order_id}`);
+    await Order.markRatingSynced(rating.id, 'partner');
+  }
+}
+
+async function syncPending() {
+  const pending = await Order.getUnsyncedRatings();
+  for (const rating of pending) {
+    try {
+      await syncRating(rating);
+    } catch (e) {
+      console.warn(`Rating sync for order ${rating.order_id} deferred:`, e.message);
+    }
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    syncPending().catch((e) => console.error('Rating sync sweep failed', e));
+  }, SYNC_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { syncRating, syncPending, start, stop };
@@ -0,0 +1,235 @@
+const Order = require('../models/order.model');
+const Slots = require('../models/slot.model');
+const orderSaga = require('../sagas/order.saga');
+const { SYSTEM_ACTOR } = require('../models/order.transitions');
+
+const { SAGA_STATES } = orderSaga;
+
+const CATALOG_BASE = process.env.CATALOG_BASE_URL || 'http://localhost:3003/api/catalog';
+const TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata';
+const SLOT_MINUTES = parseInt(process.env.SCHEDULE_SLOT_MINUTES || '30', 10);
+const MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES || '15', 10);
+const MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULE_MAX_DAYS_AHEAD || '7', 10);
+const DEFAULT_SLOT_CAPACITY = parseInt(process.env.SCHEDULE_SLOT_CAPACITY || '10', 10);
+const RELEASE_INTERVAL_MS = parseInt(process.env.SCHEDULE_RELEASE_INTERVAL_MS || '30000', 10);
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+// Saga states in which the order has been handed to the kitchen
+const RELEASED_SAGA_STATES = [SAGA_STATES.AWAITING_DELIVERY, SAGA_STATES.COMPLETED];
+
+class SlotUnavailableError extends Error {
+  constructor(message, code = 'SLOT_UNAVAILABLE', statusCode = 422) {
+    super(message);
+    this.name = 'SlotUnavailableError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const localFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE, hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+// Calendar date (YYYY-MM-DD) and minute of day of `instant` in the restaurant timezone
+function localTime(instant) {
+  const p = Object.fromEntries(localFormat.formatToParts(instant).map(({ type, value }) => [type, value]));
+  return { date: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+// The instant `minutes` after local midnight on `date`; minutes past 24h
+// roll into the next day
+function localInstant(date, minutes) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  const seen = localTime(new Date(guess));
+  const [sy, sm, sd] = seen.date.split('-').map(Number);
+  const offset = Date.UTC(sy, sm - 1, sd, 0, seen.minutes) - guess;
+  return new Date(guess - offset);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+async function fetchRestaurant(merchantId) {
+  const r = await fetch(`${CATALOG_BASE}/restaurants/${merchantId}`);
+  if (r.status === 404) throw new SlotUnavailableError('Restaurant not found', 'RESTAURANT_NOT_FOUND', 404);
+  if (!r.ok) throw new Error(`Catalog lookup for restaurant ${merchantId} failed: ${r.status}`);
+  const body = await r.json();
+  return body.data;
+}
+
+function schedulingProfile(restaurant) {
+  return {
+    hours: restaurant.operating_hours || {},
+    holidays: new Set((restaurant.upcoming_holidays || []).map((h) => h.date)),
+    preparationMinutes: Math.ceil(Number(restaurant.preparation_time_avg_minutes) || 20),
+    deliveryMinutes: restaurant.estimated_delivery_time_minutes || 30,
+    capacity: restaurant.scheduled_slot_capacity ?? DEFAULT_SLOT_CAPACITY
+  };
+}
+
+// Opening shifts on local `date` in minutes after midnight. A day holds one
+// {open, close} pair or a list of them for split shifts; a close at or
+// before the open time runs past midnight. Holidays have none.
+function shiftsForDate(profile, date) {
+  if (profile.holidays.has(date)) return [];
+  const entry = profile.hours[weekday(date)];
+  if (!entry) return [];
+
+  const shifts = [];
+  for (const shift of Array.isArray(entry) ? entry : [entry]) {
+    if (!shift || shift.is_open === false) continue;
+    const open = parseClock(shift.open);
+    let close = parseClock(shift.close);
+    if (open === null || close === null) continue;
+    if (close <= open) close += 24 * 60;
+    shifts.push({ open, close });
+  }
+  return shifts;
+}
+
+// Delivery slots served by the opening windows that start on local `date`.
+// The kitchen may not start before opening and the food must be ready by
+// closing.
+function slotsForDate(profile, date) {
+  const lead = profile.preparationMinutes + profile.deliveryMinutes;
+  const slots = [];
+  for (const { open, close } of shiftsForDate(profile, date)) {
+    for (let start = Math.ceil((open + lead) / SLOT_MINUTES) * SLOT_MINUTES;
+      start - profile.deliveryMinutes <= close;
+      start += SLOT_MINUTES) {
+      const slotStart = localInstant(date, start);
+      slots.push({
+        slot_start: slotStart,
+        slot_end: new Date(slotStart.getTime() + SLOT_MINUTES * MINUTE_MS),
+        release_at: new Date(slotStart.getTime() - lead * MINUTE_MS)
+      });
+    }
+  }
+  return slots.sort((a, b) => a.slot_start - b.slot_start);
+}
+
+// Why `slot` cannot be booked at `now`, ignoring capacity, or null
+function bookingWindowError(profile, slot, now) {
+  const lead = profile.preparationMinutes + profile.deliveryMinutes + MIN_LEAD_MINUTES;
+  if (slot.slot_start.getTime() < now.getTime() + lead * MINUTE_MS) {
+    return new SlotUnavailableError(`Scheduled orders need at least ${lead} minutes notice`, 'SLOT_TOO_SOON');
+  }
+  if (slot.slot_start.getTime() > now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS) {
+    return new SlotUnavailableError(`Orders can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`, 'SLOT_TOO_FAR');
+  }
+  return null;
+}
+
+// Bookable slots for the local `date` (defaults to today), with how many
+// places each has left
+async function listSlots(merchantId, date = null, now = new Date()) {
+  const restaurant = await fetchRestaurant(merchantId);
+  const profile = schedulingProfile(restaurant);
+  const day = date || localTime(now).date;
+
+  const slots = slotsForDate(profile, day).filter((slot) => !bookingWindowError(profile, slot, now));
+  const bookings = slots.length > 0
+    ? await Slots.getBookings(merchantId, slots[0].slot_start, slots[slots.length - 1].slot_end)
+    : new Map();
+
+  return {
+    merchant_id: merchantId,
+    date: day,
+    timezone: TIMEZONE,
+    slot_minutes: SLOT_MINUTES,
+    slots: slots.map((slot) => {
+      const remaining = Math.max(profile.capacity - (bookings.get(slot.slot_start.toISOString()) || 0), 0);
+      return {
+        slot_start: slot.slot_start.toISOString(),
+        slot_end: slot.slot_end.toISOString(),
+        remaining,
+        available: remaining > 0
+      };
+    })
+  };
+}
+
+// Validates a requested delivery time against the restaurant's hours and
+// booking window. Resolves to the slot (with capacity and lead times) to
+// book; capacity itself is only checked when the order is stored.
+async function resolveSlot(merchantId, scheduledFor, now = new Date()) {
+  const restaurant = await fetchRestaurant(merchantId);
+  const profile = schedulingProfile(restaurant);
+  const requested = new Date(scheduledFor);
+  const day = localTime(requested).date;
+
+  // A slot after midnight may belong to the previous day's late window
+  const slot = [...slotsForDate(profile, addDays(day, -1)), ...slotsForDate(profile, day)]
+    .find((s) => s.slot_start.getTime() === requested.getTime());
+  if (!slot) {
+    throw new SlotUnavailableError('Requested time is not a delivery slot offered by this restaurant', 'SLOT_INVALID');
+  }
+
+  const error = bookingWindowError(profile, slot, now);
+  if (error) throw error;
+
+  return {
+    ...slot,
+    capacity: profile.capacity,
+    preparation_minutes: profile.preparationMinutes,
+    delivery_minutes: profile.deliveryMinutes
+  };
+}
+
+// Hand scheduled orders whose release time has come to the kitchen. Saga
+// orders also get their delivery partner requested by the saga; orders
+// without one are confirmed and left for manual assignment. An order whose
+// saga can no longer release it (unwinding, say) is held rather than polled
+// again: compensation cancels it, or someone has to look at it.
+async function releaseDue(now = new Date()) {
+  const due = await Order.getDueScheduledOrders(now);
+  for (const order of due) {
+    try {
+      const saga = orderSaga.isRunning() ? await orderSaga.release(order.id) : null;
+      if (!saga) {
+        await Order.transition(order.id, 'confirm', SYSTEM_ACTOR, { released_from_schedule: true });
+        await Order.recordEvent(order.id, 'DELIVERY_PENDING', 'Waiting for a delivery partner to be assigned', {});
+      } else if (!RELEASED_SAGA_STATES.includes(saga.state)) {
+        await Order.holdScheduledRelease(order.id, `Not released: order saga is ${saga.state}`, {
+          saga_id: saga.id,
+          saga_state: saga.state
+        });
+      }
+    } catch (e) {
+      console.warn(`Releasing scheduled order ${order.id} deferred:`, e.message);
+    }
+  }
+  return due.length;
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    releaseDue().catch((e) => console.error('Scheduled order release failed', e));
+  }, RELEASE_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { SlotUnavailableError, listSlots, resolveSlot, releaseDue, start, stop };
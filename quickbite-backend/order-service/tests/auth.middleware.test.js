@@ -0,0 +1,88 @@
+const gatewayIdentity = require('@quickbite/gateway-identity');
+const authMiddleware = require('../src/middleware/auth.middleware');
+
+const SECRET = 'gateway-secret';
+
+function request(headers) {
+  return { headers: { authorization: 'Bearer token-1', ...headers } };
+}
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function run(req) {
+  const res = response();
+  const next = jest.fn();
+  await authMiddleware(req, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  process.env.TRUST_GATEWAY_HEADERS = 'true';
+  process.env.GATEWAY_IDENTITY_SECRET = SECRET;
+  delete process.env.AUTH_JWKS_URL;
+  process.env.AUTH_INTROSPECT_URL = 'http://auth.test/api/auth/introspect';
+  global.fetch = jest.fn(async () => ({ json: async () => ({ active: true, user_id: 'customer-1', role: 'customer' }) }));
+});
+
+afterEach(() => {
+  delete process.env.TRUST_GATEWAY_HEADERS;
+  delete process.env.GATEWAY_IDENTITY_SECRET;
+  delete process.env.AUTH_INTROSPECT_URL;
+});
+
+describe('order auth middleware', () => {
+  it('takes the identity the gateway signed', async () => {
+    const req = request(gatewayIdentity.sign({ userId: 'staff-1', role: 'staff', storeId: 'store-1' }, SECRET));
+
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({ userId: 'staff-1', userRole: 'staff', storeId: 'store-1' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('ignores identity headers sent without the gateway signature', async () => {
+    const req = request({ 'x-user-id': 'admin-1', 'x-user-role': 'admin' });
+
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({ userId: 'customer-1', userRole: 'customer' });
+  });
+
+  it('ignores a signed identity that was altered or signed with another secret', async () => {
+    const altered = request({ ...gatewayIdentity.sign({ userId: 'customer-2', role: 'customer' }, SECRET), 'x-user-role': 'admin' });
+    const foreign = request(gatewayIdentity.sign({ userId: 'admin-1', role: 'admin' }, 'another-secret'));
+
+    await run(altered);
+    await run(foreign);
+
+    expect(altered.userId).toBe('customer-1');
+    expect(foreign.userId).toBe('customer-1');
+  });
+
+  it('ignores a stale signature', async () => {
+    const req = request(gatewayIdentity.sign({ userId: 'admin-1', role: 'admin' }, SECRET, Date.now() - 5 * 60 * 1000));
+
+    await run(req);
+
+    expect(req.userId).toBe('customer-1');
+  });
+
+  it('refuses every caller when no way to verify a token is configured', async () => {
+    delete process.env.TRUST_GATEWAY_HEADERS;
+    delete process.env.AUTH_INTROSPECT_URL;
+    const req = request();
+
+    const { res, next } = await run(req);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(req.userId).toBeUndefined();
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/cancellation.model');
+jest.mock('../src/sagas/order.saga', () => ({
+  cancel: jest.fn(),
+  inventory: { restore: jest.fn() }
+}));
+
+const Cancellations = require('../src/models/cancellation.model');
+const orderSaga = require('../src/sagas/order.saga');
+const cancellationService = require('../src/services/cancellation.service');
+
+const ORDER = { id: 'order-1', status: 'CONFIRMED', total_amount_cents: 2500 };
+const CUSTOMER = { role: 'customer', id: 'customer-1' };
+
+// The row as cancellation.model would return it for `record`'s fields
+function row(fields) {
+  return {
+    id: 'cancel-1',
+    order_id: fields.orderId,
+    status: 'PROCESSING',
+    cancelled_by_role: fields.actor.role,
+    previous_status: fields.previousStatus,
+    reason: fields.reason,
+    refund_percent: fields.refundPercent,
+    refund: fields.refund,
+    inventory: fields.inventory,
+    partner: fields.partner,
+    discounts: fields.discounts
+  };
+}
+
+const upstream = (body) => ({ ok: true, status: 200, json: async () => body });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Cancellations.createCancellation.mockImplementation(async (fields) => row(fields));
+  Cancellations.saveCancellation.mockImplementation(async (c) => ({ ...c }));
+  global.fetch = jest.fn(async (url) => upstream(url.endsWith('/release')
+    ? { released: true }
+    : { action: 'REFUNDED', amount_cents: 2500, refund_id: 'refund-1', status: 'COMPLETED' }));
+});
+
+describe('cancellation service', () => {
+  it('records the cancellation with the transaction client it is given', async () => {
+    const client = { query: jest.fn() };
+
+    const c = await cancellationService.record(client, ORDER, CUSTOMER, 'Changed my mind');
+
+    expect(Cancellations.createCancellation).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 'order-1', previousStatus: 'CONFIRMED', refundPercent: 100
+    }), client);
+    // Nothing happens outside the transaction until it is settled
+    expect(orderSaga.cancel).not.toHaveBeenCalled();
+    expect(c.inventory).toEqual({ status: 'PENDING', restore: true, items: null, restored: 0 });
+  });
+
+  it('stops the saga and restores what it reserved before releasing and refunding', async () => {
+    const calls = [];
+    orderSaga.cancel.mockImplementation(async () => {
+      calls.push('saga');
+      return { data: { reserved: [{ item_id: 'item-1', quantity: 2 }] } };
+    });
+    orderSaga.inventory.restore.mockImplementation(async (item) => calls.push(`restore ${item.item_id}`));
+    global.fetch.mockImplementation(async (url) => {
+      calls.push(url.endsWith('/release') ? 'partner' : 'refund');
+      return upstream({ released: true, action: 'REFUNDED', amount_cents: 2500 });
+    });
+
+    const c = await cancellationService.settle(await cancellationService.record({}, ORDER, CUSTOMER, null));
+
+    expect(calls).toEqual(['saga', 'restore item-1', 'partner', 'refund']);
+    expect(c.status).toBe('COMPLETED');
+    expect(c.inventory).toMatchObject({ status: 'DONE', restored: 1 });
+  });
+
+  it('skips the stock when the saga reserved none or the policy keeps it', async () => {
+    orderSaga.cancel.mockResolvedValue({ data: { reserved: [{ item_id: 'item-1', quantity: 2 }] } });
+    const preparing = { ...ORDER, status: 'PREPARING' };
+
+    const c = await cancellationService.settle(await cancellationService.record({}, preparing, CUSTOMER, null));
+
+    expect(orderSaga.cancel).toHaveBeenCalledWith('order-1', 'ORDER_CANCELLED');
+    expect(orderSaga.inventory.restore).not.toHaveBeenCalled();
+    expect(c.inventory).toMatchObject({ status: 'SKIPPED', items: [] });
+    expect(c.refund_percent).toBe(50);
+    expect(c.status).toBe('COMPLETED');
+  });
+
+  it('gives the order\'s coupon and promotion usage back last, until it succeeds', async () => {
+    orderSaga.cancel.mockResolvedValue(null);
+    const discounted = { ...ORDER, price_breakdown: { coupons: { applied: [{ code: 'SAVE10' }] }, promotion: { id: 'promo-1' } } };
+    let couponService = 503;
+    global.fetch.mockImplementation(async (url, options) => {
+      if (url.endsWith('/orders/order-1/reverse')) return { ok: couponService === 200, status: couponService, json: async () => ({}) };
+      if (options.method === 'DELETE') return upstream({ success: true });
+      return upstream({ released: true, action: 'REFUNDED', amount_cents: 2500 });
+    });
+
+    let c = await cancellationService.settle(await cancellationService.record({}, discounted, CUSTOMER, null));
+
+    expect(c.status).toBe('PROCESSING');
+    expect(c.discounts).toMatchObject({ status: 'PENDING', coupons: true, promotion: { id: 'promo-1' } });
+    expect(c.last_error).toMatch(/discounts: .*coupons: 503/);
+    expect(c.refund.status).toBe('DONE');
+
+    couponService = 200;
+    c = await cancellationService.settle(c);
+
+    expect(c.status).toBe('COMPLETED');
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(urls[urls.length - 1]).toMatch(/\/promotions\/promo-1\/redemptions\/order-1$/);
+    expect(global.fetch.mock.calls[urls.length - 2][1].headers).toMatchObject({ 'X-Internal-Token': expect.any(String) });
+    expect(cancellationService.receipt(c).discounts_released).toEqual({ status: 'DONE', coupons: true, promotion_id: 'promo-1' });
+  });
+
+  it('leaves the record processing for the sweep when stopping the saga fails', async () => {
+    orderSaga.cancel.mockRejectedValue(new Error('database unavailable'));
+
+    const c = await cancellationService.settle(await cancellationService.record({}, ORDER, CUSTOMER, null));
+
+    expect(c.status).toBe('PROCESSING');
+    expect(c.inventory).toMatchObject({ status: 'PENDING', items: null });
+    expect(c.last_error).toMatch(/inventory: database unavailable/);
+    expect(c.refund.status).toBe('DONE');
+  });
+});
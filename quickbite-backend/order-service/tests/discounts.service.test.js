@@ -0,0 +1,81 @@
+const discounts = require('../src/services/discounts.service');
+
+const ORDER_ID = 'order-1';
+const QUOTE = {
+  restaurant_id: 'restaurant-1',
+  items: [{ item_id: 'item-1', quantity: 2, unit_price_cents: 1000 }],
+  promotion: { id: 'promo-1', discount_cents: 200 },
+  coupons: {
+    applied: [{ code: 'SAVE10', coupon_id: 'coupon-1', discount_type: 'PERCENTAGE', discount_cents: 180 }],
+    subtotal_cents: 1800,
+    delivery_fee_cents: 3000,
+    discount_cents: 180,
+    delivery_discount_cents: 0
+  }
+};
+
+const respond = (status, body = {}) => ({ ok: status < 400, status, json: async () => body });
+
+// Answers each upstream call from `routes`, keyed by "METHOD path-suffix"
+function upstream(routes) {
+  const calls = [];
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const call = `${options.method || 'GET'} ${url.replace(/^https?:\/\/[^/]+\/api/, '')}`;
+    calls.push({ call, body: options.body ? JSON.parse(options.body) : null });
+    const route = Object.keys(routes).find((r) => call === r);
+    return route ? routes[route]() : respond(200, { success: true });
+  });
+  return calls;
+}
+
+describe('discounts service', () => {
+  it('counts the promotion and redeems coupons on the quoted cart', async () => {
+    const calls = upstream({
+      'POST /coupons/redeem': () => respond(201, { success: true, total_discount_cents: 180 })
+    });
+
+    await discounts.redeem(QUOTE, ORDER_ID, 'token-1');
+
+    expect(calls.map((c) => c.call)).toEqual(['POST /catalog/promotions/promo-1/redemptions', 'POST /coupons/redeem']);
+    expect(calls[0].body).toEqual({ order_id: ORDER_ID });
+    expect(calls[1].body).toMatchObject({
+      order_id: ORDER_ID,
+      couponCodes: ['SAVE10'],
+      subtotal_cents: 1800,
+      delivery_fee_cents: 3000,
+      items: [{ item_id: 'item-1', quantity: 2, price_cents: 1000 }]
+    });
+  });
+
+  it('gives the promotion back when a coupon has run out', async () => {
+    const calls = upstream({
+      'POST /coupons/redeem': () => respond(409, { message: 'Coupon usage limit reached', code: 'USAGE_LIMIT_REACHED' })
+    });
+
+    await expect(discounts.redeem(QUOTE, ORDER_ID, 'token-1')).rejects.toMatchObject({
+      name: 'DiscountUnavailableError', code: 'USAGE_LIMIT_REACHED'
+    });
+    expect(calls.map((c) => c.call)).toContain('DELETE /catalog/promotions/promo-1/redemptions/order-1');
+  });
+
+  it('refuses a coupon whose discount no longer matches the quote', async () => {
+    const calls = upstream({
+      'POST /coupons/redeem': () => respond(201, { success: true, total_discount_cents: 90 })
+    });
+
+    await expect(discounts.redeem(QUOTE, ORDER_ID, 'token-1')).rejects.toMatchObject({ code: 'COUPON_CHANGED' });
+    expect(calls.map((c) => c.call)).toEqual(expect.arrayContaining([
+      'POST /coupons/orders/order-1/reverse',
+      'DELETE /catalog/promotions/promo-1/redemptions/order-1'
+    ]));
+  });
+
+  it('stops at an exhausted promotion', async () => {
+    const calls = upstream({
+      'POST /catalog/promotions/promo-1/redemptions': () => respond(409, { message: 'Promotion has reached its usage limit', code: 'PROMO_EXHAUSTED' })
+    });
+
+    await expect(discounts.redeem(QUOTE, ORDER_ID, 'token-1')).rejects.toMatchObject({ code: 'PROMO_EXHAUSTED' });
+    expect(calls.map((c) => c.call)).not.toContain('POST /coupons/redeem');
+  });
+});
@@ -0,0 +1,60 @@
+const { createIdempotencyMiddleware } = require('@quickbite/idempotency');
+
+function request(headers, userId) {
+  return {
+    method: 'POST',
+    baseUrl: '/api',
+    path: '/orders',
+    body: { quote_token: 'quote-1' },
+    userId,
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+function response() {
+  const res = { statusCode: 200, on: jest.fn() };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  res.set = jest.fn(() => res);
+  return res;
+}
+
+describe('idempotency middleware', () => {
+  const store = { claim: jest.fn(), complete: jest.fn(), release: jest.fn() };
+  const idempotency = createIdempotencyMiddleware(store);
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    store.claim.mockResolvedValue({ claimed: true });
+  });
+
+  it('refuses a keyed request from a caller it cannot identify', async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await idempotency('orders.create')(request({ 'idempotency-key': 'key-1' }), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('IDEMPOTENCY_IDENTITY_REQUIRED');
+    expect(store.claim).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('scopes keys to the caller', async () => {
+    const next = jest.fn();
+
+    await idempotency('orders.create')(request({ 'idempotency-key': 'key-1' }, 'customer-1'), response(), next);
+
+    expect(store.claim).toHaveBeenCalledWith(expect.objectContaining({ scope: 'orders.create', ownerId: 'customer-1', key: 'key-1' }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('leaves requests without a key alone', async () => {
+    const next = jest.fn();
+
+    await idempotency('orders.create')(request({}), response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(store.claim).not.toHaveBeenCalled();
+  });
+});
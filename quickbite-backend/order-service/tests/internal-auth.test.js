@@ -0,0 +1,35 @@
+const requireInternal = require('@quickbite/internal-auth');
+
+const { isInternalRequest } = requireInternal;
+
+function response() {
+  const res = {};
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+afterEach(() => {
+  delete process.env.INTERNAL_SERVICE_TOKEN;
+});
+
+describe('internal endpoint guard', () => {
+  it('admits only callers with the configured token', () => {
+    process.env.INTERNAL_SERVICE_TOKEN = 'internal-token';
+
+    expect(isInternalRequest({ headers: { 'x-internal-token': 'internal-token' } })).toBe(true);
+    expect(isInternalRequest({ headers: { 'x-internal-token': 'guess' } })).toBe(false);
+    expect(isInternalRequest({ headers: {} })).toBe(false);
+  });
+
+  it('treats nothing as internal until a token is configured', () => {
+    const req = { headers: { 'x-internal-token': '' } };
+    const res = response();
+    const next = jest.fn();
+
+    expect(isInternalRequest(req)).toBe(false);
+    requireInternal(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(503);
+  });
+});
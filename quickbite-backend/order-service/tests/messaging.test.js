@@ -0,0 +1,112 @@
+const { TOPICS, InMemoryBroker, KafkaBroker } = require('@quickbite/messaging');
+
+// Records what the broker asks of kafkajs and lets the test feed messages to
+// a group's consumer as the cluster would
+function fakeKafka() {
+  const consumers = [];
+  return {
+    consumers,
+    producer: () => ({ connect: async () => {}, disconnect: async () => {}, send: async () => {} }),
+    consumer: ({ groupId }) => {
+      const consumer = {
+        groupId,
+        topics: null,
+        eachMessage: null,
+        connect: async () => {},
+        disconnect: async () => {},
+        subscribe: async ({ topics }) => { consumer.topics = topics; },
+        run: async ({ eachMessage }) => { consumer.eachMessage = eachMessage; }
+      };
+      consumers.push(consumer);
+      return consumer;
+    }
+  };
+}
+
+const deliver = (consumer, topic, message) => consumer.eachMessage({
+  topic,
+  message: { key: Buffer.from('order-1'), value: Buffer.from(JSON.stringify(message)) }
+});
+
+describe('KafkaBroker', () => {
+  it('runs one consumer per group for all of its topics and dispatches on topic', async () => {
+    const kafka = fakeKafka();
+    const broker = new KafkaBroker({ clientId: 'payment-service', kafka });
+    const requests = [];
+    const compensations = [];
+
+    await broker.subscribe('payment-service', {
+      [TOPICS.PAYMENT_REQUESTS]: (msg) => requests.push(msg),
+      [TOPICS.ORDER_COMPENSATIONS]: (msg) => compensations.push(msg)
+    });
+
+    expect(kafka.consumers).toHaveLength(1);
+    const [consumer] = kafka.consumers;
+    expect(consumer.groupId).toBe('payment-service');
+    expect(consumer.topics).toEqual([TOPICS.PAYMENT_REQUESTS, TOPICS.ORDER_COMPENSATIONS]);
+
+    await deliver(consumer, TOPICS.ORDER_COMPENSATIONS, { action: 'REFUND_PAYMENT' });
+    await deliver(consumer, TOPICS.PAYMENT_REQUESTS, { amountCents: 500 });
+
+    expect(compensations).toEqual([{ action: 'REFUND_PAYMENT' }]);
+    expect(requests).toEqual([{ amountCents: 500 }]);
+  });
+
+  it('refuses a second consumer in the same group', async () => {
+    const broker = new KafkaBroker({ clientId: 'order-service', kafka: fakeKafka() });
+    await broker.subscribe('order-service-saga', { [TOPICS.PAYMENT_RESULTS]: () => {} });
+
+    await expect(broker.subscribe('order-service-saga', { [TOPICS.DELIVERY_RESULTS]: () => {} }))
+      .rejects.toThrow(/already subscribed/);
+  });
+
+  it('fails a message for a topic the group does not handle so it is not committed', async () => {
+    const kafka = fakeKafka();
+    const broker = new KafkaBroker({ clientId: 'order-service', kafka });
+    await broker.subscribe('order-service-saga', { [TOPICS.PAYMENT_RESULTS]: () => {} });
+
+    await expect(deliver(kafka.consumers[0], TOPICS.DELIVERY_RESULTS, {})).rejects.toThrow(/does not handle/);
+  });
+});
+
+describe('InMemoryBroker', () => {
+  it('sends each topic to its own handler when members of a group share the work', async () => {
+    const broker = new InMemoryBroker();
+    const seen = [];
+    for (const member of ['a', 'b']) {
+      await broker.subscribe('order-service-saga', {
+        [TOPICS.PAYMENT_RESULTS]: (msg) => seen.push([member, 'payment', msg.n]),
+        [TOPICS.DELIVERY_RESULTS]: (msg) => seen.push([member, 'delivery', msg.n])
+      });
+    }
+
+    await broker.publish(TOPICS.PAYMENT_RESULTS, 'o1', { n: 1 });
+    await broker.publish(TOPICS.DELIVERY_RESULTS, 'o1', { n: 2 });
+    await broker.publish(TOPICS.PAYMENT_RESULTS, 'o1', { n: 3 });
+    await broker.drain();
+
+    expect(seen).toEqual([['a', 'payment', 1], ['b', 'delivery', 2], ['a', 'payment', 3]]);
+  });
+
+  it('delivers every message once to each group', async () => {
+    const broker = new InMemoryBroker();
+    const payment = [];
+    const delivery = [];
+    await broker.subscribe('payment-service', { [TOPICS.ORDER_COMPENSATIONS]: (msg) => payment.push(msg.action) });
+    await broker.subscribe('delivery-service', { [TOPICS.ORDER_COMPENSATIONS]: (msg) => delivery.push(msg.action) });
+
+    await broker.publish(TOPICS.ORDER_COMPENSATIONS, 'o1', { action: 'REFUND_PAYMENT' });
+    await broker.drain();
+
+    expect(payment).toEqual(['REFUND_PAYMENT']);
+    expect(delivery).toEqual(['REFUND_PAYMENT']);
+  });
+
+  it('refuses a group member that handles different topics', async () => {
+    const broker = new InMemoryBroker();
+    await broker.subscribe('payment-service', { [TOPICS.PAYMENT_REQUESTS]: () => {} });
+
+    await expect(broker.subscribe('payment-service', { [TOPICS.ORDER_COMPENSATIONS]: () => {} }))
+      .rejects.toThrow(/cannot handle/);
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/order.model', () => ({ ORDER_STATUSES: [], createOrder: jest.fn() }));
+
+const quoteToken = require('@quickbite/quote-token');
+const Order = require('../src/models/order.model');
+const ctrl = require('../src/controllers/order.controller');
+
+const MERCHANT_ID = '5d2c7c1e-8a4b-4b7e-9f0e-3a1c2b4d5e6f';
+const ITEM_ID = '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b';
+
+function quote(fields) {
+  return quoteToken.sign({
+    id: 'quote-1',
+    restaurant_id: MERCHANT_ID,
+    items: [{ item_id: ITEM_ID, quantity: 1, unit_price_cents: 1000, customizations: [] }],
+    total_cents: 1000,
+    expires_at: new Date(Date.now() + 60000).toISOString(),
+    ...fields
+  });
+}
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+async function place(quoteFields) {
+  const res = response();
+  await ctrl.create({
+    userId: 'customer-1',
+    body: { merchant_id: MERCHANT_ID, quote_token: quote(quoteFields), delivery_address: '1 Main St' }
+  }, res);
+  return res;
+}
+
+describe('placing an order with a quote', () => {
+  it('refuses a quote issued without a customer', async () => {
+    const res = await place({ user_id: null });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('QUOTE_MISMATCH');
+    expect(Order.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('refuses a quote issued to another customer', async () => {
+    const res = await place({ user_id: 'customer-2' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Quote was issued to a different customer');
+  });
+});
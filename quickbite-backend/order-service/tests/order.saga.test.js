@@ -0,0 +1,227 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+
+const { TOPICS, InMemoryBroker } = require('@quickbite/messaging');
+const Transitions = require('../src/models/order.transitions');
+const { OrderSaga, SAGA_STATES, COMPENSATION_STEPS } = require('../src/sagas/order.saga');
+
+const ORDER_ID = '11111111-1111-4111-8111-111111111111';
+
+// Saga rows kept in memory with the same optimistic versioning as saga.model
+function memorySagaStore() {
+  const rows = new Map();
+  const copy = (row) => JSON.parse(JSON.stringify(row));
+  let nextId = 1;
+  return {
+    rows,
+    async createSaga({ orderId, state, data = {}, deadlineAt = null }) {
+      const existing = [...rows.values()].find((r) => r.order_id === orderId);
+      if (existing) return copy(existing);
+      const row = { id: `saga-${nextId++}`, order_id: orderId, state, data, history: [{ state }], deadline_at: deadlineAt, last_error: null, version: 0 };
+      rows.set(row.id, copy(row));
+      return copy(row);
+    },
+    async getSaga(id) {
+      return rows.has(id) ? copy(rows.get(id)) : null;
+    },
+    async getSagaByOrderId(orderId) {
+      const row = [...rows.values()].find((r) => r.order_id === orderId);
+      return row ? copy(row) : null;
+    },
+    async saveSaga(saga) {
+      const current = rows.get(saga.id);
+      if (!current || current.version !== saga.version) {
+        const error = new Error(`Saga ${saga.id} was modified concurrently`);
+        error.name = 'SagaConflictError';
+        throw error;
+      }
+      const row = { ...copy(saga), version: saga.version + 1 };
+      rows.set(saga.id, row);
+      return copy(row);
+    },
+    async findExpiredSagas(now) {
+      return [...rows.values()].filter((r) => r.deadline_at && new Date(r.deadline_at) <= now).map(copy);
+    }
+  };
+}
+
+// Orders held in memory, moved through the real transition table
+function memoryOrders(order) {
+  const orders = new Map([[order.id, { ...order }]]);
+  return {
+    orders,
+    async getOrder(id) {
+      return orders.has(id) ? { ...orders.get(id) } : null;
+    },
+    canTransition: Transitions.canTransition,
+    async transition(id, action, actor) {
+      const current = orders.get(id);
+      const t = Transitions.assertTransition(current, action, actor);
+      current.status = t.to;
+      return { order: { ...current } };
+    },
+    async assignDriver(id, driverId, driverPhone, driverUserId) {
+      Object.assign(orders.get(id), { driver_id: driverId, driver_phone: driverPhone, driver_user_id: driverUserId });
+    }
+  };
+}
+
+function memoryInventory() {
+  const stock = new Map([['item-1', 5], ['item-2', 5]]);
+  return {
+    stock,
+    async reserve(item) {
+      stock.set(item.item_id, stock.get(item.item_id) - item.quantity);
+    },
+    async restore(item) {
+      stock.set(item.item_id, stock.get(item.item_id) + item.quantity);
+    }
+  };
+}
+
+// Stand-ins for payment-service and delivery-service on the other side of
+// the broker. `payment` / `delivery` decide how each request is answered;
+// null leaves it unanswered.
+async function participants(broker, { payment = 'SUCCESS', delivery = 'ASSIGNED' } = {}) {
+  const compensations = [];
+  await broker.subscribe('payment-service', {
+    [TOPICS.PAYMENT_REQUESTS]: async (msg) => {
+      if (!payment) return;
+      await broker.publish(TOPICS.PAYMENT_RESULTS, msg.orderId, {
+        sagaId: msg.sagaId, orderId: msg.orderId, paymentId: 'pay-1', status: payment, reason: 'Card declined'
+      });
+    },
+    [TOPICS.ORDER_COMPENSATIONS]: (msg) => compensations.push({ service: 'payment', action: msg.action, reason: msg.reason })
+  });
+  await broker.subscribe('delivery-service', {
+    [TOPICS.DELIVERY_REQUESTS]: async (msg) => {
+      if (!delivery) return;
+      await broker.publish(TOPICS.DELIVERY_RESULTS, msg.orderId, {
+        sagaId: msg.sagaId, orderId: msg.orderId, status: delivery, deliveryId: 'del-1', partnerId: 'partner-1', partnerUserId: 'rider-1', retryable: false
+      });
+    },
+    [TOPICS.ORDER_COMPENSATIONS]: (msg) => compensations.push({ service: 'delivery', action: msg.action, reason: msg.reason })
+  });
+  return compensations;
+}
+
+async function setup(scenario) {
+  let now = new Date('2026-01-01T12:00:00Z');
+  const store = memorySagaStore();
+  const orders = memoryOrders({
+    id: ORDER_ID,
+    user_id: 'customer-1',
+    merchant_id: 'restaurant-1',
+    status: 'PENDING',
+    total_amount_cents: 2500,
+    delivery_address: '1 Main St',
+    items: [{ item_id: 'item-1', quantity: 2 }, { item_id: 'item-2', quantity: 1 }],
+    price_breakdown: { id: 'quote-1', coupons: { applied: [{ code: 'SAVE10' }] }, promotion: null }
+  });
+  const inventory = memoryInventory();
+  // Records the order's status when its discounts are given back
+  const released = [];
+  const discounts = { reverse: async (quote, orderId) => released.push({ orderId, status: orders.orders.get(orderId).status }) };
+  const saga = new OrderSaga({ store, orders, inventory, discounts, clock: () => now, config: { paymentTimeoutMs: 60 * 1000 } });
+  const broker = new InMemoryBroker();
+  const compensations = await participants(broker, scenario);
+  await saga.start(broker, { sweep: false });
+
+  return {
+    saga,
+    broker,
+    store,
+    orders,
+    inventory,
+    compensations,
+    released,
+    advance: (ms) => { now = new Date(now.getTime() + ms); },
+    state: async () => (await store.getSagaByOrderId(ORDER_ID)),
+    order: () => orders.orders.get(ORDER_ID)
+  };
+}
+
+describe('order saga on the in-memory broker', () => {
+  it('reserves stock, takes payment and assigns a partner', async () => {
+    const t = await setup();
+
+    await t.saga.begin(ORDER_ID);
+    await t.broker.drain();
+
+    const saga = await t.state();
+    expect(saga.state).toBe(SAGA_STATES.COMPLETED);
+    expect(saga.data).toMatchObject({ paymentId: 'pay-1', deliveryId: 'del-1', partnerId: 'partner-1' });
+    expect(saga.history.map((h) => h.state)).toEqual([
+      SAGA_STATES.RESERVING_INVENTORY, SAGA_STATES.AWAITING_PAYMENT, SAGA_STATES.AWAITING_DELIVERY, SAGA_STATES.COMPLETED
+    ]);
+    expect(t.order()).toMatchObject({ status: 'CONFIRMED', driver_id: 'partner-1', driver_user_id: 'rider-1' });
+    expect(t.inventory.stock.get('item-1')).toBe(3);
+    expect(t.inventory.stock.get('item-2')).toBe(4);
+    expect(t.compensations).toEqual([]);
+    expect(t.released).toEqual([]);
+  });
+
+  it('refunds, restores stock and cancels the order when payment fails', async () => {
+    const t = await setup({ payment: 'FAILED' });
+
+    await t.saga.begin(ORDER_ID);
+    await t.broker.drain();
+
+    const saga = await t.state();
+    expect(saga.state).toBe(SAGA_STATES.COMPENSATED);
+    expect(saga.data.compensation).toMatchObject({
+      reason: 'PAYMENT_FAILED',
+      pending: [],
+      done: [
+        COMPENSATION_STEPS.REFUND_PAYMENT, COMPENSATION_STEPS.RESTORE_INVENTORY,
+        COMPENSATION_STEPS.CANCEL_ORDER, COMPENSATION_STEPS.RELEASE_DISCOUNTS
+      ]
+    });
+    // Coupon usage goes back once the order is cancelled
+    expect(t.released).toEqual([{ orderId: ORDER_ID, status: 'CANCELLED' }]);
+    expect(saga.last_error).toBe('Card declined');
+    expect(t.order().status).toBe('CANCELLED');
+    expect(t.inventory.stock.get('item-1')).toBe(5);
+    expect(t.inventory.stock.get('item-2')).toBe(5);
+    // Both participants see the refund; no partner was ever requested, so
+    // there is nothing to release
+    expect(t.compensations.map((c) => c.action).sort()).toEqual([
+      COMPENSATION_STEPS.REFUND_PAYMENT, COMPENSATION_STEPS.REFUND_PAYMENT
+    ]);
+  });
+
+  it('gives up on a payment that never arrives and refunds one that arrives late', async () => {
+    const t = await setup({ payment: null });
+
+    await t.saga.begin(ORDER_ID);
+    await t.broker.drain();
+    expect((await t.state()).state).toBe(SAGA_STATES.AWAITING_PAYMENT);
+
+    // Not yet due
+    t.advance(30 * 1000);
+    await t.saga.checkTimeouts();
+    expect((await t.state()).state).toBe(SAGA_STATES.AWAITING_PAYMENT);
+
+    t.advance(31 * 1000);
+    await t.saga.checkTimeouts();
+    await t.broker.drain();
+
+    let saga = await t.state();
+    expect(saga.state).toBe(SAGA_STATES.COMPENSATED);
+    expect(saga.data.compensation.reason).toBe('PAYMENT_TIMEOUT');
+    expect(t.order().status).toBe('CANCELLED');
+    expect(t.inventory.stock.get('item-1')).toBe(5);
+
+    // The customer's payment goes through after the saga gave up on it
+    const refundsBefore = t.compensations.length;
+    await t.broker.publish(TOPICS.PAYMENT_RESULTS, ORDER_ID, {
+      sagaId: saga.id, orderId: ORDER_ID, paymentId: 'pay-late', status: 'SUCCESS'
+    });
+    await t.broker.drain();
+
+    saga = await t.state();
+    expect(saga.state).toBe(SAGA_STATES.COMPENSATED);
+    expect(saga.data.paymentId).toBe('pay-late');
+    expect(t.compensations.length).toBeGreaterThan(refundsBefore);
+    expect(t.compensations.slice(refundsBefore).every((c) => c.action === COMPENSATION_STEPS.REFUND_PAYMENT)).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+const Transitions = require('../src/models/order.transitions');
+
+const { ROLES } = Transitions;
+
+const ORDER = { id: 'order-1', user_id: 'customer-1', merchant_id: 'store-1', driver_id: 'driver-1' };
+
+describe('order transition roles', () => {
+  it('maps the roles auth-service issues', () => {
+    expect(Transitions.normalizeRole('customer')).toBe(ROLES.CUSTOMER);
+    expect(Transitions.normalizeRole('staff')).toBe(ROLES.RESTAURANT);
+    expect(Transitions.normalizeRole('driver')).toBe(ROLES.DRIVER);
+    expect(Transitions.normalizeRole('admin')).toBe(ROLES.ADMIN);
+    expect(Transitions.normalizeRole('super_admin')).toBe(ROLES.ADMIN);
+    expect(Transitions.normalizeRole(null)).toBeNull();
+  });
+
+  it('lets restaurant staff act only on orders placed with their store', () => {
+    const order = { ...ORDER, status: 'CONFIRMED' };
+    const staff = { role: Transitions.normalizeRole('staff'), id: 'staff-1', storeId: 'store-1' };
+
+    expect(Transitions.assertTransition(order, 'accept', staff).to).toBe('PREPARING');
+    expect(() => Transitions.assertTransition(order, 'accept', { ...staff, storeId: 'store-2' }))
+      .toThrow(Transitions.TransitionForbiddenError);
+  });
+
+  it('checks the driver against the rider\'s account rather than the partner id', () => {
+    const order = { ...ORDER, status: 'READY_FOR_PICKUP', driver_id: 'partner-1', driver_user_id: 'rider-1' };
+
+    expect(Transitions.assertTransition(order, 'pick_up', { role: ROLES.DRIVER, id: 'rider-1' }).to).toBe('OUT_FOR_DELIVERY');
+    expect(() => Transitions.assertTransition(order, 'pick_up', { role: ROLES.DRIVER, id: 'partner-1' }))
+      .toThrow(Transitions.TransitionForbiddenError);
+    expect(() => Transitions.assertTransition({ ...order, driver_user_id: null }, 'pick_up', { role: ROLES.DRIVER, id: 'partner-1' }))
+      .toThrow(Transitions.TransitionForbiddenError);
+  });
+
+  it('refuses roles auth-service does not issue', () => {
+    const order = { ...ORDER, status: 'CONFIRMED' };
+    const merchant = { role: Transitions.normalizeRole('merchant'), id: 'm-1', storeId: 'store-1' };
+
+    expect(() => Transitions.assertTransition(order, 'accept', merchant))
+      .toThrow(Transitions.TransitionForbiddenError);
+  });
+});
@@ -0,0 +1,37 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/order.model', () => ({
+  getOrder: jest.fn(),
+  calculateDistance: jest.fn(() => 2),
+  updateDriverLocation: jest.fn(async () => ({ timestamp: new Date().toISOString() })),
+  updateEstimatedDeliveryTime: jest.fn()
+}));
+
+const Order = require('../src/models/order.model');
+const { participantOf } = require('../src/realtime/orderRooms');
+const liveTracking = require('../src/services/liveTracking.service');
+
+// The saga stores the delivery partner in driver_id and the rider's
+// auth-service account in driver_user_id; the two never match
+const ORDER = {
+  id: 'order-1',
+  user_id: 'customer-1',
+  merchant_id: 'store-1',
+  status: 'OUT_FOR_DELIVERY',
+  driver_id: 'partner-1',
+  driver_user_id: 'rider-1'
+};
+
+describe('assigned rider', () => {
+  it('joins the order room with their own account', () => {
+    expect(participantOf(ORDER, { userId: 'rider-1', role: 'driver' })).toBe('driver');
+    expect(participantOf(ORDER, { userId: 'partner-1', role: 'driver' })).toBeNull();
+  });
+
+  it('publishes locations with their own account', async () => {
+    Order.getOrder.mockResolvedValue(ORDER);
+    const fix = { latitude: 12.97, longitude: 77.59, accuracy: 10, timestamp: new Date().toISOString() };
+
+    await expect(liveTracking.record('order-1', 'partner-1', fix)).rejects.toMatchObject({ code: 'DRIVER_NOT_ASSIGNED' });
+    await expect(liveTracking.record('order-1', 'rider-1', fix)).resolves.toMatchObject({ order_id: 'order-1' });
+  });
+});
@@ -0,0 +1,14 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+
+describe('orders router', () => {
+  it('loads with a handler behind every route', () => {
+    const router = require('../src/routes/orders.routes');
+
+    const routes = router.stack.filter((layer) => layer.route).map((layer) => layer.route);
+    expect(routes.length).toBeGreaterThan(0);
+    routes.forEach((route) => {
+      route.stack.forEach((layer) => expect(typeof layer.handle).toBe('function'));
+    });
+    expect(routes.map((r) => r.path)).toContain('/internal/orders/:id/payment/confirm');
+  });
+});
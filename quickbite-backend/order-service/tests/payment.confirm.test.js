@@ -0,0 +1,71 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/order.model', () => ({
+  ORDER_STATUSES: ['PENDING', 'SCHEDULED', 'CONFIRMED', 'CANCELLED'],
+  getOrder: jest.fn(),
+  transition: jest.fn(),
+  recordEvent: jest.fn()
+}));
+
+const Order = require('../src/models/order.model');
+const Transitions = require('../src/models/order.transitions');
+const ctrl = require('../src/controllers/order.controller');
+
+const ORDER_ID = '0b6f4a9e-1c1d-4c57-9a43-2b1f6a1b0c11';
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+function request(fields) {
+  return {
+    params: { id: ORDER_ID },
+    body: { order_id: ORDER_ID, status: 'SUCCESS', payment_id: 'payment-1' },
+    app: { get: () => null },
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  const order = { id: ORDER_ID, user_id: 'customer-1', status: 'PENDING', release_at: null };
+  Order.getOrder.mockResolvedValue(order);
+  // The role and state checks Order.transition makes before writing
+  Order.transition.mockImplementation(async (id, action, actor) => {
+    const transition = Transitions.assertTransition(order, action, actor);
+    return { order: { ...order, status: transition.to }, previous: order, transition };
+  });
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ delivery_id: 'delivery-1' }) }));
+});
+
+describe('payment confirmation', () => {
+  it('confirms the order as the system when payment-service reports it', async () => {
+    const res = response();
+
+    await ctrl.confirmPaymentInternal(request(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, order_status: 'CONFIRMED' });
+    expect(Order.transition).toHaveBeenCalledWith(ORDER_ID, 'confirm', Transitions.SYSTEM_ACTOR, { payment_id: 'payment-1' }, {});
+  });
+
+  it('does not let the customer confirm their own payment', async () => {
+    const res = response();
+
+    await ctrl.confirmPayment(request({ userId: 'customer-1', userRole: 'customer' }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('TRANSITION_FORBIDDEN');
+  });
+
+  it('refuses a report for another order than the route names', async () => {
+    const res = response();
+
+    await ctrl.confirmPaymentInternal(request({ params: { id: 'another-order' } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(Order.transition).not.toHaveBeenCalled();
+  });
+});
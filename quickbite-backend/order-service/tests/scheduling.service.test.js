@@ -0,0 +1,52 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+jest.mock('../src/models/order.model');
+jest.mock('../src/sagas/order.saga', () => ({
+  isRunning: jest.fn(),
+  release: jest.fn(),
+  SAGA_STATES: jest.requireActual('../src/sagas/order.saga').SAGA_STATES
+}));
+
+const Order = require('../src/models/order.model');
+const orderSaga = require('../src/sagas/order.saga');
+const scheduling = require('../src/services/scheduling.service');
+
+const { SAGA_STATES } = orderSaga;
+const DUE = { id: 'order-1', merchant_id: 'restaurant-1', release_at: new Date('2026-01-01T11:30:00Z') };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Order.getDueScheduledOrders.mockResolvedValue([DUE]);
+  orderSaga.isRunning.mockReturnValue(true);
+});
+
+describe('scheduled order release', () => {
+  it('leaves orders the saga dispatched to it', async () => {
+    orderSaga.release.mockResolvedValue({ id: 'saga-1', state: SAGA_STATES.AWAITING_DELIVERY });
+
+    await scheduling.releaseDue();
+
+    expect(orderSaga.release).toHaveBeenCalledWith('order-1');
+    expect(Order.transition).not.toHaveBeenCalled();
+    expect(Order.holdScheduledRelease).not.toHaveBeenCalled();
+  });
+
+  it('confirms orders placed without a saga', async () => {
+    orderSaga.release.mockResolvedValue(null);
+
+    await scheduling.releaseDue();
+
+    expect(Order.transition).toHaveBeenCalledWith('order-1', 'confirm', expect.anything(), { released_from_schedule: true });
+  });
+
+  it('holds an order whose saga can no longer release it instead of polling it again', async () => {
+    orderSaga.release.mockResolvedValue({ id: 'saga-1', state: SAGA_STATES.COMPENSATING });
+
+    await scheduling.releaseDue();
+
+    expect(Order.transition).not.toHaveBeenCalled();
+    expect(Order.holdScheduledRelease).toHaveBeenCalledWith('order-1', expect.stringContaining('COMPENSATING'), {
+      saga_id: 'saga-1',
+      saga_state: SAGA_STATES.COMPENSATING
+    });
+  });
+});
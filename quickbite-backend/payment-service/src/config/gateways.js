@@ -0,0 +1,60 @@
+const {
+  RazorpayGateway,
+  PaytmGateway,
+  PhonePeGateway,
+  GatewayManager
+} = require('../models/gateway.model');
+const { SandboxGateway } = require('../services/gatewaySandbox');
+
+// Initialize gateway manager
+const gatewayManager = new GatewayManager();
+
+// PAYMENT_GATEWAY_MODE=sandbox swaps every gateway for the local simulator.
+// It is refused in production.
+const sandboxRequested = process.env.PAYMENT_GATEWAY_MODE === 'sandbox';
+gatewayManager.sandbox = sandboxRequested && process.env.NODE_ENV !== 'production';
+if (sandboxRequested && !gatewayManager.sandbox) {
+  console.error('❌ PAYMENT_GATEWAY_MODE=sandbox is ignored in production');
+}
+
+if (gatewayManager.sandbox) {
+  gatewayManager.registerGateway('RAZORPAY', new SandboxGateway('RAZORPAY', {
+    webhook_secret: process.env.RAZORPAY_WEBHOOK_SECRET
+  }));
+  gatewayManager.registerGateway('PAYTM', new SandboxGateway('PAYTM', {
+    merchant_id: process.env.PAYTM_MERCHANT_ID,
+    merchant_key: process.env.PAYTM_MERCHANT_KEY
+  }));
+  gatewayManager.registerGateway('PHONEPE', new SandboxGateway('PHONEPE', {
+    merchant_id: process.env.PHONEPE_MERCHANT_ID,
+    salt_key: process.env.PHONEPE_SALT_KEY,
+    salt_index: process.env.PHONEPE_SALT_INDEX
+  }));
+  console.log('🧪 Payment gateways running in sandbox mode');
+} else {
+  // Register gateways (would be loaded from database in production)
+  if (process.env.RAZORPAY_KEY_ID) {
+    gatewayManager.registerGateway('RAZORPAY', new RazorpayGateway({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+      webhook_secret: process.env.RAZORPAY_WEBHOOK_SECRET
+    }));
+  }
+
+  if (process.env.PAYTM_MERCHANT_ID) {
+    gatewayManager.registerGateway('PAYTM', new PaytmGateway({
+      merchant_id: process.env.PAYTM_MERCHANT_ID,
+      merchant_key: process.env.PAYTM_MERCHANT_KEY
+    }));
+  }
+
+  if (process.env.PHONEPE_MERCHANT_ID) {
+    gatewayManager.registerGateway('PHONEPE', new PhonePeGateway({
+      merchant_id: process.env.PHONEPE_MERCHANT_ID,
+      salt_key: process.env.PHONEPE_SALT_KEY,
+      salt_index: process.env.PHONEPE_SALT_INDEX
+    }));
+  }
+}
+
+module.exports = gatewayManager;
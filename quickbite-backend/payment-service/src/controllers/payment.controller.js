@@ -1,5 +1,4 @@
 const Joi = require('joi');
-const { v4: uuidv4 } = require('uuid');
 const { 
   Payment, 
   Refund, 
@@ -7,54 +6,30 @@ const {
   FraudDetection, 
   PaymentAnalytics 
 } = require('../models/payment.model');
-const {
-  RazorpayGateway,
-  PaytmGateway,
-  PhonePeGateway,
-  GatewayManager
-} = require('../models/gateway.model');
-
-// Initialize gateway manager
-const gatewayManager = new GatewayManager();
-
-// Register gateways (would be loaded from database in production)
-if (process.env.RAZORPAY_KEY_ID) {
-  gatewayManager.registerGateway('RAZORPAY', new RazorpayGateway({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
-    webhook_secret: process.env.RAZORPAY_WEBHOOK_SECRET
-  }));
-}
-
-if (process.env.PAYTM_MERCHANT_ID) {
-  gatewayManager.registerGateway('PAYTM', new PaytmGateway({
-    merchant_id: process.env.PAYTM_MERCHANT_ID,
-    merchant_key: process.env.PAYTM_MERCHANT_KEY
-  }));
-}
+const gatewayManager = require('../config/gateways');
+const refundService = require('../services/refund.service');
+const paymentSaga = require('../messaging/payment.consumer');
+const quoteToken = require('@quickbite/quote-token');
 
-if (process.env.PHONEPE_MERCHANT_ID) {
-  gatewayManager.registerGateway('PHONEPE', new PhonePeGateway({
-    merchant_id: process.env.PHONEPE_MERCHANT_ID,
-    salt_key: process.env.PHONEPE_SALT_KEY,
-    salt_index: process.env.PHONEPE_SALT_INDEX
-  }));
-}
+const ORDER_BASE = process.env.ORDER_BASE_URL || 'http://localhost:3004/api';
 
 // Enhanced validation schemas
 const initiatePaymentSchema = Joi.object({
   order_id: Joi.string().guid({ version: 'uuidv4' }).required(),
-  user_id: Joi.string().guid({ version: 'uuidv4' }).required(),
+  // The payer is the authenticated caller; a body value must agree
+  user_id: Joi.string().guid({ version: 'uuidv4' }).optional(),
   restaurant_id: Joi.string().guid({ version: 'uuidv4' }).optional(),
   method: Joi.string().valid('UPI', 'CARD', 'WALLET', 'BNPL', 'COD', 'NETBANKING').required(),
   provider: Joi.string().valid('RAZORPAY', 'PAYTM', 'PHONEPE', 'CASHFREE').optional(),
   amount_cents: Joi.number().integer().min(100).required(), // Min ₹1
   
-  // Breakdown
-  tax_amount_cents: Joi.number().integer().min(0).default(0),
-  delivery_fee_cents: Joi.number().integer().min(0).default(0),
-  platform_fee_cents: Joi.number().integer().min(0).default(0),
-  discount_amount_cents: Joi.number().integer().min(0).default(0),
+  // Signed catalog quote the order was placed with; the breakdown is taken
+  // from it, anything the client sends for these fields must agree
+  quote_token: Joi.string().required(),
+  tax_amount_cents: Joi.number().integer().min(0).optional(),
+  delivery_fee_cents: Joi.number().integer().min(0).optional(),
+  platform_fee_cents: Joi.number().integer().min(0).optional(),
+  discount_amount_cents: Joi.number().integer().min(0).optional(),
   
   // Payment method specific data
   card_details: Joi.object({
@@ -97,21 +72,67 @@ const refundSchema = Joi.object({
   notes: Joi.string().max(1000).optional()
 });
 
-// Utility functions
-async function fetchOrderDetails(orderId) {
+const cancellationRefundSchema = Joi.object({
+  cancellation_id: Joi.string().guid().required(),
+  refund_percent: Joi.number().min(0).max(100).required(),
+  reason: Joi.string().max(500).required(),
+  initiated_by: Joi.string().valid('CUSTOMER', 'RESTAURANT', 'ADMIN', 'SYSTEM').required()
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How long after a quote expires its order may still be paid for
+const QUOTE_PAYMENT_GRACE_MS = parseInt(process.env.QUOTE_PAYMENT_GRACE_SECONDS || '900', 10) * 1000;
+
+// Checks the payment request against its signed quote and the order it is
+// for, and returns the breakdown to record, or { error } when they disagree.
+// A quote only pays for the order that was placed with it.
+function priceFromQuote(paymentData, order) {
+  let quote;
   try {
-    // In production, this would call the order service
-    // For now, we'll return mock data or skip validation
-    return {
-      order_id: orderId,
-      total_amount_cents: 50000, // Mock ₹500
-      status: 'CONFIRMED',
-      user_id: uuidv4(),
-      restaurant_id: uuidv4()
-    };
-  } catch (error) {
-    throw new Error('Failed to fetch order details');
+    quote = quoteToken.verify(paymentData.quote_token, { graceMs: QUOTE_PAYMENT_GRACE_MS });
+  } catch (e) {
+    if (e instanceof quoteToken.QuoteTokenError) return { error: e.message, code: e.code };
+    throw e;
   }
+
+  const breakdown = {
+    tax_amount_cents: quote.tax_cents,
+    delivery_fee_cents: quote.delivery_fee_cents,
+    platform_fee_cents: quote.platform_fee_cents,
+    discount_amount_cents: quote.discount_cents
+  };
+  const mismatched = Object.keys(breakdown)
+    .filter(field => paymentData[field] !== undefined && paymentData[field] !== breakdown[field]);
+
+  if (paymentData.amount_cents !== quote.total_cents || mismatched.length > 0) {
+    return { error: 'Payment amount does not match the order quote', code: 'QUOTE_MISMATCH', fields: mismatched };
+  }
+  if (paymentData.restaurant_id && paymentData.restaurant_id !== quote.restaurant_id) {
+    return { error: 'Quote is for a different restaurant', code: 'QUOTE_MISMATCH' };
+  }
+  if (!quote.user_id) {
+    return { error: 'Quote was issued without a customer', code: 'QUOTE_MISMATCH' };
+  }
+  if (quote.user_id !== paymentData.user_id) {
+    return { error: 'Quote was issued to a different customer', code: 'QUOTE_MISMATCH' };
+  }
+  if (order.quote_id !== quote.id || order.total_amount_cents !== quote.total_cents) {
+    return { error: 'Quote does not belong to this order', code: 'QUOTE_MISMATCH' };
+  }
+  return { quote, breakdown };
+}
+
+// Utility functions
+
+// The order as order-service has it, or null when it does not exist
+async function fetchOrderDetails(orderId) {
+  const r = await fetch(`${ORDER_BASE}/internal/orders/${encodeURIComponent(orderId)}`, {
+    headers: { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '' }
+  });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Failed to fetch order details: ${r.status}`);
+  return r.json();
 }
 
 class PaymentController {
@@ -129,13 +150,32 @@ class PaymentController {
       }
 
       const paymentData = value;
-      
-      // Validate order exists (mock for now)
+      if (!req.userId || (paymentData.user_id && paymentData.user_id !== req.userId)) {
+        return res.status(403).json({ success: false, message: 'Payments are made by the signed-in customer' });
+      }
+      paymentData.user_id = req.userId;
+
+      // Someone else's order is reported as missing
       const order = await fetchOrderDetails(paymentData.order_id);
-      if (!order) {
+      if (!order || order.user_id !== paymentData.user_id) {
         return res.status(404).json({ success: false, message: 'Order not found' });
       }
 
+      const priced = priceFromQuote(paymentData, order);
+      if (priced.error) {
+        return res.status(priced.code === 'QUOTE_EXPIRED' ? 410 : 409).json({
+          success: false,
+          message: priced.error,
+          code: priced.code,
+          fields: priced.fields
+        });
+      }
+      Object.assign(paymentData, priced.breakdown, {
+        quote_id: priced.quote.id,
+        restaurant_id: priced.quote.restaurant_id
+      });
+      delete paymentData.quote_token;
+
       // Check for existing payment
       const existingPayment = await Payment.findByOrderId(paymentData.order_id);
       if (existingPayment && existingPayment.status !== 'FAILED') {
@@ -166,8 +206,14 @@ class PaymentController {
       const { gateway, gateway_name } = await gatewayManager.routePayment(paymentData);
       paymentData.provider = gateway_name;
 
-      // Create payment record
-      const payment = await Payment.create(paymentData);
+      // Create payment record; a quote pays for one payment that has not failed
+      let payment;
+      try {
+        payment = await Payment.create(paymentData);
+      } catch (e) {
+        if (e.code !== '23505') throw e;
+        return res.status(409).json({ success: false, message: 'This quote has already been paid', code: 'QUOTE_USED' });
+      }
 
       // Process payment based on method
       let gatewayResponse;
@@ -182,17 +228,28 @@ class PaymentController {
         };
       } else {
         // Process through gateway
-        gatewayResponse = await this.processGatewayPayment(gateway, payment, paymentData);
+        gatewayResponse = await PaymentController.processGatewayPayment(gateway, payment, paymentData);
       }
 
       // Update payment with gateway response
       if (gatewayResponse.success) {
-        await Payment.updateStatus(payment.id, {
+        const updated = await Payment.updateStatus(payment.id, {
           status: gatewayResponse.status || 'PROCESSING',
           gateway_transaction_id: gatewayResponse.gateway_transaction_id,
           gateway_order_id: gatewayResponse.gateway_order_id,
           provider: gateway_name
         });
+        // Cash on delivery settles the order saga immediately
+        await paymentSaga.reportOutcome(updated);
+      } else {
+        // Failed payments can be retried
+        await Payment.updateStatus(payment.id, {
+          status: 'FAILED',
+          failure_reason: typeof gatewayResponse.error === 'string'
+            ? gatewayResponse.error
+            : gatewayResponse.error?.description || 'Gateway request failed',
+          provider: gateway_name
+        });
       }
 
       // Update analytics
@@ -382,12 +439,7 @@ class PaymentController {
       }
 
       // Check refund amount
-      const existingRefunds = await Refund.findByPaymentId(payment_id);
-      const totalRefunded = existingRefunds
-        .filter(r => r.status === 'SUCCESS')
-        .reduce((sum, r) => sum + r.amount_cents, 0);
-      
-      const availableAmount = payment.amount_cents - totalRefunded;
+      const availableAmount = await refundService.refundableAmount(payment);
       
       if (amount_cents > availableAmount) {
         return res.status(400).json({
@@ -396,10 +448,8 @@ class PaymentController {
         });
       }
 
-      // Create refund record
-      const refund = await Refund.create({
-        payment_id,
-        order_id: payment.order_id,
+      // Create refund record and process it through the gateway
+      const { refund, status: refundStatus, gatewayResponse } = await refundService.issueRefund(payment, {
         refund_type,
         amount_cents,
         reason,
@@ -407,28 +457,6 @@ class PaymentController {
         notes
       });
 
-      // Process refund through gateway
-      let gatewayResponse = { success: true, status: 'PROCESSING' };
-      
-      if (payment.method !== 'COD' && payment.gateway_payment_id) {
-        const gateway = gatewayManager.getGateway(payment.provider);
-        if (gateway) {
-          gatewayResponse = await gateway.createRefund(payment.gateway_payment_id, {
-            amount_cents,
-            notes: { refund_id: refund.id, reason }
-          });
-        }
-      }
-
-      // Update refund status
-      const refundStatus = gatewayResponse.success ? 'PROCESSING' : 'FAILED';
-      await Refund.updateStatus(
-        refund.id, 
-        refundStatus, 
-        gatewayResponse.refund_id,
-        gatewayResponse.success ? new Date() : null
-      );
-
       return res.status(201).json({
         success: true,
         refund_id: refund.id,
@@ -447,6 +475,36 @@ class PaymentController {
     }
   }
 
+  // Refund or void the payment of a cancelled order (called by order-service).
+  // Keyed by the cancellation id, so retries never refund twice.
+  static async refundCancelledOrder(req, res) {
+    try {
+      const { error, value } = cancellationRefundSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const result = await refundService.refundCancelledOrder(req.params.order_id, {
+        key: `cancellation:${value.cancellation_id}`,
+        refund_percent: value.refund_percent,
+        reason: value.reason,
+        initiated_by: value.initiated_by
+      });
+
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Cancellation refund failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   // Retry failed payment
   static async retryPayment(req, res) {
     try {
@@ -480,7 +538,7 @@ class PaymentController {
       // Process through gateway again
       const gateway = gatewayManager.getGateway(payment.provider);
       if (gateway) {
-        const gatewayResponse = await this.processGatewayPayment(gateway, retriedPayment, {
+        const gatewayResponse = await PaymentController.processGatewayPayment(gateway, retriedPayment, {
           method: payment.method,
           amount_cents: payment.amount_cents,
           order_id: payment.order_id,
@@ -489,7 +547,8 @@ class PaymentController {
 
         await Payment.updateStatus(payment_id, {
           status: gatewayResponse.success ? 'PROCESSING' : 'FAILED',
-          gateway_transaction_id: gatewayResponse.gateway_transaction_id
+          gateway_transaction_id: gatewayResponse.gateway_transaction_id,
+          gateway_order_id: gatewayResponse.gateway_order_id
         });
       }
 
@@ -590,7 +649,9 @@ class PaymentController {
     }
   }
 
-  // Handle webhook from payment gateway
+  // Handle webhook from payment gateway. A bad signature is answered with 400
+  // and a failure to process the event with 500, so the gateway delivers it
+  // again.
   static async handleWebhook(req, res) {
     try {
       const gatewayName = req.params.gateway.toUpperCase();
@@ -603,22 +664,25 @@ class PaymentController {
         });
       }
 
+      // Signatures cover the exact bytes the gateway sent
+      const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
+
       // Verify webhook signature
       const signature = req.headers['x-razorpay-signature'] || req.headers['x-verify'];
-      const isValid = gateway.verifyWebhookSignature(JSON.stringify(req.body), signature);
+      const isValid = gateway.verifyWebhookSignature(payload, signature);
       
       if (!isValid) {
-        return res.status(401).json({
+        return res.status(400).json({
           success: false,
           message: 'Invalid webhook signature'
         });
       }
 
       // Parse webhook event
-      const event = gateway.parseWebhookEvent(JSON.stringify(req.body));
+      const event = gateway.parseWebhookEvent(payload);
       
       // Process event
-      await this.processWebhookEvent(event);
+      await PaymentController.processWebhookEvent(event, gatewayName);
       
       return res.json({ success: true, message: 'Webhook processed' });
 
@@ -631,35 +695,83 @@ class PaymentController {
     }
   }
 
-  // Process webhook events
-  static async processWebhookEvent(event) {
-    try {
-      switch (event.type) {
-        case 'PAYMENT_SUCCESS':
-          await Payment.updateStatus(event.payment_id, {
-            status: 'SUCCESS',
-            gateway_payment_id: event.payment_id,
-            completed_at: new Date()
-          });
-          break;
+  // Process webhook events. Gateways repeat and reorder webhooks, so events
+  // for a payment that has already settled change nothing. Throws when the
+  // event could not be applied.
+  static async processWebhookEvent(event, gatewayName) {
+    if (!['PAYMENT_SUCCESS', 'PAYMENT_FAILED', 'REFUND_SUCCESS'].includes(event.type)) {
+      console.log('Unhandled webhook event type:', event.type);
+      return;
+    }
 
-        case 'PAYMENT_FAILED':
-          await Payment.updateStatus(event.payment_id, {
-            status: 'FAILED',
-            failure_reason: event.error_reason
-          });
-          break;
+    const payment = await Payment.findByGatewayReference(gatewayName, event);
+    if (!payment) {
+      console.warn(`${gatewayName} webhook ${event.type} matches no payment:`, event.order_id || event.payment_id);
+      return;
+    }
 
-        case 'REFUND_SUCCESS':
-          // Find refund by gateway refund ID and update status
-          // This would require additional lookup logic
+    switch (event.type) {
+      case 'PAYMENT_SUCCESS': {
+        // Reported again: a retried webhook may follow a failed report
+        if (payment.status === 'SUCCESS') {
+          await paymentSaga.reportOutcome(payment);
           break;
+        }
+        const updated = await Payment.updateStatus(payment.id, {
+          status: 'SUCCESS',
+          gateway_payment_id: event.payment_id,
+          completed_at: new Date(),
+          provider: gatewayName
+        });
+        await paymentSaga.reportOutcome(updated);
+        break;
+      }
 
-        default:
-          console.log('Unhandled webhook event type:', event.type);
+      case 'PAYMENT_FAILED': {
+        if (['SUCCESS', 'FAILED'].includes(payment.status)) break;
+        const updated = await Payment.updateStatus(payment.id, {
+          status: 'FAILED',
+          gateway_payment_id: event.payment_id,
+          failure_reason: event.error_reason,
+          provider: gatewayName
+        });
+        await paymentSaga.reportOutcome(updated);
+        break;
       }
-    } catch (error) {
-      console.error('Webhook event processing failed:', error);
+
+      case 'REFUND_SUCCESS':
+        await PaymentController.settleRefund(payment, event, gatewayName);
+        break;
+    }
+  }
+
+  // Mark a refund the gateway has processed as successful. It is matched by
+  // the gateway's refund id or the refund id we sent in its notes; a refund
+  // made on the gateway's side is recorded so the refundable amount stays
+  // right.
+  static async settleRefund(payment, event, gatewayName) {
+    let refund = await Refund.findByGatewayRefundId(payment.id, event.refund_id);
+
+    const ownId = event.notes && event.notes.refund_id;
+    if (!refund && UUID_PATTERN.test(ownId || '')) {
+      const candidate = await Refund.findById(ownId);
+      if (candidate && candidate.payment_id === payment.id) refund = candidate;
+    }
+
+    if (!refund) {
+      refund = await Refund.create({
+        payment_id: payment.id,
+        order_id: payment.order_id,
+        refund_type: event.amount >= payment.amount_cents ? 'FULL' : 'PARTIAL',
+        amount_cents: event.amount,
+        reason: 'Refunded at the gateway',
+        initiated_by: 'ADMIN',
+        notes: `${gatewayName} refund ${event.refund_id}`
+      });
+    }
+
+    if (refund.status !== 'SUCCESS') {
+      await Refund.updateStatus(refund.id, 'SUCCESS', event.refund_id, new Date());
     }
   }
 }
@@ -0,0 +1,87 @@
+const Joi = require('joi');
+const gatewayManager = require('../config/gateways');
+const { SCENARIOS, setDefaultScenario, getDefaultScenario } = require('../services/gatewaySandbox');
+
+const scenarioSchema = Joi.object({
+  scenario: Joi.string().uppercase().valid(...SCENARIOS).required()
+});
+
+const paySchema = Joi.object({
+  scenario: Joi.string().uppercase().valid(...SCENARIOS).optional(),
+  method: Joi.string().valid('UPI', 'CARD', 'WALLET', 'NETBANKING').default('UPI'),
+  capture: Joi.boolean().default(true)
+});
+
+function sandboxGateway(name) {
+  const gateway = gatewayManager.getGateway(String(name));
+  return gateway && gateway.sandbox ? gateway : null;
+}
+
+// Drives the local gateway simulator (PAYMENT_GATEWAY_MODE=sandbox): what a
+// customer would do on the gateway's checkout page, and which scenario new
+// payments follow
+class SandboxController {
+
+  static getScenario(req, res) {
+    return res.json({ success: true, scenario: getDefaultScenario(), scenarios: SCENARIOS });
+  }
+
+  static setScenario(req, res) {
+    const { error, value } = scenarioSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    return res.json({ success: true, scenario: setDefaultScenario(value.scenario) });
+  }
+
+  static getOrder(req, res) {
+    const gateway = sandboxGateway(req.params.gateway);
+    if (!gateway) {
+      return res.status(404).json({ success: false, message: 'Gateway not found' });
+    }
+
+    const order = gateway.getOrder(req.params.order_id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    return res.json({ success: true, data: order });
+  }
+
+  // Pay for a gateway order; the webhook follows according to the scenario
+  static async payOrder(req, res) {
+    try {
+      const { error, value } = paySchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const gateway = sandboxGateway(req.params.gateway);
+      if (!gateway) {
+        return res.status(404).json({ success: false, message: 'Gateway not found' });
+      }
+
+      const result = await gateway.pay(req.params.order_id, value);
+      if (!result.success) {
+        return res.status(400).json({ success: false, message: result.error.description, code: result.error.code });
+      }
+      return res.json(result);
+    } catch (error) {
+      console.error('Sandbox payment failed:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = SandboxController;
@@ -0,0 +1,100 @@
+const { TOPICS } = require('@quickbite/messaging');
+const { Payment, PaymentSagaRequest } = require('../models/payment.model');
+const refundService = require('../services/refund.service');
+const orderStatus = require('../services/orderStatus.service');
+
+// Cash on delivery is settled as soon as it is chosen; the partner collects it
+function outcomeOf(payment, request) {
+  if (payment.status === 'FAILED') {
+    return { status: 'FAILED', reason: payment.failure_reason || 'Payment failed' };
+  }
+  const settled = payment.status === 'SUCCESS' ||
+    (payment.method === 'COD' && ['PENDING', 'PROCESSING'].includes(payment.status));
+  if (!settled) return null;
+  if (payment.amount_cents < request.amount_cents) {
+    return { status: 'FAILED', reason: 'AMOUNT_MISMATCH' };
+  }
+  return { status: 'SUCCESS' };
+}
+
+// Payment side of the order saga: answers payment-requests once the order's
+// payment settles and refunds or voids payments on REFUND_PAYMENT.
+class PaymentSagaParticipant {
+  constructor({ payments = Payment, requests = PaymentSagaRequest, refunds = refundService, orders = orderStatus } = {}) {
+    this.payments = payments;
+    this.requests = requests;
+    this.refunds = refunds;
+    this.orders = orders;
+    this.broker = null;
+  }
+
+  async start(broker) {
+    this.broker = broker;
+    await broker.subscribe('payment-service', {
+      [TOPICS.PAYMENT_REQUESTS]: (msg) => this.handlePaymentRequest(msg),
+      [TOPICS.ORDER_COMPENSATIONS]: (msg) => this.handleCompensation(msg)
+    });
+  }
+
+  // The customer usually pays after the request arrives; if they already
+  // have, answer straight away.
+  async handlePaymentRequest(msg) {
+    await this.requests.upsert(msg);
+    const payment = await this.payments.findByOrderId(msg.orderId);
+    if (payment) await this.reportOutcome(payment);
+  }
+
+  // Called whenever a payment changes state. Duplicate reports are harmless:
+  // the saga ignores results for steps it has already passed. Without a
+  // broker the outcome goes straight to order-service.
+  async reportOutcome(payment) {
+    if (!payment) return;
+    if (!this.broker) {
+      await this.orders.reportPayment(payment);
+      return;
+    }
+
+    const request = await this.requests.findByOrderId(payment.order_id);
+    if (!request) return;
+
+    const outcome = outcomeOf(payment, request);
+    if (!outcome) return;
+    // A cancelled saga still needs to hear about captured money to refund it
+    if (request.status === 'CANCELLED' && outcome.status !== 'SUCCESS') return;
+
+    await this.broker.publish(TOPICS.PAYMENT_RESULTS, payment.order_id, {
+      sagaId: request.saga_id,
+      orderId: payment.order_id,
+      paymentId: payment.id,
+      ...outcome
+    });
+    await this.requests.markReported(payment.order_id, outcome.status);
+  }
+
+  async handleCompensation(msg) {
+    if (msg.action !== 'REFUND_PAYMENT') return;
+
+    await this.requests.cancel(msg.orderId);
+    const payment = msg.paymentId
+      ? await this.payments.findById(msg.paymentId)
+      : await this.payments.findByOrderId(msg.orderId);
+    if (!payment) return;
+
+    if (payment.status === 'SUCCESS') {
+      const amount = await this.refunds.refundableAmount(payment);
+      if (amount <= 0) return;
+      await this.refunds.issueRefund(payment, {
+        refund_type: 'CANCELLATION',
+        amount_cents: amount,
+        reason: `Order cancelled: ${msg.reason}`,
+        initiated_by: 'SYSTEM'
+      });
+    } else if (['PENDING', 'PROCESSING'].includes(payment.status)) {
+      // Nothing captured yet (or cash on delivery): stop it from completing
+      await this.payments.updateStatus(payment.id, { status: 'FAILED', failure_reason: 'ORDER_CANCELLED' });
+    }
+  }
+}
+
+module.exports = new PaymentSagaParticipant();
+module.exports.PaymentSagaParticipant = PaymentSagaParticipant;
@@ -1,3 +1,8 @@
+const { verifyAccessToken } = require('@quickbite/jwt-verifier');
+
+// Verifies the bearer token against auth-service's JWKS when AUTH_JWKS_URL is
+// set, otherwise introspects it with auth-service when AUTH_INTROSPECT_URL is
+// set. With neither configured every request is refused.
 module.exports = async function authMiddleware(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
@@ -5,7 +10,14 @@ module.exports = async function authMiddleware(req, res, next) {
     if (!m) return res.status(401).json({ success: false, message: 'Unauthorized' });
     const token = m[1];
     const url = process.env.AUTH_INTROSPECT_URL; // e.g., http://localhost:3001/api/auth/introspect
-    if (url) {
+    if (process.env.AUTH_JWKS_URL) {
+      try {
+        const identity = await verifyAccessToken(token);
+        req.userId = identity.userId;
+      } catch (e) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+      }
+    } else if (url) {
       try {
         const r = await fetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ token }) });
         const data = await r.json();
@@ -14,6 +26,8 @@ module.exports = async function authMiddleware(req, res, next) {
       } catch (e) {
         return res.status(401).json({ success: false, message: 'Unauthorized' });
       }
+    } else {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
     req.accessToken = token;
     next();
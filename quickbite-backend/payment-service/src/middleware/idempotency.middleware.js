@@ -0,0 +1,4 @@
+const Idempotency = require('../models/idempotency.model');
+const { createIdempotencyMiddleware } = require('@quickbite/idempotency');
+
+module.exports = createIdempotencyMiddleware(Idempotency);
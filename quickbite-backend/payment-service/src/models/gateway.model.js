@@ -172,6 +172,7 @@ class RazorpayGateway {
             refund_id: event.payload.refund.entity.id,
             payment_id: event.payload.refund.entity.payment_id,
             amount: event.payload.refund.entity.amount,
+            notes: event.payload.refund.entity.notes || {},
             status: 'SUCCESS'
           };
           
@@ -326,6 +327,64 @@ class PaytmGateway {
       };
     }
   }
+
+  // Verify a server-to-server notification; Paytm signs every field and
+  // sends the checksum in the body
+  verifyWebhookSignature(payload) {
+    try {
+      const { CHECKSUMHASH, ...params } = JSON.parse(payload);
+      return !!CHECKSUMHASH && this.generateChecksum(params) === CHECKSUMHASH;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse webhook event
+  parseWebhookEvent(payload) {
+    try {
+      const event = JSON.parse(payload);
+
+      if (event.TXNTYPE === 'REFUND') {
+        return event.STATUS === 'TXN_SUCCESS'
+          ? {
+            type: 'REFUND_SUCCESS',
+            refund_id: event.REFUNDID,
+            payment_id: event.TXNID,
+            order_id: event.ORDERID,
+            amount: Math.round(parseFloat(event.REFUNDAMOUNT) * 100),
+            notes: { refund_id: event.REFID },
+            status: 'SUCCESS'
+          }
+          : { type: 'UNKNOWN', event: `REFUND_${event.STATUS}` };
+      }
+
+      switch (event.STATUS) {
+        case 'TXN_SUCCESS':
+          return {
+            type: 'PAYMENT_SUCCESS',
+            payment_id: event.TXNID,
+            order_id: event.ORDERID,
+            amount: Math.round(parseFloat(event.TXNAMOUNT) * 100),
+            method: event.PAYMENTMODE,
+            status: 'SUCCESS'
+          };
+
+        case 'TXN_FAILURE':
+          return {
+            type: 'PAYMENT_FAILED',
+            payment_id: event.TXNID,
+            order_id: event.ORDERID,
+            error_reason: event.RESPMSG,
+            status: 'FAILED'
+          };
+
+        default:
+          return { type: 'UNKNOWN', event: event.STATUS };
+      }
+    } catch (error) {
+      return { type: 'PARSE_ERROR', error: error.message };
+    }
+  }
 }
 
 // PhonePe Gateway Integration
@@ -442,6 +501,63 @@ class PhonePeGateway {
 
     return receivedChecksum === calculatedChecksum;
   }
+
+  // Verify webhook signature (the X-VERIFY header of a callback)
+  verifyWebhookSignature(payload, signature) {
+    try {
+      const body = JSON.parse(payload);
+      return typeof body.response === 'string' && this.verifyCallback({ 'x-verify': signature }, body);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse webhook event; the callback carries base64 JSON in `response`.
+  // Refund callbacks name the original transaction they refund.
+  parseWebhookEvent(payload) {
+    try {
+      const { code, data } = JSON.parse(Buffer.from(JSON.parse(payload).response, 'base64').toString('utf8'));
+
+      if (data.originalTransactionId) {
+        return code === 'PAYMENT_SUCCESS'
+          ? {
+            type: 'REFUND_SUCCESS',
+            refund_id: data.merchantTransactionId,
+            order_id: data.originalTransactionId,
+            amount: data.amount,
+            status: 'SUCCESS'
+          }
+          : { type: 'UNKNOWN', event: `REFUND_${code}` };
+      }
+
+      switch (code) {
+        case 'PAYMENT_SUCCESS':
+          return {
+            type: 'PAYMENT_SUCCESS',
+            payment_id: data.transactionId,
+            order_id: data.merchantTransactionId,
+            amount: data.amount,
+            method: data.paymentInstrument?.type,
+            status: 'SUCCESS'
+          };
+
+        case 'PAYMENT_ERROR':
+        case 'PAYMENT_DECLINED':
+          return {
+            type: 'PAYMENT_FAILED',
+            payment_id: data.transactionId,
+            order_id: data.merchantTransactionId,
+            error_reason: data.responseCode,
+            status: 'FAILED'
+          };
+
+        default:
+          return { type: 'UNKNOWN', event: code };
+      }
+    } catch (error) {
+      return { type: 'PARSE_ERROR', error: error.message };
+    }
+  }
 }
 
 // Gateway Manager - Routes requests to appropriate gateway
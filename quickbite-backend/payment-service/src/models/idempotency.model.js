@@ -0,0 +1,5 @@
+const pool = require('../config/database');
+const { createIdempotencyStore } = require('@quickbite/idempotency');
+
+// Stored Idempotency-Key responses, kept in this service's database
+module.exports = createIdempotencyStore(pool);
@@ -209,6 +209,19 @@ async function ensureSchema() {
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Payment requests received from the order saga, answered once the
+    -- order's payment settles
+    CREATE TABLE IF NOT EXISTS payment_saga_requests (
+      order_id UUID PRIMARY KEY,
+      saga_id UUID NOT NULL,
+      user_id UUID,
+      amount_cents INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'WAITING', -- WAITING, REPORTED, CANCELLED
+      reported_result TEXT, -- SUCCESS, FAILED
+      requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
     -- Indexes for performance
     CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
     CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
@@ -218,6 +231,11 @@ async function ensureSchema() {
     
     CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
     CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS quote_id UUID;
+    -- Failed payments can be retried with the same quote
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_quote_id ON payments(quote_id) WHERE quote_id IS NOT NULL AND status <> 'FAILED';
+    ALTER TABLE refunds ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_idempotency_key ON refunds(idempotency_key) WHERE idempotency_key IS NOT NULL;
     
     CREATE INDEX IF NOT EXISTS idx_saved_methods_user ON saved_payment_methods(user_id, is_active);
     
@@ -238,7 +256,7 @@ class Payment {
     const {
       order_id, user_id, restaurant_id, method, provider,
       amount_cents, tax_amount_cents = 0, delivery_fee_cents = 0,
-      platform_fee_cents = 0, discount_amount_cents = 0,
+      platform_fee_cents = 0, discount_amount_cents = 0, quote_id = null,
       card_details = null, upi_details = null, wallet_details = null, bnpl_details = null
     } = paymentData;
 
@@ -246,14 +264,14 @@ class Payment {
       INSERT INTO payments (
         id, order_id, user_id, restaurant_id, method, provider,
         amount_cents, tax_amount_cents, delivery_fee_cents, platform_fee_cents, discount_amount_cents,
-        card_details, upi_details, wallet_details, bnpl_details, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'PENDING')
+        card_details, upi_details, wallet_details, bnpl_details, quote_id, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'PENDING')
       RETURNING *
     `, [
       id, order_id, user_id, restaurant_id, method, provider,
       amount_cents, tax_amount_cents, delivery_fee_cents, platform_fee_cents, discount_amount_cents,
       JSON.stringify(card_details), JSON.stringify(upi_details), 
-      JSON.stringify(wallet_details), JSON.stringify(bnpl_details)
+      JSON.stringify(wallet_details), JSON.stringify(bnpl_details), quote_id
     ]);
 
     return rows[0];
@@ -280,20 +298,39 @@ class Payment {
     return rows[0] || null;
   }
 
+  // Find the payment a gateway webhook refers to, by the gateway's order or
+  // payment id
+  static async findByGatewayReference(provider, { order_id, payment_id }) {
+    const { rows } = await pool.query(`
+      SELECT * FROM payments
+      WHERE provider = $1
+        AND ((gateway_order_id IS NOT NULL AND gateway_order_id = $2)
+          OR (gateway_payment_id IS NOT NULL AND gateway_payment_id = $3))
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [provider, order_id || null, payment_id || null]);
+    return rows[0] || null;
+  }
+
   // Update payment status with gateway response
+  // Gateway references are only ever filled in, never cleared
   static async updateStatus(id, statusData) {
     const {
-      status, gateway_transaction_id, gateway_payment_id,
+      status, gateway_transaction_id, gateway_payment_id, gateway_order_id,
       failure_reason, completed_at, response_data = null
     } = statusData;
 
     const { rows } = await pool.query(`
       UPDATE payments 
-      SET status = $2, gateway_transaction_id = $3, gateway_payment_id = $4,
+      SET status = $2,
+          gateway_transaction_id = COALESCE($3, gateway_transaction_id),
+          gateway_payment_id = COALESCE($4, gateway_payment_id),
+          gateway_order_id = COALESCE($7, gateway_order_id),
           failure_reason = $5, completed_at = $6, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
       RETURNING *
-    `, [id, status, gateway_transaction_id, gateway_payment_id, failure_reason, completed_at]);
+    `, [id, status, gateway_transaction_id || null, gateway_payment_id || null,
+      failure_reason, completed_at, gateway_order_id || null]);
 
     // Log transaction
     if (rows[0]) {
@@ -386,20 +423,25 @@ class Refund {
     const id = uuidv4();
     const {
       payment_id, order_id, refund_type, amount_cents,
-      reason, initiated_by, notes = null
+      reason, initiated_by, notes = null, idempotency_key = null
     } = refundData;
 
     const { rows } = await pool.query(`
       INSERT INTO refunds (
         id, payment_id, order_id, refund_type, amount_cents,
-        reason, initiated_by, notes, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'PENDING')
+        reason, initiated_by, notes, idempotency_key, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'PENDING')
       RETURNING *
-    `, [id, payment_id, order_id, refund_type, amount_cents, reason, initiated_by, notes]);
+    `, [id, payment_id, order_id, refund_type, amount_cents, reason, initiated_by, notes, idempotency_key]);
 
     return rows[0];
   }
 
+  static async findByIdempotencyKey(key) {
+    const { rows } = await pool.query('SELECT * FROM refunds WHERE idempotency_key = $1', [key]);
+    return rows[0] || null;
+  }
+
   // Update refund status
   static async updateStatus(id, status, gateway_refund_id = null, processed_at = null) {
     const { rows } = await pool.query(`
@@ -412,6 +454,19 @@ class Refund {
     return rows[0];
   }
 
+  static async findByGatewayRefundId(paymentId, gatewayRefundId) {
+    const { rows } = await pool.query(
+      'SELECT * FROM refunds WHERE payment_id = $1 AND gateway_refund_id = $2',
+      [paymentId, gatewayRefundId]
+    );
+    return rows[0] || null;
+  }
+
+  static async findById(id) {
+    const { rows } = await pool.query('SELECT * FROM refunds WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
   // Get refunds for payment
   static async findByPaymentId(paymentId) {
     const { rows } = await pool.query(`
@@ -674,11 +729,50 @@ class PaymentAnalytics {
   }
 }
 
+// Saga payment requests awaiting an outcome
+class PaymentSagaRequest {
+
+  // Record (or refresh) the saga waiting on an order's payment
+  static async upsert({ sagaId, orderId, userId, amountCents }) {
+    const { rows } = await pool.query(`
+      INSERT INTO payment_saga_requests (order_id, saga_id, user_id, amount_cents)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (order_id) DO UPDATE
+      SET saga_id = EXCLUDED.saga_id, amount_cents = EXCLUDED.amount_cents, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [orderId, sagaId, userId || null, amountCents]);
+
+    return rows[0];
+  }
+
+  static async findByOrderId(orderId) {
+    const { rows } = await pool.query('SELECT * FROM payment_saga_requests WHERE order_id = $1', [orderId]);
+    return rows[0] || null;
+  }
+
+  static async markReported(orderId, result) {
+    await pool.query(`
+      UPDATE payment_saga_requests
+      SET status = 'REPORTED', reported_result = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1
+    `, [orderId, result]);
+  }
+
+  static async cancel(orderId) {
+    await pool.query(`
+      UPDATE payment_saga_requests
+      SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1
+    `, [orderId]);
+  }
+}
+
 module.exports = { 
   ensureSchema, 
   Payment, 
   Refund, 
   SavedPaymentMethod, 
   FraudDetection, 
-  PaymentAnalytics 
+  PaymentAnalytics,
+  PaymentSagaRequest
 };
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const PaymentController = require('../controllers/payment.controller');
+const SandboxController = require('../controllers/sandbox.controller');
+const gatewayManager = require('../config/gateways');
 const auth = require('../middleware/auth.middleware');
+const requireInternal = require('@quickbite/internal-auth');
+const idempotency = require('../middleware/idempotency.middleware');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for payment operations
@@ -24,12 +28,13 @@ const refundRateLimit = rateLimit({
 });
 
 // Payment operations
-router.post('/initiate', paymentRateLimit, auth, PaymentController.initiatePayment);
+router.post('/initiate', paymentRateLimit, auth, idempotency('payments.initiate'), PaymentController.initiatePayment);
 router.get('/status/:payment_id', auth, PaymentController.getPaymentStatus);
 router.post('/retry/:payment_id', auth, PaymentController.retryPayment);
 
 // Refund operations
 router.post('/refund', refundRateLimit, auth, PaymentController.processRefund);
+router.post('/orders/:order_id/cancellation-refund', requireInternal, PaymentController.refundCancelledOrder);
 
 // Saved payment methods
 router.get('/users/:user_id/saved-methods', auth, PaymentController.getSavedPaymentMethods);
@@ -41,9 +46,15 @@ router.get('/analytics', auth, PaymentController.getPaymentAnalytics);
 router.post('/webhook/:gateway', express.raw({ type: 'application/json' }), PaymentController.handleWebhook);
 
 // Gateway-specific callback endpoints
-router.post('/callback/razorpay', PaymentController.handleWebhook);
-router.post('/callback/paytm', PaymentController.handleWebhook);
-router.post('/callback/phonepe', PaymentController.handleWebhook);
+router.post('/callback/:gateway(razorpay|paytm|phonepe)', express.raw({ type: 'application/json' }), PaymentController.handleWebhook);
+
+// Local gateway simulator, only when PAYMENT_GATEWAY_MODE=sandbox
+if (gatewayManager.sandbox) {
+  router.get('/sandbox/scenario', SandboxController.getScenario);
+  router.put('/sandbox/scenario', SandboxController.setScenario);
+  router.get('/sandbox/:gateway/orders/:order_id', SandboxController.getOrder);
+  router.post('/sandbox/:gateway/orders/:order_id/pay', SandboxController.payOrder);
+}
 
 // Health check
 router.get('/health', (req, res) => {
@@ -61,13 +72,14 @@ router.get('/health', (req, res) => {
       'real_time_webhooks'
     ],
     gateways: ['RAZORPAY', 'PAYTM', 'PHONEPE'],
+    sandbox: gatewayManager.sandbox,
     payment_methods: ['UPI', 'CARD', 'WALLET', 'NETBANKING', 'BNPL', 'COD'],
     timestamp: new Date().toISOString()
   });
 });
 
 // Legacy routes for backward compatibility
-router.post('/pay', paymentRateLimit, auth, PaymentController.initiatePayment);
+router.post('/pay', paymentRateLimit, auth, idempotency('payments.initiate'), PaymentController.initiatePayment);
 router.get('/status/:payment_id', auth, PaymentController.getPaymentStatus);
 
 module.exports = router;
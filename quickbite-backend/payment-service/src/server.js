@@ -9,6 +9,9 @@ dotenv.config();
 
 const routes = require('./routes/payment.routes');
 const { ensureSchema } = require('./models/payment.model');
+const Idempotency = require('./models/idempotency.model');
+const paymentSaga = require('./messaging/payment.consumer');
+const { createBroker } = require('@quickbite/messaging');
 
 const app = express();
 
@@ -30,13 +33,15 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Razorpay-Signature', 'X-Verify']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Razorpay-Signature', 'X-Verify', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 app.use(compression());
 
 // Body parsing middleware with different limits for different routes
 app.use('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+app.use('/api/payments/callback', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -143,7 +148,18 @@ const gracefulShutdown = (signal) => {
 const PORT = process.env.PORT || 3005;
 let server;
 
-ensureSchema().then(() => {
+ensureSchema().then(Idempotency.ensureSchema).then(async () => {
+  setInterval(() => {
+    Idempotency.purgeExpired().catch((e) => console.error('Idempotency key purge failed', e));
+  }, 60 * 60 * 1000).unref();
+
+  const broker = createBroker('payment-service');
+  if (broker) {
+    await broker.connect();
+    await paymentSaga.start(broker);
+    console.log('🔁 Consuming payment requests and order compensations');
+  }
+
   server = app.listen(PORT, () => {
     console.log(`💳 Enhanced Payment Service running on port ${PORT}`);
     console.log(`🔐 Security features: Helmet, CORS, Rate limiting`);
@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  RazorpayGateway,
+  PaytmGateway,
+  PhonePeGateway
+} = require('../models/gateway.model');
+
+// What happens to a sandbox payment:
+//   SUCCESS          - captured, webhook after PAYMENT_SANDBOX_WEBHOOK_DELAY_MS
+//   DECLINE          - declined by the "bank", failure webhook
+//   TIMEOUT          - creating the gateway order hangs for
+//                      PAYMENT_SANDBOX_TIMEOUT_MS and then fails
+//   DELAYED_WEBHOOK  - captured at once, webhook only after
+//                      PAYMENT_SANDBOX_DELAYED_WEBHOOK_MS
+//   PARTIAL_REFUND   - captured, then PAYMENT_SANDBOX_PARTIAL_REFUND_PERCENT
+//                      of it refunded from the gateway's side
+const SCENARIOS = ['SUCCESS', 'DECLINE', 'TIMEOUT', 'DELAYED_WEBHOOK', 'PARTIAL_REFUND'];
+
+const settings = {
+  webhookDelayMs: parseInt(process.env.PAYMENT_SANDBOX_WEBHOOK_DELAY_MS || '500', 10),
+  delayedWebhookMs: parseInt(process.env.PAYMENT_SANDBOX_DELAYED_WEBHOOK_MS || '60000', 10),
+  timeoutMs: parseInt(process.env.PAYMENT_SANDBOX_TIMEOUT_MS || '10000', 10),
+  partialRefundPercent: parseInt(process.env.PAYMENT_SANDBOX_PARTIAL_REFUND_PERCENT || '50', 10)
+};
+
+let defaultScenario = normalizeScenario(process.env.PAYMENT_SANDBOX_SCENARIO) || 'SUCCESS';
+
+function normalizeScenario(value) {
+  const scenario = String(value || '').toUpperCase();
+  return SCENARIOS.includes(scenario) ? scenario : null;
+}
+
+function setDefaultScenario(value) {
+  const scenario = normalizeScenario(value);
+  if (!scenario) throw new Error(`Unknown scenario; expected one of ${SCENARIOS.join(', ')}`);
+  defaultScenario = scenario;
+  return scenario;
+}
+
+function getDefaultScenario() {
+  return defaultScenario;
+}
+
+function randomId(prefix) {
+  return prefix + crypto.randomBytes(7).toString('hex');
+}
+
+function randomDigits(length) {
+  let digits = '';
+  while (digits.length < length) digits += crypto.randomInt(0, 1e9).toString().padStart(9, '0');
+  return digits.slice(0, length);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function gatewayError(code, description) {
+  return { success: false, error: { code, description } };
+}
+
+// Stands in for Razorpay, Paytm or PhonePe with the same surface as
+// RazorpayGateway. Orders, payments and refunds live in memory. Webhooks are
+// posted to this service in the real gateway's format and signed with its
+// scheme, and verifying and parsing them is left to the real gateway class,
+// so the webhook path runs exactly as it would in production.
+class SandboxGateway {
+
+  constructor(name, config = {}) {
+    this.name = name;
+    this.sandbox = true;
+    this.webhookUrl = config.webhook_url ||
+      `${process.env.PAYMENT_SANDBOX_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3005}/api/payments`}/webhook/${name.toLowerCase()}`;
+    this.checkoutBaseURL = config.checkout_base_url ||
+      `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 3005}`}/api/payments/sandbox/${name.toLowerCase()}/orders`;
+
+    switch (name) {
+      case 'RAZORPAY':
+        this.contract = new RazorpayGateway({
+          key_id: config.key_id || 'rzp_test_sandbox',
+          key_secret: config.key_secret || 'sandbox_key_secret',
+          webhook_secret: config.webhook_secret || 'sandbox_webhook_secret'
+        });
+        break;
+      case 'PAYTM':
+        this.contract = new PaytmGateway({
+          merchant_id: config.merchant_id || 'SANDBOX00000000000000',
+          merchant_key: config.merchant_key || 'sandbox_merchant_key'
+        });
+        break;
+      case 'PHONEPE':
+        this.contract = new PhonePeGateway({
+          merchant_id: config.merchant_id || 'SANDBOXMERCHANT',
+          salt_key: config.salt_key || 'sandbox_salt_key',
+          salt_index: config.salt_index || 1
+        });
+        break;
+      default:
+        throw new Error(`No sandbox for gateway ${name}`);
+    }
+
+    this.orders = new Map();
+    this.payments = new Map();
+  }
+
+  // Create order for payment. The scenario comes from notes.sandbox_scenario
+  // or the sandbox default.
+  async createOrder(orderData) {
+    const { amount_cents, currency = 'INR', receipt, notes = {} } = orderData;
+    const scenario = normalizeScenario(notes.sandbox_scenario) || defaultScenario;
+
+    if (scenario === 'TIMEOUT') {
+      await sleep(settings.timeoutMs);
+      return gatewayError('GATEWAY_ERROR', 'Request to the gateway timed out');
+    }
+    if (!Number.isInteger(amount_cents) || amount_cents < 100) {
+      return gatewayError('BAD_REQUEST_ERROR', 'The amount must be atleast INR 1.00');
+    }
+
+    // Paytm and PhonePe use the merchant's own order reference
+    const id = this.name === 'RAZORPAY' ? randomId('order_') : receipt || randomId('ORD');
+    const order = {
+      id,
+      amount: amount_cents,
+      currency,
+      receipt,
+      notes,
+      scenario,
+      status: 'created',
+      payment_ids: [],
+      webhooks: [],
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.orders.set(id, order);
+
+    return {
+      success: true,
+      order_id: id,
+      amount: order.amount,
+      currency: order.currency,
+      status: order.status,
+      payment_url: `${this.checkoutBaseURL}/${encodeURIComponent(id)}/pay`
+    };
+  }
+
+  // What the customer does on the gateway's checkout page. `scenario`
+  // overrides the order's; `capture: false` leaves the payment authorized.
+  async pay(orderId, { scenario, method = 'UPI', capture = true } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) return gatewayError('BAD_REQUEST_ERROR', 'The id provided does not exist');
+    if (order.status === 'paid') return gatewayError('BAD_REQUEST_ERROR', 'Order has already been paid');
+
+    const outcome = normalizeScenario(scenario) || order.scenario;
+    const declined = outcome === 'DECLINE';
+    const payment = {
+      id: this.paymentId(),
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      method,
+      status: declined ? 'failed' : 'authorized',
+      captured: false,
+      amount_refunded: 0,
+      refunds: [],
+      error_code: declined ? 'BAD_REQUEST_ERROR' : null,
+      error_reason: declined ? 'payment_declined' : null,
+      error_description: declined ? 'Payment was declined by the issuing bank' : null,
+      scenario: outcome,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.payments.set(payment.id, payment);
+    order.payment_ids.push(payment.id);
+    order.status = 'attempted';
+
+    if (declined) {
+      this.deliverWebhook(order, 'payment.failed', payment, null, settings.webhookDelayMs);
+    } else if (capture) {
+      this.capture(order, payment);
+    }
+
+    return { success: true, ...this.describePayment(payment) };
+  }
+
+  capture(order, payment) {
+    payment.status = 'captured';
+    payment.captured = true;
+    order.status = 'paid';
+
+    const delay = payment.scenario === 'DELAYED_WEBHOOK' ? settings.delayedWebhookMs : settings.webhookDelayMs;
+    this.deliverWebhook(order, 'payment.captured', payment, null, delay);
+
+    if (payment.scenario === 'PARTIAL_REFUND') {
+      const amount = Math.max(1, Math.floor(payment.amount * settings.partialRefundPercent / 100));
+      const refund = this.refund(payment, amount, { reason: 'Refunded from the gateway dashboard' });
+      this.deliverWebhook(order, 'refund.processed', payment, refund, delay + settings.webhookDelayMs);
+    }
+  }
+
+  // Capture payment
+  async capturePayment(paymentId, amount_cents) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) return gatewayError('BAD_REQUEST_ERROR', 'The id provided does not exist');
+    if (payment.status !== 'authorized') {
+      return gatewayError('BAD_REQUEST_ERROR', `This payment has already been ${payment.status}`);
+    }
+    if (amount_cents !== payment.amount) {
+      return gatewayError('BAD_REQUEST_ERROR', 'Capture amount must be equal to the amount authorized');
+    }
+
+    this.capture(this.orders.get(payment.order_id), payment);
+    return {
+      success: true,
+      payment_id: payment.id,
+      amount: payment.amount,
+      status: payment.status,
+      method: payment.method,
+      captured: payment.captured
+    };
+  }
+
+  // Create refund; the refund is processed, and its webhook sent, shortly
+  // afterwards
+  async createRefund(paymentId, refundData) {
+    const { amount_cents, notes = {} } = refundData;
+    const payment = this.payments.get(paymentId);
+    if (!payment) return gatewayError('BAD_REQUEST_ERROR', 'The id provided does not exist');
+    if (!payment.captured) {
+      return gatewayError('BAD_REQUEST_ERROR', 'The payment has not been captured');
+    }
+    if (!Number.isInteger(amount_cents) || amount_cents <= 0 || amount_cents > payment.amount - payment.amount_refunded) {
+      return gatewayError('BAD_REQUEST_ERROR', 'The refund amount provided is greater than amount captured');
+    }
+
+    const refund = this.refund(payment, amount_cents, notes);
+    refund.status = 'pending';
+    this.deliverWebhook(this.orders.get(payment.order_id), 'refund.processed', payment, refund, settings.webhookDelayMs);
+
+    return {
+      success: true,
+      refund_id: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+      payment_id: payment.id
+    };
+  }
+
+  refund(payment, amount, notes) {
+    const refund = {
+      id: this.refundId(),
+      payment_id: payment.id,
+      amount,
+      notes,
+      status: 'processed',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    payment.amount_refunded += amount;
+    payment.refunds.push(refund);
+    return refund;
+  }
+
+  // Get payment status
+  async getPaymentStatus(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) return gatewayError('BAD_REQUEST_ERROR', 'The id provided does not exist');
+
+    return {
+      success: true,
+      payment_id: payment.id,
+      status: payment.amount_refunded === payment.amount ? 'refunded' : payment.status,
+      amount: payment.amount,
+      method: payment.method,
+      captured: payment.captured,
+      created_at: payment.created_at
+    };
+  }
+
+  // Verify webhook signature
+  verifyWebhookSignature(payload, signature) {
+    return this.contract.verifyWebhookSignature(payload, signature);
+  }
+
+  // Parse webhook event
+  parseWebhookEvent(payload) {
+    return this.contract.parseWebhookEvent(payload);
+  }
+
+  // An order with its payments, refunds and the webhooks sent for it
+  getOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) return null;
+    return {
+      ...order,
+      payments: order.payment_ids.map(id => this.describePayment(this.payments.get(id)))
+    };
+  }
+
+  describePayment(payment) {
+    return {
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      status: payment.status,
+      amount: payment.amount,
+      amount_refunded: payment.amount_refunded,
+      method: payment.method,
+      captured: payment.captured,
+      scenario: payment.scenario,
+      error_reason: payment.error_reason,
+      refunds: payment.refunds.map(({ id, amount, status }) => ({ refund_id: id, amount, status }))
+    };
+  }
+
+  paymentId() {
+    if (this.name === 'PAYTM') return randomDigits(20);
+    if (this.name === 'PHONEPE') return `T${randomDigits(21)}`;
+    return randomId('pay_');
+  }
+
+  refundId() {
+    if (this.name === 'PAYTM') return randomDigits(14);
+    if (this.name === 'PHONEPE') return randomId('RFND');
+    return randomId('rfnd_');
+  }
+
+  // Post a signed webhook for the event after `delayMs`. Failed deliveries
+  // are recorded on the order rather than retried.
+  deliverWebhook(order, event, payment, refund, delayMs) {
+    const { body, headers } = this.buildWebhook(event, order, payment, refund);
+    const record = { event, status: 'scheduled', deliver_at: new Date(Date.now() + delayMs).toISOString() };
+    order.webhooks.push(record);
+
+    setTimeout(async () => {
+      if (refund) refund.status = 'processed';
+      try {
+        const response = await axios.post(this.webhookUrl, body, {
+          headers: { 'Content-Type': 'application/json', ...headers },
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        record.status = 'delivered';
+        record.response_status = response.status;
+      } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        console.error(`Sandbox ${this.name} webhook ${event} failed:`, error.message);
+      }
+      record.delivered_at = new Date().toISOString();
+    }, delayMs).unref();
+  }
+
+  // The raw webhook body and headers in this gateway's own format
+  buildWebhook(event, order, payment, refund) {
+    switch (this.name) {
+      case 'RAZORPAY': {
+        const payload = {
+          payment: {
+            entity: {
+              id: payment.id,
+              entity: 'payment',
+              amount: payment.amount,
+              currency: payment.currency,
+              status: payment.status,
+              order_id: order.id,
+              method: payment.method.toLowerCase(),
+              captured: payment.captured,
+              amount_refunded: payment.amount_refunded,
+              error_code: payment.error_code,
+              error_reason: payment.error_reason,
+              error_description: payment.error_description,
+              notes: order.notes,
+              created_at: payment.created_at
+            }
+          }
+        };
+        if (refund) {
+          payload.refund = {
+            entity: {
+              id: refund.id,
+              entity: 'refund',
+              amount: refund.amount,
+              currency: payment.currency,
+              payment_id: payment.id,
+              notes: refund.notes,
+              status: 'processed',
+              created_at: refund.created_at
+            }
+          };
+        }
+        const body = JSON.stringify({
+          entity: 'event',
+          account_id: 'acc_sandbox',
+          event,
+          contains: Object.keys(payload),
+          payload,
+          created_at: Math.floor(Date.now() / 1000)
+        });
+        const signature = crypto.createHmac('sha256', this.contract.webhookSecret).update(body).digest('hex');
+        return { body, headers: { 'X-Razorpay-Signature': signature } };
+      }
+
+      case 'PAYTM': {
+        const params = refund
+          ? {
+            MID: this.contract.merchantId,
+            TXNTYPE: 'REFUND',
+            ORDERID: order.id,
+            TXNID: payment.id,
+            REFUNDID: refund.id,
+            REFID: refund.notes.refund_id || refund.id,
+            REFUNDAMOUNT: (refund.amount / 100).toFixed(2),
+            STATUS: 'TXN_SUCCESS',
+            RESPCODE: '10',
+            RESPMSG: 'Refund Successfull'
+          }
+          : {
+            MID: this.contract.merchantId,
+            ORDERID: order.id,
+            TXNID: payment.id,
+            TXNAMOUNT: (payment.amount / 100).toFixed(2),
+            CURRENCY: payment.currency,
+            PAYMENTMODE: payment.method,
+            STATUS: event === 'payment.failed' ? 'TXN_FAILURE' : 'TXN_SUCCESS',
+            RESPCODE: event === 'payment.failed' ? '227' : '01',
+            RESPMSG: event === 'payment.failed' ? payment.error_description : 'Txn Success',
+            TXNDATE: new Date(payment.created_at * 1000).toISOString().replace('T', ' ').slice(0, 19)
+          };
+        params.CHECKSUMHASH = this.contract.generateChecksum(params);
+        return { body: JSON.stringify(params), headers: {} };
+      }
+
+      case 'PHONEPE': {
+        const failed = event === 'payment.failed';
+        const data = refund
+          ? {
+            merchantId: this.contract.merchantId,
+            merchantTransactionId: refund.id,
+            originalTransactionId: order.id,
+            transactionId: payment.id,
+            amount: refund.amount,
+            state: 'COMPLETED',
+            responseCode: 'SUCCESS'
+          }
+          : {
+            merchantId: this.contract.merchantId,
+            merchantTransactionId: order.id,
+            transactionId: payment.id,
+            amount: payment.amount,
+            state: failed ? 'FAILED' : 'COMPLETED',
+            responseCode: failed ? 'CARD_DECLINED' : 'SUCCESS',
+            paymentInstrument: { type: payment.method }
+          };
+        const response = Buffer.from(JSON.stringify({
+          success: !failed,
+          code: failed ? 'PAYMENT_ERROR' : 'PAYMENT_SUCCESS',
+          message: failed ? payment.error_description : 'Your payment is successful.',
+          data
+        })).toString('base64');
+        const checksum = crypto.createHash('sha256')
+          .update(response + '/pg/v1/pay' + this.contract.saltKey)
+          .digest('hex') + '###' + this.contract.saltIndex;
+        return { body: JSON.stringify({ response }), headers: { 'X-VERIFY': checksum } };
+      }
+    }
+  }
+}
+
+module.exports = {
+  SandboxGateway,
+  SCENARIOS,
+  setDefaultScenario,
+  getDefaultScenario
+};
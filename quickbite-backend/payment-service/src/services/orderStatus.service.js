@@ -0,0 +1,28 @@
+const ORDER_BASE = process.env.ORDER_BASE_URL || 'http://localhost:3004/api';
+
+// Without a broker there is no order saga to hear about payments, so settled
+// payments are reported to order-service's internal confirm route instead.
+// Returns false while the payment has not settled yet.
+async function reportPayment(payment) {
+  const settled = payment.status === 'SUCCESS' ||
+    (payment.method === 'COD' && ['PENDING', 'PROCESSING'].includes(payment.status));
+  if (!settled && payment.status !== 'FAILED') return false;
+
+  const r = await fetch(`${ORDER_BASE}/internal/orders/${encodeURIComponent(payment.order_id)}/payment/confirm`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || ''
+    },
+    body: JSON.stringify({
+      order_id: payment.order_id,
+      status: payment.status === 'FAILED' ? 'FAILED' : 'SUCCESS',
+      payment_id: payment.id
+    })
+  });
+  // 409: the order has already moved past payment, e.g. on a repeated report
+  if (!r.ok && r.status !== 409) throw new Error(`Failed to report payment to order-service: ${r.status}`);
+  return true;
+}
+
+module.exports = { reportPayment };
@@ -0,0 +1,85 @@
+const { Payment, Refund } = require('../models/payment.model');
+const gatewayManager = require('../config/gateways');
+
+// Refunds that have not failed count against the payment, so a refund still
+// being processed by the gateway cannot be issued a second time.
+async function refundableAmount(payment) {
+  const refunds = await Refund.findByPaymentId(payment.id);
+  const committed = refunds
+    .filter(r => r.status !== 'FAILED')
+    .reduce((sum, r) => sum + r.amount_cents, 0);
+  return payment.amount_cents - committed;
+}
+
+// Record a refund and submit it to the payment's gateway
+async function issueRefund(payment, { refund_type, amount_cents, reason, initiated_by, notes = null, idempotency_key = null }) {
+  const refund = await Refund.create({
+    payment_id: payment.id,
+    order_id: payment.order_id,
+    refund_type,
+    amount_cents,
+    reason,
+    initiated_by,
+    notes,
+    idempotency_key
+  });
+
+  let gatewayResponse = { success: true, status: 'PROCESSING' };
+
+  if (payment.method !== 'COD' && payment.gateway_payment_id) {
+    const gateway = gatewayManager.getGateway(payment.provider);
+    if (gateway) {
+      gatewayResponse = await gateway.createRefund(payment.gateway_payment_id, {
+        amount_cents,
+        notes: { refund_id: refund.id, reason }
+      });
+    }
+  }
+
+  const status = gatewayResponse.success ? 'PROCESSING' : 'FAILED';
+  await Refund.updateStatus(
+    refund.id,
+    status,
+    gatewayResponse.refund_id,
+    gatewayResponse.success ? new Date() : null
+  );
+
+  return { refund, status, gatewayResponse };
+}
+
+// Settle the payment of a cancelled order: refund `refund_percent` of what
+// was captured, or void a payment that was never captured (including cash on
+// delivery). Repeating a call with the same key returns the first outcome.
+async function refundCancelledOrder(orderId, { key, refund_percent, reason, initiated_by }) {
+  const existing = await Refund.findByIdempotencyKey(key);
+  if (existing) {
+    return { action: 'REFUNDED', refund_id: existing.id, amount_cents: existing.amount_cents, status: existing.status };
+  }
+
+  const payment = await Payment.findByOrderId(orderId);
+  if (!payment) return { action: 'NONE', amount_cents: 0 };
+
+  if (['PENDING', 'PROCESSING'].includes(payment.status)) {
+    await Payment.updateStatus(payment.id, { status: 'FAILED', failure_reason: 'ORDER_CANCELLED' });
+    return { action: 'VOIDED', payment_id: payment.id, amount_cents: 0 };
+  }
+  if (payment.status !== 'SUCCESS') {
+    return { action: 'NONE', payment_id: payment.id, amount_cents: 0 };
+  }
+
+  const available = await refundableAmount(payment);
+  const amount = Math.min(Math.round(payment.amount_cents * refund_percent / 100), available);
+  if (amount <= 0) return { action: 'NONE', payment_id: payment.id, amount_cents: 0 };
+
+  const { refund, status } = await issueRefund(payment, {
+    refund_type: 'CANCELLATION',
+    amount_cents: amount,
+    reason,
+    initiated_by,
+    notes: `${refund_percent}% cancellation refund`,
+    idempotency_key: key
+  });
+  return { action: 'REFUNDED', payment_id: payment.id, refund_id: refund.id, amount_cents: amount, status };
+}
+
+module.exports = { issueRefund, refundableAmount, refundCancelledOrder };
@@ -0,0 +1,43 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+
+const { PaymentSagaParticipant } = require('../src/messaging/payment.consumer');
+
+const ORDER_ID = 'order-1';
+
+beforeEach(() => {
+  process.env.INTERNAL_SERVICE_TOKEN = 'internal-token';
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ success: true }) }));
+});
+
+afterEach(() => {
+  delete process.env.INTERNAL_SERVICE_TOKEN;
+});
+
+describe('payment outcomes without a broker', () => {
+  const participant = new PaymentSagaParticipant();
+
+  it('confirms the order on order-service\'s internal route', async () => {
+    await participant.reportOutcome({ id: 'payment-1', order_id: ORDER_ID, method: 'CARD', status: 'SUCCESS' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/internal\/orders\/order-1\/payment\/confirm$/),
+      expect.objectContaining({ method: 'POST', headers: expect.objectContaining({ 'X-Internal-Token': 'internal-token' }) })
+    );
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ order_id: ORDER_ID, status: 'SUCCESS', payment_id: 'payment-1' });
+  });
+
+  it('settles cash on delivery straight away and waits for other payments', async () => {
+    await participant.reportOutcome({ id: 'payment-2', order_id: ORDER_ID, method: 'CARD', status: 'PROCESSING' });
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await participant.reportOutcome({ id: 'payment-3', order_id: ORDER_ID, method: 'COD', status: 'PENDING' });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).status).toBe('SUCCESS');
+  });
+
+  it('fails when order-service cannot take the report, so the webhook is retried', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    await expect(participant.reportOutcome({ id: 'payment-1', order_id: ORDER_ID, method: 'CARD', status: 'SUCCESS' }))
+      .rejects.toThrow('503');
+  });
+});
@@ -0,0 +1,20 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn(), on: jest.fn() }));
+
+const PaymentController = require('../src/controllers/payment.controller');
+
+describe('payments router', () => {
+  it('hands gateway callbacks to the webhook handler with the gateway named', () => {
+    const router = require('../src/routes/payment.routes');
+
+    const callbacks = router.stack.filter((layer) => layer.route && layer.route.path.startsWith('/callback/'));
+    expect(callbacks).toHaveLength(1);
+    const [layer] = callbacks;
+    expect(layer.route.stack.map((l) => l.handle)).toContain(PaymentController.handleWebhook);
+
+    ['razorpay', 'paytm', 'phonepe'].forEach((gateway) => {
+      expect(layer.match(`/callback/${gateway}`)).toBe(true);
+      expect(layer.params.gateway).toBe(gateway);
+    });
+    expect(layer.match('/callback/unknown')).toBe(false);
+  });
+});
@@ -0,0 +1,194 @@
+process.env.PAYMENT_GATEWAY_MODE = 'sandbox';
+
+jest.mock('axios');
+jest.mock('../src/messaging/payment.consumer', () => ({ reportOutcome: jest.fn() }));
+jest.mock('../src/models/payment.model', () => {
+  // Payments and refunds kept in memory, matched the way the SQL model does
+  const payments = new Map();
+  const refunds = new Map();
+  let nextRefund = 1;
+  return {
+    payments,
+    refunds,
+    Payment: {
+      findByGatewayReference: jest.fn(async (provider, { order_id, payment_id }) => [...payments.values()].find((p) =>
+        p.provider === provider &&
+        ((p.gateway_order_id && p.gateway_order_id === order_id) || (p.gateway_payment_id && p.gateway_payment_id === payment_id))
+      ) || null),
+      updateStatus: jest.fn(async (id, data) => {
+        const payment = payments.get(id);
+        payment.status = data.status;
+        payment.gateway_payment_id = data.gateway_payment_id || payment.gateway_payment_id;
+        payment.failure_reason = data.failure_reason;
+        return { ...payment };
+      })
+    },
+    Refund: {
+      findByGatewayRefundId: jest.fn(async (paymentId, gatewayRefundId) => [...refunds.values()].find((r) =>
+        r.payment_id === paymentId && r.gateway_refund_id === gatewayRefundId) || null),
+      findById: jest.fn(async (id) => refunds.get(id) || null),
+      create: jest.fn(async (fields) => {
+        const refund = { id: `refund-${nextRefund++}`, status: 'PENDING', ...fields };
+        refunds.set(refund.id, refund);
+        return refund;
+      }),
+      updateStatus: jest.fn(async (id, status, gatewayRefundId) => {
+        Object.assign(refunds.get(id), { status, gateway_refund_id: gatewayRefundId });
+      })
+    }
+  };
+});
+
+const axios = require('axios');
+const paymentSaga = require('../src/messaging/payment.consumer');
+const { payments, refunds, Payment } = require('../src/models/payment.model');
+const gatewayManager = require('../src/config/gateways');
+const PaymentController = require('../src/controllers/payment.controller');
+
+const WEBHOOK_DELAY_MS = 500;
+const DELAYED_WEBHOOK_MS = 60000;
+
+function response() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+// The raw body and headers as express.raw() hands them to the route
+async function postWebhook(url, body, headers) {
+  const res = response();
+  const lowered = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  await PaymentController.handleWebhook({
+    params: { gateway: url.split('/').pop() },
+    body: Buffer.from(body),
+    headers: lowered
+  }, res);
+  return res;
+}
+
+const delivered = [];
+let gateway;
+
+// A payment on our side with the sandbox's order for it
+async function checkout(scenario, amountCents = 2500) {
+  const order = await gateway.createOrder({ amount_cents: amountCents, receipt: 'order-1', notes: { sandbox_scenario: scenario } });
+  const payment = {
+    id: `payment-${payments.size + 1}`,
+    order_id: 'order-1',
+    provider: 'RAZORPAY',
+    status: 'PROCESSING',
+    amount_cents: amountCents,
+    gateway_order_id: order.order_id,
+    gateway_payment_id: null
+  };
+  payments.set(payment.id, payment);
+  await gateway.pay(order.order_id);
+  return payment;
+}
+
+beforeAll(() => {
+  gateway = gatewayManager.getGateway('RAZORPAY');
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  payments.clear();
+  refunds.clear();
+  delivered.length = 0;
+  axios.post.mockImplementation(async (url, body, { headers }) => {
+    const res = await postWebhook(url, body, headers);
+    delivered.push({ url, body, headers, status: res.statusCode });
+    return { status: res.statusCode };
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('payment webhooks from the sandbox gateway', () => {
+  it('settles a captured payment once, however often the webhook arrives', async () => {
+    const payment = await checkout('SUCCESS');
+
+    await jest.advanceTimersByTimeAsync(WEBHOOK_DELAY_MS);
+
+    expect(delivered.map((d) => d.status)).toEqual([200]);
+    expect(payments.get(payment.id)).toMatchObject({ status: 'SUCCESS', gateway_payment_id: expect.stringMatching(/^pay_/) });
+    expect(paymentSaga.reportOutcome).toHaveBeenCalledTimes(1);
+
+    const { url, body, headers } = delivered[0];
+    const repeat = await postWebhook(url, body, headers);
+    expect(repeat.statusCode).toBe(200);
+    expect(Payment.updateStatus).toHaveBeenCalledTimes(1);
+    expect(payments.get(payment.id).status).toBe('SUCCESS');
+  });
+
+  it('fails a declined payment with the bank\'s reason', async () => {
+    const payment = await checkout('DECLINE');
+
+    await jest.advanceTimersByTimeAsync(WEBHOOK_DELAY_MS);
+
+    expect(payments.get(payment.id)).toMatchObject({ status: 'FAILED', failure_reason: 'payment_declined' });
+    expect(paymentSaga.reportOutcome).toHaveBeenCalledWith(expect.objectContaining({ id: payment.id, status: 'FAILED' }));
+  });
+
+  it('waits for a delayed webhook before settling', async () => {
+    const payment = await checkout('DELAYED_WEBHOOK');
+
+    await jest.advanceTimersByTimeAsync(WEBHOOK_DELAY_MS);
+    expect(payments.get(payment.id).status).toBe('PROCESSING');
+    expect(paymentSaga.reportOutcome).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(DELAYED_WEBHOOK_MS);
+    expect(payments.get(payment.id).status).toBe('SUCCESS');
+    expect(paymentSaga.reportOutcome).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a partial refund made from the gateway\'s side', async () => {
+    const payment = await checkout('PARTIAL_REFUND', 3000);
+
+    await jest.advanceTimersByTimeAsync(2 * WEBHOOK_DELAY_MS);
+
+    expect(payments.get(payment.id).status).toBe('SUCCESS');
+    expect([...refunds.values()]).toEqual([expect.objectContaining({
+      payment_id: payment.id,
+      refund_type: 'PARTIAL',
+      amount_cents: 1500,
+      status: 'SUCCESS',
+      gateway_refund_id: expect.stringMatching(/^rfnd_/)
+    })]);
+  });
+
+  it('rejects a webhook whose signature does not match', async () => {
+    await checkout('SUCCESS');
+    axios.post.mockImplementation(async (url, body, { headers }) => {
+      const res = await postWebhook(url, body, { ...headers, 'X-Razorpay-Signature': 'forged' });
+      delivered.push({ status: res.statusCode });
+      return { status: res.statusCode };
+    });
+
+    await jest.advanceTimersByTimeAsync(WEBHOOK_DELAY_MS);
+
+    expect(delivered.map((d) => d.status)).toEqual([400]);
+    expect(paymentSaga.reportOutcome).not.toHaveBeenCalled();
+  });
+
+  it('answers 500 when the event cannot be applied, so a redelivery settles it', async () => {
+    const payment = await checkout('SUCCESS');
+    Payment.updateStatus.mockRejectedValueOnce(new Error('connection terminated'));
+
+    await jest.advanceTimersByTimeAsync(WEBHOOK_DELAY_MS);
+
+    expect(delivered.map((d) => d.status)).toEqual([500]);
+    expect(payments.get(payment.id).status).toBe('PROCESSING');
+    expect(paymentSaga.reportOutcome).not.toHaveBeenCalled();
+
+    const { url, body, headers } = delivered[0];
+    const redelivery = await postWebhook(url, body, headers);
+    expect(redelivery.statusCode).toBe(200);
+    expect(payments.get(payment.id).status).toBe('SUCCESS');
+    expect(paymentSaga.reportOutcome).toHaveBeenCalledTimes(1);
+  });
+});
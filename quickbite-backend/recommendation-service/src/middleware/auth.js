@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, TokenVerificationError } = require('@quickbite/jwt-verifier');
 const rateLimit = require('express-rate-limit');
 const { redis } = require('../config/database');
 
@@ -48,12 +48,13 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'recommendation-secret-key');
-    req.user = decoded;
+    // Verified against auth-service's published keys
+    const identity = await verifyAccessToken(token);
+    req.user = { ...identity, id: identity.userId };
     
     // Check if user has required permissions for admin routes
     if (req.path.includes('/experiments') || req.path.includes('/neural') || req.path.includes('/trending/analyze')) {
-      if (!decoded.role || !['admin', 'data_scientist'].includes(decoded.role)) {
+      if (!identity.role || !['admin', 'super_admin', 'data_scientist'].includes(identity.role)) {
         return res.status(403).json({
           error: 'Insufficient permissions',
           code: 'INSUFFICIENT_PERMISSIONS'
@@ -64,17 +65,17 @@ const authMiddleware = async (req, res, next) => {
     next();
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof TokenVerificationError && error.message === 'Token expired') {
       return res.status(401).json({
-        error: 'Invalid authentication token',
-        code: 'INVALID_AUTH_TOKEN'
+        error: 'Authentication token has expired',
+        code: 'EXPIRED_AUTH_TOKEN'
       });
     }
-    
-    if (error.name === 'TokenExpiredError') {
+
+    if (error instanceof TokenVerificationError) {
       return res.status(401).json({
-        error: 'Authentication token has expired',
-        code: 'EXPIRED_AUTH_TOKEN'
+        error: 'Invalid authentication token',
+        code: 'INVALID_AUTH_TOKEN'
       });
     }
 
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Identity headers the API gateway forwards once it has verified the
+// caller's access token. The signature covers the other three with the
+// timestamp, keyed with the GATEWAY_IDENTITY_SECRET the gateway and the
+// services share, so a client reaching a service directly cannot claim to
+// be someone else.
+const HEADERS = {
+  USER_ID: 'x-user-id',
+  ROLE: 'x-user-role',
+  STORE_ID: 'x-store-id',
+  TIMESTAMP: 'x-identity-timestamp',
+  SIGNATURE: 'x-identity-signature'
+};
+
+const MAX_AGE_MS = parseInt(process.env.GATEWAY_IDENTITY_MAX_AGE_MS || '60000', 10);
+
+function payload(userId, role, storeId, timestamp) {
+  return [timestamp, userId, role || '', storeId || ''].join('\n');
+}
+
+function hmac(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+// Headers carrying `identity` ({ userId, role, storeId }) for a proxied request
+function sign(identity, secret = process.env.GATEWAY_IDENTITY_SECRET, now = Date.now()) {
+  if (!secret) throw new Error('GATEWAY_IDENTITY_SECRET is not configured');
+  const userId = String(identity.userId);
+  const role = identity.role || null;
+  const storeId = identity.storeId ? String(identity.storeId) : null;
+  const timestamp = String(now);
+
+  return {
+    [HEADERS.USER_ID]: userId,
+    ...(role ? { [HEADERS.ROLE]: role } : {}),
+    ...(storeId ? { [HEADERS.STORE_ID]: storeId } : {}),
+    [HEADERS.TIMESTAMP]: timestamp,
+    [HEADERS.SIGNATURE]: hmac(secret, payload(userId, role, storeId, timestamp))
+  };
+}
+
+// The identity the gateway signed onto `req`, or null when the headers are
+// missing, stale, unsigned or signed with another secret. Always null while
+// no secret is configured.
+function verify(req, secret = process.env.GATEWAY_IDENTITY_SECRET, now = Date.now()) {
+  const headers = req.headers || {};
+  const userId = headers[HEADERS.USER_ID];
+  const timestamp = headers[HEADERS.TIMESTAMP];
+  const signature = headers[HEADERS.SIGNATURE];
+  if (!secret || !userId || !timestamp || !signature) return null;
+
+  const age = now - Number(timestamp);
+  if (!Number.isFinite(age) || Math.abs(age) > MAX_AGE_MS) return null;
+
+  const role = headers[HEADERS.ROLE] || null;
+  const storeId = headers[HEADERS.STORE_ID] || null;
+  const expected = Buffer.from(hmac(secret, payload(userId, role, storeId, timestamp)));
+  const provided = Buffer.from(String(signature));
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+  return { userId, role, storeId };
+}
+
+module.exports = { HEADERS, sign, verify };
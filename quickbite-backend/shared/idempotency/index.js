@@ -0,0 +1,4 @@
+const createIdempotencyStore = require('./store');
+const createIdempotencyMiddleware = require('./middleware');
+
+module.exports = { createIdempotencyStore, createIdempotencyMiddleware };
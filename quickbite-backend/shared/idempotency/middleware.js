@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+const TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || '86400', 10);
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60', 10);
+const MAX_KEY_LENGTH = 255;
+
+// Serializes with sorted object keys so equivalent payloads hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestHash(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonical(req.body || {})}`)
+    .digest('hex');
+}
+
+// Makes a POST handler safe to retry with an `Idempotency-Key` header. The
+// first response for a key (other than a 5xx) is stored and replayed for
+// later requests with the same key and payload; a different payload gets a
+// 409. Keys are per caller and expire after IDEMPOTENCY_KEY_TTL_SECONDS, so a
+// keyed request needs an identified caller (req.userId): anonymous callers
+// would share one key space and could replay each other's responses.
+// Requests without the header run as before. `Idempotency` is the
+// service's store (see store.js); the result is `idempotency(scope)`.
+module.exports = function createIdempotencyMiddleware(Idempotency) {
+  return function idempotency(scope) {
+    return async function idempotencyMiddleware(req, res, next) {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) return next();
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+          code: 'IDEMPOTENCY_KEY_INVALID'
+        });
+      }
+
+      if (!req.userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Idempotency-Key requires an authenticated caller',
+          code: 'IDEMPOTENCY_IDENTITY_REQUIRED'
+        });
+      }
+
+      const id = { scope, ownerId: String(req.userId), key };
+      const hash = requestHash(req);
+
+      let claim;
+      try {
+        claim = await Idempotency.claim({ ...id, requestHash: hash, ttlSeconds: TTL_SECONDS, lockSeconds: LOCK_SECONDS });
+      } catch (e) {
+        return next(e);
+      }
+
+      if (!claim.claimed) {
+        const record = claim.record;
+        if (!record) {
+          // Released between our insert attempt and the lookup
+          res.set('Retry-After', '1');
+          return res.status(409).json({ success: false, message: 'Request with this Idempotency-Key is in progress', code: 'IDEMPOTENCY_IN_PROGRESS' });
+        }
+        if (record.request_hash !== hash) {
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request',
+            code: 'IDEMPOTENCY_KEY_MISMATCH'
+          });
+        }
+        if (record.status !== 'COMPLETED') {
+          res.set('Retry-After', String(LOCK_SECONDS));
+          return res.status(409).json({ success: false, message: 'Request with this Idempotency-Key is in progress', code: 'IDEMPOTENCY_IN_PROGRESS' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      let stored = false;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        stored = true;
+        const settle = res.statusCode >= 500
+          ? Idempotency.release(id)
+          : Idempotency.complete({ ...id, status: res.statusCode, body });
+        settle
+          .catch((e) => console.error(`Failed to record idempotent response for ${scope}:`, e.message))
+          .finally(() => json(body));
+        return res;
+      };
+
+      // A handler that ends without a JSON body leaves nothing to replay
+      res.on('finish', () => {
+        if (!stored) Idempotency.release(id).catch(() => {});
+      });
+
+      next();
+    };
+  };
+};
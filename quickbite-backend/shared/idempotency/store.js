@@ -0,0 +1,92 @@
+// Responses stored against client-supplied Idempotency-Key headers. A row is
+// IN_PROGRESS while the first request with that key runs and COMPLETED once
+// its response has been recorded for replay. Each service keeps the table in
+// its own database: `pool` is its pg Pool.
+function createIdempotencyStore(pool) {
+  async function ensureSchema() {
+    const sql = `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      owner_id TEXT NOT NULL DEFAULT '',
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'IN_PROGRESS',
+      response_status INTEGER,
+      response_body JSONB,
+      locked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (scope, owner_id, idempotency_key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+    `;
+    await pool.query(sql);
+  }
+
+  // Claims the key for a new request. Returns { claimed: true } when the caller
+  // should run the request, otherwise { claimed: false, record } with the row
+  // left by an earlier request. Expired rows and locks held longer than
+  // `lockSeconds` (the earlier request died) are taken over.
+  async function claim({ scope, ownerId, key, requestHash, ttlSeconds, lockSeconds }) {
+    const { rows } = await pool.query(
+      `INSERT INTO idempotency_keys (scope, owner_id, idempotency_key, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(secs => $5))
+       ON CONFLICT (scope, owner_id, idempotency_key) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash,
+             status = 'IN_PROGRESS',
+             response_status = NULL,
+             response_body = NULL,
+             locked_at = CURRENT_TIMESTAMP,
+             created_at = CURRENT_TIMESTAMP,
+             expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+            OR (idempotency_keys.status = 'IN_PROGRESS'
+                AND idempotency_keys.request_hash = EXCLUDED.request_hash
+                AND idempotency_keys.locked_at <= CURRENT_TIMESTAMP - make_interval(secs => $6))
+       RETURNING *`,
+      [scope, ownerId, key, requestHash, ttlSeconds, lockSeconds]
+    );
+    if (rows[0]) return { claimed: true, record: rows[0] };
+
+    const existing = await pool.query(
+      'SELECT * FROM idempotency_keys WHERE scope = $1 AND owner_id = $2 AND idempotency_key = $3',
+      [scope, ownerId, key]
+    );
+    return { claimed: false, record: existing.rows[0] || null };
+  }
+
+  async function complete({ scope, ownerId, key, status, body }) {
+    await pool.query(
+      `UPDATE idempotency_keys
+       SET status = 'COMPLETED', response_status = $4, response_body = $5
+       WHERE scope = $1 AND owner_id = $2 AND idempotency_key = $3`,
+      [scope, ownerId, key, status, JSON.stringify(body === undefined ? null : body)]
+    );
+  }
+
+  // Frees the key so the client can retry, used when the request failed
+  // without a response worth replaying
+  async function release({ scope, ownerId, key }) {
+    await pool.query(
+      `DELETE FROM idempotency_keys
+       WHERE scope = $1 AND owner_id = $2 AND idempotency_key = $3 AND status = 'IN_PROGRESS'`,
+      [scope, ownerId, key]
+    );
+  }
+
+  async function purgeExpired() {
+    const { rowCount } = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return rowCount;
+  }
+
+  return {
+    ensureSchema,
+    claim,
+    complete,
+    release,
+    purgeExpired
+  };
+}
+
+module.exports = createIdempotencyStore;
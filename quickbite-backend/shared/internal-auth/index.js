@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// True when the request carries the shared INTERNAL_SERVICE_TOKEN in the
+// X-Internal-Token header. Without a configured token no request is internal.
+function isInternalRequest(req) {
+  const expected = process.env.INTERNAL_SERVICE_TOKEN;
+  const header = req.headers['x-internal-token'];
+  if (!expected) return false;
+
+  const provided = Buffer.from(String(header || ''));
+  const wanted = Buffer.from(expected);
+  return provided.length === wanted.length && crypto.timingSafeEqual(provided, wanted);
+}
+
+// Guards endpoints that only other QuickBite services may call. Callers send
+// the shared INTERNAL_SERVICE_TOKEN in the X-Internal-Token header; until a
+// token is configured the endpoints are unavailable.
+module.exports = function requireInternal(req, res, next) {
+  if (!process.env.INTERNAL_SERVICE_TOKEN) {
+    return res.status(503).json({ success: false, message: 'Internal endpoints are not configured' });
+  }
+
+  if (!isInternalRequest(req)) {
+    return res.status(403).json({ success: false, message: 'Forbidden' });
+  }
+  next();
+};
+
+module.exports.isInternalRequest = isInternalRequest;
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+class TokenVerificationError extends Error {
+  constructor(message = 'Invalid or expired token') {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.statusCode = 401;
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenVerificationError('Malformed token');
+  }
+}
+
+// Verifies access tokens signed by auth-service with the public keys from
+// its /.well-known/jwks.json, so services never hold a signing secret.
+// The key set is cached for `cacheTtlMs` and refetched early when a token
+// names a kid we have not seen, at most once per `minRefreshIntervalMs`.
+// When auth-service is unreachable the last key set keeps being used.
+class JwksVerifier {
+  constructor(options = {}) {
+    this.jwksUrl = options.jwksUrl || process.env.AUTH_JWKS_URL;
+    if (!this.jwksUrl) {
+      throw new Error('JwksVerifier needs a jwksUrl (or AUTH_JWKS_URL)');
+    }
+    this.issuer = options.issuer !== undefined ? options.issuer : (process.env.JWT_ISSUER || 'quickbite-auth');
+    this.tokenType = options.tokenType !== undefined ? options.tokenType : 'access';
+    this.cacheTtlMs = options.cacheTtlMs || 10 * 60 * 1000;
+    this.minRefreshIntervalMs = options.minRefreshIntervalMs || 30 * 1000;
+    this.clockToleranceSec = options.clockToleranceSec !== undefined ? options.clockToleranceSec : 30;
+    this.timeoutMs = options.timeoutMs || 3000;
+
+    this.keys = new Map(); // kid -> { alg, key }
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  // Resolve to the token's claims or reject with TokenVerificationError
+  async verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new TokenVerificationError('Malformed token');
+    }
+    const header = decodeSegment(parts[0]);
+    if (!SUPPORTED_ALGORITHMS.includes(header.alg)) {
+      throw new TokenVerificationError(`Unsupported algorithm ${header.alg}`);
+    }
+
+    const jwk = await this.getKey(header.kid);
+    if (!jwk || jwk.alg !== header.alg) {
+      throw new TokenVerificationError('Unknown signing key');
+    }
+
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    const key = header.alg === 'ES256' ? { key: jwk.key, dsaEncoding: 'ieee-p1363' } : jwk.key;
+    if (!crypto.verify('sha256', signed, key, signature)) {
+      throw new TokenVerificationError('Invalid signature');
+    }
+
+    const claims = decodeSegment(parts[1]);
+    this.checkClaims(claims);
+    return claims;
+  }
+
+  checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + this.clockToleranceSec < now) {
+      throw new TokenVerificationError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - this.clockToleranceSec > now) {
+      throw new TokenVerificationError('Token not yet valid');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new TokenVerificationError('Unexpected issuer');
+    }
+    if (this.tokenType && claims.type !== this.tokenType) {
+      throw new TokenVerificationError(`${this.tokenType} token required`);
+    }
+  }
+
+  async getKey(kid) {
+    if (this.pending) {
+      await this.pending.catch(() => {});
+    }
+    const age = Date.now() - this.fetchedAt;
+    if (age > this.cacheTtlMs || (!this.keys.has(kid) && age > this.minRefreshIntervalMs)) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        if (this.keys.size === 0) throw error;
+        console.warn(`⚠️ JWKS refresh failed, using cached keys: ${error.message}`);
+      }
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  // Fetch the key set; concurrent callers share one request
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.fetchKeys().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchKeys() {
+    // Count failed attempts too, so an outage does not trigger a fetch per request
+    this.fetchedAt = Date.now();
+    const response = await fetch(this.jwksUrl, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const body = await response.json();
+
+    const keys = new Map();
+    for (const jwk of body.keys || []) {
+      if (!jwk.kid || !SUPPORTED_ALGORITHMS.includes(jwk.alg) || (jwk.use && jwk.use !== 'sig')) continue;
+      try {
+        keys.set(jwk.kid, { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+      } catch (error) {
+        console.warn(`⚠️ Skipping unusable JWK ${jwk.kid}: ${error.message}`);
+      }
+    }
+    this.keys = keys;
+  }
+}
+
+// One verifier per JWKS URL, shared by everything in the process
+const verifiers = new Map();
+
+function getVerifier(options = {}) {
+  const jwksUrl = options.jwksUrl || process.env.AUTH_JWKS_URL;
+  if (!verifiers.has(jwksUrl)) {
+    verifiers.set(jwksUrl, new JwksVerifier({ ...options, jwksUrl }));
+  }
+  return verifiers.get(jwksUrl);
+}
+
+// Convenience for auth middlewares: resolves to { userId, role, storeId,
+// sessionId, exp } for a valid access token
+async function verifyAccessToken(token, options) {
+  const claims = await getVerifier(options).verify(token);
+  return {
+    userId: claims.id,
+    role: claims.role || null,
+    storeId: claims.storeId || null,
+    sessionId: claims.sid || null,
+    exp: claims.exp
+  };
+}
+
+module.exports = { JwksVerifier, TokenVerificationError, getVerifier, verifyAccessToken };
@@ -0,0 +1,137 @@
+// Thin publish/subscribe wrapper used by the order saga (order-service) and
+// its participants (payment-service, delivery-service). Kafka is used when KAFKA_BROKERS is set; InMemoryBroker is a
+// drop-in stand-in so the whole workflow can run inside one process (tests,
+// local experiments) with the same at-least-once, JSON-serialized delivery.
+
+const TOPICS = {
+  PAYMENT_REQUESTS: 'payment-requests',
+  PAYMENT_RESULTS: 'payment-results',
+  DELIVERY_REQUESTS: 'delivery-requests',
+  DELIVERY_RESULTS: 'delivery-results',
+  ORDER_COMPENSATIONS: 'order-compensations'
+};
+
+// Each subscribe(groupId, handlers) call is one consumer in group `groupId`
+// handling the topics named by `handlers` ({ [topic]: handler }). As in
+// Kafka, the group's partitions are spread over all its members whatever
+// topic they came from, so every member of a group must handle the same
+// topics; both brokers refuse a member that does not.
+function sameTopics(a, b) {
+  return a.length === b.length && a.every((topic) => b.includes(topic));
+}
+
+class InMemoryBroker {
+  constructor() {
+    this.groups = new Map(); // groupId -> { topics, members, next }
+    this.pending = new Set();
+    this.published = [];
+  }
+
+  async connect() {}
+
+  async disconnect() {
+    await this.drain();
+    this.groups.clear();
+  }
+
+  async subscribe(groupId, handlers) {
+    const topics = Object.keys(handlers);
+    const group = this.groups.get(groupId);
+    if (!group) {
+      this.groups.set(groupId, { topics, members: [handlers], next: 0 });
+      return;
+    }
+    if (!sameTopics(group.topics, topics)) {
+      throw new Error(`Consumer group ${groupId} handles ${group.topics.join(', ')}; a member cannot handle ${topics.join(', ')}`);
+    }
+    group.members.push(handlers);
+  }
+
+  // Every consumer group receives the message once; within a group the
+  // members take turns, like partitions spread across consumer instances.
+  async publish(topic, key, message) {
+    const payload = JSON.stringify(message);
+    this.published.push({ topic, key, message: JSON.parse(payload) });
+
+    for (const group of this.groups.values()) {
+      if (!group.topics.includes(topic)) continue;
+      const handler = group.members[group.next % group.members.length][topic];
+      group.next += 1;
+      const delivery = new Promise((resolve) => setImmediate(resolve))
+        .then(() => handler(JSON.parse(payload), { topic, key }))
+        .catch((e) => console.error(`[broker] ${topic} handler failed:`, e.message));
+      this.pending.add(delivery);
+      delivery.finally(() => this.pending.delete(delivery));
+    }
+  }
+
+  // Resolves once every message published so far, and everything those
+  // handlers published in turn, has been handled.
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+class KafkaBroker {
+  // `kafka` defaults to a kafkajs client for `brokers`
+  constructor({ clientId, brokers, kafka = null }) {
+    if (!kafka) {
+      const { Kafka } = require('kafkajs');
+      kafka = new Kafka({ clientId, brokers });
+    }
+    this.kafka = kafka;
+    this.producer = this.kafka.producer();
+    this.consumers = new Map(); // groupId -> consumer
+  }
+
+  async connect() {
+    await this.producer.connect();
+  }
+
+  async disconnect() {
+    await Promise.all([...this.consumers.values()].map((c) => c.disconnect()));
+    await this.producer.disconnect();
+  }
+
+  // One consumer per group, subscribed to all of the group's topics and
+  // dispatching on the message's topic. A handler that throws is not
+  // committed, so kafkajs redelivers the message.
+  async subscribe(groupId, handlers) {
+    if (this.consumers.has(groupId)) {
+      throw new Error(`Consumer group ${groupId} is already subscribed; pass all its topics in one call`);
+    }
+    const consumer = this.kafka.consumer({ groupId });
+    this.consumers.set(groupId, consumer);
+    await consumer.connect();
+    await consumer.subscribe({ topics: Object.keys(handlers) });
+    await consumer.run({
+      eachMessage: async ({ topic, message }) => {
+        const handler = handlers[topic];
+        if (!handler) throw new Error(`Consumer group ${groupId} received ${topic}, which it does not handle`);
+        const key = message.key ? message.key.toString() : null;
+        await handler(JSON.parse(message.value.toString()), { topic, key });
+      }
+    });
+  }
+
+  async publish(topic, key, message) {
+    await this.producer.send({
+      topic,
+      messages: [{ key: key ? String(key) : null, value: JSON.stringify(message) }]
+    });
+  }
+}
+
+// Returns null when no broker is configured so callers can fall back to
+// their synchronous HTTP flow.
+function createBroker(clientId) {
+  if (!process.env.KAFKA_BROKERS) return null;
+  return new KafkaBroker({
+    clientId,
+    brokers: process.env.KAFKA_BROKERS.split(',').map((b) => b.trim())
+  });
+}
+
+module.exports = { TOPICS, InMemoryBroker, KafkaBroker, createBroker };
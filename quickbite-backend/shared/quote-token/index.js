@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Signed price quotes: catalog-service issues them, order-service and
+// payment-service verify them. A token is `<payload>.<signature>`, both
+// base64url, signed with HMAC-SHA256 over the encoded payload.
+
+class QuoteTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QuoteTokenError';
+    this.code = code;
+  }
+}
+
+function secret() {
+  const configured = process.env.PRICING_QUOTE_SECRET;
+  if (configured) return configured;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PRICING_QUOTE_SECRET is not configured');
+  }
+  return 'quickbite-dev-quote-secret';
+}
+
+function signature(encodedPayload) {
+  return crypto.createHmac('sha256', secret()).update(encodedPayload).digest('base64url');
+}
+
+function sign(quote) {
+  const encoded = Buffer.from(JSON.stringify(quote)).toString('base64url');
+  return `${encoded}.${signature(encoded)}`;
+}
+
+// Returns the quote when the token is authentic and not expired.
+// `graceMs` extends the expiry, e.g. for paying an order placed in time.
+function verify(token, { now = new Date(), graceMs = 0 } = {}) {
+  const [encoded, sig, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!encoded || !sig || extra !== undefined) {
+    throw new QuoteTokenError('Malformed price quote', 'QUOTE_INVALID');
+  }
+
+  const expected = Buffer.from(signature(encoded));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new QuoteTokenError('Price quote signature is invalid', 'QUOTE_INVALID');
+  }
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new QuoteTokenError('Malformed price quote', 'QUOTE_INVALID');
+  }
+
+  if (new Date(quote.expires_at).getTime() + graceMs < now.getTime()) {
+    throw new QuoteTokenError('Price quote has expired; request a new one', 'QUOTE_EXPIRED');
+  }
+  return quote;
+}
+
+module.exports = { sign, verify, QuoteTokenError };
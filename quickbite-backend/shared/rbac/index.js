@@ -0,0 +1,31 @@
+// Role checks on the identity the auth middlewares put on the request
+// (req.userRole). Roles are issued by auth-service: platform admins may
+// administer everything, staff act for the restaurant in their storeId claim.
+const PLATFORM_ADMIN_ROLES = ['admin', 'super_admin'];
+const STAFF_ROLE = 'staff';
+
+function isPlatformAdmin(req) {
+  return PLATFORM_ADMIN_ROLES.includes(req.userRole);
+}
+
+function forbidden(res, message = 'You do not have access to this resource') {
+  return res.status(403).json({ success: false, message, code: 'FORBIDDEN' });
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.userRole)) return forbidden(res);
+    next();
+  };
+}
+
+const requirePlatformAdmin = requireRole(...PLATFORM_ADMIN_ROLES);
+
+module.exports = {
+  PLATFORM_ADMIN_ROLES,
+  STAFF_ROLE,
+  isPlatformAdmin,
+  forbidden,
+  requireRole,
+  requirePlatformAdmin
+};
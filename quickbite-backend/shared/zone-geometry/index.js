@@ -0,0 +1,112 @@
+// GeoJSON helpers for delivery zones. Zones are Polygon or MultiPolygon
+// geometries with [longitude, latitude] positions; the first ring of each
+// polygon is its boundary and any further rings are holes. Used by
+// delivery-service, which owns zone CRUD, fees and assignment, and by
+// catalog-service to filter restaurants by the zones it reads from there.
+
+const EARTH_RADIUS_KM = 6371;
+
+function polygonsOf(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+function isPosition(p) {
+  return Array.isArray(p) && p.length >= 2 &&
+    Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+    p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+}
+
+// Why `geometry` is not a usable zone boundary, or null
+function validate(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return 'Zone boundary must be a GeoJSON Polygon or MultiPolygon';
+  }
+  const polygons = polygonsOf(geometry);
+  if (polygons.length === 0) return 'Zone boundary has no polygons';
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) return 'Each polygon needs a boundary ring';
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) return 'Each ring needs at least four positions';
+      if (!ring.every(isPosition)) return 'Positions must be [longitude, latitude] pairs';
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) return 'Each ring must end where it starts';
+    }
+  }
+  return null;
+}
+
+// Ray casting; points exactly on an edge may fall either way
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function contains(geometry, latitude, longitude) {
+  return polygonsOf(geometry).some(([boundary, ...holes]) =>
+    ringContains(boundary, longitude, latitude) &&
+    !holes.some((hole) => ringContains(hole, longitude, latitude))
+  );
+}
+
+function bounds(geometry) {
+  const box = { minLatitude: 90, maxLatitude: -90, minLongitude: 180, maxLongitude: -180 };
+  for (const [boundary] of polygonsOf(geometry)) {
+    for (const [lng, lat] of boundary) {
+      box.minLatitude = Math.min(box.minLatitude, lat);
+      box.maxLatitude = Math.max(box.maxLatitude, lat);
+      box.minLongitude = Math.min(box.minLongitude, lng);
+      box.maxLongitude = Math.max(box.maxLongitude, lng);
+    }
+  }
+  return box;
+}
+
+// Average of the boundary vertices; good enough as a zone's label point
+function center(geometry) {
+  let lat = 0;
+  let lng = 0;
+  let count = 0;
+  for (const [boundary] of polygonsOf(geometry)) {
+    for (const position of boundary.slice(0, -1)) {
+      lng += position[0];
+      lat += position[1];
+      count += 1;
+    }
+  }
+  return { latitude: lat / count, longitude: lng / count };
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Where zones overlap, the one whose center is closest wins
+function findZone(zones, latitude, longitude) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const zone of zones) {
+    if (!contains(zone.boundary_polygon, latitude, longitude)) continue;
+    const d = distanceKm(latitude, longitude, Number(zone.center_latitude), Number(zone.center_longitude));
+    if (d < bestDistance) {
+      best = zone;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+module.exports = { validate, contains, bounds, center, distanceKm, findZone };
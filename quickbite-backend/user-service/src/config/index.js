@@ -68,6 +68,11 @@ const config = {
     adminUrl: process.env.ADMIN_URL || 'http://localhost:3001'
   },
 
+  // Other QuickBite services
+  services: {
+    deliveryBaseUrl: process.env.DELIVERY_BASE_URL || 'http://localhost:3006/api/delivery'
+  },
+
   // Security configuration
   security: {
     saltRounds: 12,
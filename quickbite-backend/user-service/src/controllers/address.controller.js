@@ -1,5 +1,6 @@
 const { UserAddress } = require('../models/user.model');
 const Joi = require('joi');
+const config = require('../config');
 
 class AddressController {
   // Validation schema
@@ -260,16 +261,29 @@ class AddressController {
       }
 
       // Here you would integrate with mapping services like Google Maps API
-      // to validate the address and check delivery coverage
+      // to validate the address itself
       
-      // Mock validation - in real implementation, check against delivery zones
-      const isInDeliveryArea = AddressController.checkDeliveryArea(latitude, longitude);
+      let zone;
+      try {
+        zone = await AddressController.findDeliveryZone(latitude, longitude);
+      } catch (error) {
+        console.error('Delivery zone lookup failed:', error.message);
+        return res.status(503).json({
+          success: false,
+          message: 'Delivery coverage cannot be checked right now'
+        });
+      }
+      const isInDeliveryArea = Boolean(zone);
       
       const validation = {
         isValid: true,
         isInDeliveryArea,
-        estimatedDeliveryTime: isInDeliveryArea ? '30-45 minutes' : 'Not available',
-        deliveryFee: isInDeliveryArea ? 2500 : null, // ₹25 in paise
+        deliveryZone: zone ? { zoneId: zone.zoneId, zoneName: zone.zoneName, zoneCode: zone.zoneCode } : null,
+        estimatedDeliveryTime: zone
+          ? `${zone.standardDeliveryTimeMinutes}-${zone.standardDeliveryTimeMinutes + 15} minutes`
+          : 'Not available',
+        deliveryFee: zone ? zone.baseDeliveryFeeCents : null, // base fee in paise; distance is added per order
+        minimumOrderAmount: zone ? zone.minOrderAmountCents : null,
         suggestions: []
       };
 
@@ -291,40 +305,13 @@ class AddressController {
     }
   }
 
-  // Mock delivery area check (replace with real logic)
-  static checkDeliveryArea(latitude, longitude) {
-    // Mock logic - check if coordinates are within major city bounds
-    const cityBounds = {
-      // Bangalore approximate bounds
-      bangalore: {
-        north: 13.1986,
-        south: 12.7343,
-        east: 77.8499,
-        west: 77.4106
-      },
-      // Mumbai approximate bounds
-      mumbai: {
-        north: 19.2727,
-        south: 18.8944,
-        east: 72.9713,
-        west: 72.7757
-      }
-      // Add more cities as needed
-    };
-
-    // Check against each city
-    for (const [city, bounds] of Object.entries(cityBounds)) {
-      if (
-        latitude >= bounds.south &&
-        latitude <= bounds.north &&
-        longitude >= bounds.west &&
-        longitude <= bounds.east
-      ) {
-        return true;
-      }
-    }
-
-    return false;
+  // The delivery zone serving a location, or null when none does
+  static async findDeliveryZone(latitude, longitude) {
+    const params = new URLSearchParams({ latitude, longitude });
+    const response = await fetch(`${config.services.deliveryBaseUrl}/zones/lookup?${params}`);
+    if (!response.ok) throw new Error(`Zone lookup failed: ${response.status}`);
+    const body = await response.json();
+    return body.data.zone;
   }
 }
 
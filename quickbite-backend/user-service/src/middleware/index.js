@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, TokenVerificationError } = require('@quickbite/jwt-verifier');
 const { User } = require('../models/user.model');
 
 // JWT Authentication Middleware
@@ -14,11 +14,11 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    // Verify the access token against auth-service's published keys
+    const identity = await verifyAccessToken(token);
     
     // Get user from database
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(identity.userId);
     
     if (!user) {
       return res.status(401).json({
@@ -45,22 +45,15 @@ const authenticateToken = async (req, res, next) => {
 
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof TokenVerificationError) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired'
+        message: error.message === 'Token expired' ? 'Token expired' : 'Invalid token'
       });
     }
 
+    console.error('Authentication error:', error);
+
     return res.status(500).json({
       success: false,
       message: 'Internal server error'
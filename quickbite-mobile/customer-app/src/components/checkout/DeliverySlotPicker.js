@@ -0,0 +1,171 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+import { COLORS, SIZES, FONTS, COMMON_STYLES } from '../../constants/theme';
+
+// Days a customer can pick a slot on, starting today
+const SCHEDULE_DAYS = 3;
+
+export const upcomingDates = (from = new Date()) => {
+  return Array.from({ length: SCHEDULE_DAYS }, (_, i) => {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    const value = [
+      day.getFullYear(),
+      String(day.getMonth() + 1).padStart(2, '0'),
+      String(day.getDate()).padStart(2, '0'),
+    ].join('-');
+    const label = i === 0
+      ? 'Today'
+      : i === 1
+        ? 'Tomorrow'
+        : day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+    return { value, label };
+  });
+};
+
+const formatSlot = (slot) => {
+  const options = { hour: '2-digit', minute: '2-digit' };
+  return `${new Date(slot.slot_start).toLocaleTimeString([], options)} - ${new Date(slot.slot_end).toLocaleTimeString([], options)}`;
+};
+
+// ASAP / scheduled toggle with day and slot chips. Slots come from
+// GET /merchants/:id/slots; full slots are shown but cannot be picked.
+const DeliverySlotPicker = ({
+  mode,
+  onModeChange,
+  selectedDate,
+  onDateChange,
+  slots,
+  selectedSlot,
+  onSlotSelect,
+  loading,
+  error,
+}) => {
+  const renderChip = (key, label, selected, onPress, disabled = false) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        selected && styles.chipSelected,
+        disabled && styles.chipDisabled,
+      ]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Text
+        style={[
+          styles.chipText,
+          selected && styles.chipTextSelected,
+          disabled && styles.chipTextDisabled,
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.modeRow}>
+        {renderChip('asap', 'Deliver now', mode === 'asap', () => onModeChange('asap'))}
+        {renderChip('scheduled', 'Schedule for later', mode === 'scheduled', () => onModeChange('scheduled'))}
+      </View>
+
+      {mode === 'scheduled' && (
+        <>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {upcomingDates().map(day =>
+              renderChip(day.value, day.label, day.value === selectedDate, () => onDateChange(day.value))
+            )}
+          </ScrollView>
+
+          {loading ? (
+            <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+          ) : error ? (
+            <View style={styles.messageRow}>
+              <Icon name="error-outline" size={16} color={COLORS.error} />
+              <Text style={styles.messageText}>{error}</Text>
+            </View>
+          ) : slots.length === 0 ? (
+            <View style={styles.messageRow}>
+              <Icon name="event-busy" size={16} color={COLORS.warning} />
+              <Text style={styles.messageText}>No delivery slots left on this day.</Text>
+            </View>
+          ) : (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+              {slots.map(slot =>
+                renderChip(
+                  slot.slot_start,
+                  slot.available ? formatSlot(slot) : `${formatSlot(slot)} • Full`,
+                  selectedSlot?.slot_start === slot.slot_start,
+                  () => onSlotSelect(slot),
+                  !slot.available
+                )
+              )}
+            </ScrollView>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  modeRow: {
+    ...COMMON_STYLES.row,
+    gap: SIZES.sm,
+  },
+  chipRow: {
+    marginTop: SIZES.md,
+  },
+  chip: {
+    paddingHorizontal: SIZES.md,
+    paddingVertical: SIZES.sm,
+    borderRadius: SIZES.radius,
+    borderWidth: 1,
+    borderColor: COLORS.borderColor,
+    backgroundColor: COLORS.white,
+    marginRight: SIZES.sm,
+  },
+  chipSelected: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primaryLight,
+  },
+  chipDisabled: {
+    backgroundColor: COLORS.lightGray3,
+  },
+  chipText: {
+    ...FONTS.body3,
+    color: COLORS.textPrimary,
+  },
+  chipTextSelected: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  chipTextDisabled: {
+    color: COLORS.textDisabled,
+  },
+  loader: {
+    marginTop: SIZES.md,
+  },
+  messageRow: {
+    ...COMMON_STYLES.row,
+    marginTop: SIZES.md,
+    gap: SIZES.sm,
+  },
+  messageText: {
+    ...FONTS.body3,
+    color: COLORS.textSecondary,
+    flex: 1,
+  },
+});
+
+export default DeliverySlotPicker;
@@ -26,6 +26,7 @@ import PaymentMethods from '../components/checkout/PaymentMethods';
 import OrderInstructions from '../components/checkout/OrderInstructions';
 import PriceBreakdown from '../components/checkout/PriceBreakdown';
 import ContactlessDelivery from '../components/checkout/ContactlessDelivery';
+import DeliverySlotPicker, { upcomingDates } from '../components/checkout/DeliverySlotPicker';
 
 // Services
 import { PaymentService } from '../services/PaymentService';
@@ -65,6 +66,12 @@ const CheckoutScreen = () => {
   const [contactlessDelivery, setContactlessDelivery] = useState(false);
   const [phoneNumber, setPhoneNumber] = useState(user?.phoneNumber || '');
   const [estimatedDelivery, setEstimatedDelivery] = useState(null);
+  const [deliveryMode, setDeliveryMode] = useState('asap');
+  const [slotDate, setSlotDate] = useState(() => upcomingDates()[0].value);
+  const [deliverySlots, setDeliverySlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [slotsError, setSlotsError] = useState(null);
   const [orderPreferences, setOrderPreferences] = useState({
     cutlery: true,
     napkins: true,
@@ -91,6 +98,36 @@ const CheckoutScreen = () => {
     });
   }, []);
 
+  // Load the restaurant's delivery slots for the chosen day
+  useEffect(() => {
+    if (deliveryMode !== 'scheduled' || !restaurant?.id) {
+      return;
+    }
+
+    let cancelled = false;
+    setSlotsLoading(true);
+    setSlotsError(null);
+    setSelectedSlot(null);
+
+    OrderService.getDeliverySlots(restaurant.id, slotDate)
+      .then(result => {
+        if (!cancelled) setDeliverySlots(result.slots || []);
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setDeliverySlots([]);
+          setSlotsError(error.message || 'Could not load delivery slots');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setSlotsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deliveryMode, slotDate, restaurant?.id]);
+
   // Calculate estimated delivery time
   const calculateEstimatedDelivery = () => {
     const now = new Date();
@@ -123,9 +160,27 @@ const CheckoutScreen = () => {
       return false;
     }
 
+    if (deliveryMode === 'scheduled' && !selectedSlot) {
+      showToast('Please pick a delivery slot', 'error');
+      return false;
+    }
+
     return true;
   };
 
+  // Handle switching between ASAP and scheduled delivery
+  const handleDeliveryModeChange = (mode) => {
+    setDeliveryMode(mode);
+    if (mode === 'asap') {
+      setSelectedSlot(null);
+    }
+
+    trackEvent('delivery_mode_selected', {
+      mode,
+      restaurant_id: restaurant?.id,
+    });
+  };
+
   // Handle payment method selection
   const handlePaymentMethodSelect = (method) => {
     setSelectedPaymentMethod(method);
@@ -182,7 +237,8 @@ const CheckoutScreen = () => {
           total,
           appliedCoupon,
         },
-        estimatedDeliveryTime: estimatedDelivery?.time,
+        estimatedDeliveryTime: selectedSlot ? new Date(selectedSlot.slot_start) : estimatedDelivery?.time,
+        scheduled_for: selectedSlot?.slot_start || null,
         preferences: orderPreferences,
         specialInstructions: deliveryInstructions,
       };
@@ -219,6 +275,7 @@ const CheckoutScreen = () => {
         total_amount: total,
         item_count: items.length,
         delivery_type: contactlessDelivery ? 'contactless' : 'regular',
+        is_scheduled: !!selectedSlot,
       });
 
       // Navigate to order confirmation
@@ -304,6 +361,22 @@ const CheckoutScreen = () => {
           />
         </View>
 
+        {/* Delivery Time */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Delivery Time</Text>
+          <DeliverySlotPicker
+            mode={deliveryMode}
+            onModeChange={handleDeliveryModeChange}
+            selectedDate={slotDate}
+            onDateChange={setSlotDate}
+            slots={deliverySlots}
+            selectedSlot={selectedSlot}
+            onSlotSelect={setSelectedSlot}
+            loading={slotsLoading}
+            error={slotsError}
+          />
+        </View>
+
         {/* Order Instructions */}
         <View style={styles.section}>
           <OrderInstructions
@@ -374,10 +447,16 @@ const CheckoutScreen = () => {
           <View>
             <Text style={styles.totalLabel}>Total Amount</Text>
             <Text style={styles.estimatedTime}>
-              Delivered by {estimatedDelivery?.time.toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit'
-              })}
+              {selectedSlot
+                ? `Scheduled for ${new Date(selectedSlot.slot_start).toLocaleString([], {
+                  weekday: 'short',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}`
+                : `Delivered by ${estimatedDelivery?.time.toLocaleTimeString([], {
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}`}
             </Text>
           </View>
           <Text style={styles.totalAmount}>{formatCurrency(total)}</Text>
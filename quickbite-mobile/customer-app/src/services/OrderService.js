@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Everything goes through the API gateway, which forwards to order-service
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000/api';
+
+async function request(path, { method = 'GET', body } = {}) {
+  const token = await AsyncStorage.getItem('auth_token');
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.code = data.code;
+    throw error;
+  }
+  return data;
+}
+
+export const OrderService = {
+  // Delivery slots the restaurant offers on `date` (YYYY-MM-DD), as
+  // { date, slots: [{ slot_start, slot_end, remaining, available }] }
+  async getDeliverySlots(restaurantId, date) {
+    const query = date ? `?date=${encodeURIComponent(date)}` : '';
+    const result = await request(`/merchants/${encodeURIComponent(restaurantId)}/slots${query}`);
+    return result.data;
+  },
+
+  async getOrder(orderId) {
+    return request(`/orders/${encodeURIComponent(orderId)}`);
+  },
+
+  async cancelOrder(orderId, reason) {
+    return request(`/orders/${encodeURIComponent(orderId)}/cancel`, {
+      method: 'POST',
+      body: reason ? { reason } : {},
+    });
+  },
+};
+
+export default OrderService;
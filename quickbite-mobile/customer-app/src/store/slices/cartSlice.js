@@ -49,8 +49,10 @@ export const applyCoupon = createAsyncThunk(
       
       const response = await CartAPI.applyCoupon({
         couponCode,
+        restaurantId: cart.restaurantId,
         cartItems: cart.items,
-        subtotal: cart.subtotal
+        subtotal: cart.subtotal,
+        deliveryFee: cart.deliveryFee
       });
       
       analytics.logEvent('coupon_applied', {